@@ -5,18 +5,47 @@
  */
 
 import * as cdk from 'aws-cdk-lib';
-import { GLSInfrastructureStack, GLSInfrastructureStackProps } from '../lib/gls-infrastructure-stack';
+import { GLSInfrastructureStack } from '../lib/gls-infrastructure-stack';
+import { GLSStageConfig, loadStageConfig, validateStreamGroups } from '../lib/gls-stages';
 
 const app = new cdk.App();
 
-// Validate Stream Group ID
-const streamGroupId = process.env.STREAM_GROUP_ID;
-if (!streamGroupId || !streamGroupId.match(/^sg-[a-zA-Z0-9]{5,}$/)) {
-  throw new Error('Valid STREAM_GROUP_ID environment variable is required (format: sg-XXXXX...)');
+// Optional settings, comma separated lists
+const listFromEnv = (value: string | undefined) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+// Named stages (dev, staging, prod, ...) come from the "stages" context of cdk.json: cdk deploy -c stage=dev
+// Without a stage, the deploy scripts' environment variables describe a single stream group
+const stage: string | undefined = app.node.tryGetContext('stage');
+let stageConfig: GLSStageConfig;
+if (stage) {
+  stageConfig = loadStageConfig(app.node.tryGetContext('stages'), stage);
+} else {
+  // Validate Stream Group ID
+  const streamGroupId = process.env.STREAM_GROUP_ID;
+  if (!streamGroupId || !streamGroupId.match(/^sg-[a-zA-Z0-9]{5,}$/)) {
+    throw new Error('Valid STREAM_GROUP_ID environment variable is required (format: sg-XXXXX...), or select a stage with -c stage=<name>');
+  }
+  stageConfig = {
+    streamGroups: validateStreamGroups([{
+      streamGroupId,
+      applicationIds: listFromEnv(process.env.APPLICATION_IDS),
+      locations: listFromEnv(process.env.STREAM_GROUP_LOCATIONS),
+    }], 'STREAM_GROUP_ID'),
+    alarmEmails: listFromEnv(process.env.ALARM_EMAILS),
+    domainName: process.env.FRONTEND_DOMAIN_NAME,  // Optional custom domain, with a us-east-1 ACM certificate
+    certificateArn: process.env.FRONTEND_CERTIFICATE_ARN,
+  };
 }
 
-new GLSInfrastructureStack(app, 'gameliftstreams-share-url-cdk', {
-  streamGroupId: streamGroupId,
-  applicationId: 'your-application-id',
-  awsRegion: 'us-east-2', // Replace with the desired AWS region
-} as GLSInfrastructureStackProps);
+const stack = new GLSInfrastructureStack(app, stage ? `gameliftstreams-share-url-cdk-${stage}` : 'gameliftstreams-share-url-cdk', {
+  streamGroups: stageConfig.streamGroups,
+  alarmEmails: stageConfig.alarmEmails,
+  alarmThresholds: stageConfig.alarmThresholds,
+  domainName: stageConfig.domainName,
+  certificateArn: stageConfig.certificateArn,
+  env: {
+    account: stageConfig.account || process.env.CDK_DEFAULT_ACCOUNT,
+    region: stageConfig.region || process.env.CDK_DEFAULT_REGION,
+  },
+});
+cdk.Tags.of(stack).add('Stage', stage || 'default');
@@ -0,0 +1,78 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * Renders the CloudWatch dashboards of lib/dashboard-bodies.ts to JSON files, for importing
+ * them without deploying the CDK stack (see dashboards/ReadMe.md).
+ *
+ * Usage:
+ *   npm run dashboards -- [--region us-east-2] [--stream-group-id sg-123...] [--application-id a-123...]
+ *                         [--function-name my-server-function] [--api-name "GameLiftStreams Share Api"]
+ *                         [--emf-namespace GameLiftStreamsWeb] [--out dashboards]
+ *
+ * --stream-group-id and --application-id may be repeated or comma separated; without them the
+ * dashboards show every stream group and application. The web tier dashboard is only written
+ * when --function-name is given.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  DEFAULT_REGION_CHOICES,
+  DashboardBody,
+  renderApplicationsDashboard,
+  renderStreamGroupDashboard,
+  renderWebTierDashboard,
+} from '../lib/dashboard-bodies';
+
+const OPTIONS = ['region', 'stream-group-id', 'application-id', 'function-name', 'api-name', 'emf-namespace', 'out'];
+
+// Collect every --name value (or --name=value) pair
+const args: Record<string, string[]> = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+  if (!match || !OPTIONS.includes(match[1])) {
+    console.error(`Unknown argument: ${argv[i]}\nOptions: ${OPTIONS.map((option) => `--${option}`).join(' ')}`);
+    process.exit(1);
+  }
+  const value = match[2] !== undefined ? match[2] : argv[++i];
+  if (value === undefined) {
+    console.error(`Missing value for --${match[1]}`);
+    process.exit(1);
+  }
+  args[match[1]] = [...(args[match[1]] || []), ...value.split(',').map((item) => item.trim()).filter(Boolean)];
+}
+const single = (name: string, fallback: string) => (args[name] ? args[name][args[name].length - 1] : fallback);
+
+const region = single('region', 'us-east-2');
+const outDir = single('out', 'dashboards');
+const ids = {
+  region,
+  streamGroupIds: args['stream-group-id'] || [],
+  applicationIds: args['application-id'] || [],
+  regionChoices: DEFAULT_REGION_CHOICES,
+};
+
+const files: Array<[string, DashboardBody]> = [
+  ['StreamGroupDashboard.json', renderStreamGroupDashboard({ ...ids, locationChoices: DEFAULT_REGION_CHOICES })],
+  ['ApplicationsDashboard.json', renderApplicationsDashboard(ids)],
+];
+if (args['function-name']) {
+  files.push(['WebTierDashboard.json', renderWebTierDashboard({
+    region,
+    functionName: single('function-name', ''),
+    apiName: single('api-name', 'GameLiftStreams Share Api'),
+    emfNamespace: single('emf-namespace', 'GameLiftStreamsWeb'),
+    streamGroupIds: ids.streamGroupIds,
+  })]);
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+files.forEach(([fileName, body]) => {
+  const filePath = path.join(outDir, fileName);
+  fs.writeFileSync(filePath, `${JSON.stringify(body, null, 4)}\n`);
+  console.log(`Wrote ${filePath}`);
+});
@@ -0,0 +1,266 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * CloudWatch dashboard bodies for Amazon GameLift Streams and the web tier
+ * @description Plain JSON builders without CDK dependencies. The GLSDashboards construct
+ * deploys them with the stack, and bin/render-dashboards.ts writes them to files for
+ * importing into CloudWatch by hand.
+ */
+
+/**
+ * Identifiers the GameLift Streams dashboards are filtered by
+ * @interface GameLiftStreamsDashboardIds
+ */
+export interface GameLiftStreamsDashboardIds {
+  region: string;               // Region of the metrics
+  streamGroupIds?: string[];    // Stream groups to show, all stream groups when empty
+  applicationIds?: string[];    // Applications to show, all applications when empty
+  regionChoices?: string[];     // Regions of the dashboard's Region selector, no selector when omitted
+  locationChoices?: string[];   // Locations of the stream group dashboard's Location selector
+}
+
+/**
+ * Resources of the web tier dashboard
+ * @interface WebTierDashboardIds
+ */
+export interface WebTierDashboardIds {
+  region: string;               // Region of the metrics
+  functionName: string;         // Lambda function running server/server.js
+  apiName: string;              // API Gateway REST API name
+  emfNamespace: string;         // Namespace of the server's EMF records (config.EMF.NAMESPACE)
+  streamGroupIds?: string[];    // Stream groups of the per-location session widgets, all when empty
+}
+
+/**
+ * Dashboard body in the format accepted by PutDashboard and the console's import
+ * @interface DashboardBody
+ */
+export interface DashboardBody {
+  variables?: Array<Record<string, unknown>>;
+  widgets: Array<Record<string, unknown>>;
+}
+
+/** Metrics namespace of Amazon GameLift Streams */
+const GAMELIFT_STREAMS_NAMESPACE = 'AWS/GameLiftStreams';
+
+/** Default period of every widget, in seconds */
+const PERIOD = 300;
+
+/** Console names of the regions offered by the Region selector */
+const REGION_LABELS: Record<string, string> = {
+  'us-east-1': 'US East (N. Virginia)',
+  'us-east-2': 'US East (Ohio)',
+  'us-west-2': 'US West (Oregon)',
+  'eu-central-1': 'Europe (Frankfurt)',
+  'eu-west-1': 'Europe (Ireland)',
+  'ap-northeast-1': 'Asia Pacific (Tokyo)',
+};
+
+/** Regions and locations offered by the selectors of the rendered files */
+export const DEFAULT_REGION_CHOICES = ['us-east-2', 'us-east-1', 'us-west-2', 'eu-central-1', 'eu-west-1', 'ap-northeast-1'];
+
+/**
+ * SEARCH expression over a GameLift Streams metric, limited to the given dimension values
+ * @param schema - Dimension names of the metric, e.g. ['Location', 'StreamGroupId']
+ * @param metricName - Metric name
+ * @param stat - Statistic
+ * @param filters - Allowed values per dimension; a dimension without values is not filtered
+ * @returns Metric math expression
+ */
+function searchExpression(schema: string[], metricName: string, stat: string, filters: Record<string, string[] | undefined>): string {
+  const terms = Object.entries(filters)
+    .filter(([, values]) => values && values.length)
+    .map(([dimension, values]) => `(${values!.map((value) => `${dimension}="${value}"`).join(' OR ')})`);
+  const query = [`{${[GAMELIFT_STREAMS_NAMESPACE, ...schema].join(',')}}`, `MetricName="${metricName}"`, ...terms].join(' ');
+  return `SEARCH('${query}', '${stat}', ${PERIOD})`;
+}
+
+/**
+ * Metric widget
+ * @param layout - x, y, width and height on the 24 column grid
+ * @param title - Widget title
+ * @param region - Region of the metrics
+ * @param metrics - Metric or expression rows
+ * @param properties - Further widget properties, e.g. view or yAxis
+ * @returns Widget
+ */
+function metricWidget(layout: [number, number, number, number], title: string, region: string,
+  metrics: unknown[][], properties: Record<string, unknown> = {}): Record<string, unknown> {
+  const [x, y, width, height] = layout;
+  return {
+    type: 'metric',
+    x,
+    y,
+    width,
+    height,
+    properties: {
+      view: 'timeSeries',
+      stacked: false,
+      region,
+      period: PERIOD,
+      title,
+      metrics,
+      ...properties,
+    },
+  };
+}
+
+/**
+ * Select variable of the dashboard
+ * @param property - Widget property it sets, e.g. region
+ * @param label - Label shown above the selector
+ * @param choices - Values, the first one is the default
+ * @returns Variable
+ */
+function selectVariable(property: string, label: string, choices: string[]): Record<string, unknown> {
+  return {
+    type: 'property',
+    property,
+    inputType: 'select',
+    id: property,
+    label,
+    defaultValue: choices[0],
+    visible: true,
+    values: choices.map((value) => ({ value, label: REGION_LABELS[value] || value })),
+  };
+}
+
+/**
+ * Region choices with the dashboard's region first
+ * @param region - Dashboard region
+ * @param choices - Other regions
+ * @returns Choices without duplicates
+ */
+function withDefaultFirst(region: string, choices: string[]): string[] {
+  return [region, ...choices.filter((choice) => choice !== region)];
+}
+
+/**
+ * Stream group dashboard: capacity, stream session counts and host utilization per location
+ * @param ids - Region and stream groups
+ * @returns Dashboard body
+ */
+export function renderStreamGroupDashboard(ids: GameLiftStreamsDashboardIds): DashboardBody {
+  const { region } = ids;
+  const search = (metricName: string, stat: string) => [{
+    expression: searchExpression(['Location', 'StreamGroupId'], metricName, stat, { StreamGroupId: ids.streamGroupIds }),
+    id: 'e1',
+    period: PERIOD,
+  }];
+  const variables = [
+    ...(ids.regionChoices ? [selectVariable('region', 'Region', withDefaultFirst(region, ids.regionChoices))] : []),
+    ...(ids.locationChoices ? [selectVariable('Location', 'Location', withDefaultFirst(region, ids.locationChoices))] : []),
+  ];
+
+  return {
+    ...(variables.length ? { variables } : {}),
+    widgets: [
+      metricWidget([0, 0, 6, 4], 'Idle Capacity', region, [search('IdleCapacity', 'Maximum')], { view: 'singleValue', stat: 'Average' }),
+      metricWidget([6, 0, 6, 4], 'Active Capacity', region, [search('ActiveCapacity', 'Maximum')], { view: 'singleValue', stat: 'Average' }),
+      metricWidget([12, 0, 6, 4], 'Terminated Stream Sessions', region, [search('TerminatedStreamSessions', 'Maximum')], { view: 'singleValue', stat: 'Average' }),
+      metricWidget([18, 0, 6, 4], 'Errored Stream Sessions', region, [search('ErroredStreamSessions', 'Maximum')], { view: 'singleValue', stat: 'Average' }),
+      metricWidget([0, 4, 6, 5], 'Average Frame Capture Rate', region, [search('FrameCaptureRate', 'Average')],
+        { view: 'gauge', yAxis: { left: { min: 0, max: 60 } }, liveData: true }),
+      metricWidget([6, 4, 6, 5], 'Average CPU Utilization', region, [search('CPUUtilization', 'Average')], { view: 'singleValue' }),
+      metricWidget([12, 4, 6, 5], 'Average Memory Utilization', region, [search('MemoryUtilization', 'Average')], { view: 'singleValue' }),
+      metricWidget([18, 4, 6, 5], 'Average Audio Capture Rate', region, [search('AudioCaptureRate', 'Average')], { view: 'singleValue' }),
+      metricWidget([0, 9, 24, 6], 'Session Length', region, [search('SessionLength', 'Average')], { view: 'table' }),
+    ],
+  };
+}
+
+/**
+ * Applications dashboard: frame and audio capture rate, utilization, round-trip time and
+ * session length per application and stream class
+ * @param ids - Region and applications
+ * @returns Dashboard body
+ */
+export function renderApplicationsDashboard(ids: GameLiftStreamsDashboardIds): DashboardBody {
+  const { region } = ids;
+  const search = (metricName: string) => [{
+    expression: searchExpression(['ApplicationId', 'StreamClass'], metricName, 'Average', { ApplicationId: ids.applicationIds }),
+    id: 'e1',
+    period: PERIOD,
+  }];
+  const series = { stat: 'Average', legend: { position: 'right' }, liveData: true };
+
+  return {
+    ...(ids.regionChoices ? { variables: [selectVariable('region', 'Region', withDefaultFirst(region, ids.regionChoices))] } : {}),
+    widgets: [
+      metricWidget([0, 0, 24, 5], 'Frame Capture Rate Average', region, [search('FrameCaptureRate')],
+        { view: 'gauge', stat: 'Average', yAxis: { left: { min: 0, max: 60 } }, sparkline: true, trend: true, liveData: true }),
+      metricWidget([0, 5, 12, 4], 'CPU Average Utilization', region, [search('CPUUtilization')], { view: 'singleValue', stat: 'Average' }),
+      metricWidget([12, 5, 12, 4], 'Memory Utilization Average', region, [search('MemoryUtilization')], { view: 'singleValue', stat: 'Average' }),
+      metricWidget([0, 9, 24, 3], 'Frame Capture Rate', region, [search('FrameCaptureRate')], series),
+      metricWidget([0, 12, 24, 3], 'Audio Capture Rate', region, [search('AudioCaptureRate')], series),
+      metricWidget([0, 15, 12, 3], 'Memory Utilization', region, [search('MemoryUtilization')], series),
+      metricWidget([12, 15, 12, 3], 'CPU Utilization', region, [search('CPUUtilization')], series),
+      metricWidget([0, 18, 12, 3], 'Round Trip Time', region, [search('RoundTripTime')], series),
+      metricWidget([12, 18, 12, 3], 'Session Length', region, [search('SessionLength')], series),
+    ],
+  };
+}
+
+/**
+ * Web tier dashboard: the server's EMF session metrics (see server/emf.js), its Lambda
+ * function and its API Gateway REST API
+ * @param ids - Region, function, API and EMF namespace
+ * @returns Dashboard body
+ */
+export function renderWebTierDashboard(ids: WebTierDashboardIds): DashboardBody {
+  const { region, functionName, apiName, emfNamespace } = ids;
+  // Totals are published with an empty dimension set
+  const total = (metricName: string, stat: string, label?: string) => [emfNamespace, metricName, { stat, ...(label ? { label } : {}) }];
+  const perLocation = (metricName: string) => [{
+    expression: `SEARCH('{${emfNamespace},Application,Location,StreamGroup} MetricName="${metricName}"${
+      ids.streamGroupIds && ids.streamGroupIds.length
+        ? ` (${ids.streamGroupIds.map((id) => `StreamGroup="${id}"`).join(' OR ')})`
+        : ''}', 'Sum', ${PERIOD})`,
+    id: 'e1',
+    period: PERIOD,
+  }];
+  const lambdaMetric = (metricName: string, stat: string, label?: string) =>
+    ['AWS/Lambda', metricName, 'FunctionName', functionName, { stat, ...(label ? { label } : {}) }];
+  const apiMetric = (metricName: string, stat: string, label?: string) =>
+    ['AWS/ApiGateway', metricName, 'ApiName', apiName, { stat, ...(label ? { label } : {}) }];
+
+  return {
+    widgets: [
+      metricWidget([0, 0, 6, 4], 'Sessions Created', region, [total('SessionCreated', 'Sum')], { view: 'singleValue' }),
+      metricWidget([6, 0, 6, 4], 'Terminations', region, [total('Terminations', 'Sum')], { view: 'singleValue' }),
+      metricWidget([12, 0, 6, 4], 'Reconnects', region, [total('Reconnects', 'Sum')], { view: 'singleValue' }),
+      metricWidget([18, 0, 6, 4], 'Errors', region, [total('Errors', 'Sum')], { view: 'singleValue' }),
+      metricWidget([0, 4, 12, 6], 'Session Activation Latency (ms)', region, [
+        total('SessionActivationLatency', 'p50', 'p50'),
+        total('SessionActivationLatency', 'p90', 'p90'),
+        total('SessionActivationLatency', 'p99', 'p99'),
+      ]),
+      metricWidget([12, 4, 12, 6], 'Sessions Created by Application and Location', region, [perLocation('SessionCreated')]),
+      metricWidget([0, 10, 12, 6], 'Errors by Application and Location', region, [perLocation('Errors')]),
+      metricWidget([12, 10, 12, 6], 'Signal Response Polls', region, [total('SignalResponsePolls', 'Sum', 'Polls')]),
+      metricWidget([0, 16, 8, 6], 'Lambda Invocations and Errors', region, [
+        lambdaMetric('Invocations', 'Sum', 'Invocations'),
+        lambdaMetric('Errors', 'Sum', 'Errors'),
+        lambdaMetric('Throttles', 'Sum', 'Throttles'),
+      ]),
+      metricWidget([8, 16, 8, 6], 'Lambda Duration (ms)', region, [
+        lambdaMetric('Duration', 'p50', 'p50'),
+        lambdaMetric('Duration', 'p99', 'p99'),
+      ]),
+      metricWidget([16, 16, 8, 6], 'Lambda Concurrent Executions', region, [lambdaMetric('ConcurrentExecutions', 'Maximum', 'Maximum')]),
+      metricWidget([0, 22, 8, 6], 'API Requests', region, [apiMetric('Count', 'Sum', 'Requests')]),
+      metricWidget([8, 22, 8, 6], 'API Errors', region, [
+        apiMetric('4XXError', 'Sum', '4XX'),
+        apiMetric('5XXError', 'Sum', '5XX'),
+      ]),
+      metricWidget([16, 22, 8, 6], 'API Latency (ms)', region, [
+        apiMetric('Latency', 'p50', 'Latency p50'),
+        apiMetric('Latency', 'p99', 'Latency p99'),
+        apiMetric('IntegrationLatency', 'p99', 'Integration p99'),
+      ]),
+    ],
+  };
+}
@@ -0,0 +1,138 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as cloudwatchActions from 'aws-cdk-lib/aws-cloudwatch-actions';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import * as sns from 'aws-cdk-lib/aws-sns';
+import * as subscriptions from 'aws-cdk-lib/aws-sns-subscriptions';
+import { Construct } from 'constructs';
+
+/**
+ * Alarm Thresholds
+ * @interface GLSAlarmThresholds
+ */
+export interface GLSAlarmThresholds {
+  lambdaErrors: number;              // Lambda errors per period
+  lambdaThrottles: number;           // Lambda throttles per period
+  api5xxRatePercent: number;         // Share of API requests answered with 5xx
+  apiLatencyP95Ms: number;           // p95 API Gateway latency
+  idleCapacity: number;              // Alarm when a location's idle capacity drops to this or below
+  erroredStreamSessions: number;     // Errored stream sessions per period and location
+  periodMinutes: number;             // Period of every alarm
+  evaluationPeriods: number;         // Periods looked at
+  datapointsToAlarm: number;         // Breaching periods out of evaluationPeriods that raise the alarm
+}
+
+/** Thresholds used for every value not set in GLSAlarmsProps.thresholds */
+export const DEFAULT_ALARM_THRESHOLDS: GLSAlarmThresholds = {
+  lambdaErrors: 5,
+  lambdaThrottles: 1,
+  api5xxRatePercent: 5,
+  apiLatencyP95Ms: 5000,
+  idleCapacity: 0,
+  erroredStreamSessions: 1,
+  periodMinutes: 5,
+  evaluationPeriods: 3,
+  datapointsToAlarm: 2,
+};
+
+/**
+ * Alarms Construct Properties
+ * @interface GLSAlarmsProps
+ */
+export interface GLSAlarmsProps {
+  serverFunction: lambda.IFunction;               // Lambda function of the web tier
+  api: apigateway.RestApi;                        // API Gateway REST API of the web tier
+  streamGroups: Array<{ streamGroupId: string; locations: string[] }>;  // One capacity and session alarm per stream group and location
+  thresholds?: Partial<GLSAlarmThresholds>;       // Overrides of DEFAULT_ALARM_THRESHOLDS
+  alarmEmails?: string[];                         // Addresses subscribed to the topic, each must confirm by email
+}
+
+/**
+ * CloudWatch Alarms
+ * @description Alarms on the web tier (Lambda errors and throttles, API 5xx rate and p95
+ * latency) and on the stream groups (idle capacity and errored stream sessions per location).
+ * Every alarm notifies the SNS topic when it goes into ALARM and when it recovers.
+ */
+export class GLSAlarms extends Construct {
+  public readonly topic: sns.Topic;
+  public readonly alarms: cloudwatch.Alarm[] = [];
+
+  constructor(scope: Construct, id: string, props: GLSAlarmsProps) {
+    super(scope, id);
+
+    const thresholds = { ...DEFAULT_ALARM_THRESHOLDS, ...props.thresholds };
+    const period = cdk.Duration.minutes(thresholds.periodMinutes);
+    const stackName = cdk.Stack.of(this).stackName;
+
+    this.topic = new sns.Topic(this, 'AlarmTopic', {
+      displayName: `${stackName} alarms`,
+    });
+    (props.alarmEmails || []).forEach((email) => {
+      this.topic.addSubscription(new subscriptions.EmailSubscription(email));
+    });
+    const action = new cloudwatchActions.SnsAction(this.topic);
+
+    // Adds an alarm with the shared evaluation settings, notifying on ALARM and OK
+    const addAlarm = (alarmId: string, description: string, metric: cloudwatch.IMetric, threshold: number,
+      comparisonOperator: cloudwatch.ComparisonOperator) => {
+      const alarm = new cloudwatch.Alarm(this, alarmId, {
+        alarmName: `${stackName}-${alarmId}`,
+        alarmDescription: description,
+        metric,
+        threshold,
+        comparisonOperator,
+        evaluationPeriods: thresholds.evaluationPeriods,
+        datapointsToAlarm: thresholds.datapointsToAlarm,
+        // No requests or no sessions means nothing is failing
+        treatMissingData: cloudwatch.TreatMissingData.NOT_BREACHING,
+      });
+      alarm.addAlarmAction(action);
+      alarm.addOkAction(action);
+      this.alarms.push(alarm);
+      return alarm;
+    };
+    const atOrAbove = cloudwatch.ComparisonOperator.GREATER_THAN_OR_EQUAL_TO_THRESHOLD;
+
+    // Web tier
+    addAlarm('LambdaErrors', `Server Lambda reported ${thresholds.lambdaErrors} or more errors in ${thresholds.periodMinutes} minutes`,
+      props.serverFunction.metricErrors({ period, statistic: 'Sum' }), thresholds.lambdaErrors, atOrAbove);
+    addAlarm('LambdaThrottles', `Server Lambda was throttled ${thresholds.lambdaThrottles} or more times in ${thresholds.periodMinutes} minutes`,
+      props.serverFunction.metricThrottles({ period, statistic: 'Sum' }), thresholds.lambdaThrottles, atOrAbove);
+    addAlarm('Api5xxRate', `${thresholds.api5xxRatePercent}% or more of API requests failed with 5xx`,
+      new cloudwatch.MathExpression({
+        expression: 'IF(requests > 0, 100 * errors / requests, 0)',
+        usingMetrics: {
+          errors: props.api.metricServerError({ period, statistic: 'Sum' }),
+          requests: props.api.metricCount({ period, statistic: 'Sum' }),
+        },
+        label: '5xx rate (%)',
+        period,
+      }), thresholds.api5xxRatePercent, atOrAbove);
+    addAlarm('ApiLatencyP95', `p95 API latency is above ${thresholds.apiLatencyP95Ms} ms`,
+      props.api.metricLatency({ period, statistic: 'p95' }), thresholds.apiLatencyP95Ms,
+      cloudwatch.ComparisonOperator.GREATER_THAN_THRESHOLD);
+
+    // Stream groups, one alarm per location since the metrics are reported per location
+    const streamGroupMetric = (metricName: string, streamGroupId: string, location: string, statistic: string) => new cloudwatch.Metric({
+      namespace: 'AWS/GameLiftStreams',
+      metricName,
+      dimensionsMap: { StreamGroupId: streamGroupId, Location: location },
+      statistic,
+      period,
+    });
+    props.streamGroups.forEach(({ streamGroupId, locations }) => locations.forEach((location) => {
+      const suffix = `${streamGroupId}-${location}`;
+      addAlarm(`IdleCapacity-${suffix}`, `Stream group ${streamGroupId} has ${thresholds.idleCapacity} or less idle capacity in ${location}, new players may be queued or refused`,
+        streamGroupMetric('IdleCapacity', streamGroupId, location, 'Minimum'), thresholds.idleCapacity,
+        cloudwatch.ComparisonOperator.LESS_THAN_OR_EQUAL_TO_THRESHOLD);
+      addAlarm(`ErroredStreamSessions-${suffix}`, `${thresholds.erroredStreamSessions} or more stream sessions of ${streamGroupId} failed in ${location}`,
+        streamGroupMetric('ErroredStreamSessions', streamGroupId, location, 'Sum'), thresholds.erroredStreamSessions, atOrAbove);
+    }));
+  }
+}
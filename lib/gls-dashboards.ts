@@ -0,0 +1,69 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as cdk from 'aws-cdk-lib';
+import * as cloudwatch from 'aws-cdk-lib/aws-cloudwatch';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import { Construct } from 'constructs';
+import {
+  DashboardBody,
+  renderApplicationsDashboard,
+  renderStreamGroupDashboard,
+  renderWebTierDashboard,
+} from './dashboard-bodies';
+
+/**
+ * Dashboards Construct Properties
+ * @interface GLSDashboardsProps
+ */
+export interface GLSDashboardsProps {
+  streamGroupIds: string[];         // Stream groups to show, all when empty
+  applicationIds: string[];         // Applications to show, all when empty
+  serverFunction: lambda.IFunction; // Lambda function of the web tier
+  api: apigateway.RestApi;          // API Gateway REST API of the web tier
+  emfNamespace: string;             // Namespace of the server's EMF records
+}
+
+/**
+ * CloudWatch Dashboards
+ * @description Creates the stream group, applications and web tier dashboards from
+ * dashboard-bodies.ts, named after the stack. bin/render-dashboards.ts renders the same
+ * bodies for manual import.
+ */
+export class GLSDashboards extends Construct {
+  public readonly streamGroupDashboard: cloudwatch.CfnDashboard;
+  public readonly applicationsDashboard: cloudwatch.CfnDashboard;
+  public readonly webTierDashboard: cloudwatch.CfnDashboard;
+
+  constructor(scope: Construct, id: string, props: GLSDashboardsProps) {
+    super(scope, id);
+
+    const stack = cdk.Stack.of(this);
+    const region = stack.region;
+
+    // Bodies may hold tokens (region, function and API names), toJsonString resolves them at deploy time
+    const dashboard = (dashboardId: string, body: DashboardBody) => new cloudwatch.CfnDashboard(this, dashboardId, {
+      dashboardName: `${stack.stackName}-${dashboardId}`,
+      dashboardBody: stack.toJsonString(body),
+    });
+
+    this.streamGroupDashboard = dashboard('StreamGroups', renderStreamGroupDashboard({
+      region,
+      streamGroupIds: props.streamGroupIds,
+    }));
+    this.applicationsDashboard = dashboard('Applications', renderApplicationsDashboard({
+      region,
+      applicationIds: props.applicationIds,
+    }));
+    this.webTierDashboard = dashboard('WebTier', renderWebTierDashboard({
+      region,
+      functionName: props.serverFunction.functionName,
+      apiName: props.api.restApiName,
+      emfNamespace: props.emfNamespace,
+      streamGroupIds: props.streamGroupIds,
+    }));
+  }
+}
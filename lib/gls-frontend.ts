@@ -0,0 +1,98 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as cdk from 'aws-cdk-lib';
+import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as s3deploy from 'aws-cdk-lib/aws-s3-deployment';
+import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
+import * as origins from 'aws-cdk-lib/aws-cloudfront-origins';
+import * as acm from 'aws-cdk-lib/aws-certificatemanager';
+import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import { Construct } from 'constructs';
+
+/** Frontend file written at deploy time, the checked-in copy holds the local defaults */
+export const RUNTIME_CONFIG_FILE = 'runtime-config.js';
+
+/**
+ * Frontend Construct Properties
+ * @interface GLSFrontendProps
+ */
+export interface GLSFrontendProps {
+  sourcePath: string;                 // Directory of the static frontend (server/public)
+  api: apigateway.RestApi;            // API Gateway REST API serving /api/*
+  domainName?: string;                // Custom domain of the distribution, requires certificateArn
+  certificateArn?: string;            // ACM certificate for domainName, must be in us-east-1
+}
+
+/**
+ * Static Frontend Hosting
+ * @description Deploys the frontend to a private S3 bucket behind CloudFront. The same
+ * distribution routes /api/* to API Gateway, so the page calls the API on its own origin
+ * and every asset request is served by CloudFront instead of a Lambda invocation.
+ */
+export class GLSFrontend extends Construct {
+  public readonly bucket: s3.Bucket;
+  public readonly distribution: cloudfront.Distribution;
+  public readonly url: string;
+
+  constructor(scope: Construct, id: string, props: GLSFrontendProps) {
+    super(scope, id);
+
+    if (!!props.domainName !== !!props.certificateArn) {
+      throw new Error('domainName and certificateArn must be set together');
+    }
+
+    // Security: No public access, CloudFront reads the bucket through Origin Access Control
+    this.bucket = new s3.Bucket(this, 'Bucket', {
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      encryption: s3.BucketEncryption.S3_MANAGED,
+      enforceSSL: true,
+      removalPolicy: cdk.RemovalPolicy.DESTROY,  // Rebuilt from server/public on every deploy
+      autoDeleteObjects: true,
+    });
+
+    this.distribution = new cloudfront.Distribution(this, 'Distribution', {
+      comment: `${cdk.Stack.of(this).stackName} frontend`,
+      defaultRootObject: 'index.html',
+      defaultBehavior: {
+        origin: origins.S3BucketOrigin.withOriginAccessControl(this.bucket),
+        viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.REDIRECT_TO_HTTPS,
+        cachePolicy: cloudfront.CachePolicy.CACHING_OPTIMIZED,
+        compress: true,
+      },
+      additionalBehaviors: {
+        // API calls are never cached; all viewer headers but Host reach API Gateway,
+        // including Authorization for the server's authentication strategies
+        '/api/*': {
+          origin: new origins.RestApiOrigin(props.api),
+          viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.HTTPS_ONLY,
+          allowedMethods: cloudfront.AllowedMethods.ALLOW_ALL,
+          cachePolicy: cloudfront.CachePolicy.CACHING_DISABLED,
+          originRequestPolicy: cloudfront.OriginRequestPolicy.ALL_VIEWER_EXCEPT_HOST_HEADER,
+        },
+      },
+      domainNames: props.domainName ? [props.domainName] : undefined,
+      certificate: props.certificateArn
+        ? acm.Certificate.fromCertificateArn(this, 'Certificate', props.certificateArn)
+        : undefined,
+      minimumProtocolVersion: cloudfront.SecurityPolicyProtocol.TLS_V1_2_2021,
+    });
+
+    this.url = `https://${props.domainName || this.distribution.distributionDomainName}/`;
+
+    // The API shares the page's origin, so its base URL is the frontend URL itself.
+    // Written at deploy time since the distribution's domain is only known then.
+    const runtimeConfig = cdk.Stack.of(this).toJsonString({ API_BASE_URL: this.url });
+    new s3deploy.BucketDeployment(this, 'Deployment', {
+      sources: [
+        s3deploy.Source.asset(props.sourcePath, { exclude: [RUNTIME_CONFIG_FILE] }),
+        s3deploy.Source.data(RUNTIME_CONFIG_FILE, `window.RUNTIME_CONFIG = ${runtimeConfig};\n`),
+      ],
+      destinationBucket: this.bucket,
+      distribution: this.distribution,  // Invalidates the cache after every upload
+      distributionPaths: ['/*'],
+    });
+  }
+}
@@ -8,26 +8,53 @@ import { Stack } from 'aws-cdk-lib';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
 import * as iam from 'aws-cdk-lib/aws-iam';
+import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
 import * as path from 'path';
 import { RetentionDays } from 'aws-cdk-lib/aws-logs';
+import { GLSDashboards } from './gls-dashboards';
+import { GLSAlarms, GLSAlarmThresholds } from './gls-alarms';
+import { GLSFrontend } from './gls-frontend';
+import { GLSStreamGroupConfig } from './gls-stages';
+
+/** CloudWatch namespace of the server's EMF records, passed to the Lambda as EMF_NAMESPACE */
+const EMF_NAMESPACE = 'GameLiftStreamsWeb';
 
 /**
  * Stream CDK Stack Properties
  * @interface GLSInfrastructureStackProps
  */
 export interface GLSInfrastructureStackProps extends cdk.StackProps {
-  streamGroupId: string;    // Stream group identifier
-  applicationId: string;    // application identifier
+  streamGroups: GLSStreamGroupConfig[];  // Stream groups with their applications and locations, the first serving a request is used
+  alarmEmails?: string[];   // Addresses notified by the CloudWatch alarms, each must confirm by email
+  alarmThresholds?: Partial<GLSAlarmThresholds>;  // Overrides of DEFAULT_ALARM_THRESHOLDS
+  domainName?: string;      // Custom domain of the frontend distribution, requires certificateArn
+  certificateArn?: string;  // ACM certificate for domainName, must be in us-east-1 for CloudFront
 }
 
 /**
  * Streaming Infrastructure Stack
- * @description Deploys Lambda function with API Gateway integration for streaming
+ * @description Deploys Lambda function with API Gateway integration for streaming, and the
+ * frontend on S3 and CloudFront
  */
 export class GLSInfrastructureStack extends cdk.Stack {
   constructor(scope: cdk.App, id: string, props: GLSInfrastructureStackProps) {
     super(scope, id, props);
 
+    if (!props.streamGroups.length) {
+      throw new Error('At least one stream group is required');
+    }
+    const streamGroupIds = props.streamGroups.map((group) => group.streamGroupId);
+    const applicationIds = Array.from(new Set(props.streamGroups.flatMap((group) => group.applicationIds)));
+
+    // Create DynamoDB table for connection tokens so they survive Lambda cold starts
+    // Expired items are removed by DynamoDB's native TTL on the ExpiresAtEpoch attribute
+    const tokenTable = new dynamodb.Table(this, 'ConnectionTokenTable', {
+      partitionKey: { name: 'Token', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: 'ExpiresAtEpoch',
+      removalPolicy: cdk.RemovalPolicy.DESTROY,  // Tokens are short-lived, nothing to retain
+    });
+
     // Create Lambda function with security best practices and optimal performance settings
     // Security: Using Node.js 18.x for latest security updates and features
     // Security: ARM64 architecture for better performance and security
@@ -41,8 +68,13 @@ export class GLSInfrastructureStack extends cdk.Stack {
       timeout: cdk.Duration.seconds(300),  // 5-minute timeout for long-running operations
       environment: {
         // Environment variables for configuration
-        STREAM_GROUP_ID: props.streamGroupId,
-        APPLICATION_ID: props.applicationId,
+        STREAM_GROUP_ID: streamGroupIds[0],
+        APPLICATION_ID: applicationIds[0] || '',
+        STREAM_GROUP_ROUTES: JSON.stringify(props.streamGroups),  // Routing of CreateStreamSession, see server/stream-group-routing.js
+        GAMELIFT_STREAMS_REGION: this.region,
+        SESSION_STORE_TYPE: 'dynamodb',
+        SESSION_STORE_TABLE: tokenTable.tableName,
+        EMF_NAMESPACE: EMF_NAMESPACE,
         NODE_OPTIONS: '--enable-source-maps'  // Enable source maps for better error tracking
       },
       architecture: lambda.Architecture.ARM_64,  // Using ARM for better performance/cost
@@ -52,38 +84,33 @@ export class GLSInfrastructureStack extends cdk.Stack {
 
     // Configure IAM permissions for Lambda function
     // Security: Following principle of least privilege while maintaining functionality
-    // Note: Resources are set to '*' to support customer deployment flexibility
+    // Note: Applications are set to '*' when a stream group accepts any application
     serverLambda.addToRolePolicy(new iam.PolicyStatement({
       effect: iam.Effect.ALLOW,
       actions: [
         'gameliftstreams:StartStreamSession',
         'gameliftstreams:GetStreamSession',
         'gameliftstreams:TerminateStreamSession',
+        'gameliftstreams:CreateStreamSessionConnection',  // ReconnectStreamSession
       ],
       resources: [
-        'arn:aws:gameliftstreams:*:*:application/*',
-        `arn:aws:gameliftstreams:*:*:streamgroup/${props.streamGroupId}`
+        ...(props.streamGroups.some((group) => !group.applicationIds.length)
+          ? ['arn:aws:gameliftstreams:*:*:application/*']
+          : applicationIds.map((applicationId) => `arn:aws:gameliftstreams:*:*:application/${applicationId}`)),
+        ...streamGroupIds.map((streamGroupId) => `arn:aws:gameliftstreams:*:*:streamgroup/${streamGroupId}`)
       ]
     }));    
 
+    // Allow the Lambda function to read and write connection tokens
+    tokenTable.grantReadWriteData(serverLambda);
+
     // Create API Gateway with security configurations
-    // Security: CORS configured for development flexibility
+    // Security: No CORS preflight methods, the page reaches the API through CloudFront on its
+    // own origin (see GLSFrontend), so browsers never send cross-origin requests to it
     // Security: Logging and tracing enabled for monitoring
     const api = new apigateway.RestApi(this, 'GameLiftStreamsShareUrlApi', {
       restApiName: 'GameLiftStreams Share Api',
       description: 'API for the GameLiftStreams Share application',
-      defaultCorsPreflightOptions: {
-        allowOrigins: apigateway.Cors.ALL_ORIGINS,  // Configurable per environment
-        allowMethods: apigateway.Cors.ALL_METHODS,
-        allowHeaders: [
-          'Content-Type',
-          'X-Amz-Date',
-          'Authorization',
-          'X-Api-Key',
-          'X-Amz-Security-Token'
-        ],
-        maxAge: cdk.Duration.days(1)  // Cache CORS preflight requests
-      },
       // Enable comprehensive logging and monitoring
       deployOptions: {
         loggingLevel: apigateway.MethodLoggingLevel.INFO,
@@ -124,11 +151,41 @@ export class GLSInfrastructureStack extends cdk.Stack {
     // Root path handler
     addMethod(api.root, 'ANY');
     
-    // Define specific API endpoints
+    // Define specific API endpoints, one per /api route in server/server.js and its routers
+    // (StreamSessionEvents is left out, API Gateway buffers Server-Sent Events). Requests to
+    // any other /api path never reach the root proxy below, test/cdk-stack.test.ts keeps the lists in sync.
     const apiResource = api.root.addResource('api');
-    addMethod(apiResource.addResource('CreateStreamSession'), 'POST');
-    addMethod(apiResource.addResource('GetSignalResponse'), 'POST');
-    addMethod(apiResource.addResource('DestroyStreamSession'), 'POST');
+    const apiRoutes: Array<[string, string]> = [
+      ['CreateStreamSession', 'POST'],
+      ['GetSignalResponse', 'POST'],
+      ['ReconnectStreamSession', 'POST'],
+      ['DestroyStreamSession', 'POST'],
+      ['QueueStatus', 'POST'],
+      ['LeaveQueue', 'POST'],
+      ['CreateShareToken', 'POST'],
+      ['RevokeShareToken', 'POST'],
+      ['SessionReport', 'POST'],
+      ['GetSessionReport', 'POST'],
+      ['LaunchPolicy', 'GET'],
+      ['StreamHealthThresholds', 'GET'],
+      ['applications', 'GET'],
+      ['health', 'GET'],
+    ];
+    apiRoutes.forEach(([route, httpMethod]) => addMethod(apiResource.addResource(route), httpMethod));
+
+    // Connection test and location probes of the setup page, /api/diagnostics/*
+    const diagnosticsResource = apiResource.addResource('diagnostics');
+    ['Settings', 'Ping', 'Download', 'Locations', 'LocationPing'].forEach((route) => addMethod(diagnosticsResource.addResource(route), 'GET'));
+
+    // Admin API of admin.html, /api/admin/*
+    const adminResource = apiResource.addResource('admin');
+    const adminRoutes: Array<[string, string]> = [
+      ['Sessions', 'GET'],
+      ['TerminateStreamSession', 'POST'],
+      ['RevokeToken', 'POST'],
+      ['ExtendSession', 'POST'],
+    ];
+    adminRoutes.forEach(([route, httpMethod]) => addMethod(adminResource.addResource(route), httpMethod));
 
     // Add catch-all proxy for unmatched routes
     api.root.addProxy({
@@ -136,21 +193,66 @@ export class GLSInfrastructureStack extends cdk.Stack {
       anyMethod: true
     });
 
+    // Static frontend on S3 behind CloudFront, which also routes /api/* to the API above
+    const frontend = new GLSFrontend(this, 'Frontend', {
+      sourcePath: path.join(__dirname, '../server/public'),
+      api,
+      domainName: props.domainName,
+      certificateArn: props.certificateArn,
+    });
+
+    new cdk.CfnOutput(this, 'FrontendUrl', {
+      value: frontend.url,
+      description: 'CloudFront URL of the frontend',
+    });
+
+    // CloudWatch dashboards for the stream group, the application and this web tier
+    // Placeholder ids such as a-000000000 would match nothing, so those dashboards show all
+    const configuredIds = (id: string, prefix: string) =>
+      new RegExp(`^${prefix}-(?!0+$)[a-zA-Z0-9]+$`).test(id) ? [id] : [];
+    new GLSDashboards(this, 'Dashboards', {
+      streamGroupIds: streamGroupIds.flatMap((streamGroupId) => configuredIds(streamGroupId, 'sg')),
+      applicationIds: applicationIds.flatMap((applicationId) => configuredIds(applicationId, 'a')),
+      serverFunction: serverLambda,
+      api,
+      emfNamespace: EMF_NAMESPACE,
+    });
+
+    // CloudWatch alarms on the web tier and the stream groups, notifying an SNS topic
+    // Stream groups without locations are alarmed on in the stack's region, when it is known
+    const defaultLocations = cdk.Token.isUnresolved(this.region) ? [] : [this.region];
+    const alarms = new GLSAlarms(this, 'Alarms', {
+      serverFunction: serverLambda,
+      api,
+      streamGroups: props.streamGroups.map((group) => ({
+        streamGroupId: group.streamGroupId,
+        locations: group.locations.length ? group.locations : defaultLocations,
+      })),
+      thresholds: props.alarmThresholds,
+      alarmEmails: props.alarmEmails,
+    });
+
+    new cdk.CfnOutput(this, 'AlarmTopicArn', {
+      value: alarms.topic.topicArn,
+      description: 'SNS topic notified by the CloudWatch alarms, subscribe further endpoints here',
+    });
+
     // Output usage instructions
     new cdk.CfnOutput(this, 'Instructions', {
-      value: this.generateInstructions(api.url, props.streamGroupId, props.applicationId),
+      value: this.generateInstructions(frontend.url, applicationIds[0] || 'your-application-id',
+        props.streamGroups[0].locations[0] || 'us-east-2'),
       description: 'Instructions for using the GameLiftStreams Share URL',
     });
   }
 
   // Helper method to generate user instructions
-  private generateInstructions(apiUrl: string, streamGroupId: string, applicationId: string): string {
+  private generateInstructions(frontendUrl: string, applicationId: string, location: string): string {
     return `
                                 Instructions                                   
 
 
   Here is your Amazon GameLift Streams Share URL:                                                                                                                                                                    
-  ${apiUrl}?userId=Player1&applicationId=${applicationId}&location=us-east-2
+  ${frontendUrl}?userId=Player1&applicationId=${applicationId}&location=${location}
   
   Add or update arguments to your URL to share your stream:                             
   ?userId={Add Player Name}&applicationId={Add Application ID}&location={Add AWS Region} 
@@ -158,28 +260,3 @@ export class GLSInfrastructureStack extends cdk.Stack {
     `.trim();
   }
 }
-
-  // Validate Stream Group ID
-  function validateStreamGroupId(id: string): string {
-    if (!id.match(/^sg-[a-zA-Z0-9]{9,}$/)) {
-      throw new Error('Invalid Stream Group ID format. Must match pattern: At least 9 alphanumeric characters after sg-');
-    }
-      return id;
-  }
-
-  // Initialize the CDK app with environment-specific configuration
-  const app = new cdk.App();
-
-  // Get and validate Stream Group ID
-  const streamGroupId = validateStreamGroupId(
-    process.env.STREAM_GROUP_ID || 'sg-000000000'
-  );
-
-  new GLSInfrastructureStack(app, 'GameLiftStreamsGLSInfrastructureStack', {
-    streamGroupId: streamGroupId,
-    applicationId: process.env.APPLICATION_ID || 'a-000000000',
-    env: {
-      account: process.env.CDK_DEFAULT_ACCOUNT,
-      region: process.env.CDK_DEFAULT_REGION,
-  },
-});
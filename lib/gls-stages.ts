@@ -0,0 +1,96 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { GLSAlarmThresholds } from './gls-alarms';
+
+/**
+ * Stream Group of a Deployment
+ * @interface GLSStreamGroupConfig
+ */
+export interface GLSStreamGroupConfig {
+  streamGroupId: string;      // Stream group identifier
+  applicationIds: string[];   // Applications associated with the stream group, any when empty
+  locations: string[];        // Locations the stream group has capacity in, any when empty
+}
+
+/**
+ * Stage Settings, one entry of the "stages" object in cdk.json's context
+ * @interface GLSStageConfig
+ */
+export interface GLSStageConfig {
+  account?: string;                               // Deployment account, CDK_DEFAULT_ACCOUNT by default
+  region?: string;                                // Deployment region, CDK_DEFAULT_REGION by default
+  streamGroups: GLSStreamGroupConfig[];           // Stream groups, CreateStreamSession uses the first serving the request
+  alarmEmails?: string[];                         // Addresses notified by the CloudWatch alarms
+  alarmThresholds?: Partial<GLSAlarmThresholds>;  // Overrides of DEFAULT_ALARM_THRESHOLDS
+  domainName?: string;                            // Custom domain of the frontend distribution
+  certificateArn?: string;                        // ACM certificate for domainName, in us-east-1
+}
+
+const STREAM_GROUP_ID_PATTERN = /^sg-[a-zA-Z0-9]{5,}$/;
+const APPLICATION_ID_PATTERN = /^a-[a-zA-Z0-9]{4,}$/;
+const STAGE_NAME_PATTERN = /^[a-zA-Z][-a-zA-Z0-9]{0,31}$/;
+// Placeholder ids in cdk.json repeat one digit, e.g. sg-000000000 or a-111111111
+const PLACEHOLDER_ID_PATTERN = /^(sg|a)-(\d)\2+$/;
+
+/**
+ * Validates a list of stream groups
+ * @param streamGroups - Raw stream groups, e.g. from cdk.json
+ * @param where - Prefix of error messages
+ * @returns Stream groups with empty lists for missing applicationIds and locations
+ */
+export function validateStreamGroups(streamGroups: unknown, where: string): GLSStreamGroupConfig[] {
+  if (!Array.isArray(streamGroups) || !streamGroups.length) {
+    throw new Error(`${where}: streamGroups must be a non-empty list`);
+  }
+  const seen = new Set<string>();
+  return streamGroups.map((group: Partial<GLSStreamGroupConfig>, index) => {
+    const groupWhere = `${where}, stream group ${index}`;
+    if (!group || typeof group.streamGroupId !== 'string' || !STREAM_GROUP_ID_PATTERN.test(group.streamGroupId)) {
+      throw new Error(`${groupWhere}: streamGroupId must match sg-XXXXX...`);
+    }
+    if (PLACEHOLDER_ID_PATTERN.test(group.streamGroupId)) {
+      throw new Error(`${groupWhere}: replace the placeholder ${group.streamGroupId} with your stream group id`);
+    }
+    if (seen.has(group.streamGroupId)) {
+      throw new Error(`${groupWhere}: duplicate stream group ${group.streamGroupId}`);
+    }
+    seen.add(group.streamGroupId);
+    const applicationIds = group.applicationIds || [];
+    const locations = group.locations || [];
+    if (!Array.isArray(applicationIds) || applicationIds.some((id) => typeof id !== 'string' || !APPLICATION_ID_PATTERN.test(id))) {
+      throw new Error(`${groupWhere}: applicationIds must be a list of application ids (a-XXXX...)`);
+    }
+    const placeholder = applicationIds.find((id) => PLACEHOLDER_ID_PATTERN.test(id));
+    if (placeholder) {
+      throw new Error(`${groupWhere}: replace the placeholder ${placeholder} with your application id`);
+    }
+    if (!Array.isArray(locations) || locations.some((location) => typeof location !== 'string' || !location)) {
+      throw new Error(`${groupWhere}: locations must be a list of AWS Region names`);
+    }
+    return { streamGroupId: group.streamGroupId, applicationIds, locations };
+  });
+}
+
+/**
+ * Loads a named stage from cdk.json's context, selected with `cdk deploy -c stage=<name>`
+ * @param stages - The "stages" context value
+ * @param stage - Stage name
+ * @returns Validated stage settings
+ */
+export function loadStageConfig(stages: unknown, stage: string): GLSStageConfig {
+  if (!STAGE_NAME_PATTERN.test(stage)) {
+    throw new Error(`Invalid stage name ${stage}: use up to 32 letters, digits or hyphens, starting with a letter`);
+  }
+  const config = stages && typeof stages === 'object' ? (stages as Record<string, GLSStageConfig>)[stage] : undefined;
+  if (!config) {
+    const known = stages && typeof stages === 'object' ? Object.keys(stages).join(', ') : '';
+    throw new Error(`Stage ${stage} is not defined in the "stages" context of cdk.json${known ? ` (defined: ${known})` : ''}`);
+  }
+  return {
+    ...config,
+    streamGroups: validateStreamGroups(config.streamGroups, `Stage ${stage}`),
+  };
+}
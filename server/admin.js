@@ -0,0 +1,239 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Admin API for the connection tokens and stream sessions tracked by the server
+ * @description Lists every live connection token together with the current state of its
+ * stream session, and lets an operator force-terminate a stream session, revoke a token, or
+ * extend a token's lifetime. Routes follow the action naming of the session API:
+ * - GET  /Sessions                  List tokens with user, application, location, age and status
+ * - POST /TerminateStreamSession    { Token } ends the stream session and deletes the token
+ *                                   and its share tokens
+ * - POST /RevokeToken               { Token } deletes the token and its share tokens, the
+ *                                   stream session keeps running
+ * - POST /ExtendSession             { Token, Seconds } pushes the token's expiry (ExpiresAt) back
+ *
+ * The router is mounted behind the authentication middleware. A caller is an admin when
+ * its principal id is listed in principals, or when it sends the shared admin key in the
+ * X-Admin-Key header.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True when equal
+ */
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Creates the admin router
+ * @function createAdminRouter
+ * @param {Object} options - Router options
+ * @param {Object} options.sessionStore - Connection token store
+ * @param {Object} options.gameliftstreams - GameLift Streams client (real or mock)
+ * @param {Function} options.deleteShareTokens - async (record) => deletes the share tokens derived from an owner token record
+ * @param {string[]} [options.principals=[]] - Principal ids allowed to use the admin API
+ * @param {string} [options.apiKey] - Shared key accepted in the X-Admin-Key header
+ * @param {number} options.tokenMaxAgeMs - Tokens are never extended past Timestamp + tokenMaxAgeMs
+ * @param {number} options.maxExtendSeconds - Upper bound for one ExtendSession call
+ * @param {Object} [options.logger] - Logger with info/error methods
+ * @returns {Object} Express router
+ *
+ * @example
+ * app.use('/api/admin', createAdminRouter({ sessionStore, gameliftstreams, apiKey: 'secret', ... }));
+ * // curl -H 'X-Admin-Key: secret' http://localhost:5000/api/admin/Sessions
+ */
+function createAdminRouter(options) {
+  const logger = options.logger || { info: () => {}, error: () => {} };
+  const principals = options.principals || [];
+  const enabled = principals.length > 0 || !!options.apiKey;
+
+  const isAdmin = (req) => {
+    if (req.principal && principals.includes(req.principal.id)) {
+      return true;
+    }
+    const key = req.get('X-Admin-Key');
+    return !!options.apiKey && typeof key === 'string' && safeEqual(key, options.apiKey);
+  };
+
+  /**
+   * Looks up the stream session of a token record; failures are reported as status UNKNOWN
+   * @param {Object} record - Stored token record
+   * @returns {Promise<Object>} Stream session fields for the listing
+   */
+  const describeStreamSession = async (record) => {
+    try {
+      const session = await options.gameliftstreams.getStreamSession({
+        Identifier: record.StreamGroupId,
+        StreamSessionIdentifier: record.StreamSessionArn,
+      });
+      return {
+        UserId: session.UserId,
+        ApplicationArn: session.ApplicationArn,
+        Location: session.Location,
+        Status: session.Status,
+        StatusReason: session.StatusReason,
+        SessionCreatedAt: session.CreatedAt ? new Date(session.CreatedAt).getTime() : undefined
+      };
+    } catch (error) {
+      return { Status: 'UNKNOWN', StatusReason: error.name || error.message };
+    }
+  };
+
+  /**
+   * Loads the record of req.body.Token or responds 400/404
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|undefined>} Token record, undefined when a response was sent
+   */
+  const loadRecord = async (req, res) => {
+    const token = req.body && req.body.Token;
+    if (typeof token !== 'string' || !token) {
+      res.status(400).json({ error: 'Token is required', correlationId: req.correlationId });
+      return undefined;
+    }
+    const record = await options.sessionStore.get(token);
+    if (!record) {
+      res.status(404).json({ error: 'Connection token not found', correlationId: req.correlationId });
+      return undefined;
+    }
+    return record;
+  };
+
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!enabled) {
+      return res.status(403).json({ error: 'Admin API is disabled', correlationId: req.correlationId });
+    }
+    if (!isAdmin(req)) {
+      logger.error('Admin API access denied', {
+        correlationId: req.correlationId,
+        principal: req.principal ? req.principal.id : undefined,
+        path: req.path
+      });
+      return res.status(403).json({ error: 'Forbidden', correlationId: req.correlationId });
+    }
+    next();
+  });
+
+  router.get('/Sessions', async (req, res) => {
+    try {
+      const now = Date.now();
+      // Session reports share the store but are not connection tokens
+      const entries = (await options.sessionStore.entries()).filter(([, record]) => record.Scope !== 'report');
+      // Several tokens may point at one stream session, look each session up once
+      const lookups = new Map();
+      const sessions = await Promise.all(entries.map(async ([token, record]) => {
+        if (!lookups.has(record.StreamSessionArn)) {
+          lookups.set(record.StreamSessionArn, describeStreamSession(record));
+        }
+        return {
+          Token: token,
+          Principal: record.Principal,
+          Scope: record.Scope || 'owner',
+          ParentToken: record.ParentToken,
+          CatalogId: record.CatalogId,
+          StreamGroupId: record.StreamGroupId,
+          StreamSessionArn: record.StreamSessionArn,
+          CreatedAt: record.Timestamp,
+          ExpiresAt: record.ExpiresAt,
+          AgeSeconds: Math.round((now - record.Timestamp) / 1000),
+          ...await lookups.get(record.StreamSessionArn)
+        };
+      }));
+      sessions.sort((a, b) => a.CreatedAt - b.CreatedAt);
+      res.json({ Sessions: sessions });
+    } catch (error) {
+      logger.error('Failed to list sessions', { correlationId: req.correlationId, error: error.message });
+      res.status(500).json({ error: 'Failed to list sessions', correlationId: req.correlationId });
+    }
+  });
+
+  router.post('/TerminateStreamSession', async (req, res) => {
+    try {
+      const record = await loadRecord(req, res);
+      if (!record) {
+        return;
+      }
+      await options.gameliftstreams.terminateStreamSession({
+        Identifier: record.StreamGroupId,
+        StreamSessionIdentifier: record.StreamSessionArn,
+      });
+      await options.sessionStore.delete(req.body.Token);
+      await options.deleteShareTokens(record);
+      logger.info('Admin terminated stream session', {
+        correlationId: req.correlationId,
+        admin: req.principal ? req.principal.id : 'admin-key',
+        streamSessionArn: record.StreamSessionArn
+      });
+      res.json({});
+    } catch (error) {
+      logger.error('Admin terminate failed', { correlationId: req.correlationId, error: error.message });
+      res.status(502).json({ error: error.message, correlationId: req.correlationId });
+    }
+  });
+
+  router.post('/RevokeToken', async (req, res) => {
+    try {
+      const record = await loadRecord(req, res);
+      if (!record) {
+        return;
+      }
+      await options.sessionStore.delete(req.body.Token);
+      await options.deleteShareTokens(record);
+      logger.info('Admin revoked connection token', {
+        correlationId: req.correlationId,
+        admin: req.principal ? req.principal.id : 'admin-key',
+        streamSessionArn: record.StreamSessionArn
+      });
+      res.json({});
+    } catch (error) {
+      logger.error('Admin revoke failed', { correlationId: req.correlationId, error: error.message });
+      res.status(500).json({ error: 'Failed to revoke token', correlationId: req.correlationId });
+    }
+  });
+
+  router.post('/ExtendSession', async (req, res) => {
+    try {
+      const seconds = Number(req.body && req.body.Seconds);
+      if (!Number.isInteger(seconds) || seconds <= 0 || seconds > options.maxExtendSeconds) {
+        return res.status(400).json({
+          error: `Seconds must be an integer between 1 and ${options.maxExtendSeconds}`,
+          correlationId: req.correlationId
+        });
+      }
+      const record = await loadRecord(req, res);
+      if (!record) {
+        return;
+      }
+      const expiresAt = Math.min(record.ExpiresAt + seconds * 1000, record.Timestamp + options.tokenMaxAgeMs);
+      const stored = await options.sessionStore.set(req.body.Token, { ...record, ExpiresAt: expiresAt });
+      logger.info('Admin extended connection token', {
+        correlationId: req.correlationId,
+        admin: req.principal ? req.principal.id : 'admin-key',
+        expiresAt
+      });
+      res.json({ ExpiresAt: stored.ExpiresAt });
+    } catch (error) {
+      logger.error('Admin extend failed', { correlationId: req.correlationId, error: error.message });
+      res.status(500).json({ error: 'Failed to extend session', correlationId: req.correlationId });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  safeEqual
+};
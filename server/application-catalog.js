@@ -0,0 +1,132 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Application catalog for the launcher UI
+ * @description Loads a JSON file of friendly application entries. Each entry maps a catalog
+ * id to the GameLift Streams stream group and application to launch, along with the
+ * locations, session length and default launch arguments it may be started with. Clients
+ * start sessions by catalog id, so they never supply raw stream group or application ids.
+ *
+ * Catalog file format (see applications.example.json):
+ * {
+ *   "applications": [
+ *     {
+ *       "id": "space-racer",
+ *       "name": "Space Racer",
+ *       "description": "Arcade racing in orbit",
+ *       "thumbnail": "thumbnails/space-racer.png",
+ *       "streamGroupId": "sg-000000000",
+ *       "applicationIdentifier": "a-000000000",
+ *       "locations": ["us-east-2", "us-west-2"],
+ *       "sessionLengthSeconds": 3600,
+ *       "defaultArgs": ["-windowed"],
+ *       "defaultEnv": { "LOG_LEVEL": "info" }
+ *     }
+ *   ]
+ * }
+ */
+
+const fs = require('fs');
+
+/**
+ * Catalog ids are used in URLs and share links
+ * @constant {RegExp}
+ */
+const CATALOG_ID_PATTERN = /^[a-zA-Z0-9][-_a-zA-Z0-9]{0,63}$/;
+
+/**
+ * Validates one catalog entry and fills in defaults
+ * @param {Object} entry - Raw entry from the file
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Normalized entry
+ * @throws {Error} When required fields are missing or malformed
+ */
+function normalizeEntry(entry, index) {
+  const where = `Application catalog entry ${index}`;
+  if (!entry || typeof entry.id !== 'string' || !CATALOG_ID_PATTERN.test(entry.id)) {
+    throw new Error(`${where}: id must be 1-64 letters, digits, hyphens or underscores`);
+  }
+  if (!entry.applicationIdentifier) {
+    throw new Error(`${where} (${entry.id}): applicationIdentifier is required`);
+  }
+  if (entry.locations !== undefined && (!Array.isArray(entry.locations) || !entry.locations.length)) {
+    throw new Error(`${where} (${entry.id}): locations must be a non-empty list`);
+  }
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    description: entry.description || '',
+    thumbnail: entry.thumbnail || '',
+    streamGroupId: entry.streamGroupId || '',
+    applicationIdentifier: entry.applicationIdentifier,
+    locations: entry.locations ? entry.locations.map(String) : [],
+    sessionLengthSeconds: entry.sessionLengthSeconds || undefined,
+    defaultArgs: entry.defaultArgs || [],
+    defaultEnv: entry.defaultEnv || {}
+  };
+}
+
+/**
+ * Loads the application catalog file
+ * @function loadApplicationCatalog
+ * @param {string} filePath - Path of the JSON catalog file
+ * @param {Object} [logger] - Logger with info/error methods
+ * @returns {Object} Catalog with enabled flag and get/list methods. When the file does not
+ * exist the catalog is disabled and CreateStreamSession accepts raw identifiers.
+ * @throws {Error} When the file exists but is not a valid catalog
+ */
+function loadApplicationCatalog(filePath, logger = { info: () => {}, error: () => {} }) {
+  let raw = null;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Unable to load application catalog file ${filePath}: ${error.message}`);
+    }
+    logger.info('No application catalog file found, clients supply application identifiers', { filePath });
+  }
+
+  const entries = new Map();
+  ((raw && raw.applications) || []).forEach((entry, index) => {
+    const normalized = normalizeEntry(entry, index);
+    if (entries.has(normalized.id)) {
+      throw new Error(`Application catalog: duplicate id ${normalized.id}`);
+    }
+    entries.set(normalized.id, normalized);
+  });
+
+  return {
+    enabled: raw !== null,
+
+    /**
+     * Looks up an entry by catalog id
+     * @param {string} id - Catalog id
+     * @returns {Object|undefined} Entry
+     */
+    get(id) {
+      return typeof id === 'string' ? entries.get(id) : undefined;
+    },
+
+    /**
+     * Lists entries as shown to clients, without stream group or application identifiers
+     * @returns {Array<Object>} Public entries
+     */
+    list() {
+      return Array.from(entries.values()).map((entry) => ({
+        Id: entry.id,
+        Name: entry.name,
+        Description: entry.description,
+        Thumbnail: entry.thumbnail,
+        Locations: entry.locations,
+        SessionLengthSeconds: entry.sessionLengthSeconds
+      }));
+    }
+  };
+}
+
+module.exports = {
+  loadApplicationCatalog
+};
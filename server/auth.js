@@ -0,0 +1,363 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Authentication middleware for the session API
+ * @description Resolves the caller of an /api request to a principal using one of several
+ * pluggable strategies:
+ * - none: no authentication, every request is anonymous (original demo behavior)
+ * - apikey: static API keys mapped to principal ids
+ * - jwt: JSON Web Tokens signed with a shared HMAC secret (HS256)
+ * - oidc: ID/access tokens from an OpenID Connect issuer, verified against its JWKS (RS256)
+ *
+ * Credentials are read from the Authorization header ("Bearer <credential>"), from the
+ * X-API-Key header, or from the access_token query parameter for EventSource requests,
+ * which cannot set headers. The resolved principal is attached as req.principal:
+ * { id, userId, strategy, claims }.
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * Creates an authentication error carrying the HTTP status to respond with
+ * @function createAuthError
+ * @param {string} message - Error message
+ * @param {number} [statusCode=401] - HTTP status code
+ * @returns {Error} Authentication error
+ */
+function createAuthError(message, statusCode = 401) {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decodes a base64url encoded JSON segment of a JWT
+ * @param {string} segment - Encoded segment
+ * @returns {Object} Decoded JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verifies a compact JWT signature and its registered claims
+ * @async
+ * @function verifyJwt
+ * @param {string} token - Compact serialized JWT
+ * @param {Object} options - Verification options
+ * @param {Function} options.verifySignature - async (header, signingInput, signature) => boolean
+ * @param {string} [options.issuer] - Expected iss claim
+ * @param {string} [options.audience] - Expected aud claim
+ * @param {number} [options.clockToleranceSeconds=30] - Allowed clock skew for exp/nbf
+ * @returns {Promise<Object>} Verified claims
+ * @throws {Error} AuthenticationError when the token is malformed, forged or not valid now
+ */
+async function verifyJwt(token, options) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw createAuthError('Malformed token');
+  }
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw createAuthError('Malformed token');
+  }
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (!await options.verifySignature(header, `${parts[0]}.${parts[1]}`, signature)) {
+    throw createAuthError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockToleranceSeconds ?? 30;
+  if (typeof claims.exp === 'number' && now - tolerance >= claims.exp) {
+    throw createAuthError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + tolerance < claims.nbf) {
+    throw createAuthError('Token not yet valid');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw createAuthError('Unexpected token issuer');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw createAuthError('Unexpected token audience');
+    }
+  }
+  return claims;
+}
+
+/**
+ * Builds a principal from verified JWT claims
+ * @param {string} strategy - Strategy name
+ * @param {Object} claims - Verified claims
+ * @param {string} userIdClaim - Claim used as GameLift Streams UserId
+ * @returns {Object} Principal
+ */
+function principalFromClaims(strategy, claims, userIdClaim) {
+  if (!claims.sub) {
+    throw createAuthError('Token has no subject');
+  }
+  return {
+    id: claims.iss ? `${claims.iss}|${claims.sub}` : claims.sub,
+    userId: String(claims[userIdClaim] || claims.sub),
+    strategy,
+    claims
+  };
+}
+
+/**
+ * Creates the static API key strategy
+ * @function createApiKeyStrategy
+ * @param {Object} options - Strategy options
+ * @param {Object<string, string>} options.apiKeys - Map of API key to principal id
+ * @returns {Function} async (credential) => principal
+ */
+function createApiKeyStrategy({ apiKeys }) {
+  const keys = Object.entries(apiKeys || {}).map(([key, principalId]) => ({
+    digest: crypto.createHash('sha256').update(key).digest(),
+    principalId
+  }));
+  if (!keys.length) {
+    throw new Error('API key authentication requires at least one key');
+  }
+  return async (credential) => {
+    // Compare digests in constant time so key length and content do not leak
+    const digest = crypto.createHash('sha256').update(credential).digest();
+    const match = keys.find((key) => crypto.timingSafeEqual(key.digest, digest));
+    if (!match) {
+      throw createAuthError('Invalid API key');
+    }
+    return { id: match.principalId, userId: match.principalId, strategy: 'apikey', claims: {} };
+  };
+}
+
+/**
+ * Creates the HMAC-signed JWT strategy (HS256)
+ * @function createJwtStrategy
+ * @param {Object} options - Strategy options
+ * @param {string} options.secret - Shared HMAC secret
+ * @param {string} [options.issuer] - Expected iss claim
+ * @param {string} [options.audience] - Expected aud claim
+ * @param {string} [options.userIdClaim='sub'] - Claim used as UserId
+ * @param {number} [options.clockToleranceSeconds] - Allowed clock skew
+ * @returns {Function} async (credential) => principal
+ */
+function createJwtStrategy(options) {
+  if (!options.secret) {
+    throw new Error('JWT authentication requires a secret');
+  }
+  const verifySignature = async (header, signingInput, signature) => {
+    if (header.alg !== 'HS256') {
+      return false;
+    }
+    const expected = crypto.createHmac('sha256', options.secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  };
+  return async (credential) => {
+    const claims = await verifyJwt(credential, { ...options, verifySignature });
+    return principalFromClaims('jwt', claims, options.userIdClaim || 'sub');
+  };
+}
+
+/**
+ * Creates the OpenID Connect strategy (RS256). Signing keys are discovered through
+ * <issuer>/.well-known/openid-configuration and cached; an unknown key id triggers a refresh.
+ * @function createOidcStrategy
+ * @param {Object} options - Strategy options
+ * @param {string|Function} options.issuer - Issuer URL, or a function returning it
+ * @param {string} [options.audience] - Expected aud claim
+ * @param {string} [options.userIdClaim='sub'] - Claim used as UserId
+ * @param {number} [options.clockToleranceSeconds] - Allowed clock skew
+ * @param {number} [options.jwksCacheMs=600000] - How long fetched signing keys are reused
+ * @returns {Function} async (credential) => principal
+ */
+function createOidcStrategy(options) {
+  const getIssuer = typeof options.issuer === 'function' ? options.issuer : () => options.issuer;
+  const jwksCacheMs = options.jwksCacheMs || 10 * 60 * 1000;
+  let keys = new Map();
+  let fetchedAt = 0;
+
+  const fetchJson = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`GET ${url} returned non-2xx status code ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const refreshKeys = async () => {
+    const issuer = getIssuer().replace(/\/$/, '');
+    const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    const jwks = await fetchJson(discovery.jwks_uri);
+    keys = new Map(jwks.keys
+      .filter((jwk) => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+    fetchedAt = Date.now();
+  };
+
+  const verifySignature = async (header, signingInput, signature) => {
+    if (header.alg !== 'RS256') {
+      return false;
+    }
+    const age = Date.now() - fetchedAt;
+    // Refresh on expiry, or on an unknown key id at most every 30 seconds so forged
+    // key ids cannot turn every request into a round trip to the issuer
+    if (age > jwksCacheMs || (!keys.has(header.kid) && age > 30000)) {
+      try {
+        await refreshKeys();
+      } catch (error) {
+        throw createAuthError(`Unable to fetch issuer signing keys: ${error.message}`, 503);
+      }
+    }
+    const key = keys.get(header.kid);
+    return !!key && crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, signature);
+  };
+
+  return async (credential) => {
+    if (!getIssuer()) {
+      throw createAuthError('OIDC issuer is not configured', 500);
+    }
+    const claims = await verifyJwt(credential, { ...options, issuer: getIssuer(), verifySignature });
+    return principalFromClaims('oidc', claims, options.userIdClaim || 'sub');
+  };
+}
+
+/**
+ * Strategy factories by name
+ * @constant {Object<string, Function>}
+ */
+const STRATEGIES = {
+  apikey: createApiKeyStrategy,
+  jwt: createJwtStrategy,
+  oidc: createOidcStrategy
+};
+
+/**
+ * Extracts the caller's credential from a request
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Credential
+ */
+function getCredential(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^(?:Bearer|ApiKey)\s+(.+)$/i);
+  if (match) {
+    return match[1].trim();
+  }
+  return req.get('X-API-Key') || (typeof req.query.access_token === 'string' ? req.query.access_token : undefined);
+}
+
+/**
+ * Creates the authentication middleware
+ * @function createAuthMiddleware
+ * @param {Object} options - Middleware options
+ * @param {string} [options.strategy='none'] - none, apikey, jwt or oidc
+ * @param {string[]} [options.publicPaths=[]] - Paths (relative to the mount point) that skip authentication
+ * @param {Object} [options.logger] - Logger with info/error methods
+ * @returns {Function} Express middleware setting req.principal
+ *
+ * @example
+ * app.use('/api', createAuthMiddleware({ strategy: 'jwt', secret: process.env.AUTH_JWT_SECRET }));
+ */
+function createAuthMiddleware(options) {
+  const strategy = options.strategy || 'none';
+  const logger = options.logger || { info: () => {}, error: () => {} };
+  const publicPaths = options.publicPaths || [];
+
+  if (strategy === 'none') {
+    return (req, res, next) => {
+      req.principal = null;
+      next();
+    };
+  }
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Unknown authentication strategy: ${strategy}`);
+  }
+  const authenticate = STRATEGIES[strategy](options);
+
+  return async (req, res, next) => {
+    if (publicPaths.includes(req.path) || req.method === 'OPTIONS') {
+      return next();
+    }
+    const credential = getCredential(req);
+    try {
+      if (!credential) {
+        throw createAuthError('Missing credentials');
+      }
+      req.principal = await authenticate(credential);
+      next();
+    } catch (error) {
+      const statusCode = error.statusCode || 401;
+      logger.error('Authentication failed', {
+        correlationId: req.correlationId,
+        strategy,
+        path: req.path,
+        error: error.message
+      });
+      if (statusCode === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      res.status(statusCode).json({
+        error: statusCode === 401 ? 'Unauthorized' : 'Authentication unavailable',
+        message: error.message,
+        correlationId: req.correlationId
+      });
+    }
+  };
+}
+
+/**
+ * Checks whether a request's principal may use a stored connection token.
+ * Tokens created without authentication carry no Principal and stay usable by anyone.
+ * @function isPrincipalAllowed
+ * @param {Object|null} principal - req.principal
+ * @param {Object} connectionData - Stored token record
+ * @returns {boolean} True when the principal owns the token
+ */
+function isPrincipalAllowed(principal, connectionData) {
+  if (!connectionData.Principal) {
+    return true;
+  }
+  return !!principal && principal.id === connectionData.Principal;
+}
+
+/**
+ * Actions allowed per connection token scope. CreateStreamSession issues owner tokens;
+ * owners derive guest (play) and spectate (view only) tokens with CreateShareToken.
+ * Both reconnect with a full WebRTC connection; spectators are view only because the page
+ * never attaches their input, so spectate is not a security boundary.
+ * @constant {Object<string, string[]>}
+ */
+const TOKEN_SCOPES = {
+  owner: ['reconnect', 'destroy', 'share'],
+  guest: ['reconnect'],
+  spectate: ['reconnect']
+};
+
+/**
+ * Checks whether a stored connection token's scope permits an action.
+ * Tokens stored without a Scope predate scoped tokens and are owner tokens.
+ * @function isScopeAllowed
+ * @param {Object} connectionData - Stored token record
+ * @param {string} action - reconnect, destroy or share
+ * @returns {boolean} True when the scope permits the action
+ */
+function isScopeAllowed(connectionData, action) {
+  const actions = TOKEN_SCOPES[connectionData.Scope || 'owner'];
+  return !!actions && actions.includes(action);
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  createAuthMiddleware,
+  isPrincipalAllowed,
+  isScopeAllowed
+};
@@ -6,6 +6,30 @@
  * Modify these values to customize the server behavior for different environments.
  */
 
+/**
+ * Reads a JSON environment variable
+ * @param {string} name - Variable name
+ * @param {Object|Array} fallback - Value when the variable is unset, also the expected type
+ * @returns {Object|Array} Parsed value
+ * @throws {Error} Naming the variable when it is not valid JSON of the expected type
+ */
+function jsonFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) {
+    return fallback;
+  }
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in environment variable ${name}: ${error.message}`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value) !== Array.isArray(fallback)) {
+    throw new Error(`Invalid environment variable ${name}: expected a JSON ${Array.isArray(fallback) ? 'array' : 'object'}`);
+  }
+  return value;
+}
+
 module.exports = {
   /**
    * Server Environment Configuration
@@ -25,6 +49,13 @@ module.exports = {
    */
   LISTEN_PORT_HTTPS: 5443,
 
+  /**
+   * Start the HTTP and HTTPS listeners in local mode
+   * Set SERVER_LISTEN=false to only load the express app, as the tests under test/ do
+   * @type {boolean}
+   */
+  LISTEN: process.env.SERVER_LISTEN !== 'false',
+
   /**
    * File path for the TLS private key
    * Required for HTTPS server setup in local mode
@@ -81,12 +112,21 @@ module.exports = {
    */
   STREAM_GROUP_ID: process.env.STREAM_GROUP_ID,
 
+  /**
+   * Stream groups of a deployment with several, each with its applications and locations
+   * (see stream-group-routing.js). Set by the CDK stack; in Lambda mode CreateStreamSession
+   * routes to the group serving the requested application and location. When empty,
+   * STREAM_GROUP_ID serves every request.
+   * @type {Array<{streamGroupId: string, applicationIds: string[], locations: string[]}>}
+   */
+  STREAM_GROUP_ROUTES: jsonFromEnv('STREAM_GROUP_ROUTES', []),
+
   /**
    * AWS region for GameLift Streams service
    * Update this to match your deployment region
    * @type {string}
    */
-  GAMELIFT_STREAMS_REGION: 'us-east-2',
+  GAMELIFT_STREAMS_REGION: process.env.GAMELIFT_STREAMS_REGION || 'us-east-2',
 
   /**
    * Optional endpoint override for Amazon GameLift Streams API
@@ -96,6 +136,158 @@ module.exports = {
 
   GAMELIFT_STREAMS_ENDPOINT: '',
 
+  /**
+   * Offline mock of the Amazon GameLift Streams API for local development and tests
+   * Enabled with the --mock command-line flag or GAMELIFT_STREAMS_MOCK=true
+   */
+  MOCK_GAMELIFT_STREAMS: {
+    /**
+     * Use the mock instead of the real GameLift Streams client
+     * @type {boolean}
+     */
+    ENABLED: process.env.GAMELIFT_STREAMS_MOCK === 'true',
+
+    /**
+     * Simulated latency of every API call in milliseconds
+     * @type {number}
+     */
+    API_LATENCY_MS: Number(process.env.MOCK_API_LATENCY_MS || 50),
+
+    /**
+     * Time a new stream session stays in ACTIVATING status in milliseconds
+     * @type {number}
+     */
+    ACTIVATION_DELAY_MS: Number(process.env.MOCK_ACTIVATION_DELAY_MS || 3000),
+
+    /**
+     * Time a terminated stream session stays in TERMINATING status in milliseconds
+     * @type {number}
+     */
+    TERMINATION_DELAY_MS: Number(process.env.MOCK_TERMINATION_DELAY_MS || 2000),
+
+    /**
+     * Probability (0..1) that a new stream session ends in ERROR instead of ACTIVE
+     * @type {number}
+     */
+    ACTIVATION_ERROR_RATE: Number(process.env.MOCK_ACTIVATION_ERROR_RATE || 0),
+
+    /**
+     * Probability (0..1) per API operation of failing the call, as a JSON object
+     * e.g. MOCK_FAILURE_RATES='{"startStreamSession": 0.5}'
+     * @type {Object<string, number>}
+     */
+    FAILURE_RATES: jsonFromEnv('MOCK_FAILURE_RATES', {}),
+
+    /**
+     * Maximum number of ACTIVATING/ACTIVE sessions per stream group, 0 for unlimited
+     * Further StartStreamSession calls fail with ServiceQuotaExceededException
+     * @type {number}
+     */
+    MAX_CONCURRENT_SESSIONS: Number(process.env.MOCK_MAX_CONCURRENT_SESSIONS || 0)
+  },
+
+  /**
+   * Backoff used by the server when polling GetStreamSession for the
+   * /api/StreamSessionEvents Server-Sent Events endpoint
+   */
+  SIGNAL_EVENTS: {
+    /**
+     * Delay before the second GetStreamSession call in milliseconds
+     * @type {number}
+     */
+    INITIAL_POLL_DELAY_MS: 500,
+
+    /**
+     * Upper bound for the delay between GetStreamSession calls in milliseconds
+     * @type {number}
+     */
+    MAX_POLL_DELAY_MS: 5000,
+
+    /**
+     * Multiplier applied to the delay after every poll
+     * @type {number}
+     */
+    POLL_BACKOFF_FACTOR: 1.5
+  },
+
+  /**
+   * Path of the per-application launch policy file, see launch-policy.example.json
+   * Restricts AdditionalLaunchArgs and AdditionalEnvironmentVariables of CreateStreamSession.
+   * When the file does not exist, clients may pass any values.
+   * @type {string}
+   */
+  LAUNCH_POLICY_FILE: process.env.LAUNCH_POLICY_FILE || 'launch-policy.json',
+
+  /**
+   * Path of the application catalog file, see applications.example.json
+   * When the file exists, clients start sessions by catalog id and the server resolves
+   * the stream group, application, locations and session length from the catalog.
+   * @type {string}
+   */
+  APPLICATION_CATALOG_FILE: process.env.APPLICATION_CATALOG_FILE || 'applications.json',
+
+  /**
+   * Waitlist for CreateStreamSession requests when the stream group has no capacity
+   */
+  SESSION_QUEUE: {
+    /**
+     * Queue requests instead of failing them when capacity is exhausted
+     * The queue is kept in server memory, so it is always off in Lambda mode
+     * @type {boolean}
+     */
+    ENABLED: process.env.SESSION_QUEUE_ENABLED !== 'false',
+
+    /**
+     * Delay between placement attempts for the head of a queue in milliseconds; each attempt
+     * uses a new signal request from the waiting client
+     * @type {number}
+     */
+    RETRY_INTERVAL_MS: 5000,
+
+    /**
+     * Maximum number of waiting requests per stream group and location
+     * @type {number}
+     */
+    MAX_LENGTH: 100,
+
+    /**
+     * Tickets which the client has not polled for this long are dropped, in milliseconds
+     * @type {number}
+     */
+    ABANDON_AFTER_MS: 30000,
+
+    /**
+     * How long the outcome of a ticket stays retrievable after placement, in milliseconds
+     * @type {number}
+     */
+    RESULT_TTL_MS: 60000,
+
+    /**
+     * Suggested interval between client QueueStatus polls in milliseconds
+     * @type {number}
+     */
+    CLIENT_POLL_INTERVAL_MS: 3000,
+
+    /**
+     * Assumed wait per queue position until placements have been observed, in seconds
+     * @type {number}
+     */
+    DEFAULT_WAIT_SECONDS: 60,
+
+    /**
+     * StartStreamSession exception names which mean the stream group is out of capacity
+     * @type {string[]}
+     */
+    CAPACITY_ERROR_NAMES: ['ServiceQuotaExceededException'],
+
+    /**
+     * StartStreamSession error messages which mean the stream group is out of capacity,
+     * whatever the exception name
+     * @type {RegExp}
+     */
+    CAPACITY_ERROR_PATTERN: /\bcapacity\b/i
+  },
+
   /**
    * Security Configuration
    */
@@ -125,6 +317,333 @@ module.exports = {
     MAX_REQUESTS: 100
   },
 
+  /**
+   * Authentication for the /api routes
+   * The authenticated principal becomes the stream session UserId and owns the
+   * connection token, so reconnect and destroy require the same principal
+   */
+  AUTH: {
+    /**
+     * Strategy: 'none', 'apikey', 'jwt' or 'oidc'
+     * @type {string}
+     */
+    STRATEGY: process.env.AUTH_STRATEGY || 'none',
+
+    /**
+     * Static API keys mapped to principal ids, as a JSON object
+     * e.g. AUTH_API_KEYS='{"key-for-alice": "alice"}'
+     * @type {Object<string, string>}
+     */
+    API_KEYS: jsonFromEnv('AUTH_API_KEYS', {}),
+
+    /**
+     * Shared secret for HS256-signed JWTs
+     * @type {string}
+     */
+    JWT_SECRET: process.env.AUTH_JWT_SECRET || '',
+
+    /**
+     * Expected issuer (iss) of JWTs; empty accepts any issuer
+     * @type {string}
+     */
+    JWT_ISSUER: process.env.AUTH_JWT_ISSUER || '',
+
+    /**
+     * OpenID Connect issuer URL
+     * When empty in local mode, a development issuer is served at /oidc
+     * @type {string}
+     */
+    OIDC_ISSUER: process.env.AUTH_OIDC_ISSUER || '',
+
+    /**
+     * Expected audience (aud) of JWT and OIDC tokens; empty accepts any audience
+     * @type {string}
+     */
+    AUDIENCE: process.env.AUTH_AUDIENCE || '',
+
+    /**
+     * Token claim used as the GameLift Streams UserId
+     * @type {string}
+     */
+    USER_ID_CLAIM: process.env.AUTH_USER_ID_CLAIM || 'sub',
+
+    /**
+     * Allowed clock skew when checking token expiry in seconds
+     * @type {number}
+     */
+    CLOCK_TOLERANCE_SECONDS: 30
+  },
+
+  /**
+   * Spectate and guest share links derived from an owner connection token
+   */
+  SHARE_TOKENS: {
+    /**
+     * Lifetime of a share token when the owner does not choose one, in seconds
+     * @type {number}
+     */
+    DEFAULT_TTL_SECONDS: 60 * 60,
+
+    /**
+     * Longest lifetime an owner may choose for a share token, in seconds
+     * @type {number}
+     */
+    MAX_TTL_SECONDS: 24 * 60 * 60
+  },
+
+  /**
+   * Admin API under /api/admin and the admin.html page
+   * Callers must be one of PRINCIPALS (as resolved by AUTH) or send API_KEY in the
+   * X-Admin-Key header. With neither configured the admin API is disabled.
+   */
+  ADMIN: {
+    /**
+     * Principal ids allowed to use the admin API, comma separated
+     * e.g. ADMIN_PRINCIPALS='alice,https://issuer.example.com|bob'
+     * @type {string[]}
+     */
+    PRINCIPALS: (process.env.ADMIN_PRINCIPALS || '').split(',').map((id) => id.trim()).filter(Boolean),
+
+    /**
+     * Shared admin key accepted in the X-Admin-Key header
+     * @type {string}
+     */
+    API_KEY: process.env.ADMIN_API_KEY || '',
+
+    /**
+     * Maximum number of seconds a single ExtendSession call may add to a token
+     * @type {number}
+     */
+    MAX_EXTEND_SECONDS: 24 * 60 * 60
+  },
+
+  /**
+   * Client WebRTC stats reports submitted with SessionReport or DestroyStreamSession
+   * Reports are analyzed on arrival and kept in the session store next to the tokens
+   */
+  SESSION_REPORTS: {
+    /**
+     * How long a stored report and its analysis can be retrieved, in seconds
+     * @type {number}
+     */
+    TTL_SECONDS: 7 * 24 * 60 * 60,
+
+    /**
+     * Maximum number of metric series in one report
+     * @type {number}
+     */
+    MAX_METRICS: 64,
+
+    /**
+     * Maximum number of samples in one metric series
+     * One hour at the default 5 second collection interval, for audio and video, is 1440
+     * @type {number}
+     */
+    MAX_SAMPLES_PER_METRIC: 10000,
+
+    /**
+     * Raw samples larger than this (as JSON) are dropped and only the analysis is stored.
+     * Reports share the session store with the tokens, so the file backend rewrites them on
+     * every token change and the metrics scans read them; keep this small
+     * @type {number}
+     */
+    MAX_STORED_STATS_BYTES: 64 * 1024,
+
+    /**
+     * Report metadata larger than this (as JSON) is dropped, keeping stored records well
+     * within the 400 KB item limit of the DynamoDB backend
+     * @type {number}
+     */
+    MAX_STORED_METADATA_BYTES: 16 * 1024
+  },
+
+  /**
+   * Thresholds of the in-stream health indicator, served to the page by GET /api/StreamHealthThresholds
+   * A metric is in warning or critical state past the matching value, and the player is
+   * alerted once it has stayed there for SUSTAINED_SECONDS
+   */
+  STREAM_HEALTH: {
+    /**
+     * Round-trip time in milliseconds
+     * @type {{WARNING: number, CRITICAL: number}}
+     */
+    RTT_MS: { WARNING: 100, CRITICAL: 150 },
+
+    /**
+     * Video packet loss over a collection interval, in percent
+     * @type {{WARNING: number, CRITICAL: number}}
+     */
+    PACKET_LOSS_PERCENT: { WARNING: 2, CRITICAL: 5 },
+
+    /**
+     * Video jitter in milliseconds
+     * @type {{WARNING: number, CRITICAL: number}}
+     */
+    JITTER_MS: { WARNING: 30, CRITICAL: 50 },
+
+    /**
+     * Frames per second; lower values are worse
+     * @type {{WARNING: number, CRITICAL: number}}
+     */
+    FPS: { WARNING: 45, CRITICAL: 24 },
+
+    /**
+     * How long a metric must stay past a threshold before the player is alerted, in seconds
+     * @type {number}
+     */
+    SUSTAINED_SECONDS: 10
+  },
+
+  /**
+   * Pre-stream connection test of the setup page, served under /api/diagnostics
+   * Probes count against RATE_LIMIT like any other request
+   */
+  NETWORK_DIAGNOSTICS: {
+    /**
+     * Ping probes per test, for latency, jitter and loss
+     * @type {number}
+     */
+    PING_COUNT: 10,
+
+    /**
+     * A ping probe taking longer than this counts as lost, in milliseconds
+     * @type {number}
+     */
+    PING_TIMEOUT_MS: 2000,
+
+    /**
+     * Download size of the throughput measurement, in bytes
+     * @type {number}
+     */
+    DOWNLOAD_BYTES: 5 * 1024 * 1024,
+
+    /**
+     * Largest download a client may request, in bytes
+     * @type {number}
+     */
+    MAX_DOWNLOAD_BYTES: 25 * 1024 * 1024,
+
+    /**
+     * Minimums a connection should meet for a 1080p stream
+     * @type {{MAX_LATENCY_MS: number, MAX_JITTER_MS: number, MIN_DOWNLOAD_MBPS: number, MAX_PACKET_LOSS_PERCENT: number}}
+     */
+    RECOMMENDED: {
+      MAX_LATENCY_MS: 100,
+      MAX_JITTER_MS: 30,
+      MIN_DOWNLOAD_MBPS: 15,
+      MAX_PACKET_LOSS_PERCENT: 1
+    }
+  },
+
+  /**
+   * Latency probes the setup page sends to each location to order the CreateStreamSession
+   * Locations by round-trip time, listed by GET /api/diagnostics/Locations
+   */
+  LOCATION_PROBES: {
+    /**
+     * Locations to probe, comma separated in LOCATION_PROBE_LOCATIONS. List the locations of
+     * the stream group, since the probed order is sent as the session's Locations.
+     * @type {string[]}
+     */
+    LOCATIONS: (process.env.LOCATION_PROBE_LOCATIONS || 'us-east-2')
+      .split(',').map((location) => location.trim()).filter(Boolean),
+
+    /**
+     * Probe URL of a location, {location} is replaced with its name. The default regional
+     * DynamoDB health check answers quickly and is reachable from any browser.
+     * @type {string}
+     */
+    URL_TEMPLATE: process.env.LOCATION_PROBE_URL_TEMPLATE || 'https://dynamodb.{location}.amazonaws.com/ping',
+
+    /**
+     * Probe this server's /api/diagnostics/LocationPing stand-in instead of the real
+     * locations, for tests and offline mock mode
+     * @type {boolean}
+     */
+    USE_LOCAL_TARGET: process.env.LOCATION_PROBE_LOCAL_TARGET === 'true' || process.env.GAMELIFT_STREAMS_MOCK === 'true',
+
+    /**
+     * Latency the local stand-in adds per location, e.g. {"us-west-2": 40}, in milliseconds
+     * @type {Object<string, number>}
+     */
+    LOCAL_TARGET_LATENCY_MS: jsonFromEnv('LOCATION_PROBE_LOCAL_LATENCY_MS', {}),
+
+    /**
+     * Probes per location; the median round trip is used
+     * @type {number}
+     */
+    PROBE_COUNT: 3,
+
+    /**
+     * A probe taking longer than this counts as failed, in milliseconds
+     * @type {number}
+     */
+    TIMEOUT_MS: 2000
+  },
+
+  /**
+   * Prometheus metrics of this server, for scraping the local server
+   */
+  METRICS: {
+    /**
+     * Serve the metrics, disabled with METRICS_ENABLED=false
+     * @type {boolean}
+     */
+    ENABLED: process.env.METRICS_ENABLED !== 'false',
+
+    /**
+     * Path of the metrics endpoint, outside /api so it needs no API credentials
+     * @type {string}
+     */
+    PATH: process.env.METRICS_PATH || '/metrics',
+
+    /**
+     * Bearer token a scraper must send (Prometheus bearer_token), unset to leave the endpoint open
+     * In Lambda mode the endpoint is only served when this is set
+     * @type {string}
+     */
+    BEARER_TOKEN: process.env.METRICS_BEARER_TOKEN || '',
+
+    /**
+     * Bucket bounds of the HTTP request latency histogram, in seconds
+     * @type {number[]}
+     */
+    HTTP_DURATION_BUCKETS: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+    /**
+     * Bucket bounds of the GameLift Streams API latency histogram, in seconds
+     * @type {number[]}
+     */
+    API_DURATION_BUCKETS: [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+
+    /**
+     * Bucket bounds of the stream session activation time histogram, in seconds
+     * @type {number[]}
+     */
+    ACTIVATION_BUCKETS: [5, 10, 15, 30, 45, 60, 90, 120, 180, 300]
+  },
+
+  /**
+   * CloudWatch Embedded Metric Format records of session events, written to the log by the
+   * logger. In Lambda, CloudWatch Logs turns them into metrics without any API call.
+   */
+  EMF: {
+    /**
+     * Write EMF records; on by default in Lambda (AWS_LAMBDA_FUNCTION_NAME is set),
+     * EMF_ENABLED=true or false overrides
+     * @type {boolean}
+     */
+    ENABLED: process.env.EMF_ENABLED
+      ? process.env.EMF_ENABLED === 'true'
+      : !!process.env.AWS_LAMBDA_FUNCTION_NAME,
+
+    /**
+     * CloudWatch namespace of the metrics
+     * @type {string}
+     */
+    NAMESPACE: process.env.EMF_NAMESPACE || 'GameLiftStreamsWeb'
+  },
+
   /**
    * Performance Configuration
    */
@@ -141,4 +660,54 @@ module.exports = {
    * @type {number}
    */
   TOKEN_CLEANUP_INTERVAL_MS: 60000, // 1 minute
+
+  /**
+   * Session Store Configuration
+   */
+
+  /**
+   * Absolute upper bound for the lifetime of a connection token in milliseconds
+   * @type {number}
+   */
+  TOKEN_MAX_AGE_MS: 24 * 60 * 60 * 1000, // 24 hours
+
+  /**
+   * Storage backend for connection tokens
+   * Tokens kept in 'memory' are lost on every server restart or Lambda cold start
+   */
+  SESSION_STORE: {
+    /**
+     * Backend type: 'memory', 'file', 'sqlite' or 'dynamodb'
+     * @type {string}
+     */
+    TYPE: process.env.SESSION_STORE_TYPE || 'memory',
+
+    /**
+     * File path used by the 'file' (JSON) and 'sqlite' backends, relative to DATA_DIR;
+     * sessions.json or sessions.db there when empty
+     * Paths inside the server directory are rejected, its files are served to the web
+     * @type {string}
+     */
+    FILE_PATH: process.env.SESSION_STORE_FILE || '',
+
+    /**
+     * Directory of the 'file' and 'sqlite' backends
+     * gamelift-streams-web in the OS temporary directory when empty
+     * @type {string}
+     */
+    DATA_DIR: process.env.DATA_DIR || '',
+
+    /**
+     * DynamoDB table name used by the 'dynamodb' backend
+     * The table needs a string partition key named 'Token'
+     * @type {string}
+     */
+    DYNAMODB_TABLE: process.env.SESSION_STORE_TABLE || '',
+
+    /**
+     * Optional DynamoDB endpoint override, e.g. http://localhost:8000 for DynamoDB Local
+     * @type {string}
+     */
+    DYNAMODB_ENDPOINT: process.env.SESSION_STORE_ENDPOINT || ''
+  },
 };
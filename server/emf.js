@@ -0,0 +1,105 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview CloudWatch Embedded Metric Format (EMF) records written to the log
+ * @description In Lambda every line written to stdout reaches CloudWatch Logs, and lines in
+ * the Embedded Metric Format are turned into CloudWatch metrics without any API call. The
+ * server's logger uses this writer for its session metrics (see logger.metrics in server.js):
+ * - SessionCreated, Reconnects, Terminations, Errors (Count)
+ * - SignalResponsePolls (Count), GetStreamSession polls made while waiting for the signal response
+ * - SessionActivationLatency (Milliseconds), CreateStreamSession until ACTIVE
+ *
+ * Every record carries the Application, StreamGroup and Location dimensions; missing values
+ * are written as 'unknown' so all records of a metric share one dimension set. A second,
+ * empty dimension set publishes the totals across all of them.
+ *
+ * @see https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+ */
+
+/**
+ * Dimensions of every record
+ * @constant {string[]}
+ */
+const EMF_DIMENSIONS = ['Application', 'StreamGroup', 'Location'];
+
+/**
+ * Builds one EMF record
+ * @function createEmfRecord
+ * @param {string} namespace - CloudWatch namespace
+ * @param {Object<string, number>} values - Metric names and values
+ * @param {Object<string, string>} units - Unit per metric name; metrics not listed are Count
+ * @param {Object} [dimensions] - Application, StreamGroup and Location
+ * @param {Object} [properties] - Extra fields, searchable in Logs Insights but not dimensions
+ * @param {number} [timestamp=Date.now()] - Record time in milliseconds
+ * @returns {Object} Record to write as one JSON line
+ *
+ * @example
+ * createEmfRecord('GameLiftStreamsWeb', { SessionCreated: 1 }, {}, { StreamGroup: 'sg-123' });
+ * // { _aws: { Timestamp, CloudWatchMetrics: [...] }, Application: 'unknown', StreamGroup: 'sg-123', ..., SessionCreated: 1 }
+ */
+function createEmfRecord(namespace, values, units, dimensions = {}, properties = {}, timestamp = Date.now()) {
+  const dimensionValues = Object.fromEntries(EMF_DIMENSIONS.map((name) => [
+    name,
+    dimensions[name] === undefined || dimensions[name] === null || dimensions[name] === '' ? 'unknown' : String(dimensions[name])
+  ]));
+  return {
+    // Properties first, so they can never overwrite the metadata, dimensions or values
+    ...properties,
+    _aws: {
+      Timestamp: timestamp,
+      CloudWatchMetrics: [{
+        Namespace: namespace,
+        Dimensions: [EMF_DIMENSIONS, []],
+        Metrics: Object.keys(values).map((name) => ({ Name: name, Unit: units[name] || 'Count' }))
+      }]
+    },
+    ...dimensionValues,
+    ...values
+  };
+}
+
+/**
+ * Creates an EMF writer
+ * @function createEmfWriter
+ * @param {Object} options - Writer options
+ * @param {boolean} options.enabled - Write records; when false putMetrics does nothing
+ * @param {string} options.namespace - CloudWatch namespace
+ * @param {Object<string, string>} [options.units={}] - Unit per metric name, Count by default
+ * @param {Function} [options.write=console.log] - Receives each record as a JSON line
+ * @returns {Object} Writer with putMetrics(values, dimensions, properties)
+ *
+ * @example
+ * const emf = createEmfWriter({ enabled: true, namespace: 'GameLiftStreamsWeb', write: (line) => lines.push(line) });
+ * emf.putMetrics({ Reconnects: 1 }, { Application: 'a-123', StreamGroup: 'sg-123', Location: 'us-east-2' });
+ * JSON.parse(lines[0]).Reconnects; // 1
+ */
+function createEmfWriter(options) {
+  const write = options.write || ((line) => console.log(line));
+  const units = options.units || {};
+  return {
+    enabled: !!options.enabled,
+
+    /**
+     * Writes one record
+     * @param {Object<string, number>} values - Metric names and values
+     * @param {Object} [dimensions] - Application, StreamGroup and Location
+     * @param {Object} [properties] - Extra fields
+     * @returns {void}
+     */
+    putMetrics(values, dimensions, properties) {
+      if (!options.enabled) {
+        return;
+      }
+      write(JSON.stringify(createEmfRecord(options.namespace, values, units, dimensions, properties)));
+    }
+  };
+}
+
+module.exports = {
+  EMF_DIMENSIONS,
+  createEmfRecord,
+  createEmfWriter
+};
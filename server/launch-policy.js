@@ -0,0 +1,229 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Per-application policy for launch arguments and environment variables
+ * @description Loads a JSON policy file which declares, per application, which
+ * AdditionalLaunchArgs and AdditionalEnvironmentVariables a client may request, the
+ * value patterns they must match, defaults applied when the client sends nothing, and
+ * server-forced values which always win over the client.
+ *
+ * Policy file format (see launch-policy.example.json):
+ * {
+ *   "default": { ...policy used for applications without their own entry... },
+ *   "applications": {
+ *     "a-0000000000": {
+ *       "args": {
+ *         "allowed": [{ "pattern": "^-windowed$", "description": "Run in a window" }],
+ *         "defaults": ["-windowed"],
+ *         "forced": ["-nosplash"],
+ *         "maxCount": 8
+ *       },
+ *       "env": {
+ *         "allowed": { "LOG_LEVEL": { "pattern": "^(info|debug)$", "default": "info" } },
+ *         "forced": { "TELEMETRY": "0" }
+ *       }
+ *     }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+
+/**
+ * Default upper bound for the number of client-supplied launch arguments
+ * @constant {number}
+ */
+const DEFAULT_MAX_ARGS = 32;
+
+/**
+ * Compiles a pattern from the policy file, anchoring it to the whole value
+ * @param {string} pattern - Regular expression source
+ * @param {string} where - Location in the policy file for error messages
+ * @returns {RegExp} Compiled pattern
+ */
+function compilePattern(pattern, where) {
+  if (typeof pattern !== 'string') {
+    throw new Error(`Launch policy ${where}: pattern must be a string`);
+  }
+  try {
+    return new RegExp(`^(?:${pattern})$`);
+  } catch (error) {
+    throw new Error(`Launch policy ${where}: invalid pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Validates and compiles the policy of one application
+ * @param {Object} policy - Raw policy from the file
+ * @param {string} name - Application id or 'default', for error messages
+ * @returns {Object} Compiled policy
+ */
+function compilePolicy(policy, name) {
+  const args = policy.args || {};
+  const env = policy.env || {};
+  return {
+    args: {
+      allowed: (args.allowed || []).map((rule, i) => ({
+        pattern: rule.pattern,
+        description: rule.description || '',
+        regex: compilePattern(rule.pattern, `${name}.args.allowed[${i}]`)
+      })),
+      defaults: (args.defaults || []).map(String),
+      forced: (args.forced || []).map(String),
+      maxCount: args.maxCount || DEFAULT_MAX_ARGS
+    },
+    env: {
+      allowed: Object.fromEntries(Object.entries(env.allowed || {}).map(([key, rule]) => [key, {
+        pattern: rule.pattern,
+        description: rule.description || '',
+        default: rule.default === undefined ? undefined : String(rule.default),
+        regex: compilePattern(rule.pattern, `${name}.env.allowed.${key}`)
+      }])),
+      forced: Object.fromEntries(Object.entries(env.forced || {}).map(([key, value]) => [key, String(value)]))
+    }
+  };
+}
+
+/**
+ * Normalizes an application identifier (id or ARN) to its id
+ * @param {string} applicationIdentifier - Application id or ARN
+ * @returns {string} Application id
+ */
+function toApplicationId(applicationIdentifier) {
+  return String(applicationIdentifier || '').split('/').pop();
+}
+
+/**
+ * Loads the launch policy file
+ * @function loadLaunchPolicy
+ * @param {string} filePath - Path of the JSON policy file
+ * @param {Object} [logger] - Logger with info/error methods
+ * @returns {Object} Policy with enforced flag and apply/describe methods. When the file
+ * does not exist the policy is not enforced and clients may pass any values.
+ * @throws {Error} When the file exists but is not a valid policy
+ */
+function loadLaunchPolicy(filePath, logger = { info: () => {}, error: () => {} }) {
+  let raw = null;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Unable to load launch policy file ${filePath}: ${error.message}`);
+    }
+    logger.info('No launch policy file found, launch arguments and environment variables are not restricted',
+      { filePath });
+  }
+
+  const defaultPolicy = raw && raw.default ? compilePolicy(raw.default, 'default') : null;
+  const applicationPolicies = new Map(Object.entries((raw && raw.applications) || {})
+    .map(([applicationId, policy]) => [applicationId, compilePolicy(policy, applicationId)]));
+
+  const policyFor = (applicationIdentifier) =>
+    applicationPolicies.get(toApplicationId(applicationIdentifier)) || defaultPolicy;
+
+  return {
+    enforced: raw !== null,
+
+    /**
+     * Validates client values and merges in defaults and forced values
+     * @param {string} applicationIdentifier - Application id or ARN
+     * @param {*} args - Client AdditionalLaunchArgs
+     * @param {*} env - Client AdditionalEnvironmentVariables
+     * @returns {{args: (string[]|undefined), env: (Object|undefined), violations: Object[]}}
+     * Values to pass to StartStreamSession, and violations (empty when allowed)
+     */
+    apply(applicationIdentifier, args, env) {
+      if (raw === null) {
+        return { args, env, violations: [] };
+      }
+      const violations = [];
+      const violation = (field, code, message, value) => violations.push({ field, code, message, value });
+      const policy = policyFor(applicationIdentifier) || compilePolicy({}, 'empty');
+
+      const clientArgs = args === undefined || args === null ? [] : args;
+      if (!Array.isArray(clientArgs)) {
+        violation('AdditionalLaunchArgs', 'INVALID_TYPE', 'Must be a list of strings');
+      } else {
+        if (clientArgs.length > policy.args.maxCount) {
+          violation('AdditionalLaunchArgs', 'TOO_MANY_ARGS',
+            `At most ${policy.args.maxCount} arguments are allowed`, clientArgs.length);
+        }
+        clientArgs.forEach((arg, i) => {
+          const field = `AdditionalLaunchArgs[${i}]`;
+          if (typeof arg !== 'string') {
+            violation(field, 'INVALID_TYPE', 'Must be a string', arg);
+          } else if (!policy.args.allowed.some((rule) => rule.regex.test(arg))) {
+            violation(field, 'ARG_NOT_ALLOWED', 'Argument is not allowed for this application', arg);
+          }
+        });
+      }
+
+      const clientEnv = env === undefined || env === null ? {} : env;
+      if (typeof clientEnv !== 'object' || Array.isArray(clientEnv)) {
+        violation('AdditionalEnvironmentVariables', 'INVALID_TYPE', 'Must be an object with string values');
+      } else {
+        Object.entries(clientEnv).forEach(([key, value]) => {
+          const field = `AdditionalEnvironmentVariables.${key}`;
+          const rule = policy.env.allowed[key];
+          if (policy.env.forced[key] !== undefined) {
+            return; // Overridden by the server below
+          }
+          if (!rule) {
+            violation(field, 'ENV_NOT_ALLOWED', 'Environment variable is not allowed for this application', key);
+          } else if (typeof value !== 'string') {
+            violation(field, 'INVALID_TYPE', 'Must be a string', value);
+          } else if (!rule.regex.test(value)) {
+            violation(field, 'ENV_VALUE_NOT_ALLOWED', `Value must match ${rule.pattern}`, value);
+          }
+        });
+      }
+
+      if (violations.length) {
+        return { args: undefined, env: undefined, violations };
+      }
+
+      const resolvedArgs = [...(clientArgs.length ? clientArgs : policy.args.defaults), ...policy.args.forced];
+      const resolvedEnv = {};
+      Object.entries(policy.env.allowed).forEach(([key, rule]) => {
+        if (rule.default !== undefined) {
+          resolvedEnv[key] = rule.default;
+        }
+      });
+      Object.assign(resolvedEnv, clientEnv, policy.env.forced);
+
+      return {
+        args: resolvedArgs.length ? resolvedArgs : undefined,
+        env: Object.keys(resolvedEnv).length ? resolvedEnv : undefined,
+        violations
+      };
+    },
+
+    /**
+     * Describes the policy of an application for display in the setup panel
+     * @param {string} applicationIdentifier - Application id or ARN
+     * @returns {Object} JSON-serializable policy without compiled patterns
+     */
+    describe(applicationIdentifier) {
+      if (raw === null) {
+        return { enforced: false };
+      }
+      const policy = policyFor(applicationIdentifier) || compilePolicy({}, 'empty');
+      const strip = ({ regex, ...rule }) => rule;
+      return {
+        enforced: true,
+        args: { ...policy.args, allowed: policy.args.allowed.map(strip) },
+        env: {
+          allowed: Object.fromEntries(Object.entries(policy.env.allowed).map(([key, rule]) => [key, strip(rule)])),
+          forced: policy.env.forced
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  loadLaunchPolicy
+};
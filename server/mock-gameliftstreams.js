@@ -0,0 +1,293 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Offline stand-in for the Amazon GameLift Streams client
+ * @description Implements the subset of the GameLiftStreams client used by server.js
+ * (startStreamSession, getStreamSession, createStreamSessionConnection and
+ * terminateStreamSession) without any AWS account. Sessions move through
+ * ACTIVATING -> ACTIVE -> TERMINATING -> TERMINATED, or into ERROR when activation
+ * fails. API latency, activation/termination durations and per-operation failures
+ * are configurable so the UI and the server can be exercised offline.
+ *
+ * Like the real client, every method accepts an optional Node-style callback and
+ * otherwise returns a Promise.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates an error shaped like an AWS SDK v3 service exception
+ * @function createServiceError
+ * @param {string} name - Exception name, e.g. 'ResourceNotFoundException'
+ * @param {string} message - Error message
+ * @param {number} [httpStatusCode=400] - HTTP status code reported in $metadata
+ * @returns {Error} Service exception
+ */
+function createServiceError(name, message, httpStatusCode = 400) {
+  const error = new Error(message);
+  error.name = name;
+  error.$fault = httpStatusCode >= 500 ? 'server' : 'client';
+  error.$metadata = { httpStatusCode, requestId: crypto.randomUUID() };
+  return error;
+}
+
+/**
+ * Default errors raised by failure injection, per operation
+ * @constant {Object<string, Function>}
+ */
+const DEFAULT_INJECTED_ERRORS = {
+  startStreamSession: () => createServiceError('ServiceQuotaExceededException',
+    'No capacity is available in the stream group', 402),
+  getStreamSession: () => createServiceError('ThrottlingException', 'Rate exceeded', 429),
+  createStreamSessionConnection: () => createServiceError('ThrottlingException', 'Rate exceeded', 429),
+  terminateStreamSession: () => createServiceError('InternalServerException', 'Internal failure', 500)
+};
+
+/**
+ * Creates a mock GameLift Streams client
+ * @function createMockGameLiftStreams
+ * @param {Object} [options] - Mock behavior
+ * @param {number} [options.apiLatencyMs=50] - Delay before every API call completes
+ * @param {number} [options.activationDelayMs=3000] - Time spent in ACTIVATING
+ * @param {number} [options.terminationDelayMs=2000] - Time spent in TERMINATING
+ * @param {number} [options.activationErrorRate=0] - Probability (0..1) a session ends in ERROR instead of ACTIVE
+ * @param {Object<string, number>} [options.failureRates={}] - Probability (0..1) per operation name of failing the call
+ * @param {number} [options.maxConcurrentSessions=0] - ACTIVATING/ACTIVE sessions allowed per stream group, 0 for unlimited
+ * @param {string} [options.region='us-east-2'] - Region used in generated ARNs and default location
+ * @param {Function} [options.random=Math.random] - Random source, replace for deterministic tests
+ * @param {Function} [options.now=Date.now] - Clock, replace for deterministic tests
+ * @returns {Object} Client with the GameLiftStreams methods used by server.js plus test helpers
+ *
+ * @example
+ * const gameliftstreams = createMockGameLiftStreams({ activationDelayMs: 0 });
+ * const { Arn } = await gameliftstreams.startStreamSession({ Identifier: 'sg-000000000', ... });
+ */
+function createMockGameLiftStreams(options = {}) {
+  const settings = {
+    apiLatencyMs: 50,
+    activationDelayMs: 3000,
+    terminationDelayMs: 2000,
+    activationErrorRate: 0,
+    failureRates: {},
+    maxConcurrentSessions: 0,
+    region: 'us-east-2',
+    random: Math.random,
+    now: Date.now,
+    ...options
+  };
+  const sessions = new Map();
+  const queuedFailures = [];
+
+  /**
+   * Derives the current status of a session from its timestamps
+   * @param {Object} session - Stored session
+   * @returns {string} Session status
+   */
+  const currentStatus = (session) => {
+    const now = settings.now();
+    if (session.TerminatingAt !== undefined) {
+      return now - session.TerminatingAt >= settings.terminationDelayMs ? 'TERMINATED' : 'TERMINATING';
+    }
+    if (now - session.CreatedAt < settings.activationDelayMs) {
+      return 'ACTIVATING';
+    }
+    if (session.ActivationFails) {
+      return 'ERROR';
+    }
+    if (now - session.CreatedAt >= settings.activationDelayMs + session.SessionLengthSeconds * 1000) {
+      return 'TERMINATED';
+    }
+    return 'ACTIVE';
+  };
+
+  /**
+   * Builds a fake signal response which the UI can forward to processSignalResponse
+   * @param {string} arn - Stream session ARN
+   * @returns {string} Serialized signal response
+   */
+  const fakeSignalResponse = (arn) => JSON.stringify({
+    mock: true,
+    streamSessionArn: arn,
+    sdp: 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=mock\r\nt=0 0\r\n',
+    candidates: []
+  });
+
+  /**
+   * Looks up a session by ARN or id within a stream group
+   * @param {Object} params - Request parameters
+   * @returns {Object} Stored session
+   * @throws {Error} ResourceNotFoundException when the session does not exist
+   */
+  const findSession = (params) => {
+    const id = params.StreamSessionIdentifier || '';
+    const session = sessions.get(id) ||
+      Array.from(sessions.values()).find((s) => s.Arn.endsWith(`/${id}`));
+    const streamGroupId = params.Identifier && String(params.Identifier).split('/').pop();
+    if (!session || (streamGroupId && session.StreamGroupId !== streamGroupId)) {
+      throw createServiceError('ResourceNotFoundException', `Stream session ${id} not found`, 404);
+    }
+    return session;
+  };
+
+  /**
+   * Serializes a session the way GetStreamSession/StartStreamSession return it
+   * @param {Object} session - Stored session
+   * @returns {Object} Response data
+   */
+  const describe = (session) => {
+    const status = currentStatus(session);
+    return {
+      Arn: session.Arn,
+      StreamGroupId: session.StreamGroupId,
+      ApplicationArn: session.ApplicationArn,
+      UserId: session.UserId,
+      Status: status,
+      StatusReason: status === 'ERROR' ? 'internalError' : undefined,
+      Location: session.Location,
+      Protocol: 'WebRTC',
+      SessionLengthSeconds: session.SessionLengthSeconds,
+      ConnectionTimeoutSeconds: session.ConnectionTimeoutSeconds,
+      AdditionalLaunchArgs: session.AdditionalLaunchArgs,
+      AdditionalEnvironmentVariables: session.AdditionalEnvironmentVariables,
+      SignalResponse: status === 'ACTIVE' ? fakeSignalResponse(session.Arn) : '',
+      CreatedAt: new Date(session.CreatedAt),
+      LastUpdatedAt: new Date(settings.now())
+    };
+  };
+
+  const handlers = {
+    startStreamSession(params) {
+      if (!params.Identifier || !params.ApplicationIdentifier || !params.SignalRequest) {
+        throw createServiceError('ValidationException',
+          'Identifier, ApplicationIdentifier and SignalRequest are required');
+      }
+      const streamGroupId = String(params.Identifier).split('/').pop();
+      if (settings.maxConcurrentSessions) {
+        const running = Array.from(sessions.values()).filter((s) => s.StreamGroupId === streamGroupId &&
+          ['ACTIVATING', 'ACTIVE'].includes(currentStatus(s))).length;
+        if (running >= settings.maxConcurrentSessions) {
+          throw DEFAULT_INJECTED_ERRORS.startStreamSession();
+        }
+      }
+      const sessionId = crypto.randomBytes(6).toString('hex').toUpperCase();
+      const arn = `arn:aws:gameliftstreams:${settings.region}:000000000000:streamsession/${streamGroupId}/${sessionId}`;
+      const session = {
+        Arn: arn,
+        StreamGroupId: streamGroupId,
+        ApplicationArn: `arn:aws:gameliftstreams:${settings.region}:000000000000:application/${String(params.ApplicationIdentifier).split('/').pop()}`,
+        UserId: params.UserId,
+        Location: (params.Locations && params.Locations[0]) || settings.region,
+        SessionLengthSeconds: params.SessionLengthSeconds || 43200,
+        ConnectionTimeoutSeconds: params.ConnectionTimeoutSeconds || 120,
+        AdditionalLaunchArgs: params.AdditionalLaunchArgs,
+        AdditionalEnvironmentVariables: params.AdditionalEnvironmentVariables,
+        ActivationFails: settings.random() < settings.activationErrorRate,
+        CreatedAt: settings.now()
+      };
+      sessions.set(arn, session);
+      return describe(session);
+    },
+
+    getStreamSession(params) {
+      return describe(findSession(params));
+    },
+
+    createStreamSessionConnection(params) {
+      const session = findSession(params);
+      const status = currentStatus(session);
+      if (status !== 'ACTIVE') {
+        throw createServiceError('ConflictException', `Stream session is ${status}`, 409);
+      }
+      if (!params.SignalRequest) {
+        throw createServiceError('ValidationException', 'SignalRequest is required');
+      }
+      return { SignalResponse: fakeSignalResponse(session.Arn) };
+    },
+
+    terminateStreamSession(params) {
+      const session = findSession(params);
+      if (session.TerminatingAt === undefined) {
+        session.TerminatingAt = settings.now();
+      }
+      return {};
+    }
+  };
+
+  /**
+   * Wraps a handler with latency, failure injection and callback/Promise support
+   * @param {string} name - Operation name
+   * @returns {Function} Client method
+   */
+  const operation = (name) => (params = {}, optionsOrCallback, callback) => {
+    const cb = typeof optionsOrCallback === 'function' ? optionsOrCallback : callback;
+    const promise = new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try {
+          const queued = queuedFailures.findIndex((failure) => failure.operation === name);
+          if (queued !== -1) {
+            throw queuedFailures.splice(queued, 1)[0].error;
+          }
+          if (settings.random() < (settings.failureRates[name] || 0)) {
+            throw DEFAULT_INJECTED_ERRORS[name]();
+          }
+          resolve(handlers[name](params));
+        } catch (error) {
+          reject(error);
+        }
+      }, settings.apiLatencyMs);
+    });
+    if (typeof cb === 'function') {
+      promise.then((data) => cb(null, data), (error) => cb(error));
+      return undefined;
+    }
+    return promise;
+  };
+
+  return {
+    startStreamSession: operation('startStreamSession'),
+    getStreamSession: operation('getStreamSession'),
+    createStreamSessionConnection: operation('createStreamSessionConnection'),
+    terminateStreamSession: operation('terminateStreamSession'),
+
+    /**
+     * Makes the next call of an operation fail
+     * @param {string} name - Operation name, e.g. 'startStreamSession'
+     * @param {Error} [error] - Error to raise, defaults to the operation's injected error
+     */
+    failNext(name, error) {
+      queuedFailures.push({ operation: name, error: error || DEFAULT_INJECTED_ERRORS[name]() });
+    },
+
+    /**
+     * Updates mock behavior at runtime
+     * @param {Object} changes - Any of the options accepted by createMockGameLiftStreams
+     */
+    configure(changes) {
+      Object.assign(settings, changes);
+    },
+
+    /**
+     * Lists all known sessions with their current status
+     * @returns {Array<Object>} Session descriptions
+     */
+    listSessions() {
+      return Array.from(sessions.values()).map(describe);
+    },
+
+    /**
+     * Forgets all sessions and queued failures
+     */
+    reset() {
+      sessions.clear();
+      queuedFailures.length = 0;
+    }
+  };
+}
+
+module.exports = {
+  createMockGameLiftStreams,
+  createServiceError
+};
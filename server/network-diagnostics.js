@@ -0,0 +1,129 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Endpoints for the pre-stream "Test my connection" check
+ * @description The setup page measures the player's connection against this server before
+ * a stream session is requested:
+ * - GET /Settings   Probe counts, download size and the recommended minimums to compare against
+ * - GET /Ping       Tiny uncached response; round trips give latency and jitter, probes that
+ *                   fail or time out are counted as lost
+ * - GET /Download   ?Bytes=N of incompressible data for the throughput measurement
+ *
+ * These measure the path to the web server, not to the GameLift Streams location, so they
+ * catch slow or lossy local networks rather than predict the stream exactly. For the
+ * locations themselves the page probes regional endpoints listed by:
+ * - GET /Locations     Locations with their probe URL, probe count and timeout
+ * - GET /LocationPing  ?Location=name, local stand-in for a regional endpoint that answers
+ *                      after the configured latency of that location
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Size of the random block repeated to build a download
+ * @constant {number}
+ */
+const DOWNLOAD_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Creates the diagnostics router
+ * @function createDiagnosticsRouter
+ * @param {Object} options - Router options
+ * @param {number} options.pingCount - Ping probes per test
+ * @param {number} options.pingTimeoutMs - A probe taking longer than this counts as lost
+ * @param {number} options.downloadBytes - Download size per test
+ * @param {number} options.maxDownloadBytes - Largest download a client may request
+ * @param {Object} options.recommended - Minimums a connection should meet
+ * @param {number} options.recommended.maxLatencyMs - Highest acceptable median round trip
+ * @param {number} options.recommended.maxJitterMs - Highest acceptable jitter
+ * @param {number} options.recommended.minDownloadMbps - Lowest acceptable throughput
+ * @param {number} options.recommended.maxPacketLossPercent - Highest acceptable share of lost probes
+ * @param {Object} options.locationProbes - Location latency probes
+ * @param {string[]} options.locationProbes.locations - Locations to probe
+ * @param {string} options.locationProbes.urlTemplate - Probe URL with a {location} placeholder
+ * @param {boolean} options.locationProbes.useLocalTarget - List /LocationPing URLs instead of urlTemplate
+ * @param {Object<string, number>} options.locationProbes.localLatencyMs - Delay of /LocationPing per location
+ * @param {number} options.locationProbes.probeCount - Probes per location
+ * @param {number} options.locationProbes.timeoutMs - A probe taking longer counts as failed
+ * @returns {Object} Express router
+ *
+ * @example
+ * app.use('/api/diagnostics', createDiagnosticsRouter({ pingCount: 10, downloadBytes: 5e6, ... }));
+ * // curl -o /dev/null 'http://localhost:5000/api/diagnostics/Download?Bytes=1000000'
+ */
+function createDiagnosticsRouter(options) {
+  const chunk = crypto.randomBytes(DOWNLOAD_CHUNK_BYTES);
+  const router = express.Router();
+
+  // Every response must come from the server, never from a cache
+  router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store, no-transform');
+    next();
+  });
+
+  router.get('/Settings', (req, res) => {
+    res.json({
+      pingCount: options.pingCount,
+      pingTimeoutMs: options.pingTimeoutMs,
+      downloadBytes: options.downloadBytes,
+      recommended: options.recommended
+    });
+  });
+
+  router.get('/Ping', (req, res) => {
+    res.json({ ServerTime: Date.now() });
+  });
+
+  router.get('/Locations', (req, res) => {
+    const probes = options.locationProbes;
+    res.json({
+      probeCount: probes.probeCount,
+      timeoutMs: probes.timeoutMs,
+      Locations: probes.locations.map((location) => ({
+        Location: location,
+        Url: probes.useLocalTarget
+          ? `/api/diagnostics/LocationPing?Location=${encodeURIComponent(location)}`
+          : probes.urlTemplate.replace('{location}', location)
+      }))
+    });
+  });
+
+  router.get('/LocationPing', (req, res) => {
+    const location = req.query.Location;
+    if (!options.locationProbes.locations.includes(location)) {
+      return res.status(400).json({ error: 'Unknown Location', correlationId: req.correlationId });
+    }
+    const delayMs = Math.min(Number(options.locationProbes.localLatencyMs[location]) || 0, options.locationProbes.timeoutMs);
+    setTimeout(() => res.json({ Location: location, ServerTime: Date.now() }), delayMs);
+  });
+
+  router.get('/Download', async (req, res) => {
+    const bytes = Number(req.query.Bytes || options.downloadBytes);
+    if (!Number.isInteger(bytes) || bytes <= 0 || bytes > options.maxDownloadBytes) {
+      return res.status(400).json({
+        error: `Bytes must be an integer between 1 and ${options.maxDownloadBytes}`,
+        correlationId: req.correlationId
+      });
+    }
+    res.set({ 'Content-Type': 'application/octet-stream', 'Content-Length': String(bytes) });
+    let remaining = bytes;
+    let aborted = false;
+    res.on('close', () => { aborted = remaining > 0; });
+    while (remaining > 0 && !aborted) {
+      const slice = remaining >= chunk.length ? chunk : chunk.subarray(0, remaining);
+      remaining -= slice.length;
+      if (!res.write(slice)) {
+        await new Promise((resolve) => res.once('drain', resolve).once('close', resolve));
+      }
+    }
+    res.end();
+  });
+
+  return router;
+}
+
+module.exports = { createDiagnosticsRouter };
@@ -0,0 +1,87 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Minimal OpenID Connect issuer for local development
+ * @description Stands in for a real identity provider so the 'oidc' authentication strategy
+ * can be exercised without any external service. It publishes a discovery document and a
+ * JWKS, and issues RS256-signed tokens for any subject posted to its token endpoint.
+ * It performs NO user authentication and must never be exposed outside a developer machine.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Creates the development issuer router
+ * @function createDevOidcIssuer
+ * @param {Object} options - Issuer options
+ * @param {string} options.issuer - Public URL the router is mounted at, e.g. http://localhost:5000/oidc
+ * @param {string} [options.audience] - aud claim of issued tokens
+ * @param {number} [options.tokenTtlSeconds=3600] - Lifetime of issued tokens
+ * @returns {Object} Express router
+ *
+ * @example
+ * app.use('/oidc', createDevOidcIssuer({ issuer: 'http://localhost:5000/oidc' }));
+ * // curl -X POST -H 'Content-Type: application/json' -d '{"sub":"alice"}' http://localhost:5000/oidc/token
+ */
+function createDevOidcIssuer(options) {
+  const issuer = options.issuer.replace(/\/$/, '');
+  const tokenTtlSeconds = options.tokenTtlSeconds || 3600;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const sign = (claims) => {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+  };
+
+  const router = express.Router();
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      jwks_uri: `${issuer}/jwks.json`,
+      token_endpoint: `${issuer}/token`,
+      response_types_supported: ['id_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  router.get('/jwks.json', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  router.post('/token', (req, res) => {
+    const sub = req.body.sub || req.body.username;
+    if (!sub || typeof sub !== 'string') {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'sub is required' });
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const token = sign({
+      iss: issuer,
+      sub,
+      aud: options.audience || undefined,
+      iat: now,
+      exp: now + tokenTtlSeconds
+    });
+    res.json({
+      access_token: token,
+      id_token: token,
+      token_type: 'Bearer',
+      expires_in: tokenTtlSeconds
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createDevOidcIssuer
+};
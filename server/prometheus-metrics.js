@@ -0,0 +1,294 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Prometheus metrics of the web server, rendered in the text exposition format
+ * @description A small registry of counters, gauges and histograms, so the server needs no
+ * metrics client dependency. server.js registers:
+ * - HTTP request counts and latency per method, route and status
+ * - GameLift Streams API latency and errors per operation (instrumentGameLiftStreams)
+ * - Live connection tokens issued by this process, collected when scraped
+ * - Stream session activation time, from CreateStreamSession until the session is ACTIVE
+ * - Requests rejected by the rate limiter
+ */
+
+/**
+ * Client operations timed by instrumentGameLiftStreams
+ * @constant {string[]}
+ */
+const INSTRUMENTED_OPERATIONS = [
+  'startStreamSession',
+  'getStreamSession',
+  'createStreamSessionConnection',
+  'terminateStreamSession'
+];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. {method="GET",status="200"}, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value
+ * @param {number} value - Value
+ * @returns {string} Number, +Inf or -Inf
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return value === -Infinity ? '-Inf' : String(value);
+}
+
+/**
+ * Creates a metrics registry
+ * @function createMetricsRegistry
+ * @returns {Object} Registry with counter/gauge/histogram factories and render()
+ *
+ * @example
+ * const registry = createMetricsRegistry();
+ * const requests = registry.counter('http_requests_total', 'HTTP requests', ['status']);
+ * requests.inc({ status: 200 });
+ * res.type(CONTENT_TYPE).send(await registry.render());
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  /**
+   * Registers a metric whose series are kept per label set
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Label names, in output order
+   * @param {Function} createSeries - () => initial series state
+   * @returns {Object} Metric with a seriesFor(labels) accessor
+   */
+  const register = (type, name, help, labelNames, createSeries) => {
+    if (metrics.some((metric) => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    const metric = {
+      type,
+      name,
+      help,
+      labelNames,
+      series: new Map(),
+      seriesFor(labels = {}) {
+        const values = labelNames.map((label) => (labels[label] === undefined ? '' : String(labels[label])));
+        const key = JSON.stringify(values);
+        if (!metric.series.has(key)) {
+          metric.series.set(key, {
+            labels: Object.fromEntries(labelNames.map((label, i) => [label, values[i]])),
+            ...createSeries()
+          });
+        }
+        return metric.series.get(key);
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /**
+     * Registers a counter
+     * @param {string} name - Metric name, ending in _total
+     * @param {string} help - Description
+     * @param {string[]} [labelNames=[]] - Label names
+     * @returns {{inc: Function}} inc(labels, value = 1)
+     */
+    counter(name, help, labelNames = []) {
+      const metric = register('counter', name, help, labelNames, () => ({ value: 0 }));
+      return {
+        inc(labels, value = 1) {
+          metric.seriesFor(labels).value += value;
+        }
+      };
+    },
+
+    /**
+     * Registers a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} [labelNames=[]] - Label names
+     * @param {Function} [collect] - async (set) => void, called on every render after the
+     *   previous values are cleared; set(labels, value) records the current values
+     * @returns {{set: Function}} set(labels, value)
+     */
+    gauge(name, help, labelNames = [], collect) {
+      const metric = register('gauge', name, help, labelNames, () => ({ value: 0 }));
+      const set = (labels, value) => {
+        metric.seriesFor(labels).value = value;
+      };
+      if (collect) {
+        metric.collect = async () => {
+          metric.series.clear();
+          await collect(set);
+        };
+      }
+      return { set };
+    },
+
+    /**
+     * Registers a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} labelNames - Label names
+     * @param {number[]} buckets - Upper bounds, ascending; +Inf is added
+     * @returns {{observe: Function}} observe(labels, value)
+     */
+    histogram(name, help, labelNames, buckets) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const metric = register('histogram', name, help, labelNames, () => ({
+        counts: new Array(bounds.length).fill(0),
+        sum: 0,
+        count: 0
+      }));
+      metric.bounds = bounds;
+      return {
+        observe(labels, value) {
+          const series = metric.seriesFor(labels);
+          bounds.forEach((bound, i) => {
+            if (value <= bound) {
+              series.counts[i]++;
+            }
+          });
+          series.sum += value;
+          series.count++;
+        }
+      };
+    },
+
+    /**
+     * Renders every metric in the Prometheus text exposition format. A failing gauge
+     * collector is skipped so the other metrics are still served.
+     * @param {Object} [logger] - Logger with an error method
+     * @returns {Promise<string>} Exposition text
+     */
+    async render(logger) {
+      const lines = [];
+      for (const metric of metrics) {
+        if (metric.collect) {
+          try {
+            await metric.collect();
+          } catch (error) {
+            if (logger) {
+              logger.error('Metrics collection failed', { metric: metric.name, error: error.message });
+            }
+            continue;
+          }
+        }
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.series.forEach((series) => {
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+            return;
+          }
+          metric.bounds.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+          lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+/**
+ * Wraps a GameLift Streams client (real or mock) so every call of INSTRUMENTED_OPERATIONS is
+ * timed and its errors counted. Callback and Promise calls are both supported; every other
+ * property is passed through unchanged.
+ * @function instrumentGameLiftStreams
+ * @param {Object} client - GameLift Streams client
+ * @param {Object} instruments - Where to record
+ * @param {Object} instruments.duration - Histogram with an operation label, in seconds
+ * @param {Object} instruments.errors - Counter with operation and error labels
+ * @returns {Object} Instrumented client
+ */
+function instrumentGameLiftStreams(client, instruments) {
+  const wrappers = new Map();
+
+  const wrap = (name, method) => (...args) => {
+    const operation = name.charAt(0).toUpperCase() + name.slice(1);
+    const startTime = process.hrtime.bigint();
+    const record = (error) => {
+      instruments.duration.observe({ operation }, Number(process.hrtime.bigint() - startTime) / 1e9);
+      if (error) {
+        instruments.errors.inc({ operation, error: error.name || error.code || 'Error' });
+      }
+    };
+
+    const callbackIndex = args.findIndex((arg) => typeof arg === 'function');
+    if (callbackIndex !== -1) {
+      const callback = args[callbackIndex];
+      args[callbackIndex] = (error, data) => {
+        record(error);
+        callback(error, data);
+      };
+      return method.apply(client, args);
+    }
+
+    let result;
+    try {
+      result = method.apply(client, args);
+    } catch (error) {
+      record(error);
+      throw error;
+    }
+    return Promise.resolve(result).then((data) => {
+      record(null);
+      return data;
+    }, (error) => {
+      record(error);
+      throw error;
+    });
+  };
+
+  return new Proxy(client, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function' || !INSTRUMENTED_OPERATIONS.includes(property)) {
+        return value;
+      }
+      if (!wrappers.has(property)) {
+        wrappers.set(property, wrap(property, value));
+      }
+      return wrappers.get(property);
+    }
+  });
+}
+
+/**
+ * Content type of the text exposition format
+ * @constant {string}
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetricsRegistry,
+  instrumentGameLiftStreams
+};
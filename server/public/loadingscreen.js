@@ -15,6 +15,7 @@ const aspectRatio = 16/9;
 let loadingFlag = false;
 let startTime = new Date();
 let animationFrameId = null;
+let queueStatus = null;
 
 /**
  * Initializes and displays the loading screen canvas with touch/click interaction.
@@ -177,6 +178,10 @@ function LoadingScreenAnimation() {
         const text = "Tap Here";
         ctx.fillText(text, canvas.width / 2, canvas.height * 0.4);
 
+        if (queueStatus) {
+            drawQueueStatus(ctx, canvas);
+        }
+
         // Touch area indicator
         ctx.globalAlpha = 0.1;
         ctx.beginPath();
@@ -193,12 +198,47 @@ function LoadingScreenAnimation() {
     }
 }
 
+/**
+ * Draws the queue position and estimated wait below the pulsing text.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLCanvasElement} canvas - The loading screen canvas element
+ * @private
+ */
+function drawQueueStatus(ctx, canvas) {
+    const fontSize = Math.min(Math.max(canvas.width / 32, 16), 40);
+    ctx.globalAlpha = 1.0;
+    ctx.fillStyle = "white";
+    ctx.font = `${fontSize}px Arial`;
+    ctx.fillText(`You are #${queueStatus.Position} in the queue`, canvas.width / 2, canvas.height * 0.75);
+
+    const minutes = Math.floor(queueStatus.EtaSeconds / 60);
+    const seconds = queueStatus.EtaSeconds % 60;
+    const eta = minutes > 0 ? `${minutes} min ${seconds} s` : `${seconds} s`;
+    ctx.font = `${fontSize * 0.75}px Arial`;
+    ctx.fillText(`Estimated wait: ${eta}`, canvas.width / 2, canvas.height * 0.75 + fontSize * 1.5);
+}
+
+/**
+ * Shows the queue position while a stream session request waits for capacity.
+ * @param {Object|null} status - Queue status with Position and EtaSeconds, or null to hide it
+ * @param {Function} [onLeaveQueue] - Called when the user clicks Leave Queue
+ */
+function LoadingScreenSetQueueStatus(status, onLeaveQueue) {
+    queueStatus = status;
+    const leaveButton = document.getElementById("leaveQueueBtn");
+    if (leaveButton) {
+        leaveButton.style.display = status ? "block" : "none";
+        leaveButton.onclick = status && onLeaveQueue ? onLeaveQueue : null;
+    }
+}
+
 /**
  * Stops the loading screen animation and cleans up resources.
  */
 function LoadingScreenStop() {
     try {
         loadingFlag = false;
+        LoadingScreenSetQueueStatus(null);
         
         if (animationFrameId) {
             window.cancelAnimationFrame(animationFrameId);
@@ -231,6 +271,7 @@ function LoadingScreenStop() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         LoadingScreenStart,
+        LoadingScreenSetQueueStatus,
         LoadingScreenStop
     };
 }
\ No newline at end of file
@@ -15,11 +15,16 @@ let aggregatedStats = {};
 // Global flag to track metrics view state
 let isViewingMetrics = false;
 
+// Quality analysis the server returned for the session that just ended, for the exports
+let lastSessionAnalysis = null;
+
 // Start the timer
 const timerInterval = updateSessionTime();
 
+// Audio inbound-rtp reports are collected as 'inbound-rtp-audio' (see statsTypeOf) so they
+// are not mixed into the video series
 const METRICS_TO_COLLECT = {
-    'candidate-pair': ['currentRoundTripTime'],
+    'candidate-pair': ['currentRoundTripTime', 'availableIncomingBitrate'],
     'transport': ['bytesReceived', 'bytesSent'],
     'inbound-rtp': [
         'framesPerSecond',
@@ -28,10 +33,63 @@ const METRICS_TO_COLLECT = {
         'framesDropped',
         'jitter',
         'packetsLost',
-        'packetsReceived'
+        'packetsReceived',
+        'bytesReceived',
+        'totalDecodeTime',
+        'freezeCount',
+        'totalFreezesDuration',
+        'jitterBufferDelay',
+        'jitterBufferEmittedCount',
+        'nackCount',
+        'pliCount',
+        'firCount',
+        'qpSum',
+        'frameWidth',
+        'frameHeight'
+    ],
+    'inbound-rtp-audio': [
+        'jitter',
+        'packetsLost',
+        'packetsReceived',
+        'bytesReceived',
+        'jitterBufferDelay',
+        'jitterBufferEmittedCount',
+        'concealedSamples',
+        'totalSamplesReceived',
+        'audioLevel'
     ]
 };
 
+// Rates computed from the change in cumulative counters between two reports of the same
+// stream, stored as webrtc_derived_<name>. Each returns undefined when it has no meaning for
+// the interval (e.g. no frames decoded).
+const DERIVED_METRICS = {
+    'inbound-rtp': {
+        videoBitrateKbps: (delta, seconds) => delta('bytesReceived') * 8 / seconds / 1000,
+        videoPacketLossPercent: (delta) => lossPercent(delta('packetsLost'), delta('packetsReceived')),
+        decodeMsPerFrame: (delta) => perUnit(delta('totalDecodeTime') * 1000, delta('framesDecoded')),
+        qpPerFrame: (delta) => perUnit(delta('qpSum'), delta('framesDecoded')),
+        freezeRatio: (delta, seconds) => delta('totalFreezesDuration') / seconds,
+        jitterBufferMs: (delta) => perUnit(delta('jitterBufferDelay') * 1000, delta('jitterBufferEmittedCount')),
+        nackPerSecond: (delta, seconds) => delta('nackCount') / seconds,
+        pliPerSecond: (delta, seconds) => delta('pliCount') / seconds,
+        firPerSecond: (delta, seconds) => delta('firCount') / seconds
+    },
+    'inbound-rtp-audio': {
+        audioBitrateKbps: (delta, seconds) => delta('bytesReceived') * 8 / seconds / 1000,
+        audioPacketLossPercent: (delta) => lossPercent(delta('packetsLost'), delta('packetsReceived')),
+        audioJitterBufferMs: (delta) => perUnit(delta('jitterBufferDelay') * 1000, delta('jitterBufferEmittedCount')),
+        concealedPercent: (delta) => perUnit(delta('concealedSamples') * 100, delta('totalSamplesReceived'))
+    }
+};
+
+// Shortest interval between two reports that derived rates are computed over; widgets and
+// the periodic collector both sample stats, so reports can arrive moments apart
+const MIN_DERIVED_INTERVAL_MS = 1000;
+
+// Last report seen per RTCStats id, the baseline for the next derived rates
+const previousStatsReports = new Map();
+
 // CTRL-S for Stats
 document.addEventListener('keydown', function(event) {
     // Check if Ctrl+S is pressed (83 is the key code for 'S')
@@ -110,6 +168,9 @@ async function handleEndGameAndViewMetrics() {
         // Stop all existing chart updates
         stopAllChartUpdates();
 
+        // Read the token before the URL parameters are removed
+        const connectionToken = getQueryParams().get('token');
+
         // Remove URL parameters first to prevent auto-reconnect
         const baseUrl = window.location.origin + window.location.pathname;
         window.history.replaceState({}, document.title, baseUrl);
@@ -125,16 +186,29 @@ async function handleEndGameAndViewMetrics() {
             }
         }
 
-        // Destroy the stream session
-        const connectionToken = getQueryParams().get('token');
+        // Destroy the stream session, sending the collected stats for analysis
+        const report = prepareStatsForServer();
+        let analysis = null;
         if (connectionToken) {
             try {
-                await doPost('/api/DestroyStreamSession', { Token: connectionToken });
+                const result = await doPost('/api/DestroyStreamSession', {
+                    Token: connectionToken,
+                    ...(report && { Report: report })
+                });
+                analysis = result.analysis || null;
             } catch (error) {
                 console.warn('Failed to destroy stream session:', error);
                 showNotification('Warning: Session cleanup may not have completed properly');
             }
         }
+        lastSessionAnalysis = analysis;
+
+        // Keep the session for the Past Sessions view
+        if (report) {
+            saveSessionToHistory(report, analysis).catch((error) => {
+                console.warn('Failed to save session to history:', error);
+            });
+        }
 
         // Get active widgets data before clearing
         const activeWidgets = getActiveWidgetsWithData();
@@ -157,6 +231,12 @@ async function handleEndGameAndViewMetrics() {
         sessionTimeDisplay.className = 'session-time-displaylay';
         statsContent.appendChild(sessionTimeDisplay);
 
+        // Show the server's quality analysis above the charts
+        if (analysis) {
+            displayWebRTCStats(analysis);
+        }
+        displayHealthAlerts(report && report.metadata.healthAlerts);
+
         // Create charts container
         const chartsContainer = document.createElement('div');
         chartsContainer.className = 'charts-container';
@@ -426,6 +506,107 @@ function showError(message) {
     }
 }
 
+/**
+ * Displays the server's quality analysis of the session at the top of the stats content area
+ * @function displayWebRTCStats
+ * @param {Object} analysis - Analysis returned by DestroyStreamSession or SessionReport
+ * @returns {void}
+ *
+ * @example
+ * const result = await doPost('/api/SessionReport', { Token: token, Report: prepareStatsForServer() });
+ * displayWebRTCStats(result.analysis);
+ */
+function displayWebRTCStats(analysis) {
+    const statsContent = document.getElementById('statsContent');
+    if (!statsContent || !analysis) {
+        return;
+    }
+    statsContent.style.display = 'block';
+
+    // Replace the analysis of an earlier call
+    const existing = document.getElementById('webrtcAnalysis');
+    if (existing) {
+        existing.remove();
+    }
+
+    const container = document.createElement('div');
+    container.id = 'webrtcAnalysis';
+    container.className = 'webrtc-analysis-container';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Session Quality: ';
+    const grade = document.createElement('span');
+    grade.className = `analysis-grade analysis-grade-${analysis.grade}`;
+    grade.textContent = analysis.grade ? `${analysis.grade} (${analysis.score}/100)` : 'not enough data';
+    title.appendChild(grade);
+    container.appendChild(title);
+
+    const grid = document.createElement('div');
+    grid.className = 'stats-grid';
+    const addSection = (heading, items) => {
+        const section = document.createElement('div');
+        section.className = 'stat-section';
+        const h3 = document.createElement('h3');
+        h3.textContent = heading;
+        section.appendChild(h3);
+        items.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+            item.innerHTML = '<span class="stat-label"></span><span class="stat-value"></span>';
+            item.children[0].textContent = `${label}:`;
+            item.children[1].textContent = value;
+            section.appendChild(item);
+        });
+        grid.appendChild(section);
+    };
+
+    if (analysis.rtt) {
+        addSection('Latency', [
+            ['Average RTT', `${analysis.rtt.averageMs} ms`],
+            ['95th percentile RTT', `${analysis.rtt.p95Ms} ms`],
+            ['Jitter (p95)', analysis.jitter ? `${analysis.jitter.p95Ms} ms` : 'n/a']
+        ]);
+    }
+    if (analysis.fps) {
+        addSection('Frame Rate', [
+            ['Average', `${analysis.fps.average} fps`],
+            ['Minimum', `${analysis.fps.min} fps`],
+            ['Stability', `${analysis.fps.stabilityPercent}%`]
+        ]);
+    }
+    if (analysis.packetLoss) {
+        addSection('Packet Loss', [
+            ['Lost', `${analysis.packetLoss.packetsLost} (${analysis.packetLoss.lossPercent}%)`],
+            ['Loss bursts', analysis.packetLoss.burstCount]
+        ]);
+    }
+    if (analysis.freezes) {
+        addSection('Freezes', [
+            ['Count', analysis.freezes.count],
+            ['Total frozen time', `${Math.round(analysis.freezes.totalMs / 1000)} s`]
+        ]);
+    }
+    container.appendChild(grid);
+
+    const findings = document.createElement('ul');
+    findings.className = 'analysis-findings';
+    analysis.findings.forEach((finding) => {
+        const item = document.createElement('li');
+        item.className = `analysis-finding-${finding.severity}`;
+        item.textContent = finding.message;
+        findings.appendChild(item);
+    });
+    container.appendChild(findings);
+
+    // Keep the session time on top when it is present
+    const sessionTime = document.getElementById('session-time');
+    if (sessionTime && sessionTime.parentElement === statsContent) {
+        sessionTime.after(container);
+    } else {
+        statsContent.prepend(container);
+    }
+}
+
 /**
  * Handles the display and analysis of WebRTC metrics
  * @function handleViewMetrics
@@ -779,6 +960,7 @@ async function collectAggregatedStats() {
     // Process stats if they were successfully collected
     if (stats) {
         processStats(stats, timestamp);
+        evaluateStreamHealth(timestamp);
     }
 }
 
@@ -813,6 +995,9 @@ function processStats(stats, timestamp) {
                 sessionId: getQueryParams().get('token'),
                 clientId: window.clientId || generateClientId(),
                 streamStartTime: Date.now(),
+                ...describeSessionSetup(),
+                networkDiagnostics: loadNetworkDiagnosticsResult() || undefined,
+                locationProbes: loadLocationProbeResult() || undefined,
                 browserInfo: {
                     userAgent: navigator.userAgent,
                     platform: navigator.platform,
@@ -828,34 +1013,128 @@ function processStats(stats, timestamp) {
         window.streamStartTime = window.aggregatedStats.metadata.streamStartTime;
     }
 
+    // Codec reports are looked up by the codecId of the inbound streams
+    const codecReports = new Map();
+    stats.forEach((report) => {
+        if (report.type === 'codec') {
+            codecReports.set(report.id, report);
+        }
+    });
+
     /**
      * Process each statistics report
      * Organizes metrics by type and maintains time-series data
      */
     stats.forEach((report) => {
         // Get report type or default to 'unknown'
-        const reportType = report.type || 'unknown';
+        const reportType = statsTypeOf(report);
         
         // Check if this report type should be collected
         if (METRICS_TO_COLLECT[reportType]) {
             METRICS_TO_COLLECT[reportType].forEach(metric => {
                 if (report[metric] !== undefined) {
-                    const fullMetricName = `webrtc_${reportType}_${metric}`;
-                    if (!window.aggregatedStats.stats[fullMetricName]) {
-                        window.aggregatedStats.stats[fullMetricName] = [];
-                    }
-                    // Store timestamp and value in a simple array format
-                    window.aggregatedStats.stats[fullMetricName].push([timestamp, report[metric]]);
-
-                    // Keep only the last hour of measurements
-                    window.aggregatedStats.stats[fullMetricName] = 
-                        window.aggregatedStats.stats[fullMetricName].filter(([t]) => timestamp - t <= ONE_HOUR);
-                    }
+                    recordStat(`webrtc_${reportType}_${metric}`, timestamp, report[metric]);
+                }
             });
         }
+
+        if (DERIVED_METRICS[reportType]) {
+            recordDerivedMetrics(report, reportType, timestamp);
+        }
+
+        if (report.codecId && codecReports.has(report.codecId)) {
+            const codec = codecReports.get(report.codecId);
+            window.aggregatedStats.metadata.codecs = {
+                ...window.aggregatedStats.metadata.codecs,
+                [reportType === 'inbound-rtp-audio' ? 'audio' : 'video']: {
+                    mimeType: codec.mimeType,
+                    clockRate: codec.clockRate,
+                    sdpFmtpLine: codec.sdpFmtpLine
+                }
+            };
+        }
+    });
+}
+
+/**
+ * Key that a stats report is collected under: its type, except that audio inbound-rtp
+ * reports become 'inbound-rtp-audio' so their counters stay apart from the video stream's
+ * @param {RTCStats} report - A WebRTC stats report
+ * @returns {string} Stats type used in METRICS_TO_COLLECT and chartConfigs
+ */
+function statsTypeOf(report) {
+    if (report.type === 'inbound-rtp' && (report.kind || report.mediaType) === 'audio') {
+        return 'inbound-rtp-audio';
+    }
+    return report.type || 'unknown';
+}
+
+/**
+ * Appends a sample to an aggregated stat, keeping only the last hour of measurements
+ * @param {string} name - Full metric name, e.g. webrtc_inbound-rtp_jitter
+ * @param {number} timestamp - Collection time in milliseconds
+ * @param {number} value - Sample value
+ */
+function recordStat(name, timestamp, value) {
+    if (!window.aggregatedStats.stats[name]) {
+        window.aggregatedStats.stats[name] = [];
+    }
+    // Store timestamp and value in a simple array format
+    window.aggregatedStats.stats[name].push([timestamp, value]);
+    window.aggregatedStats.stats[name] =
+        window.aggregatedStats.stats[name].filter(([t]) => timestamp - t <= ONE_HOUR);
+}
+
+/**
+ * Records the DERIVED_METRICS of a report against the previous report of the same stream.
+ * Counters that went backwards (a restarted stream) or are missing yield no sample.
+ * @param {RTCStats} report - Current stats report
+ * @param {string} reportType - Its statsTypeOf() key
+ * @param {number} timestamp - Collection time in milliseconds
+ */
+function recordDerivedMetrics(report, reportType, timestamp) {
+    const previous = previousStatsReports.get(report.id);
+    if (previous && report.timestamp - previous.timestamp < MIN_DERIVED_INTERVAL_MS) {
+        return;
+    }
+    previousStatsReports.set(report.id, report);
+    if (!previous) {
+        return;
+    }
+
+    const seconds = (report.timestamp - previous.timestamp) / 1000;
+    const delta = (counter) => {
+        const change = report[counter] - previous[counter];
+        return change >= 0 ? change : NaN;
+    };
+    Object.entries(DERIVED_METRICS[reportType]).forEach(([name, compute]) => {
+        const value = compute(delta, seconds);
+        if (Number.isFinite(value)) {
+            recordStat(`webrtc_derived_${name}`, timestamp, value);
+        }
     });
 }
 
+/**
+ * Divides a counter change by a count change
+ * @param {number} amount - Change of the measured counter
+ * @param {number} count - Change of the counter it is averaged over
+ * @returns {number|undefined} Amount per unit, undefined when nothing was counted
+ */
+function perUnit(amount, count) {
+    return count > 0 ? amount / count : undefined;
+}
+
+/**
+ * Packet loss over an interval
+ * @param {number} lost - Packets lost in the interval
+ * @param {number} received - Packets received in the interval
+ * @returns {number|undefined} Loss in percent, undefined when no packets were expected
+ */
+function lossPercent(lost, received) {
+    return perUnit(lost * 100, lost + received);
+}
+
 /**
  * Prepares WebRTC stats for server analysis
  * @function prepareStatsForServer
@@ -915,58 +1194,56 @@ function stopCollectingStats(intervalId) {
 }
 
 /**
- * Saves aggregated WebRTC stats
+ * Quotes a CSV field when it contains a comma, quote or line break (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvEscape(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes aggregated WebRTC stats as CSV: a timestamp column followed by one column per
+ * metric, one row per collection time. Every series is read once; when a metric has
+ * several samples at the same time (e.g. several candidate pairs) the first one is kept.
  * @function saveAggregatedStats
- * @async
- * @param {Object} stats - The stats to save
- * @returns {Promise<void>}
- * @throws {Error} If saving fails
+ * @param {Object} statsForAnalysis - Stats from prepareStatsForServer()
+ * @returns {Blob|null} CSV file, null when the stats are invalid or writing fails
  */
 function saveAggregatedStats(statsForAnalysis) {
     try {
-        // First, transform the stats into a format suitable for CSV
-        const transformedStats = [];
-        
-        // Check if statsForAnalysis is the correct object
         if (!statsForAnalysis || !statsForAnalysis.stats) {
             console.error('Invalid stats format');
             return null;
         }
 
-        // Get all timestamps from all metrics to create unique rows
-        const timestamps = new Set();
-        Object.values(statsForAnalysis.stats).forEach(metricArray => {
-            metricArray.forEach(([timestamp]) => timestamps.add(timestamp));
-        });
-
-        // Convert timestamps to array and sort
-        const sortedTimestamps = Array.from(timestamps).sort();
-
-        // Create a row for each timestamp
-        sortedTimestamps.forEach(timestamp => {
-            const row = {
-                timestamp: new Date(timestamp).toISOString()
-            };
-
-            // Add each metric's value for this timestamp
-            Object.entries(statsForAnalysis.stats).forEach(([metricName, metricArray]) => {
-                const dataPoint = metricArray.find(([t]) => t === timestamp);
-                row[metricName] = dataPoint ? dataPoint[1] : '';
+        const metricNames = Object.keys(statsForAnalysis.stats);
+        const rows = new Map();
+        metricNames.forEach((metricName, column) => {
+            statsForAnalysis.stats[metricName].forEach(([timestamp, value]) => {
+                let row = rows.get(timestamp);
+                if (!row) {
+                    row = new Array(metricNames.length);
+                    rows.set(timestamp, row);
+                }
+                if (row[column] === undefined) {
+                    row[column] = value;
+                }
             });
-
-            transformedStats.push(row);
         });
 
-        // Create CSV content
-        const headers = Object.keys(transformedStats[0] || {}).join(',');
-        const rows = transformedStats.map(row => 
-            Object.values(row).join(',')
-        ).join('\n');
-        
-        const csvContent = `${headers}\n${rows}`;
+        const lines = [['timestamp', ...metricNames].map(csvEscape).join(',')];
+        Array.from(rows.keys()).sort((a, b) => a - b).forEach((timestamp) => {
+            const row = rows.get(timestamp);
+            const fields = [new Date(timestamp).toISOString()];
+            for (let i = 0; i < metricNames.length; i++) {
+                fields.push(csvEscape(row[i]));
+            }
+            lines.push(fields.join(','));
+        });
 
-        // Create and return the Blob
-        return new Blob([csvContent], { type: 'text/csv' });
+        return new Blob([lines.join('\n')], { type: 'text/csv' });
 
     } catch (error) {
         console.error('Error saving stats:', error);
@@ -975,45 +1252,26 @@ function saveAggregatedStats(statsForAnalysis) {
 }
 
 /**
- * Downloads collected WebRTC metrics as a CSV file
+ * Downloads collected WebRTC metrics
  * 
- * Creates and triggers download of a CSV file containing aggregated WebRTC statistics.
- * The file is named with a timestamp and includes prepared statistics data.
+ * Creates and triggers download of the session's statistics in the chosen format
+ * (see EXPORT_FORMATS in session-export.js). The file is named with a timestamp; the
+ * JSON and HTML exports include the server's quality analysis when one was returned.
  * 
+ * @param {string} [format='csv'] - 'csv', 'json', 'ndjson' or 'html'
  * @returns {void}
  * 
  * @example
  * // Trigger metrics download
- * downloadMetrics();
+ * downloadMetrics('html');
  * 
  * @throws {Error} Shows alert if blob creation fails
  */
-function downloadMetrics() {
-    // Prepare statistics data for export
-    const statsForAnalysis = prepareStatsForServer();
-    
-    // Convert statistics to blob format
-    const blob = saveAggregatedStats(statsForAnalysis);
+function downloadMetrics(format = 'csv') {
+    const blob = createStatsExport(prepareStatsForServer(), format, lastSessionAnalysis);
     
     if (blob) {
-        // Create temporary URL for the blob
-        const url = window.URL.createObjectURL(blob);
-        
-        // Create temporary download link
-        const a = document.createElement('a');
-        a.href = url;
-        
-        // Generate filename with timestamp
-        const fileName = `webrtc-stats-${new Date().toISOString()}.csv`;
-        a.download = fileName;
-        
-        // Trigger download
-        document.body.appendChild(a);
-        a.click();
-        
-        // Clean up
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
+        downloadBlob(blob, `webrtc-stats-${new Date().toISOString()}.${EXPORT_FORMATS[format].extension}`);
     } else {
         // Handle error case
         alert('Error creating metrics file. Please check the console for more information.');
@@ -1538,25 +1796,15 @@ function viewFullMetrics() {
  * displayCsvData('header1,header2\nvalue1,value2');
  */
 function displayCsvData(csvData) {
-    const rows = csvData.split('\n');
-    const headers = rows[0].split(',');
+    const [headers, ...rows] = parseCsvRows(csvData);
+    const cellsHtml = (cells, tag) => cells.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
     
-    let tableHtml = '<table><thead><tr>';
-    headers.forEach(header => {
-        tableHtml += `<th>${header}</th>`;
-    });
-    tableHtml += '</tr></thead><tbody>';
-
-    for (let i = 1; i < rows.length; i++) {
-        const cells = rows[i].split(',');
+    let tableHtml = `<table><thead><tr>${cellsHtml(headers || [], 'th')}</tr></thead><tbody>`;
+    rows.forEach((cells) => {
         if (cells.length === headers.length) {
-            tableHtml += '<tr>';
-            cells.forEach(cell => {
-                tableHtml += `<td>${cell}</td>`;
-            });
-            tableHtml += '</tr>';
+            tableHtml += `<tr>${cellsHtml(cells, 'td')}</tr>`;
         }
-    }
+    });
     tableHtml += '</tbody></table>';
 
     document.getElementById('csvTable').innerHTML = tableHtml;
@@ -1741,11 +1989,12 @@ async function collectLocalStats() {
  * 
  * @description
  * Updates a chart with new WebRTC statistics based on the widget type.
- * Handles both audio and video statistics separately.
+ * Plots the latest aggregated sample of each stat, so rates derived from
+ * counter deltas (DERIVED_METRICS) chart the same way as raw values.
  * Maintains a rolling window of data points (maximum 20).
  * 
  * Process:
- * 1. Collects appropriate stats based on widget type
+ * 1. Collects audio and video stats
  * 2. Processes and stores the stats
  * 3. Updates chart with new data points
  * 4. Maintains data point limit by removing oldest entries
@@ -1771,41 +2020,40 @@ function updateChart(widget, widgetType) {
         return;
     }
 
-    // Determine which stats to collect based on widget type
-    const statsPromise = chartConfigs[widgetType].statsType === 'audio' 
-        ? window.activeGameLiftStream.getAudioRTCStats()
-        : window.activeGameLiftStream.getVideoRTCStats();
-
-    statsPromise.then(stats => {
+    collectLocalStats().then(statsArray => {
+        if (!statsArray) {
+            return;
+        }
         const config = chartConfigs[widgetType];
         const currentTimestamp = Date.now();
         
-        // Convert stats to array if it's not already
-        const statsArray = Array.from(stats.values());
-        
         // Process and store all stats
         processStats(statsArray, currentTimestamp);
-        
-        statsArray.forEach((report) => {
-            if (report.type === config.statsType) {
-                const timestamp = new Date(report.timestamp).toLocaleTimeString();
-                widget.chart.data.labels.push(timestamp);
-
-                config.stats.forEach((stat, index) => {
-                    const value = report[stat.key] || 0;
-                    widget.chart.data.datasets[index].data.push(value);
-                });
 
-                // Limit the number of data points
-                const maxDataPoints = 20;
-                if (widget.chart.data.labels.length > maxDataPoints) {
-                    widget.chart.data.labels.shift();
-                    widget.chart.data.datasets.forEach(dataset => dataset.data.shift());
-                }
+        // Plot the latest aggregated value of each stat; derived rates only exist there
+        const latest = config.stats.map(stat => {
+            const series = window.aggregatedStats.stats[`webrtc_${config.statsType}_${stat.key}`];
+            return series && series.length ? series[series.length - 1] : null;
+        });
+        // Samples can also come from the periodic collector, so plot whatever is new
+        const newest = Math.max(0, ...latest.map(sample => (sample ? sample[0] : 0)));
+        if (newest > (widget.lastPlottedSample || 0)) {
+            widget.lastPlottedSample = newest;
+            widget.chart.data.labels.push(new Date(newest).toLocaleTimeString());
+
+            latest.forEach((sample, index) => {
+                widget.chart.data.datasets[index].data.push(sample ? sample[1] : 0);
+            });
 
-                widget.chart.update();
+            // Limit the number of data points
+            const maxDataPoints = 20;
+            if (widget.chart.data.labels.length > maxDataPoints) {
+                widget.chart.data.labels.shift();
+                widget.chart.data.datasets.forEach(dataset => dataset.data.shift());
             }
-        });
+
+            widget.chart.update();
+        }
 
         widget.lastStatsCollection = currentTimestamp;
 
@@ -1831,6 +2079,8 @@ function updateChart(widget, widgetType) {
  */
 function streamConnectionStateCallback(state) {
     if (state === 'connected') {
+        loadStreamHealthThresholds();
+
         // Initialize stats collection
         if (typeof startCollectingStats === 'function') {
             startCollectingStats(STATS_COLLECTION_INTERVAL);
@@ -1934,6 +2184,11 @@ function debugGameLiftStream() {
 
 // WebRTC Chat Configs
 const chartConfigs = {
+    health: {
+        title: 'Stream Health',
+        statsType: 'health',
+        stats: [{ label: 'Level (0 ok, 1 warning, 2 critical)', key: 'level', color: 'rgb(255, 159, 64)' }]
+    },
     roundTripTime: {
         title: 'Round Trip Time',
         statsType: 'candidate-pair',
@@ -1979,5 +2234,76 @@ const chartConfigs = {
         title: 'Frames Dropped',
         statsType: 'inbound-rtp',
         stats: [{ label: 'Frames Dropped/s', key: 'framesDropped', color: 'rgb(255, 159, 64)' }]
+    },
+    bitrate: {
+        title: 'Bitrate',
+        statsType: 'derived',
+        stats: [
+            { label: 'Video (kbps)', key: 'videoBitrateKbps', color: 'rgb(54, 162, 235)' },
+            { label: 'Audio (kbps)', key: 'audioBitrateKbps', color: 'rgb(255, 206, 86)' }
+        ]
+    },
+    availableBitrate: {
+        title: 'Available Incoming Bitrate',
+        statsType: 'candidate-pair',
+        stats: [{ label: 'Available (bps)', key: 'availableIncomingBitrate', color: 'rgb(75, 192, 192)' }]
+    },
+    packetLoss: {
+        title: 'Packet Loss',
+        statsType: 'derived',
+        stats: [
+            { label: 'Video Loss (%)', key: 'videoPacketLossPercent', color: 'rgb(255, 99, 71)' },
+            { label: 'Audio Loss (%)', key: 'audioPacketLossPercent', color: 'rgb(255, 159, 64)' }
+        ]
+    },
+    jitterBuffer: {
+        title: 'Jitter Buffer Delay',
+        statsType: 'derived',
+        stats: [
+            { label: 'Video (ms)', key: 'jitterBufferMs', color: 'rgb(153, 102, 255)' },
+            { label: 'Audio (ms)', key: 'audioJitterBufferMs', color: 'rgb(255, 206, 86)' }
+        ]
+    },
+    resolution: {
+        title: 'Resolution',
+        statsType: 'inbound-rtp',
+        stats: [
+            { label: 'Width (px)', key: 'frameWidth', color: 'rgb(54, 162, 235)' },
+            { label: 'Height (px)', key: 'frameHeight', color: 'rgb(255, 99, 132)' }
+        ]
+    },
+    decodeTime: {
+        title: 'Decode Time',
+        statsType: 'derived',
+        stats: [{ label: 'Decode (ms/frame)', key: 'decodeMsPerFrame', color: 'rgb(75, 192, 192)' }]
+    },
+    freezes: {
+        title: 'Video Freezes',
+        statsType: 'derived',
+        stats: [{ label: 'Freeze Ratio', key: 'freezeRatio', color: 'rgb(255, 99, 71)' }]
+    },
+    quantization: {
+        title: 'Quantization',
+        statsType: 'derived',
+        stats: [{ label: 'QP per Frame', key: 'qpPerFrame', color: 'rgb(201, 203, 207)' }]
+    },
+    keyframeRequests: {
+        title: 'Retransmission & Keyframe Requests',
+        statsType: 'derived',
+        stats: [
+            { label: 'NACK/s', key: 'nackPerSecond', color: 'rgb(54, 162, 235)' },
+            { label: 'PLI/s', key: 'pliPerSecond', color: 'rgb(255, 159, 64)' },
+            { label: 'FIR/s', key: 'firPerSecond', color: 'rgb(255, 99, 132)' }
+        ]
+    },
+    audioJitter: {
+        title: 'Audio Jitter',
+        statsType: 'inbound-rtp-audio',
+        stats: [{ label: 'Jitter (s)', key: 'jitter', color: 'rgb(201, 203, 207)' }]
+    },
+    audioConcealment: {
+        title: 'Audio Concealment',
+        statsType: 'derived',
+        stats: [{ label: 'Concealed Samples (%)', key: 'concealedPercent', color: 'rgb(255, 206, 86)' }]
     }
 };
@@ -0,0 +1,337 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview "Test my connection" check of the setup panel
+ * @version 1.0.0
+ * @description Measures latency, jitter, probe loss and download throughput against the
+ * server's /api/diagnostics endpoints and compares them with the recommended minimums the
+ * server returns. The last result is kept for this browser tab and added to the stats
+ * metadata (networkDiagnostics) by processStats, so it can be correlated with the session.
+ *
+ * Also probes the round-trip time to each location the server lists and pre-fills the
+ * Locations field in that order, fastest first; the ranking goes into metadata.locationProbes.
+ */
+
+/** @const {string} sessionStorage key of the last result, kept across the reloads of the streaming flow */
+const NETWORK_DIAGNOSTICS_STORAGE_KEY = 'networkDiagnostics';
+
+/** @const {number} Time allowed for the download measurement, in milliseconds */
+const DIAGNOSTICS_DOWNLOAD_TIMEOUT_MS = 30000;
+
+/** @const {string} sessionStorage key of the last location ranking */
+const LOCATION_PROBES_STORAGE_KEY = 'locationProbes';
+
+/** Guards against starting a second test while one runs */
+let connectionTestRunning = false;
+
+/** Set once the player edits the Locations field, so an automatic ranking does not overwrite it */
+let locationsEditedByPlayer = false;
+
+/**
+ * Fetches an API path, aborting after the timeout
+ * @param {string} path - API path
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<Response>} Response with a 2xx status
+ */
+async function fetchWithTimeout(path, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(apiUrl(path), { headers: getAuthHeaders(), cache: 'no-store', signal: controller.signal });
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`GET ${path} returned non-2xx status code ${response.status}`);
+        }
+        // Read the body before the timer stops, it is part of the measurement
+        await response.arrayBuffer();
+        return response;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Sends the ping probes. The first probe only warms up the connection and is not counted.
+ * @param {Object} settings - Settings returned by /api/diagnostics/Settings
+ * @returns {Promise<Object>} latencyMs (median), jitterMs, packetLossPercent and the probe counts
+ */
+async function measureLatency(settings) {
+    await fetchWithTimeout('/api/diagnostics/Ping', settings.pingTimeoutMs).catch(() => undefined);
+
+    const roundTrips = [];
+    for (let i = 0; i < settings.pingCount; i++) {
+        const start = performance.now();
+        try {
+            await fetchWithTimeout('/api/diagnostics/Ping', settings.pingTimeoutMs);
+            roundTrips.push(performance.now() - start);
+        } catch (e) {
+            // Failed or timed out, counted as lost
+        }
+    }
+
+    const sorted = [...roundTrips].sort((a, b) => a - b);
+    // Mean difference of consecutive round trips, as RTP jitter is defined
+    const differences = roundTrips.slice(1).map((rtt, i) => Math.abs(rtt - roundTrips[i]));
+    return {
+        latencyMs: sorted.length ? sorted[Math.floor(sorted.length / 2)] : null,
+        jitterMs: differences.length ? differences.reduce((sum, d) => sum + d, 0) / differences.length : null,
+        packetLossPercent: (settings.pingCount - roundTrips.length) * 100 / settings.pingCount,
+        probesSent: settings.pingCount,
+        probesLost: settings.pingCount - roundTrips.length
+    };
+}
+
+/**
+ * Downloads the configured amount of data
+ * @param {Object} settings - Settings returned by /api/diagnostics/Settings
+ * @returns {Promise<number|null>} Throughput in Mbit/s, null when the download failed
+ */
+async function measureDownload(settings) {
+    const start = performance.now();
+    try {
+        await fetchWithTimeout(`/api/diagnostics/Download?Bytes=${settings.downloadBytes}`, DIAGNOSTICS_DOWNLOAD_TIMEOUT_MS);
+    } catch (e) {
+        console.warn('Download measurement failed:', e);
+        return null;
+    }
+    const seconds = (performance.now() - start) / 1000;
+    return settings.downloadBytes * 8 / seconds / 1e6;
+}
+
+/**
+ * Runs the whole test
+ * @returns {Promise<Object>} Measurements, the recommended minimums, one check per measurement and the verdict
+ */
+async function runNetworkDiagnostics() {
+    const settings = await doGet('/api/diagnostics/Settings');
+    const latency = await measureLatency(settings);
+    const downloadMbps = await measureDownload(settings);
+    const { recommended } = settings;
+
+    const checks = [
+        { name: 'latency', label: 'Latency', value: latency.latencyMs, unit: 'ms', limit: recommended.maxLatencyMs, higherIsBetter: false },
+        { name: 'jitter', label: 'Jitter', value: latency.jitterMs, unit: 'ms', limit: recommended.maxJitterMs, higherIsBetter: false },
+        { name: 'packetLoss', label: 'Packet loss', value: latency.packetLossPercent, unit: '%', limit: recommended.maxPacketLossPercent, higherIsBetter: false },
+        { name: 'download', label: 'Download', value: downloadMbps, unit: 'Mbit/s', limit: recommended.minDownloadMbps, higherIsBetter: true }
+    ].map((check) => ({
+        ...check,
+        passed: check.value !== null && (check.higherIsBetter ? check.value >= check.limit : check.value <= check.limit)
+    }));
+
+    return {
+        testedAt: Date.now(),
+        ...latency,
+        downloadMbps,
+        recommended,
+        checks,
+        meetsRecommended: checks.every((check) => check.passed)
+    };
+}
+
+/**
+ * Last stored test result of this tab
+ * @returns {Object|null} Result of runNetworkDiagnostics, null when no test has run
+ */
+function loadNetworkDiagnosticsResult() {
+    try {
+        return JSON.parse(sessionStorage.getItem(NETWORK_DIAGNOSTICS_STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Runs the test from the setup panel and shows the result there
+ * @returns {Promise<void>}
+ */
+async function runConnectionTest() {
+    if (connectionTestRunning) {
+        return;
+    }
+    connectionTestRunning = true;
+    const container = document.getElementById('setupNetworkDiagnostics');
+    container.style.display = 'block';
+    container.textContent = 'Testing your connection...';
+    try {
+        const result = await runNetworkDiagnostics();
+        sessionStorage.setItem(NETWORK_DIAGNOSTICS_STORAGE_KEY, JSON.stringify(result));
+        renderNetworkDiagnostics(container, result);
+    } catch (e) {
+        console.error('Connection test failed:', e);
+        container.textContent = `The connection test could not run: ${e.message}`;
+    } finally {
+        connectionTestRunning = false;
+    }
+}
+
+/**
+ * Renders a test result as a verdict and a table of measurements against the minimums
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} result - Result of runNetworkDiagnostics
+ */
+function renderNetworkDiagnostics(container, result) {
+    container.innerHTML = '';
+    const verdict = document.createElement('div');
+    verdict.className = `network-diagnostics-verdict ${result.meetsRecommended ? 'network-diagnostics-passed' : 'network-diagnostics-failed'}`;
+    verdict.textContent = result.meetsRecommended
+        ? 'Your connection meets the recommended minimums for streaming.'
+        : 'Your connection is below the recommended minimums; the stream may stutter or lose quality.';
+    container.appendChild(verdict);
+
+    const table = document.createElement('table');
+    result.checks.forEach((check) => {
+        const row = table.insertRow();
+        row.className = check.passed ? 'network-diagnostics-passed' : 'network-diagnostics-failed';
+        const format = (value) => (value === null ? 'failed' : `${value.toFixed(1)} ${check.unit}`);
+        [check.label, format(check.value), `${check.higherIsBetter ? 'at least' : 'at most'} ${check.limit} ${check.unit}`]
+            .forEach((text) => { row.insertCell().textContent = text; });
+    });
+    container.appendChild(table);
+}
+
+/**
+ * Times one round trip to a probe URL. This server's own paths go through apiUrl; regional
+ * endpoints do not send CORS headers, so they are fetched opaquely, which still times the trip.
+ * @param {string} url - Probe URL from /api/diagnostics/Locations
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<number>} Round trip in milliseconds
+ */
+async function probeLocationOnce(url, timeoutMs) {
+    const start = performance.now();
+    if (url.startsWith('/')) {
+        await fetchWithTimeout(url, timeoutMs);
+    } else {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            await fetch(url, { mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+    return performance.now() - start;
+}
+
+/**
+ * Probes every listed location and ranks them by median round trip
+ * @returns {Promise<Object>} probedAt, locations ({location, latencyMs} fastest first, null
+ * latency for unreachable ones, last) and order (reachable locations, fastest first)
+ */
+async function probeLocations() {
+    const settings = await doGet('/api/diagnostics/Locations');
+    const locations = [];
+    for (const { Location, Url } of settings.Locations) {
+        // The first request also opens the connection, so it is not counted
+        await probeLocationOnce(Url, settings.timeoutMs).catch(() => undefined);
+        const roundTrips = [];
+        for (let i = 0; i < settings.probeCount; i++) {
+            try {
+                roundTrips.push(await probeLocationOnce(Url, settings.timeoutMs));
+            } catch (e) {
+                // Failed or timed out
+            }
+        }
+        roundTrips.sort((a, b) => a - b);
+        locations.push({
+            location: Location,
+            latencyMs: roundTrips.length ? Math.round(roundTrips[Math.floor(roundTrips.length / 2)]) : null
+        });
+    }
+    const rank = (entry) => (entry.latencyMs === null ? Infinity : entry.latencyMs);
+    locations.sort((a, b) => rank(a) - rank(b));
+    return {
+        probedAt: Date.now(),
+        locations,
+        order: locations.filter((entry) => entry.latencyMs !== null).map((entry) => entry.location)
+    };
+}
+
+/**
+ * Last location ranking of this tab
+ * @returns {Object|null} Result of probeLocations, null when no probe has run
+ */
+function loadLocationProbeResult() {
+    try {
+        return JSON.parse(sessionStorage.getItem(LOCATION_PROBES_STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Orders locations by the last ranking; locations that were not reached or not probed keep
+ * their relative order after the ranked ones
+ * @param {Array<string>} locations - Locations to order, e.g. those allowed for an application
+ * @returns {Array<string>} Same locations, fastest first
+ */
+function rankedProbeLocations(locations) {
+    const result = loadLocationProbeResult();
+    const order = result ? result.order : [];
+    const position = (location) => (order.includes(location) ? order.indexOf(location) : order.length);
+    return [...locations].sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Writes a location order into the setup panel's Locations fields
+ * @param {Array<string>} order - Locations in priority order
+ */
+function applyLocationOrder(order) {
+    if (!order.length) {
+        return;
+    }
+    document.getElementById('setupLocationsDisplay').value = order.join(', ');
+    const jsonInput = document.getElementById('setupLocations');
+    jsonInput.value = JSON.stringify(order);
+    jsonInput.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Probes the locations, shows the ranking and pre-fills Locations with it
+ * @param {boolean} [automatic=false] - Started on page load rather than by the player; failures
+ * are only logged and a Locations value the player typed meanwhile is kept
+ * @returns {Promise<void>}
+ */
+async function appProbeLocations(automatic = false) {
+    const container = document.getElementById('setupLocationProbes');
+    container.style.display = 'block';
+    container.textContent = 'Measuring latency to each location...';
+    let result;
+    try {
+        result = await probeLocations();
+    } catch (e) {
+        console.warn('Location probes failed:', e);
+        container.textContent = automatic ? '' : `Location latency could not be measured: ${e.message}`;
+        container.style.display = automatic ? 'none' : 'block';
+        return;
+    }
+    sessionStorage.setItem(LOCATION_PROBES_STORAGE_KEY, JSON.stringify(result));
+    renderLocationProbes(container, result);
+    if (!automatic || !locationsEditedByPlayer) {
+        applyLocationOrder(result.order);
+    }
+}
+
+/**
+ * Lists the ranked locations with their latency
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} result - Result of probeLocations
+ */
+function renderLocationProbes(container, result) {
+    container.innerHTML = '';
+    const list = document.createElement('ol');
+    result.locations.forEach(({ location, latencyMs }) => {
+        const item = document.createElement('li');
+        item.textContent = `${location}: ${latencyMs === null ? 'unreachable' : `${latencyMs} ms`}`;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const displayInput = document.getElementById('setupLocationsDisplay');
+    if (displayInput) {
+        displayInput.addEventListener('input', () => { locationsEditedByPlayer = true; });
+    }
+});
@@ -0,0 +1,14 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Deployment settings of the frontend
+ * @version 1.0.0
+ * @description The CDK stack replaces this file when it uploads the frontend to S3 (see
+ * lib/gls-frontend.ts), setting API_BASE_URL to the CloudFront URL that routes /api/* to
+ * API Gateway. This checked-in copy is what the local server serves: with no API_BASE_URL
+ * the page derives the API Gateway URL from its own address.
+ */
+window.RUNTIME_CONFIG = {};
@@ -0,0 +1,427 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Compare Sessions: overlays the metrics of several sessions
+ * @version 1.0.0
+ * @description Sessions come from CSV files written by downloadMetrics() (dropped on the
+ * page or picked with the file input) or from the Past Sessions history. Each chart plots
+ * the sessions against seconds since their own start, and a summary table shows the
+ * average FPS, RTT, jitter and packet loss of each session with its delta to the first one.
+ */
+
+/** @const {string[]} Colors assigned to compared sessions, in order */
+const COMPARE_COLORS = [
+    'rgb(75, 192, 192)', 'rgb(255, 99, 132)', 'rgb(255, 206, 86)',
+    'rgb(54, 162, 235)', 'rgb(153, 102, 255)', 'rgb(255, 159, 64)'
+];
+
+/**
+ * Summary metrics of the comparison table. Series are collapsed per timestamp: counters
+ * (audio and video inbound-rtp) are summed, gauges averaged.
+ * @const {Array<Object>}
+ */
+const COMPARE_SUMMARY_METRICS = [
+    { label: 'Average FPS', unit: 'fps', higherIsBetter: true,
+        value: (stats) => seriesAverage(collapseSeries(stats['webrtc_inbound-rtp_framesPerSecond'], true)) },
+    { label: 'Average RTT', unit: 'ms', higherIsBetter: false,
+        value: (stats) => scaleValue(seriesAverage(collapseSeries(stats['webrtc_candidate-pair_currentRoundTripTime'], false)), 1000) },
+    { label: 'Average jitter', unit: 'ms', higherIsBetter: false,
+        value: (stats) => scaleValue(seriesAverage(collapseSeries(stats['webrtc_inbound-rtp_jitter'], false)), 1000) },
+    { label: 'Packet loss', unit: '%', higherIsBetter: false, value: packetLossPercent }
+];
+
+/**
+ * Chart types of chartConfigs overlaid in the comparison view
+ * @const {string[]}
+ */
+const COMPARE_CHART_TYPES = ['fps', 'roundTripTime', 'jitter', 'packets'];
+
+/** Sessions being compared: { label, report } */
+let comparisonSessions = [];
+
+/** Panel shown before the Compare Sessions view, restored by its Back button */
+let compareReturnPanel = null;
+
+/**
+ * Splits CSV text into rows of fields; handles quoted fields with commas, quotes and newlines
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((fields) => fields.some((value) => value !== ''));
+}
+
+/**
+ * Parses a metrics CSV written by downloadMetrics() back into the aggregatedStats shape
+ * @param {string} text - CSV text with a timestamp column followed by one column per metric
+ * @param {string} [source] - File name, kept in the metadata
+ * @returns {Object} { metadata, stats, sessionDuration } as returned by prepareStatsForServer()
+ * @throws {Error} When the file has no timestamp column or no samples
+ */
+function parseMetricsCsv(text, source) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header || header[0] !== 'timestamp') {
+        throw new Error('Not a metrics CSV: the first column must be "timestamp"');
+    }
+    const stats = {};
+    const metricNames = header.slice(1);
+    metricNames.forEach((name) => { stats[name] = []; });
+
+    rows.forEach((fields) => {
+        const timestamp = Date.parse(fields[0]);
+        if (Number.isNaN(timestamp)) {
+            return;
+        }
+        metricNames.forEach((name, index) => {
+            const raw = fields[index + 1];
+            const value = raw === undefined || raw === '' ? NaN : Number(raw);
+            if (!Number.isNaN(value)) {
+                stats[name].push([timestamp, value]);
+            }
+        });
+    });
+
+    const timestamps = Object.values(stats).flat().map(([timestamp]) => timestamp);
+    if (!timestamps.length) {
+        throw new Error('The CSV file holds no samples');
+    }
+    const streamStartTime = Math.min(...timestamps);
+    return {
+        metadata: { source, streamStartTime },
+        stats,
+        sessionDuration: Math.max(...timestamps) - streamStartTime
+    };
+}
+
+/**
+ * Collapses a series to one value per timestamp, in time order
+ * @param {Array<[number, number]>} [samples] - Series
+ * @param {boolean} sum - Sum values sharing a timestamp instead of averaging them
+ * @returns {Array<[number, number]>} Collapsed series
+ */
+function collapseSeries(samples, sum) {
+    const groups = new Map();
+    (samples || []).forEach(([timestamp, value]) => {
+        const group = groups.get(timestamp) || { total: 0, count: 0 };
+        group.total += value;
+        group.count++;
+        groups.set(timestamp, group);
+    });
+    return Array.from(groups.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([timestamp, { total, count }]) => [timestamp, sum ? total : total / count]);
+}
+
+/**
+ * Average value of a series
+ * @param {Array<[number, number]>} series - Series
+ * @returns {number|null} Average, null for an empty series
+ */
+function seriesAverage(series) {
+    return series.length ? series.reduce((total, [, value]) => total + value, 0) / series.length : null;
+}
+
+/**
+ * Multiplies a value that may be missing
+ * @param {number|null} value - Value
+ * @param {number} factor - Factor, e.g. 1000 for seconds to milliseconds
+ * @returns {number|null} Scaled value
+ */
+function scaleValue(value, factor) {
+    return value === null ? null : value * factor;
+}
+
+/**
+ * Increase of a cumulative counter over a series; a counter going backwards restarts from zero
+ * @param {Array<[number, number]>} series - Collapsed counter series
+ * @returns {number} Total increase
+ */
+function counterIncrease(series) {
+    let total = 0;
+    for (let i = 1; i < series.length; i++) {
+        const previous = series[i - 1][1];
+        const current = series[i][1];
+        total += current >= previous ? current - previous : Math.max(0, current);
+    }
+    return total;
+}
+
+/**
+ * Share of inbound packets lost during a session
+ * @param {Object} stats - Stats of the session
+ * @returns {number|null} Percentage, null without packet counters
+ */
+function packetLossPercent(stats) {
+    const lost = collapseSeries(stats['webrtc_inbound-rtp_packetsLost'], true);
+    const received = collapseSeries(stats['webrtc_inbound-rtp_packetsReceived'], true);
+    if (lost.length < 2 || received.length < 2) {
+        return null;
+    }
+    const lostCount = counterIncrease(lost);
+    const total = lostCount + counterIncrease(received);
+    return total ? (100 * lostCount) / total : 0;
+}
+
+/**
+ * Adds a session to the comparison, replacing one with the same label
+ * @param {string} label - Name shown in the legend and the summary table
+ * @param {Object} report - Stats in the prepareStatsForServer() shape
+ */
+function addComparisonSession(label, report) {
+    comparisonSessions = comparisonSessions.filter((session) => session.label !== label);
+    comparisonSessions.push({ label, report });
+    renderComparison();
+}
+
+/**
+ * Removes a session from the comparison
+ * @param {number} index - Position in comparisonSessions
+ */
+function removeComparisonSession(index) {
+    comparisonSessions.splice(index, 1);
+    renderComparison();
+}
+
+/**
+ * Loads CSV files into the comparison
+ * @param {FileList|File[]} files - Files dropped or picked by the user
+ * @returns {Promise<void>}
+ */
+async function addComparisonFiles(files) {
+    const message = document.getElementById('compareMessage');
+    message.textContent = '';
+    for (const file of Array.from(files)) {
+        try {
+            addComparisonSession(file.name, parseMetricsCsv(await file.text(), file.name));
+        } catch (e) {
+            console.error(`Failed to load ${file.name}:`, e);
+            message.textContent = `${file.name}: ${e.message}`;
+        }
+    }
+}
+
+/**
+ * Adds a Past Sessions entry to the comparison and opens the Compare Sessions view
+ * @param {string} id - Session id in the history
+ * @returns {Promise<void>}
+ */
+async function appCompareHistorySession(id) {
+    const record = await getSessionFromHistory(id);
+    if (!record) {
+        return;
+    }
+    const started = new Date(record.startedAt || record.savedAt).toLocaleString();
+    addComparisonSession(`${record.application || 'Session'} ${started}`, record.report);
+    appShowCompareSessions();
+}
+
+/**
+ * Opens the Compare Sessions view, remembering the panel to return to
+ */
+function appShowCompareSessions() {
+    const current = Array.from(document.querySelectorAll('body > div'))
+        .find((panel) => panel.style.display === 'block' && panel.id !== 'appCompareSessions');
+    if (current) {
+        compareReturnPanel = current.id;
+    }
+    appShowPanel('appCompareSessions');
+    renderComparison();
+}
+
+/**
+ * Leaves the Compare Sessions view
+ */
+function appCloseCompareSessions() {
+    appShowPanel(compareReturnPanel || 'appSetup');
+}
+
+/**
+ * Formats a summary value
+ * @param {number|null} value - Value
+ * @param {string} unit - Unit suffix
+ * @returns {string} Formatted value
+ */
+function formatCompareValue(value, unit) {
+    return value === null ? 'n/a' : `${Math.round(value * 100) / 100} ${unit}`;
+}
+
+/**
+ * Redraws the session list, the summary table and the overlaid charts
+ */
+function renderComparison() {
+    const list = document.getElementById('compareSessionList');
+    const summary = document.getElementById('compareSummary');
+    const charts = document.getElementById('compareCharts');
+    if (!list) {
+        return;
+    }
+
+    // Session list
+    list.innerHTML = '';
+    comparisonSessions.forEach((session, index) => {
+        const item = document.createElement('li');
+        item.style.color = COMPARE_COLORS[index % COMPARE_COLORS.length];
+        item.textContent = `${session.label} (${formatSessionDuration(session.report.sessionDuration)}) `;
+        const remove = document.createElement('button');
+        remove.textContent = 'Remove';
+        remove.onclick = () => removeComparisonSession(index);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+
+    // Summary table; deltas are relative to the first session
+    summary.innerHTML = '';
+    if (comparisonSessions.length) {
+        const header = summary.createTHead().insertRow();
+        ['Metric', ...comparisonSessions.map((session) => session.label)].forEach((text) => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.appendChild(th);
+        });
+        const body = summary.createTBody();
+        COMPARE_SUMMARY_METRICS.forEach((metric) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = metric.label;
+            const values = comparisonSessions.map((session) => metric.value(session.report.stats));
+            values.forEach((value, index) => {
+                const cell = row.insertCell();
+                cell.textContent = formatCompareValue(value, metric.unit);
+                if (index > 0 && value !== null && values[0] !== null) {
+                    const delta = value - values[0];
+                    const sign = delta > 0 ? '+' : '';
+                    const deltaSpan = document.createElement('span');
+                    deltaSpan.textContent = ` (${sign}${formatCompareValue(delta, metric.unit)})`;
+                    if (delta !== 0) {
+                        const better = metric.higherIsBetter ? delta > 0 : delta < 0;
+                        deltaSpan.className = better ? 'compare-better' : 'compare-worse';
+                    }
+                    cell.appendChild(deltaSpan);
+                }
+            });
+        });
+    }
+
+    // Charts, with time normalized to seconds since each session's start
+    charts.querySelectorAll('canvas').forEach((canvas) => {
+        const chart = Chart.getChart(canvas);
+        if (chart) {
+            chart.destroy();
+        }
+    });
+    charts.innerHTML = '';
+    if (!comparisonSessions.length) {
+        return;
+    }
+    COMPARE_CHART_TYPES.forEach((chartType) => {
+        const chartConfig = chartConfigs[chartType];
+        const container = createChartContainer();
+        const canvas = document.createElement('canvas');
+        container.appendChild(canvas);
+        charts.appendChild(container);
+
+        const datasets = [];
+        comparisonSessions.forEach((session, index) => {
+            const start = session.report.metadata && session.report.metadata.streamStartTime;
+            chartConfig.stats.forEach((stat, statIndex) => {
+                const key = `webrtc_${chartConfig.statsType || 'inbound-rtp'}_${stat.key}`;
+                const series = collapseSeries(session.report.stats[key], chartConfig.statsType === 'inbound-rtp');
+                if (!series.length) {
+                    return;
+                }
+                const origin = start || series[0][0];
+                datasets.push({
+                    label: `${session.label}: ${stat.label}`,
+                    data: series.map(([timestamp, value]) => ({ x: (timestamp - origin) / 1000, y: value })),
+                    borderColor: COMPARE_COLORS[index % COMPARE_COLORS.length],
+                    borderDash: statIndex ? [6, 4] : [],
+                    pointRadius: 0,
+                    tension: 0.1
+                });
+            });
+        });
+
+        new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                parsing: false,
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: { display: true, text: 'Seconds since session start', color: '#ffffff' },
+                        ticks: { color: '#ffffff' }
+                    },
+                    y: {
+                        title: { display: true, text: 'Value', color: '#ffffff' },
+                        ticks: { color: '#ffffff' }
+                    }
+                },
+                plugins: {
+                    legend: { labels: { color: '#ffffff' } },
+                    title: { display: true, text: chartConfig.title, color: '#ffffff' }
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Accepts CSV files dropped anywhere on the Compare Sessions view
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const panel = document.getElementById('appCompareSessions');
+    if (!panel) {
+        return;
+    }
+    panel.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        panel.classList.add('compare-drag-over');
+    });
+    panel.addEventListener('dragleave', () => panel.classList.remove('compare-drag-over'));
+    panel.addEventListener('drop', (event) => {
+        event.preventDefault();
+        panel.classList.remove('compare-drag-over');
+        addComparisonFiles(event.dataTransfer.files);
+    });
+});
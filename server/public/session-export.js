@@ -0,0 +1,262 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Session metrics export as CSV, JSON, NDJSON or a self-contained HTML report
+ * @version 1.0.0
+ * @description Every format is built from a prepareStatsForServer() report, so the live
+ * session and sessions reopened from Past Sessions export the same way:
+ * - csv     One row per collection time, one column per metric (saveAggregatedStats)
+ * - json    Metadata, duration, the server's analysis when known, and every series
+ * - ndjson  One sample per line with the session's ids, for log pipelines
+ * - html    Summary statistics, findings and SVG charts in a single file without scripts
+ */
+
+/** @const {Object<string, {extension: string, type: string}>} File extension and MIME type per format */
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv' },
+    json: { extension: 'json', type: 'application/json' },
+    ndjson: { extension: 'ndjson', type: 'application/x-ndjson' },
+    html: { extension: 'html', type: 'text/html' }
+};
+
+/**
+ * Builds an export of a session
+ * @param {Object} report - Stats from prepareStatsForServer()
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object|null} [analysis] - Quality analysis returned by the server, if any
+ * @returns {Blob|null} File contents, null when the report is missing or the export failed
+ */
+function createStatsExport(report, format, analysis) {
+    if (!report || !report.stats || !EXPORT_FORMATS[format]) {
+        console.error(`Cannot export ${format}: invalid stats or format`);
+        return null;
+    }
+    if (format === 'csv') {
+        return saveAggregatedStats(report);
+    }
+    try {
+        const content = {
+            json: () => JSON.stringify(statsToJson(report, analysis), null, 2),
+            ndjson: () => statsToNdjson(report),
+            html: () => statsToHtmlReport(report, analysis)
+        }[format]();
+        return new Blob([content], { type: EXPORT_FORMATS[format].type });
+    } catch (error) {
+        console.error(`Error creating ${format} export:`, error);
+        return null;
+    }
+}
+
+/**
+ * Saves a Blob through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Full JSON export
+ * @param {Object} report - Stats from prepareStatsForServer()
+ * @param {Object|null} [analysis] - Quality analysis, if any
+ * @returns {Object} exportedAt, metadata, sessionDuration, analysis and stats
+ */
+function statsToJson(report, analysis) {
+    return {
+        exportedAt: new Date().toISOString(),
+        metadata: report.metadata || {},
+        sessionDuration: report.sessionDuration,
+        analysis: analysis || null,
+        stats: report.stats
+    };
+}
+
+/**
+ * NDJSON export: one sample per line, in time order, each carrying the session's ids
+ * @param {Object} report - Stats from prepareStatsForServer()
+ * @returns {string} Newline-delimited JSON
+ */
+function statsToNdjson(report) {
+    const metadata = report.metadata || {};
+    const samples = [];
+    Object.entries(report.stats).forEach(([metric, series]) => {
+        series.forEach(([timestamp, value]) => samples.push({ timestamp, metric, value }));
+    });
+    samples.sort((a, b) => a.timestamp - b.timestamp);
+    return samples.map(({ timestamp, metric, value }) => JSON.stringify({
+        time: new Date(timestamp).toISOString(),
+        timestamp,
+        clientId: metadata.clientId,
+        streamStartTime: metadata.streamStartTime,
+        metric,
+        value
+    })).join('\n') + '\n';
+}
+
+/**
+ * First sample of each timestamp, in time order; audio and video or several candidate
+ * pairs can share a timestamp
+ * @param {Array<[number, number]>} series - Samples
+ * @returns {Array<[number, number]>} Samples with unique timestamps
+ */
+function uniqueSamples(series) {
+    const byTimestamp = new Map();
+    series.forEach(([timestamp, value]) => {
+        if (!byTimestamp.has(timestamp) && Number.isFinite(value)) {
+            byTimestamp.set(timestamp, value);
+        }
+    });
+    return Array.from(byTimestamp).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Summary statistics of a series
+ * @param {Array<[number, number]>} series - Samples
+ * @returns {Object|null} count, min, average, p95, max and last; null without samples
+ */
+function summarizeSeries(series) {
+    const samples = uniqueSamples(series);
+    if (!samples.length) {
+        return null;
+    }
+    const values = samples.map(([, value]) => value);
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: values.length,
+        min: sorted[0],
+        average: values.reduce((sum, value) => sum + value, 0) / values.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+        max: sorted[sorted.length - 1],
+        last: values[values.length - 1]
+    };
+}
+
+/**
+ * Formats a number for the report
+ * @param {number} value - Number
+ * @returns {string} Up to three decimals, large values without decimals
+ */
+function formatReportNumber(value) {
+    if (!Number.isFinite(value)) {
+        return '';
+    }
+    return Math.abs(value) >= 1000 ? String(Math.round(value)) : String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Draws a chartConfigs chart as an inline SVG line chart
+ * @param {Object} chartConfig - Entry of chartConfigs
+ * @param {Object} stats - Series of the report
+ * @returns {string} SVG markup, empty when the chart has no data
+ */
+function renderSvgChart(chartConfig, stats) {
+    const width = 720;
+    const height = 240;
+    const pad = { left: 60, right: 20, top: 30, bottom: 30 };
+    const lines = chartConfig.stats
+        .map((stat) => ({ stat, samples: uniqueSamples(stats[`webrtc_${chartConfig.statsType || 'inbound-rtp'}_${stat.key}`] || []) }))
+        .filter((line) => line.samples.length);
+    if (!lines.length) {
+        return '';
+    }
+
+    const all = lines.flatMap((line) => line.samples);
+    const t0 = Math.min(...all.map(([t]) => t));
+    const t1 = Math.max(...all.map(([t]) => t));
+    const yMin = Math.min(0, ...all.map(([, v]) => v));
+    const yMax = Math.max(...all.map(([, v]) => v));
+    const x = (t) => pad.left + (t1 > t0 ? (t - t0) / (t1 - t0) : 0.5) * (width - pad.left - pad.right);
+    const y = (v) => height - pad.bottom - (yMax > yMin ? (v - yMin) / (yMax - yMin) : 0.5) * (height - pad.top - pad.bottom);
+
+    const polylines = lines.map(({ stat, samples }) =>
+        `<polyline fill="none" stroke="${escapeHtml(stat.color)}" stroke-width="1.5" points="${
+            samples.map(([t, v]) => `${x(t).toFixed(1)},${y(v).toFixed(1)}`).join(' ')}"/>`).join('');
+    const legend = lines.map(({ stat }, i) =>
+        `<text x="${pad.left + i * 180}" y="18" fill="${escapeHtml(stat.color)}">${escapeHtml(stat.label)}</text>`).join('');
+    const axis = `<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#888"/>` +
+        `<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#888"/>` +
+        `<text x="${pad.left - 6}" y="${y(yMax) + 4}" text-anchor="end">${formatReportNumber(yMax)}</text>` +
+        `<text x="${pad.left - 6}" y="${y(yMin) + 4}" text-anchor="end">${formatReportNumber(yMin)}</text>` +
+        `<text x="${pad.left}" y="${height - 8}">${escapeHtml(new Date(t0).toLocaleTimeString())}</text>` +
+        `<text x="${width - pad.right}" y="${height - 8}" text-anchor="end">${escapeHtml(new Date(t1).toLocaleTimeString())}</text>`;
+
+    return `<figure><figcaption>${escapeHtml(chartConfig.title)}</figcaption>` +
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-size="11" font-family="sans-serif">` +
+        `${axis}${polylines}${legend}</svg></figure>`;
+}
+
+/**
+ * Self-contained HTML report: session details, analysis, health alerts, summary statistics
+ * and one SVG chart per chartConfigs entry with data
+ * @param {Object} report - Stats from prepareStatsForServer()
+ * @param {Object|null} [analysis] - Quality analysis, if any
+ * @returns {string} HTML document
+ */
+function statsToHtmlReport(report, analysis) {
+    const metadata = report.metadata || {};
+    const started = metadata.streamStartTime ? new Date(metadata.streamStartTime).toLocaleString() : 'unknown';
+    const details = [
+        ['Application', metadata.application],
+        ['Started', started],
+        ['Duration', formatSessionDuration(report.sessionDuration)],
+        ['Locations', (metadata.locations || []).join(', ')],
+        ['Video codec', metadata.codecs && metadata.codecs.video && metadata.codecs.video.mimeType],
+        ['Audio codec', metadata.codecs && metadata.codecs.audio && metadata.codecs.audio.mimeType],
+        ['Connection test', metadata.networkDiagnostics &&
+            (metadata.networkDiagnostics.meetsRecommended ? 'met the recommended minimums' : 'below the recommended minimums')],
+        ['Browser', metadata.browserInfo && `${metadata.browserInfo.platform} ${metadata.browserInfo.screenResolution}`],
+        ['Client id', metadata.clientId]
+    ].filter(([, value]) => value);
+
+    const findings = [
+        ...((analysis && analysis.findings) || []).map((finding) => [finding.severity, finding.message]),
+        ...(metadata.healthAlerts || []).map((alert) => [alert.level, `${new Date(alert.timestamp).toLocaleTimeString()} - ${alert.message}`])
+    ];
+
+    const summaryRows = Object.keys(report.stats).sort().map((metric) => {
+        const summary = summarizeSeries(report.stats[metric]);
+        return summary ? `<tr><td>${escapeHtml(metric)}</td>${['count', 'min', 'average', 'p95', 'max', 'last']
+            .map((key) => `<td>${formatReportNumber(summary[key])}</td>`).join('')}</tr>` : '';
+    }).join('');
+
+    const charts = Object.values(chartConfigs).map((chartConfig) => renderSvgChart(chartConfig, report.stats)).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Session report - ${escapeHtml(metadata.application || 'GameLift Streams')} - ${escapeHtml(started)}</title>
+<style>
+body { font-family: sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 24px; }
+td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+figure { margin: 0 0 24px 0; }
+figcaption { font-weight: bold; margin-bottom: 4px; }
+.warning { color: #a86d00; }
+.critical { color: #c0392b; }
+</style>
+</head>
+<body>
+<h1>Session report</h1>
+<table>${details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+${analysis ? `<h2>Session quality: ${escapeHtml(analysis.grade ? `${analysis.grade} (${analysis.score}/100)` : 'not enough data')}</h2>` : ''}
+${findings.length ? `<h2>Findings</h2><ul>${findings.map(([level, message]) => `<li class="${escapeHtml(level)}">${escapeHtml(message)}</li>`).join('')}</ul>` : ''}
+<h2>Summary statistics</h2>
+<table><tr><th>Metric</th><th>Samples</th><th>Min</th><th>Average</th><th>p95</th><th>Max</th><th>Last</th></tr>${summaryRows}</table>
+<h2>Charts</h2>
+${charts}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,318 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Past Sessions: finished sessions' WebRTC stats kept in IndexedDB
+ * @version 1.0.0
+ * @description Every finished session's prepareStatsForServer() report, its metadata and the
+ * server's quality analysis (when one was returned) are saved in this browser, so runs can be
+ * reopened, compared, exported or deleted after the page reloads.
+ */
+
+/** @const {string} IndexedDB database name */
+const SESSION_HISTORY_DB = 'gameliftStreamsSessionHistory';
+
+/** @const {number} IndexedDB schema version */
+const SESSION_HISTORY_DB_VERSION = 1;
+
+/** @const {string} Object store of saved sessions, keyed by id */
+const SESSION_HISTORY_STORE = 'sessions';
+
+/** Lazily opened database connection */
+let sessionHistoryDb = null;
+
+/** Panel shown before the Past Sessions view, restored by its Back button */
+let pastSessionsReturnPanel = null;
+
+/**
+ * Opens (and on first use creates) the session history database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openSessionHistoryDb() {
+    if (!sessionHistoryDb) {
+        sessionHistoryDb = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = window.indexedDB.open(SESSION_HISTORY_DB, SESSION_HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(SESSION_HISTORY_STORE, { keyPath: 'id' });
+                store.createIndex('savedAt', 'savedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry after a failure
+        sessionHistoryDb.catch(() => { sessionHistoryDb = null; });
+    }
+    return sessionHistoryDb;
+}
+
+/**
+ * Runs one operation in a session history transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest|undefined
+ * @returns {Promise<*>} Result of the request, once the transaction has completed
+ */
+async function sessionHistoryTransaction(mode, operation) {
+    const db = await openSessionHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SESSION_HISTORY_STORE, mode);
+        const request = operation(transaction.objectStore(SESSION_HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Describes what is being streamed from the setup panel, for the stats metadata
+ * @returns {Object} application, catalogId, applicationId, streamGroupId and locations
+ */
+function describeSessionSetup() {
+    const value = (id) => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+    const catalogId = value('setupCatalogId');
+    const catalogEntry = (window.applicationCatalog || []).find((entry) => entry.Id === catalogId);
+    let locations = [];
+    try {
+        locations = JSON.parse(value('setupLocations') || '[]');
+    } catch (e) {
+        // Keep the empty list; the setup panel validates this field before streaming
+    }
+    return {
+        application: catalogEntry ? catalogEntry.Name : (catalogId || value('setupApplicationId')),
+        catalogId: catalogId || undefined,
+        applicationId: value('setupApplicationId') || undefined,
+        streamGroupId: value('setupStreamGroupId') || undefined,
+        locations
+    };
+}
+
+/**
+ * Saves a finished session. Saving the same session again only adds a missing analysis, so
+ * the stats and duration recorded when the session ended are kept.
+ * @param {Object} report - Stats from prepareStatsForServer()
+ * @param {Object|null} analysis - Quality analysis returned by the server, if any
+ * @returns {Promise<string>} Id of the saved session
+ */
+async function saveSessionToHistory(report, analysis) {
+    const metadata = report.metadata || {};
+    const id = `${metadata.clientId || 'client'}-${metadata.streamStartTime || Date.now()}`;
+    const record = {
+        id,
+        savedAt: Date.now(),
+        startedAt: metadata.streamStartTime,
+        durationMs: report.sessionDuration,
+        application: metadata.application || '',
+        locations: metadata.locations || [],
+        browserInfo: metadata.browserInfo || {},
+        analysis: analysis || null,
+        report
+    };
+    await sessionHistoryTransaction('readwrite', (store) => {
+        const existing = store.get(id);
+        existing.onsuccess = () => {
+            store.put(existing.result
+                ? { ...existing.result, analysis: existing.result.analysis || record.analysis }
+                : record);
+        };
+        return undefined;
+    });
+    return id;
+}
+
+/**
+ * Lists saved sessions, most recent first
+ * @returns {Promise<Array<Object>>} Saved sessions
+ */
+async function listSessionHistory() {
+    const records = await sessionHistoryTransaction('readonly', (store) => store.index('savedAt').getAll());
+    return records.reverse();
+}
+
+/**
+ * Loads one saved session
+ * @param {string} id - Session id
+ * @returns {Promise<Object|undefined>} Saved session
+ */
+function getSessionFromHistory(id) {
+    return sessionHistoryTransaction('readonly', (store) => store.get(id));
+}
+
+/**
+ * Deletes one saved session
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+function deleteSessionFromHistory(id) {
+    return sessionHistoryTransaction('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Downloads a saved session in one of the export formats, with its saved analysis
+ * @param {string} id - Session id
+ * @param {string} format - 'csv', 'json', 'ndjson' or 'html' (see EXPORT_FORMATS)
+ * @returns {Promise<void>}
+ */
+async function exportSessionFromHistory(id, format) {
+    const record = await getSessionFromHistory(id);
+    if (!record) {
+        return;
+    }
+    const blob = createStatsExport(record.report, format, record.analysis);
+    if (!blob) {
+        alert('Error creating export file. Please check the console for more information.');
+        return;
+    }
+    downloadBlob(blob, `webrtc-session-${new Date(record.startedAt || record.savedAt).toISOString()}.${EXPORT_FORMATS[format].extension}`);
+}
+
+/**
+ * Formats a duration in milliseconds as h:mm:ss
+ * @param {number} ms - Duration
+ * @returns {string} Formatted duration
+ */
+function formatSessionDuration(ms) {
+    const seconds = Math.max(0, Math.round((ms || 0) / 1000));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Opens the Past Sessions view, remembering the panel to return to
+ * @returns {Promise<void>}
+ */
+async function appShowPastSessions() {
+    const current = Array.from(document.querySelectorAll('body > div'))
+        .find((panel) => panel.style.display === 'block' && panel.id !== 'appPastSessions');
+    if (current) {
+        pastSessionsReturnPanel = current.id;
+    }
+    appShowPanel('appPastSessions');
+    await renderPastSessions();
+}
+
+/**
+ * Leaves the Past Sessions view
+ */
+function appClosePastSessions() {
+    clearPastSessionCharts();
+    appShowPanel(pastSessionsReturnPanel || 'appSetup');
+}
+
+/**
+ * Fills the Past Sessions table
+ * @returns {Promise<void>}
+ */
+async function renderPastSessions() {
+    const list = document.getElementById('pastSessionsList');
+    const message = document.getElementById('pastSessionsMessage');
+    list.innerHTML = '';
+
+    let records;
+    try {
+        records = await listSessionHistory();
+    } catch (e) {
+        console.error('Failed to load past sessions:', e);
+        message.textContent = `Past sessions are unavailable: ${e.message}`;
+        return;
+    }
+    message.textContent = records.length ? '' : 'No finished sessions have been saved in this browser yet.';
+
+    records.forEach((record) => {
+        const row = list.insertRow();
+        const cell = (text) => {
+            const td = row.insertCell();
+            td.textContent = text === undefined || text === null ? '' : String(text);
+            return td;
+        };
+        cell(new Date(record.startedAt || record.savedAt).toLocaleString());
+        cell(record.application || 'unknown');
+        cell((record.locations || []).join(', '));
+        cell(formatSessionDuration(record.durationMs));
+        cell(record.analysis && record.analysis.grade ? `${record.analysis.grade} (${record.analysis.score})` : '-');
+        cell(`${record.browserInfo.platform || ''} ${record.browserInfo.screenResolution || ''}`.trim());
+
+        const actions = row.insertCell();
+        const addButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.onclick = onClick;
+            actions.appendChild(button);
+        };
+        addButton('Open', () => openPastSession(record.id));
+        addButton('Compare', () => appCompareHistorySession(record.id));
+        addButton('JSON', () => exportSessionFromHistory(record.id, 'json'));
+        addButton('CSV', () => exportSessionFromHistory(record.id, 'csv'));
+        addButton('NDJSON', () => exportSessionFromHistory(record.id, 'ndjson'));
+        addButton('Report', () => exportSessionFromHistory(record.id, 'html'));
+        addButton('Delete', async () => {
+            if (!window.confirm('Delete this session from the history?')) {
+                return;
+            }
+            await deleteSessionFromHistory(record.id);
+            clearPastSessionCharts();
+            await renderPastSessions();
+        });
+    });
+}
+
+/**
+ * Destroys the charts of the previously opened session and hides its detail area
+ */
+function clearPastSessionCharts() {
+    const charts = document.getElementById('pastSessionCharts');
+    charts.querySelectorAll('canvas').forEach((canvas) => {
+        const chart = Chart.getChart(canvas);
+        if (chart) {
+            chart.destroy();
+        }
+    });
+    charts.innerHTML = '';
+    document.getElementById('pastSessionDetail').style.display = 'none';
+}
+
+/**
+ * Shows the charts and findings of a saved session
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+async function openPastSession(id) {
+    const record = await getSessionFromHistory(id);
+    if (!record) {
+        return;
+    }
+    clearPastSessionCharts();
+    const detail = document.getElementById('pastSessionDetail');
+    const charts = document.getElementById('pastSessionCharts');
+    document.getElementById('pastSessionTitle').textContent =
+        `${record.application || 'Session'} - ${new Date(record.startedAt || record.savedAt).toLocaleString()}`;
+
+    const findings = document.getElementById('pastSessionFindings');
+    findings.innerHTML = '';
+    ((record.analysis && record.analysis.findings) || []).forEach((finding) => {
+        const item = document.createElement('li');
+        item.className = `analysis-finding-${finding.severity}`;
+        item.textContent = finding.message;
+        findings.appendChild(item);
+    });
+    ((record.report.metadata && record.report.metadata.healthAlerts) || []).forEach((alert) => {
+        findings.appendChild(createHealthAlertItem(alert));
+    });
+
+    detail.style.display = 'block';
+    Object.keys(chartConfigs).forEach((chartType) => {
+        const container = createChartContainer();
+        const canvas = document.createElement('canvas');
+        container.appendChild(canvas);
+        charts.appendChild(container);
+        createIndividualChart(canvas, chartType, record.report);
+    });
+    detail.scrollIntoView({ behavior: 'smooth' });
+}
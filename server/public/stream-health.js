@@ -0,0 +1,244 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview In-stream health HUD with threshold alerts
+ * @version 1.0.0
+ * @description After every stats collection the latest RTT, packet loss, jitter and FPS are
+ * compared with the server's thresholds (GET /api/StreamHealthThresholds). A traffic-light
+ * HUD shows the result, and a metric that stays past a threshold for the sustained window
+ * raises a notification. The overall level is recorded as webrtc_health_level and every alert
+ * in metadata.healthAlerts, so both reach the post-session view and Past Sessions.
+ */
+
+/** @const {Object} Thresholds used until (or if) the server's are loaded, same shape as the endpoint's */
+const STREAM_HEALTH_DEFAULTS = {
+    rttMs: { warning: 100, critical: 150 },
+    packetLossPercent: { warning: 2, critical: 5 },
+    jitterMs: { warning: 30, critical: 50 },
+    fps: { warning: 45, critical: 24 },
+    sustainedSeconds: 10
+};
+
+/** @const {Array<string>} Level names, indexed by level */
+const STREAM_HEALTH_LEVELS = ['ok', 'warning', 'critical'];
+
+/**
+ * Metrics behind the health indicator. value() reads the sample recorded at the given
+ * collection time, scaled to the threshold's unit, or returns null when there is none.
+ * @const {Array<Object>}
+ */
+const STREAM_HEALTH_METRICS = [
+    { name: 'rtt', label: 'RTT', threshold: 'rttMs', unit: 'ms', digits: 0,
+        value: (timestamp) => scaleHealthSample(latestHealthSample('webrtc_candidate-pair_currentRoundTripTime', timestamp), 1000) },
+    { name: 'packetLoss', label: 'Loss', threshold: 'packetLossPercent', unit: '%', digits: 1,
+        value: (timestamp) => latestHealthSample('webrtc_derived_videoPacketLossPercent', timestamp) },
+    { name: 'jitter', label: 'Jitter', threshold: 'jitterMs', unit: 'ms', digits: 0,
+        value: (timestamp) => scaleHealthSample(latestHealthSample('webrtc_inbound-rtp_jitter', timestamp), 1000) },
+    { name: 'fps', label: 'FPS', threshold: 'fps', unit: 'fps', digits: 0, lowerIsWorse: true,
+        value: (timestamp) => latestHealthSample('webrtc_inbound-rtp_framesPerSecond', timestamp) }
+];
+
+/** Thresholds in use */
+let streamHealthThresholds = STREAM_HEALTH_DEFAULTS;
+
+/** Per metric: time it entered warning and critical state, and the highest level alerted since it was last ok */
+const streamHealthState = {};
+
+/**
+ * Fetches the server's thresholds; the defaults stay in use when the request fails
+ * @returns {Promise<void>}
+ */
+async function loadStreamHealthThresholds() {
+    try {
+        streamHealthThresholds = { ...STREAM_HEALTH_DEFAULTS, ...(await doGet('/api/StreamHealthThresholds')) };
+    } catch (e) {
+        console.warn('Stream health thresholds unavailable, using defaults:', e);
+    }
+}
+
+/**
+ * Value of a stat collected at the given time
+ * @param {string} name - Full metric name
+ * @param {number} timestamp - Collection time in milliseconds
+ * @returns {number|null} Last sample of that collection, null when none was recorded
+ */
+function latestHealthSample(name, timestamp) {
+    const series = window.aggregatedStats && window.aggregatedStats.stats[name];
+    const sample = series && series[series.length - 1];
+    return sample && sample[0] === timestamp && Number.isFinite(sample[1]) ? sample[1] : null;
+}
+
+/**
+ * @param {number|null} value - Sample value
+ * @param {number} factor - Unit conversion factor
+ * @returns {number|null} Scaled value, null stays null
+ */
+function scaleHealthSample(value, factor) {
+    return value === null ? null : value * factor;
+}
+
+/**
+ * Level of a metric value against its thresholds
+ * @param {Object} metric - Entry of STREAM_HEALTH_METRICS
+ * @param {number} value - Current value
+ * @returns {number} 0 ok, 1 warning, 2 critical
+ */
+function streamHealthLevel(metric, value) {
+    const { warning, critical } = streamHealthThresholds[metric.threshold];
+    const past = (limit) => (metric.lowerIsWorse ? value < limit : value > limit);
+    if (past(critical)) {
+        return 2;
+    }
+    return past(warning) ? 1 : 0;
+}
+
+/**
+ * Formats a metric value with its unit
+ * @param {Object} metric - Entry of STREAM_HEALTH_METRICS
+ * @param {number} value - Value
+ * @returns {string} e.g. "120 ms"
+ */
+function formatHealthValue(metric, value) {
+    return `${value.toFixed(metric.digits)} ${metric.unit}`;
+}
+
+/**
+ * Evaluates the stats of one collection: updates the HUD, records the overall level and
+ * raises an alert for every metric that has stayed past a threshold for the sustained window
+ * @param {number} timestamp - Collection time passed to processStats
+ */
+function evaluateStreamHealth(timestamp) {
+    if (!window.aggregatedStats) {
+        return;
+    }
+    const sustainedMs = streamHealthThresholds.sustainedSeconds * 1000;
+    const readings = [];
+
+    STREAM_HEALTH_METRICS.forEach((metric) => {
+        const value = metric.value(timestamp);
+        if (value === null) {
+            return;
+        }
+        const level = streamHealthLevel(metric, value);
+        const state = streamHealthState[metric.name] || (streamHealthState[metric.name] = { since: [], alertedLevel: 0 });
+        [1, 2].forEach((l) => {
+            state.since[l] = level >= l ? (state.since[l] || timestamp) : null;
+        });
+        if (level === 0) {
+            state.alertedLevel = 0;
+        }
+
+        // Highest level held for the whole window
+        const sustainedLevel = [2, 1].find((l) => state.since[l] && timestamp - state.since[l] >= sustainedMs) || 0;
+        if (sustainedLevel > state.alertedLevel) {
+            state.alertedLevel = sustainedLevel;
+            raiseStreamHealthAlert(metric, value, sustainedLevel, timestamp);
+        }
+        readings.push({ metric, value, level });
+    });
+
+    if (!readings.length) {
+        return;
+    }
+    recordStat('webrtc_health_level', timestamp, Math.max(...readings.map((reading) => reading.level)));
+    renderStreamHealthHud(readings);
+}
+
+/**
+ * Notifies the player of a sustained threshold breach and records it in the session metadata
+ * @param {Object} metric - Entry of STREAM_HEALTH_METRICS
+ * @param {number} value - Current value
+ * @param {number} level - 1 warning, 2 critical
+ * @param {number} timestamp - Collection time
+ */
+function raiseStreamHealthAlert(metric, value, level, timestamp) {
+    const levelName = STREAM_HEALTH_LEVELS[level];
+    const threshold = streamHealthThresholds[metric.threshold][levelName];
+    const alert = {
+        timestamp,
+        metric: metric.name,
+        level: levelName,
+        value,
+        threshold,
+        message: `${metric.label} ${formatHealthValue(metric, value)} has been ${metric.lowerIsWorse ? 'below' : 'above'} ` +
+            `the ${levelName} threshold of ${formatHealthValue(metric, threshold)} for ${streamHealthThresholds.sustainedSeconds} s`
+    };
+    const metadata = window.aggregatedStats.metadata;
+    metadata.healthAlerts = [...(metadata.healthAlerts || []), alert];
+    showNotification(`Stream health ${levelName}: ${alert.message}`);
+}
+
+/**
+ * Shows the overall traffic light and each metric's value in the stream HUD
+ * @param {Array<Object>} readings - metric, value and level of this collection
+ */
+function renderStreamHealthHud(readings) {
+    const hud = document.getElementById('streamHealthHud');
+    if (!hud) {
+        return;
+    }
+    const overall = Math.max(...readings.map((reading) => reading.level));
+    hud.innerHTML = '';
+    hud.title = 'Stream health: green is fine, amber and red are past the warning and critical thresholds';
+
+    const indicator = document.createElement('span');
+    indicator.className = `stream-health-indicator stream-health-${STREAM_HEALTH_LEVELS[overall]}`;
+    hud.appendChild(indicator);
+    readings.forEach(({ metric, value, level }) => {
+        const item = document.createElement('span');
+        item.className = `stream-health-metric stream-health-${STREAM_HEALTH_LEVELS[level]}`;
+        item.textContent = `${metric.label} ${formatHealthValue(metric, value)}`;
+        hud.appendChild(item);
+    });
+    hud.style.display = 'flex';
+}
+
+/**
+ * List item for a recorded health alert, styled like the analysis findings
+ * @param {Object} alert - Entry of metadata.healthAlerts
+ * @returns {HTMLLIElement} List item
+ */
+function createHealthAlertItem(alert) {
+    const item = document.createElement('li');
+    item.className = `analysis-finding-${alert.level}`;
+    item.textContent = `${new Date(alert.timestamp).toLocaleTimeString()} - ${alert.message}`;
+    return item;
+}
+
+/**
+ * Lists the session's health alerts in the stats content area, below the quality analysis
+ * @param {Array<Object>} [alerts] - metadata.healthAlerts of the session
+ */
+function displayHealthAlerts(alerts) {
+    const statsContent = document.getElementById('statsContent');
+    if (!statsContent || !alerts || !alerts.length) {
+        return;
+    }
+
+    // Replace the list of an earlier call
+    const existing = document.getElementById('streamHealthAlerts');
+    if (existing) {
+        existing.remove();
+    }
+
+    const container = document.createElement('div');
+    container.id = 'streamHealthAlerts';
+    container.className = 'webrtc-analysis-container';
+    const title = document.createElement('h2');
+    title.textContent = 'Stream Health Alerts';
+    container.appendChild(title);
+    const list = document.createElement('ul');
+    list.className = 'analysis-findings';
+    alerts.forEach((alert) => list.appendChild(createHealthAlertItem(alert)));
+    container.appendChild(list);
+
+    const previous = document.getElementById('webrtcAnalysis') || document.getElementById('session-time');
+    if (previous && previous.parentElement === statsContent) {
+        previous.after(container);
+    } else {
+        statsContent.prepend(container);
+    }
+}
@@ -48,6 +48,165 @@ function safeJSONParse(value, defaultValue) {
     }
 }
 
+/**
+ * Upper bound for waiting on a signal response, matches the server's STREAM_CONNECTION_TIMEOUT_SECONDS
+ * @constant {number}
+ */
+const SIGNAL_RESPONSE_MAX_WAIT_MS = 600 * 1000;
+
+/**
+ * Reconnection attempts made after a transient disconnect before showing the disconnect panel
+ * @constant {number}
+ */
+const AUTO_RECONNECT_MAX_ATTEMPTS = 6;
+
+/**
+ * Delay before the first automatic reconnection attempt, doubled for every further attempt
+ * @constant {number}
+ */
+const AUTO_RECONNECT_BASE_DELAY_MS = 1000;
+
+/**
+ * Upper bound for the delay between automatic reconnection attempts
+ * @constant {number}
+ */
+const AUTO_RECONNECT_MAX_DELAY_MS = 16000;
+
+/** Attempts made since the stream was last connected */
+let autoReconnectAttempts = 0;
+let autoReconnectInProgress = false;
+
+/**
+ * Waits until the new stream session is ACTIVE and returns its signal response.
+ * Uses the /api/StreamSessionEvents Server-Sent Events endpoint when running against the
+ * local server, and falls back to polling /api/GetSignalResponse when SSE is unavailable
+ * (API Gateway REST APIs buffer responses, so the Lambda deployment always polls).
+ * @async
+ * @param {Object} token - Response of CreateStreamSession
+ * @param {boolean} isLocal - Whether the page is served by the local server
+ * @returns {Promise<string>} Signal response
+ * @throws {Error} If the session fails to activate or the wait times out
+ */
+async function waitForSignalResponse(token, isLocal) {
+    if (isLocal && typeof EventSource !== 'undefined') {
+        try {
+            return await receiveSignalResponseEvents(token.Token);
+        } catch (e) {
+            if (!e.fallbackToPolling) {
+                throw e;
+            }
+            console.warn('Stream session events unavailable, falling back to polling');
+        }
+    }
+    return pollSignalResponse(token);
+}
+
+/**
+ * Subscribes to /api/StreamSessionEvents until the signal event arrives.
+ * @param {string} connectionToken - Connection token returned by CreateStreamSession
+ * @returns {Promise<string>} Signal response
+ * @throws {Error} With fallbackToPolling set when the event stream could not be used
+ */
+function receiveSignalResponseEvents(connectionToken) {
+    return new Promise((resolve, reject) => {
+        // EventSource cannot send headers, so the credential travels as access_token
+        const credential = localStorage.getItem('authCredential');
+        const events = new EventSource(`/api/StreamSessionEvents?Token=${encodeURIComponent(connectionToken)}` +
+            (credential ? `&access_token=${encodeURIComponent(credential)}` : ''));
+
+        events.addEventListener('status', (event) => {
+            console.log('Stream session status:', JSON.parse(event.data).Status);
+        });
+        events.addEventListener('signal', (event) => {
+            events.close();
+            resolve(JSON.parse(event.data).SignalResponse);
+        });
+        events.addEventListener('failure', (event) => {
+            events.close();
+            const data = JSON.parse(event.data);
+            reject(new Error(data.status ? `${data.error}: ${data.status}` : data.error));
+        });
+        // Connection refused, non-2xx response or stream dropped before a final event
+        events.onerror = () => {
+            events.close();
+            const error = new Error('Stream session event stream failed');
+            error.fallbackToPolling = true;
+            reject(error);
+        };
+    });
+}
+
+/**
+ * Polls /api/GetSignalResponse every second until a signal response is available.
+ * @async
+ * @param {Object} token - Response of CreateStreamSession
+ * @returns {Promise<string>} Signal response
+ * @throws {Error} If a request fails or SIGNAL_RESPONSE_MAX_WAIT_MS elapses
+ */
+async function pollSignalResponse(token) {
+    const getSignalResponseDelayMilliSec = 1000;
+    const deadline = Date.now() + SIGNAL_RESPONSE_MAX_WAIT_MS;
+    let signalResponse = '';
+    while (!signalResponse.length) {
+        if (Date.now() >= deadline) {
+            throw new Error('Timed out waiting for signal response');
+        }
+        console.log('Waiting...');
+        await new Promise((resolve) => { setTimeout(resolve, getSignalResponseDelayMilliSec); });
+        signalResponse = (await doPost('/api/GetSignalResponse', token)).SignalResponse;
+    }
+    return signalResponse;
+}
+
+/**
+ * Polls /api/QueueStatus while a CreateStreamSession request waits for stream capacity,
+ * showing the queue position on the loading screen. When the server is ready to retry
+ * placement (SignalRequestNeeded), the next poll carries a fresh signal request, since the
+ * offer sent with CreateStreamSession has gone stale by then.
+ * @async
+ * @param {Object} ticket - 202 response of CreateStreamSession
+ * @returns {Promise<Object>} CreateStreamSession response once a session was placed
+ * @throws {Error} If placement fails, or with leftQueue set when the user leaves the queue
+ */
+async function waitInQueue(ticket) {
+    let leftQueue = false;
+    const leaveQueue = () => {
+        leftQueue = true;
+        LoadingScreenSetQueueStatus(null);
+        doPost('/api/LeaveQueue', { Ticket: ticket.Ticket }).catch((e) => {
+            console.warn('Failed to leave queue:', e);
+        });
+    };
+
+    let status = ticket;
+    while (status.Status === 'QUEUED') {
+        console.log(`Queued for a stream session: position ${status.Position} of ${status.QueueLength}`);
+        LoadingScreenSetQueueStatus(status, leaveQueue);
+        if (!status.SignalRequestNeeded) {
+            await new Promise((resolve) => { setTimeout(resolve, status.PollIntervalMs); });
+        }
+        if (leftQueue) {
+            break;
+        }
+        const request = { Ticket: ticket.Ticket };
+        if (status.SignalRequestNeeded) {
+            request.SignalRequest = await window.myGameLiftStreams.generateSignalRequest();
+        }
+        status = await doPost('/api/QueueStatus', request);
+    }
+    LoadingScreenSetQueueStatus(null);
+
+    if (leftQueue) {
+        const error = new Error('Left the queue');
+        error.leftQueue = true;
+        throw error;
+    }
+    if (status.Status !== 'PLACED') {
+        throw new Error(`Queued stream session failed: ${status.Error}`);
+    }
+    return status;
+}
+
 /**
  * Initiates a new streaming session with WebRTC connection.
  * @async
@@ -89,29 +248,27 @@ async function appStartStreaming(isLocal) {
         const streamGroupId = isLocal ? document.getElementById('setupStreamGroupId').value : null;
         const setupApplicationIdValue = document.getElementById('setupApplicationId').value;
         const locations = document.getElementById('setupLocations').value;
+        const catalogId = document.getElementById('setupCatalogId').value;
 
-        const token = await doPost('/api/CreateStreamSession', {
+        let token = await doPost('/api/CreateStreamSession', {
+            CatalogId: catalogId || undefined,
             StreamGroupId: streamGroupId,  // This will be null when isLocal is false
             ApplicationIdentifier: setupApplicationIdValue === '' ? null : setupApplicationIdValue,
             UserId: document.getElementById('setupUserId').value,
             AdditionalLaunchArgs: JSON.parse(document.getElementById('setupArgs').value || '[]'),
             AdditionalEnvironmentVariables: JSON.parse(document.getElementById('setupEnv').value || '{}'),
             SignalRequest: signalRequest,
-            locations: safeJSONParse(locations),
+            Locations: safeJSONParse(locations),
         });
+        if (token.Queued) {
+            // No stream capacity right now, wait in line for a session
+            token = await waitInQueue(token);
+        }
         
         // Store the application description and client CPU cores from the response
         window.applicationDescription = token.ApplicationDescription;
 
-        // Loop of sleeping for 1 second, then polling GetSignalResponse
-        // (not infinite, eventually it will succeed or doPost will throw)
-        const getSignalResponseDelayMilliSec = 1000;
-        let signalResponse = '';
-        while (!signalResponse.length) {
-            console.log('Waiting...');
-            await new Promise((resolve) => { setTimeout(resolve, getSignalResponseDelayMilliSec); });
-            signalResponse = (await doPost('/api/GetSignalResponse', token)).SignalResponse;
-        }
+        const signalResponse = await waitForSignalResponse(token, isLocal);
 
         // Complete connection by forwarding signal response to GameLiftStreams object
         await window.myGameLiftStreams.processSignalResponse(signalResponse);
@@ -119,10 +276,18 @@ async function appStartStreaming(isLocal) {
         LoadingScreenStop();
         
         // Now when setting query parameters, handle differently based on isLocal which is set depending on Local or Lambda deployment.
-        if (isLocal) {
+        if (catalogId) {
+            // Catalog sessions are shared by catalog id, the server resolves the identifiers
             setQueryParams(new Map([
                 ['token', token.Token],
-                ['userId', document.getElementById('setupUserId').value],
+                ['userId', token.UserId || document.getElementById('setupUserId').value],
+                ['catalogId', catalogId],
+                ['location', JSON.parse(locations)[0]]
+            ]));
+        } else if (isLocal) {
+            setQueryParams(new Map([
+                ['token', token.Token],
+                ['userId', token.UserId || document.getElementById('setupUserId').value],
                 ['streamGroupId', streamGroupId],
                 ['applicationId', setupApplicationIdValue],
                 ['location', JSON.parse(locations)[0]]
@@ -130,12 +295,13 @@ async function appStartStreaming(isLocal) {
         } else {
             setQueryParams(new Map([
                 ['token', token.Token],
-                ['userId', document.getElementById('setupUserId').value],
+                ['userId', token.UserId || document.getElementById('setupUserId').value],
                 ['applicationId', setupApplicationIdValue],
                 ['location', JSON.parse(locations)[0]]
             ]));
         }
         appShowReconnectLinks(true);
+        appApplyTokenScope('owner');
 
         appShowPanel('appStreaming');
 
@@ -156,7 +322,16 @@ async function appStartStreaming(isLocal) {
         LoadingScreenStop();
         console.error('Failed to start streaming:', e);
         window.myGameLiftStreams.close();
-        appShowPanel('appError');
+        if (e.leftQueue) {
+            appShowPanel('appSetup');
+        } else if (e.body && Array.isArray(e.body.violations)) {
+            // Launch policy rejected the settings, let the user fix them
+            document.getElementById('setupValidationError').innerHTML =
+                formatLaunchPolicyViolations(e.body.violations);
+            appShowPanel('appSetup');
+        } else {
+            appShowPanel('appError');
+        }
     } finally {
         // Clean up the temporary looping audio element, if we created one.
         if (window.myPreStreamAudioElement) {
@@ -198,6 +373,9 @@ async function appReconnectStreaming() {
 
         LoadingScreenStop();
 
+        // Share links open as guest or spectator
+        appApplyTokenScope(result.Scope);
+
         appShowPanel('appStreaming');
     } catch (e) {
         LoadingScreenStop();
@@ -231,10 +409,11 @@ async function endStreamSession(token) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...getAuthHeaders(),
                 ...(csrfToken && { 'X-CSRF-Token': csrfToken }),
                 'Cache-Control': 'no-cache, no-store'
             },
-            body: JSON.stringify({ Token: token }),
+            body: JSON.stringify({ Token: token, Report: prepareStatsForServer() || undefined }),
             credentials: 'same-origin',
             signal: controller.signal
         });
@@ -279,8 +458,11 @@ async function endStreamSession(token) {
  * @param {string} state - Current connection state
  */
 function streamConnectionStateCallback(state) {
-    if (state === 'disconnected') {
-        appDisconnect();
+    if (state === 'connected') {
+        // A fresh budget for the next network blip
+        autoReconnectAttempts = 0;
+    } else if (state === 'disconnected' || state === 'failed') {
+        appAutoReconnect();
     }
 }
 
@@ -296,7 +478,7 @@ function streamConnectionStateCallback(state) {
  */
 function streamChannelErrorCallback(error) {
     console.debug('WebRTC internal connection error: ' + error);
-    appDisconnect();
+    appAutoReconnect();
 }
 
 /**
@@ -321,7 +503,87 @@ function streamServerDisconnectCallback(reasoncode) {
     }
     // The connection state will transition to 'disconnected' within 5 seconds,
     // but there is no reason to wait. The client can disconnect immediately.
-    appDisconnect();
+    if (reasoncode === 'terminated') {
+        appDisconnect();
+    } else {
+        appAutoReconnect();
+    }
+}
+
+/**
+ * Delay before an automatic reconnection attempt: exponential backoff with equal jitter,
+ * so clients dropped by the same network event do not all retry at once.
+ * @param {number} attempt - 1-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+function autoReconnectDelay(attempt) {
+    const backoff = Math.min(AUTO_RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt - 1), AUTO_RECONNECT_MAX_DELAY_MS);
+    return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Shows or hides the non-blocking reconnecting overlay on the stream.
+ * @param {string|null} text - Overlay text, or null to hide it
+ */
+function showReconnectOverlay(text) {
+    const overlay = document.getElementById('reconnectOverlay');
+    overlay.style.display = text ? 'flex' : 'none';
+    document.getElementById('reconnectOverlayText').textContent = text || '';
+}
+
+/**
+ * Reconnects to the stream session of the token in the page URL after a transient disconnect.
+ * Retries /api/ReconnectStreamSession with exponential backoff until the stream is back, the
+ * attempt budget is spent, or the token is rejected; only then shows the disconnect panel.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function appAutoReconnect() {
+    if (autoReconnectInProgress) {
+        return;
+    }
+    const connectionToken = getQueryParams().get('token');
+    if (!connectionToken || document.getElementById('appStreaming').style.display === 'none') {
+        appDisconnect();
+        return;
+    }
+
+    autoReconnectInProgress = true;
+    window.myGameLiftStreams.close();
+    try {
+        while (autoReconnectAttempts < AUTO_RECONNECT_MAX_ATTEMPTS) {
+            autoReconnectAttempts++;
+            showReconnectOverlay(`Reconnecting... (attempt ${autoReconnectAttempts} of ${AUTO_RECONNECT_MAX_ATTEMPTS})`);
+            await new Promise((resolve) => { setTimeout(resolve, autoReconnectDelay(autoReconnectAttempts)); });
+            try {
+                const signalRequest = await window.myGameLiftStreams.generateSignalRequest();
+                const result = await doPost('/api/ReconnectStreamSession', {
+                    Token: connectionToken,
+                    SignalRequest: signalRequest,
+                });
+                await window.myGameLiftStreams.processSignalResponse(result.SignalResponse);
+                appApplyTokenScope(result.Scope);
+                // close() detached input, restore it if the player had it enabled
+                if (window.myInputEnabled && window.myTokenScope !== 'spectate') {
+                    window.myGameLiftStreams.attachInput();
+                }
+                console.log(`Reconnected after ${autoReconnectAttempts} attempt(s)`);
+                showReconnectOverlay(null);
+                return;
+            } catch (e) {
+                console.warn(`Reconnection attempt ${autoReconnectAttempts} failed:`, e);
+                window.myGameLiftStreams.close();
+                if (e.status === 403 || e.status === 404) {
+                    // The token was revoked or the stream session is gone, retrying cannot help
+                    break;
+                }
+            }
+        }
+        showReconnectOverlay(null);
+        appDisconnect();
+    } finally {
+        autoReconnectInProgress = false;
+    }
 }
 
 /**
@@ -359,15 +621,21 @@ function appTerminateStream() {
 function handleRestart() {
     // Fire-and-forget a server request to terminate the stream session immediately.
     const connectionToken = getQueryParams().get('token');
-    if (connectionToken) {
+    // Guests and spectators only leave, the owner's stream session keeps running
+    if (connectionToken && (window.myTokenScope || 'owner') === 'owner') {
         void doPost('/api/DestroyStreamSession', { Token: connectionToken });
     }
     
     // Remove URL parameters first to prevent auto-reconnect
     const baseUrl = window.location.origin + window.location.pathname;
     window.history.replaceState({}, document.title, baseUrl);
-    
-    window.location.reload();
+
+    // Keep the session for the Past Sessions view before the page reloads
+    const report = prepareStatsForServer();
+    const saved = report ? saveSessionToHistory(report, null) : Promise.resolve();
+    saved.catch((error) => {
+        console.warn('Failed to save session to history:', error);
+    }).finally(() => window.location.reload());
     return false;
 }
 
@@ -226,8 +226,10 @@ function appValidateSetup(isLocal) {
         if (!getValue('setupUserId').match(/^[-a-zA-Z0-9]{1,100}$/)) {
             return 'Invalid User ID - must be between 1 and 100 alphanumeric characters or hyphens';
         }
+        // Catalog entries carry their own stream group and application on the server
+        const fromCatalog = getValue('setupCatalogId') !== '';
         // Only validate Stream Group ID if isLocal is true
-        if (isLocal && !getValue('setupStreamGroupId').match(/^(arn:.+[/])?sg-[a-zA-Z0-9]{5,}$/)) {
+        if (isLocal && !fromCatalog && !getValue('setupStreamGroupId').match(/^(arn:.+[/])?sg-[a-zA-Z0-9]{5,}$/)) {
             return 'Invalid Stream Group ID - check the GameLiftStreams console for valid Stream Group IDs';
         }
         try {
@@ -235,7 +237,7 @@ function appValidateSetup(isLocal) {
         } catch {
             return 'Invalid JSON list for Locations - example: ["us-east-2", "ap-northeast-1"]';
         }
-        if (getValue('setupApplicationId') !== "" && !getValue('setupApplicationId').match(/^(arn:.+[/])?a-[a-zA-Z0-9]{4,}$/)) {
+        if (!fromCatalog && getValue('setupApplicationId') !== "" && !getValue('setupApplicationId').match(/^(arn:.+[/])?a-[a-zA-Z0-9]{4,}$/)) {
             return 'Invalid Application ID - check the GameLiftStreams console for valid Application IDs';
         }
         try {
@@ -273,6 +275,56 @@ function appShowReconnectLinks(show) {
     }
 }
 
+/**
+ * Adapts the streaming UI to the scope of the connection token in use.
+ * Share tokens cannot issue further links or end the stream session, and
+ * spectators never attach input.
+ * @param {string} scope - 'owner', 'guest' or 'spectate'
+ */
+function appApplyTokenScope(scope) {
+    window.myTokenScope = scope || 'owner';
+    const isOwner = window.myTokenScope === 'owner';
+    for (const iter of document.getElementsByClassName('share-link-button')) {
+        iter.style.display = isOwner ? '' : 'none';
+    }
+    document.getElementById('streamingToggleInput').style.display =
+        window.myTokenScope === 'spectate' ? 'none' : '';
+    if (window.myTokenScope === 'spectate' && window.myInputEnabled) {
+        appToggleInput();
+    }
+}
+
+/**
+ * Issues a share token for the running stream session and copies its link to the clipboard.
+ * The link is the current page URL with the owner token replaced by the share token.
+ * @async
+ * @param {string} scope - 'spectate' or 'guest'
+ * @param {HTMLElement} [button] - Button to show feedback on
+ * @returns {Promise<void>}
+ */
+async function appCopyShareLink(scope, button) {
+    const label = button ? button.textContent : '';
+    const showFeedback = (text) => {
+        if (button) {
+            button.textContent = text;
+            setTimeout(() => { button.textContent = label; }, 2000);
+        }
+    };
+    try {
+        const share = await doPost('/api/CreateShareToken', {
+            Token: getQueryParams().get('token'),
+            Scope: scope,
+        });
+        const url = new URL(location);
+        url.searchParams.set('token', share.Token);
+        await navigator.clipboard.writeText(url.toString());
+        showFeedback('Link Copied');
+    } catch (e) {
+        console.error('Failed to create share link:', e);
+        showFeedback('Share Failed');
+    }
+}
+
 /**
  * Shows specified panel and hides others
  * @param {string} id - ID of panel to show
@@ -308,6 +360,10 @@ function helpMenuPanel() {
  * Toggles input attachment state
  */
 function appToggleInput() {
+    if (!window.myInputEnabled && window.myTokenScope === 'spectate') {
+        console.warn('Spectate links are view only, input stays detached');
+        return;
+    }
     if (window.myGameLiftStreams && window.myGameLiftStreams.detachInput) {
         window.myGameLiftStreams.detachInput();
     } else {
@@ -483,6 +539,159 @@ function toggleWordWrap() {
     }
 }
 
+/**
+ * Fetches the server's application catalog and, when it has entries, replaces the stream
+ * group and application id fields of the setup panel with a launcher grid
+ */
+async function loadApplicationCatalog() {
+    let applications;
+    try {
+        applications = (await doGet('/api/applications')).Applications || [];
+    } catch (e) {
+        console.warn('Application catalog unavailable:', e);
+        return;
+    }
+    if (!applications.length) {
+        return;
+    }
+    window.applicationCatalog = applications;
+
+    document.getElementById('streamGroupIdRow').style.display = 'none';
+    document.getElementById('applicationIdRow').style.display = 'none';
+    document.getElementById('setupClickToStart').style.display = 'none';
+
+    const grid = document.getElementById('setupLauncher');
+    grid.textContent = '';
+    applications.forEach((app) => {
+        const card = document.createElement('button');
+        card.className = 'launcher-card';
+        card.onclick = () => appLaunchCatalogApplication(app.Id);
+        if (app.Thumbnail) {
+            const image = document.createElement('img');
+            image.src = app.Thumbnail;
+            image.alt = '';
+            card.appendChild(image);
+        }
+        const name = document.createElement('div');
+        name.className = 'launcher-card-name';
+        name.textContent = app.Name;
+        card.appendChild(name);
+        const description = document.createElement('div');
+        description.className = 'launcher-card-description';
+        description.textContent = app.Description;
+        card.appendChild(description);
+        grid.appendChild(card);
+    });
+    grid.style.display = '';
+}
+
+/**
+ * Starts a stream of a catalog application, switching to its allowed locations (fastest
+ * first, when they have been probed) when the selected ones are not all available for it
+ * @param {string} catalogId - Catalog id of the application
+ */
+function appLaunchCatalogApplication(catalogId) {
+    const app = (window.applicationCatalog || []).find((entry) => entry.Id === catalogId);
+    if (!app) {
+        return;
+    }
+    document.getElementById('setupCatalogId').value = catalogId;
+
+    const selected = JSON.parse(document.getElementById('setupLocations').value || '[]');
+    if (app.Locations.length && !selected.every((location) => app.Locations.includes(location))) {
+        const ranked = rankedProbeLocations(app.Locations);
+        document.getElementById('setupLocationsDisplay').value = ranked.join(', ');
+        document.getElementById('setupLocations').value = JSON.stringify(ranked);
+    }
+
+    if (appValidateSetup(IS_LOCAL)) {
+        appStartStreaming(IS_LOCAL);
+    }
+}
+
+/**
+ * Fetches the server's launch policy for the selected application and lists the allowed
+ * command-line arguments and environment variables in the advanced settings panel
+ */
+async function showLaunchPolicy() {
+    const container = document.getElementById('setupLaunchPolicy');
+    const applicationId = document.getElementById('setupApplicationId').value;
+    const catalogId = document.getElementById('setupCatalogId').value;
+    container.textContent = 'Loading...';
+
+    let policy;
+    try {
+        policy = await doGet(`/api/LaunchPolicy?ApplicationIdentifier=${encodeURIComponent(applicationId)}` +
+            `&CatalogId=${encodeURIComponent(catalogId)}`);
+    } catch (e) {
+        console.error('Failed to fetch launch policy:', e);
+        container.textContent = 'Unable to load the launch policy';
+        return;
+    }
+
+    container.textContent = '';
+    if (!policy.enforced) {
+        container.textContent = 'The server does not restrict arguments or environment variables';
+        return;
+    }
+
+    // Build with textContent only, the policy file is not trusted HTML
+    const addList = (title, lines) => {
+        const heading = document.createElement('div');
+        heading.textContent = title;
+        container.appendChild(heading);
+        const list = document.createElement('ul');
+        (lines.length ? lines : ['(none)']).forEach((line) => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    };
+    const describe = (rule) => rule.description ? ` - ${rule.description}` : '';
+
+    addList(`Arguments (pattern, at most ${policy.args.maxCount}):`,
+        policy.args.allowed.map((rule) => `${rule.pattern}${describe(rule)}`));
+    if (policy.args.defaults.length) {
+        addList('Used when no arguments are given:', [JSON.stringify(policy.args.defaults)]);
+    }
+    if (policy.args.forced.length) {
+        addList('Always added by the server:', [JSON.stringify(policy.args.forced)]);
+    }
+    addList('Environment variables (name: pattern):',
+        Object.entries(policy.env.allowed).map(([key, rule]) =>
+            `${key}: ${rule.pattern}${rule.default !== undefined ? ` (default "${rule.default}")` : ''}${describe(rule)}`));
+    if (Object.keys(policy.env.forced).length) {
+        addList('Always set by the server:',
+            Object.entries(policy.env.forced).map(([key, value]) => `${key}=${value}`));
+    }
+}
+
+/**
+ * Escapes text for HTML element content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats launch policy violations returned by CreateStreamSession for setupValidationError
+ * @param {Array<Object>} violations - Violations with field, message and value
+ * @returns {string} Escaped HTML, one violation per line
+ */
+function formatLaunchPolicyViolations(violations) {
+    return violations.map((v) =>
+        escapeHtml(`${v.field}: ${v.message}${v.value !== undefined ? ` (${JSON.stringify(v.value)})` : ''}`)
+    ).join('<br>');
+}
+
 /**
  * Helper function to generate a unique client ID
  */
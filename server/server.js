@@ -34,12 +34,19 @@ const http = require('http');
 const https = require('https');
 const { GameLiftStreams } = require('@aws-sdk/client-gameliftstreams');
 const config = require('./config');
-
-// Initialize GameLiftStreams client
-const gameliftstreams = new GameLiftStreams({
-  endpoint: config.GAMELIFT_STREAMS_ENDPOINT || null,
-  region: config.GAMELIFT_STREAMS_REGION || null
-});
+const { createSessionStore } = require('./session-store');
+const { createMockGameLiftStreams } = require('./mock-gameliftstreams');
+const { createAuthMiddleware, isPrincipalAllowed, isScopeAllowed } = require('./auth');
+const { createDevOidcIssuer } = require('./oidc-dev-issuer');
+const { loadLaunchPolicy } = require('./launch-policy');
+const { loadApplicationCatalog } = require('./application-catalog');
+const { createStreamGroupRouter } = require('./stream-group-routing');
+const { createSessionQueue } = require('./session-queue');
+const { createAdminRouter, safeEqual } = require('./admin');
+const { createDiagnosticsRouter } = require('./network-diagnostics');
+const { validateSessionReport, createSessionReportStore } = require('./session-report');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetricsRegistry, instrumentGameLiftStreams } = require('./prometheus-metrics');
+const { createEmfWriter } = require('./emf');
 
 /**
  * Token Security Configuration
@@ -101,6 +108,58 @@ if (IS_LOCAL) {
   applyCommandLineEnvOverride('--profile', 'AWS_PROFILE');
 }
 
+/**
+ * Use the offline mock backend instead of Amazon GameLift Streams
+ * @constant {boolean} USE_MOCK - Set by the --mock flag (local mode) or config.MOCK_GAMELIFT_STREAMS.ENABLED
+ */
+const USE_MOCK = (IS_LOCAL && process.argv.includes('--mock')) || config.MOCK_GAMELIFT_STREAMS.ENABLED;
+
+/**
+ * Prometheus metrics, served at config.METRICS.PATH
+ * @constant {Object} metricsRegistry
+ */
+const metricsRegistry = createMetricsRegistry();
+const metrics = {
+  httpRequests: metricsRegistry.counter('http_requests_total',
+    'HTTP requests by method, route and status', ['method', 'route', 'status']),
+  httpDuration: metricsRegistry.histogram('http_request_duration_seconds',
+    'HTTP request latency by method, route and status', ['method', 'route', 'status'], config.METRICS.HTTP_DURATION_BUCKETS),
+  apiDuration: metricsRegistry.histogram('gameliftstreams_api_duration_seconds',
+    'GameLift Streams API call latency by operation', ['operation'], config.METRICS.API_DURATION_BUCKETS),
+  apiErrors: metricsRegistry.counter('gameliftstreams_api_errors_total',
+    'Failed GameLift Streams API calls by operation and error name', ['operation', 'error']),
+  sessionActivation: metricsRegistry.histogram('stream_session_activation_seconds',
+    'Time from CreateStreamSession until the stream session is ACTIVE', [], config.METRICS.ACTIVATION_BUCKETS),
+  rateLimitRejections: metricsRegistry.counter('rate_limit_rejections_total',
+    'Requests rejected by the rate limiter')
+};
+// Counted as this process issues and deletes tokens: a scrape never lists the session store
+metricsRegistry.gauge('connection_tokens_active', 'Live connection tokens issued by this server process by scope', ['scope'], async (set) => {
+  const scopes = { owner: 0, ...sessionStore.countByScope() };
+  // Session reports share the store but are not connection tokens
+  delete scopes.report;
+  Object.entries(scopes).forEach(([scope, count]) => set({ scope }, count));
+});
+
+// Initialize GameLiftStreams client, timing every API call for the metrics
+const gameliftstreams = instrumentGameLiftStreams(USE_MOCK
+  ? createMockGameLiftStreams({
+      apiLatencyMs: config.MOCK_GAMELIFT_STREAMS.API_LATENCY_MS,
+      activationDelayMs: config.MOCK_GAMELIFT_STREAMS.ACTIVATION_DELAY_MS,
+      terminationDelayMs: config.MOCK_GAMELIFT_STREAMS.TERMINATION_DELAY_MS,
+      activationErrorRate: config.MOCK_GAMELIFT_STREAMS.ACTIVATION_ERROR_RATE,
+      failureRates: config.MOCK_GAMELIFT_STREAMS.FAILURE_RATES,
+      maxConcurrentSessions: config.MOCK_GAMELIFT_STREAMS.MAX_CONCURRENT_SESSIONS,
+      region: config.GAMELIFT_STREAMS_REGION
+    })
+  : new GameLiftStreams({
+      endpoint: config.GAMELIFT_STREAMS_ENDPOINT || null,
+      region: config.GAMELIFT_STREAMS_REGION || null
+    }), { duration: metrics.apiDuration, errors: metrics.apiErrors });
+if (USE_MOCK) {
+  console.log('Using offline mock GameLift Streams backend');
+}
+
 /**
  * Express Application Setup
  * @description Initializes Express app with proxy trust and request size limits
@@ -125,13 +184,22 @@ app.use((req, res, next) => {
   const startTime = Date.now();
   
   res.on('finish', () => {
+    const duration = Date.now() - startTime;
     logger.info('Request completed', {
       correlationId: req.correlationId,
       method: req.method,
       path: req.path,
       statusCode: res.statusCode,
-      duration: Date.now() - startTime
+      duration
     });
+    // Label by route pattern, not path, so tokens and file names do not create new series
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'other',
+      status: res.statusCode
+    };
+    metrics.httpRequests.inc(labels);
+    metrics.httpDuration.observe(labels, duration / 1000);
   });
   
   next();
@@ -167,6 +235,16 @@ const timeoutMiddleware = (timeoutMs) => {
   };
 };
 
+/**
+ * CloudWatch Embedded Metric Format writer behind logger.metrics
+ * @constant {Object} emf
+ */
+const emf = createEmfWriter({
+  enabled: config.EMF.ENABLED,
+  namespace: config.EMF.NAMESPACE,
+  units: { SessionActivationLatency: 'Milliseconds' }
+});
+
 // Request context to logger
 const logger = {
   info: (message, meta = {}) => {
@@ -187,6 +265,10 @@ const logger = {
       requestId: meta.correlationId,
       ...meta
     }));
+  },
+  // Session metrics as EMF records, when config.EMF.ENABLED (see emf.js)
+  metrics: (values, dimensions, properties) => {
+    emf.putMetrics(values, dimensions, properties);
   }
 };
 
@@ -206,7 +288,7 @@ const corsMiddleware = (req, res, next) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Key',
     'Access-Control-Allow-Credentials': true
   };
 
@@ -300,6 +382,7 @@ const validateStreamSession = [
     .trim()
     .isLength({ max: 256 }),
   body('StreamGroupId')
+    .if(() => IS_LOCAL) // Lambda mode uses the deployed stream group
     .notEmpty()
     .trim()
     .isLength({ max: 256 }),
@@ -322,6 +405,109 @@ const validateStreamSession = [
   }
 ];
 
+/**
+ * Application Catalog
+ * Friendly application entries loaded from config.APPLICATION_CATALOG_FILE.
+ * Disabled when the file does not exist.
+ * @constant {Object} applicationCatalog
+ */
+const applicationCatalog = loadApplicationCatalog(path.resolve(__dirname, config.APPLICATION_CATALOG_FILE), logger);
+
+/**
+ * Stream Group Router
+ * Deployed stream groups from config.STREAM_GROUP_ROUTES, or the single config.STREAM_GROUP_ID.
+ * Used by CreateStreamSession in Lambda mode.
+ * @constant {Object} streamGroupRouter
+ */
+const streamGroupRouter = createStreamGroupRouter(config.STREAM_GROUP_ROUTES, config.STREAM_GROUP_ID);
+
+/**
+ * Catalog Resolution
+ * @middleware When the catalog is enabled, looks up req.body.CatalogId and replaces the
+ * client-supplied stream group, application and locations with the catalog's values.
+ * Catalog default arguments and environment variables apply when the client sends none.
+ */
+const resolveCatalogEntry = (req, res, next) => {
+  if (!applicationCatalog.enabled) {
+    return next();
+  }
+  const entry = applicationCatalog.get(req.body.CatalogId);
+  if (!entry) {
+    logger.error('Unknown catalog id', { correlationId: req.correlationId, catalogId: req.body.CatalogId });
+    return res.status(400).json({
+      error: 'UnknownApplication',
+      message: 'CatalogId does not match any application in the catalog',
+      correlationId: req.correlationId
+    });
+  }
+
+  const requestedLocations = Array.isArray(req.body.Locations) ? req.body.Locations : [];
+  const disallowed = requestedLocations.filter((location) => !entry.locations.includes(location));
+  if (entry.locations.length && disallowed.length) {
+    logger.error('Location not allowed for catalog entry', {
+      correlationId: req.correlationId,
+      catalogId: entry.id,
+      locations: disallowed
+    });
+    return res.status(400).json({
+      error: 'LocationNotAllowed',
+      message: `Locations not available for ${entry.name}: ${disallowed.join(', ')}`,
+      allowedLocations: entry.locations,
+      correlationId: req.correlationId
+    });
+  }
+
+  const clientArgs = req.body.AdditionalLaunchArgs;
+  const clientEnv = req.body.AdditionalEnvironmentVariables;
+  req.catalogEntry = entry;
+  req.body.StreamGroupId = entry.streamGroupId || undefined;
+  req.body.ApplicationIdentifier = entry.applicationIdentifier;
+  req.body.Locations = requestedLocations.length ? requestedLocations : (entry.locations.length ? entry.locations : undefined);
+  req.body.AdditionalLaunchArgs = Array.isArray(clientArgs) && clientArgs.length ? clientArgs : entry.defaultArgs;
+  if (clientEnv === undefined || clientEnv === null || (typeof clientEnv === 'object' && !Array.isArray(clientEnv))) {
+    req.body.AdditionalEnvironmentVariables = { ...entry.defaultEnv, ...clientEnv };
+  }
+  next();
+};
+
+/**
+ * Launch Policy
+ * Per-application allowlist for launch arguments and environment variables, loaded from
+ * config.LAUNCH_POLICY_FILE. Not enforced when the file does not exist.
+ * @constant {Object} launchPolicy
+ */
+const launchPolicy = loadLaunchPolicy(path.resolve(__dirname, config.LAUNCH_POLICY_FILE), logger);
+
+/**
+ * Launch Policy Enforcement
+ * @middleware Replaces AdditionalLaunchArgs and AdditionalEnvironmentVariables with the values
+ * resolved by the launch policy (client values plus defaults and forced overrides), or rejects
+ * the request with a structured list of violations
+ */
+const enforceLaunchPolicy = (req, res, next) => {
+  const result = launchPolicy.apply(
+    req.body.ApplicationIdentifier,
+    req.body.AdditionalLaunchArgs,
+    req.body.AdditionalEnvironmentVariables
+  );
+  if (result.violations.length) {
+    logger.error('Launch policy violation', {
+      correlationId: req.correlationId,
+      applicationIdentifier: req.body.ApplicationIdentifier,
+      violations: result.violations
+    });
+    return res.status(400).json({
+      error: 'LaunchPolicyViolation',
+      message: 'Launch arguments or environment variables are not allowed for this application',
+      violations: result.violations,
+      correlationId: req.correlationId
+    });
+  }
+  req.body.AdditionalLaunchArgs = result.args;
+  req.body.AdditionalEnvironmentVariables = result.env;
+  next();
+};
+
 /**
  * Request Body Size Limits
  * @middleware Limits request body size to 10kb
@@ -329,6 +515,24 @@ const validateStreamSession = [
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
+/**
+ * Prometheus Metrics Endpoint
+ * @route GET /metrics (config.METRICS.PATH)
+ * @description Registered before the rate limiter so scrapes are never rejected. When
+ * config.METRICS.BEARER_TOKEN is set, scrapers must send it as a bearer token. Lambda mode
+ * serves the metrics only with a bearer token: the root proxy resource exposes the path publicly.
+ */
+if (config.METRICS.ENABLED && (IS_LOCAL || config.METRICS.BEARER_TOKEN)) {
+  app.get(config.METRICS.PATH, async (req, res) => {
+    const authorization = req.get('Authorization') || '';
+    if (config.METRICS.BEARER_TOKEN && !safeEqual(authorization, `Bearer ${config.METRICS.BEARER_TOKEN}`)) {
+      return res.status(401).json({ error: 'Unauthorized', correlationId: req.correlationId });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type(METRICS_CONTENT_TYPE).send(await metricsRegistry.render(logger));
+  });
+}
+
 /**
  * Rate Limiter
  * @middleware Limits requests to 100 per IP per 15 minutes
@@ -343,6 +547,7 @@ const limiter = rateLimit({
       correlationId: req.correlationId,
       path: req.path
     });
+    metrics.rateLimitRejections.inc();
     res.status(429).json({
       error: 'Too many requests, please try again later',
       correlationId: req.correlationId
@@ -376,10 +581,11 @@ app.use((err, req, res, next) => {
 
 /**
  * Request Logger
- * @middleware Logs timestamp, method, and URL for each request
+ * @middleware Logs timestamp, method, and path for each request. The query string is left
+ * out, it can carry the connection token and the access_token credential of EventSource requests.
  */
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   next();
 });
 
@@ -407,12 +613,141 @@ process.env.AWS_NODEJS_CONNECTION_REUSE_ENABLED = '1';
 // Disable annoying "maintenance mode" console message
 process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = '1';
 
-// Keep a simple in-memory "database" which maps unique connection tokens
-const connectionDatabase = {};
+/**
+ * Connection token store
+ * Maps unique connection tokens to stream session data. The backend is selected by
+ * config.SESSION_STORE so tokens can survive server restarts and Lambda cold starts.
+ * Records expire after STREAM_CONNECTION_TIMEOUT_SECONDS, capped at TOKEN_MAX_AGE_MS.
+ * @constant {Object} sessionStore
+ */
+const sessionStore = createSessionStore({
+  type: config.SESSION_STORE.TYPE,
+  filePath: config.SESSION_STORE.FILE_PATH,
+  dataDir: config.SESSION_STORE.DATA_DIR,
+  tableName: config.SESSION_STORE.DYNAMODB_TABLE,
+  endpoint: config.SESSION_STORE.DYNAMODB_ENDPOINT,
+  ttlMs: Math.min(config.STREAM_CONNECTION_TIMEOUT_SECONDS * 1000, config.TOKEN_MAX_AGE_MS),
+  cleanupIntervalMs: config.TOKEN_CLEANUP_INTERVAL_MS,
+  logger
+});
 
 // This error code is generally indicating an error occurring in server.
 const generalErrorStatusCode = 502;
 
+/**
+ * Capacity queue
+ * Waitlist per stream group and location for CreateStreamSession requests which
+ * fail because no stream capacity is available. It lives in process memory, which Lambda
+ * instances do not share, so it is only used in local mode.
+ * @constant {Object} sessionQueue
+ */
+const sessionQueueEnabled = config.SESSION_QUEUE.ENABLED && IS_LOCAL;
+const sessionQueue = createSessionQueue({
+  retryIntervalMs: config.SESSION_QUEUE.RETRY_INTERVAL_MS,
+  maxLength: config.SESSION_QUEUE.MAX_LENGTH,
+  abandonAfterMs: config.SESSION_QUEUE.ABANDON_AFTER_MS,
+  resultTtlMs: config.SESSION_QUEUE.RESULT_TTL_MS,
+  defaultWaitSeconds: config.SESSION_QUEUE.DEFAULT_WAIT_SECONDS,
+  capacityErrorNames: config.SESSION_QUEUE.CAPACITY_ERROR_NAMES,
+  capacityErrorPattern: config.SESSION_QUEUE.CAPACITY_ERROR_PATTERN,
+  logger
+});
+
+/**
+ * Session report store
+ * Analyzed client WebRTC stats reports, kept in the session store under their own keys
+ * so they outlive the connection token they were submitted with.
+ * @constant {Object} sessionReports
+ */
+const sessionReports = createSessionReportStore({
+  sessionStore,
+  ttlMs: config.SESSION_REPORTS.TTL_SECONDS * 1000,
+  maxStoredStatsBytes: config.SESSION_REPORTS.MAX_STORED_STATS_BYTES,
+  maxStoredMetadataBytes: config.SESSION_REPORTS.MAX_STORED_METADATA_BYTES,
+  logger
+});
+
+/**
+ * Size limits applied to submitted session reports
+ * @constant {Object} sessionReportLimits
+ */
+const sessionReportLimits = {
+  maxMetrics: config.SESSION_REPORTS.MAX_METRICS,
+  maxSamplesPerMetric: config.SESSION_REPORTS.MAX_SAMPLES_PER_METRIC
+};
+
+/**
+ * Development OIDC Issuer
+ * Served at /oidc in local mode when the 'oidc' strategy has no external issuer configured.
+ * It signs tokens for any subject without checking credentials, so it is never used in Lambda mode.
+ */
+const USE_DEV_OIDC_ISSUER = IS_LOCAL && config.AUTH.STRATEGY === 'oidc' && !config.AUTH.OIDC_ISSUER;
+const oidcIssuer = USE_DEV_OIDC_ISSUER
+  ? `http://localhost:${config.LISTEN_PORT_HTTP}/oidc`
+  : config.AUTH.OIDC_ISSUER;
+if (USE_DEV_OIDC_ISSUER) {
+  app.use('/oidc', createDevOidcIssuer({ issuer: oidcIssuer, audience: config.AUTH.AUDIENCE }));
+  logger.info('Serving development OIDC issuer, do not expose this server publicly', { issuer: oidcIssuer });
+}
+
+/**
+ * Authentication
+ * @middleware Resolves the caller of every /api route except the health check to req.principal
+ */
+app.use('/api', createAuthMiddleware({
+  strategy: config.AUTH.STRATEGY,
+  apiKeys: config.AUTH.API_KEYS,
+  secret: config.AUTH.JWT_SECRET,
+  issuer: config.AUTH.STRATEGY === 'oidc' ? oidcIssuer : config.AUTH.JWT_ISSUER,
+  audience: config.AUTH.AUDIENCE,
+  userIdClaim: config.AUTH.USER_ID_CLAIM,
+  clockToleranceSeconds: config.AUTH.CLOCK_TOLERANCE_SECONDS,
+  publicPaths: ['/health'],
+  logger
+}));
+
+/**
+ * Admin API
+ * @middleware Lists and manages tracked connection tokens for principals in config.ADMIN.PRINCIPALS
+ * or callers presenting config.ADMIN.API_KEY; the admin.html page is its front end
+ */
+app.use('/api/admin', createAdminRouter({
+  sessionStore,
+  gameliftstreams,
+  deleteShareTokens,
+  principals: config.ADMIN.PRINCIPALS,
+  apiKey: config.ADMIN.API_KEY,
+  tokenMaxAgeMs: config.TOKEN_MAX_AGE_MS,
+  maxExtendSeconds: config.ADMIN.MAX_EXTEND_SECONDS,
+  logger
+}));
+
+/**
+ * Network diagnostics
+ * @middleware Ping, download and settings endpoints of the setup page's connection test, and
+ * the location list (with a local stand-in target) of its location latency probes
+ */
+app.use('/api/diagnostics', createDiagnosticsRouter({
+  pingCount: config.NETWORK_DIAGNOSTICS.PING_COUNT,
+  pingTimeoutMs: config.NETWORK_DIAGNOSTICS.PING_TIMEOUT_MS,
+  downloadBytes: config.NETWORK_DIAGNOSTICS.DOWNLOAD_BYTES,
+  maxDownloadBytes: config.NETWORK_DIAGNOSTICS.MAX_DOWNLOAD_BYTES,
+  recommended: {
+    maxLatencyMs: config.NETWORK_DIAGNOSTICS.RECOMMENDED.MAX_LATENCY_MS,
+    maxJitterMs: config.NETWORK_DIAGNOSTICS.RECOMMENDED.MAX_JITTER_MS,
+    minDownloadMbps: config.NETWORK_DIAGNOSTICS.RECOMMENDED.MIN_DOWNLOAD_MBPS,
+    maxPacketLossPercent: config.NETWORK_DIAGNOSTICS.RECOMMENDED.MAX_PACKET_LOSS_PERCENT
+  },
+  locationProbes: {
+    locations: config.LOCATION_PROBES.LOCATIONS,
+    urlTemplate: config.LOCATION_PROBES.URL_TEMPLATE,
+    useLocalTarget: config.LOCATION_PROBES.USE_LOCAL_TARGET,
+    localLatencyMs: config.LOCATION_PROBES.LOCAL_TARGET_LATENCY_MS,
+    probeCount: config.LOCATION_PROBES.PROBE_COUNT,
+    timeoutMs: config.LOCATION_PROBES.TIMEOUT_MS
+  }
+}));
+
 /**
  * Root Path Handler
  * @route GET /
@@ -462,6 +797,8 @@ app.get('/:filename', (req, res, next) => {
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Object} req.body - Request body containing stream configuration
+ * @param {string} [req.body.CatalogId] - Application catalog id, required when the catalog is enabled;
+ * the catalog then supplies StreamGroupId, ApplicationIdentifier, allowed Locations and session length
  * @param {string} req.body.StreamGroupId - Identifier for the stream group
  * @param {string} req.body.UserId - User identifier
  * @param {Object} req.body.SignalRequest - WebRTC signaling data
@@ -471,70 +808,365 @@ app.get('/:filename', (req, res, next) => {
  * @param {Object} [req.body.AdditionalEnvironmentVariables] - Optional environment variables
  * 
  * @returns {Object} Response object containing a connection token
+ * @returns {Object} 202 response with Queued, Ticket, Position and EtaSeconds when the stream group
+ * has no capacity in local mode; poll /api/QueueStatus until it returns the token (see config.SESSION_QUEUE)
+ * @returns {Object} 400 response with a violations list when the launch policy rejects
+ * AdditionalLaunchArgs or AdditionalEnvironmentVariables
+ * @returns {Object} 400 response with allowedLocations in Lambda mode when no deployed stream group
+ * serves the application in the primary location (see config.STREAM_GROUP_ROUTES)
  * @returns {string} Response.Token - Unique connection identifier for the stream session
+ * @returns {string} [Response.ApplicationDescription] - Description of the catalog entry
+ * @returns {string} Response.UserId - UserId the stream session was started with (the authenticated principal, if any)
  * 
  * @description
  * Initializes a GameLift streaming session with the provided configuration.
  * Generates a unique connection token that expires after 24 hours.
  * The token can be used to retrieve the WebRTC signal response.
  */
-app.post('/api/CreateStreamSession', function (req, res) {
+app.post('/api/CreateStreamSession', resolveCatalogEntry, validateStreamSession, enforceLaunchPolicy, function (req, res) {
     console.log(`CreateStreamSession request received: ${JSON.stringify(req.body)}`);
 
     // Ideally your backend server will validate all of these configuration parameters,
     // or ignore the client and look up predetermined values from a configuration table.
     // You likely want to override AdditionalLaunchArgs/AdditionalEnvironmentVariables.
-    // At the very least, you should authenticate the user id and stream group ids here.
-    // You should never trust the client! But we will trust the client for the purposes
-    // of this very simple demo application.
+    // When an authentication strategy is configured (config.AUTH), the user id comes from
+    // the authenticated principal instead of the client. With the default 'none' strategy
+    // we trust the client for the purposes of this very simple demo application.
 
     let streamGroupId;
-    if (IS_LOCAL) {
+    if (req.catalogEntry && req.catalogEntry.streamGroupId) {
+        // Catalog entries name their own stream group
+        streamGroupId = req.catalogEntry.streamGroupId;
+    } else if (IS_LOCAL) {
         // In local mode, allow override from request body
         streamGroupId = req.body.StreamGroupId;
     } else {
-        // In Lambda mode, use the environment variable set during deployment
-        streamGroupId = process.env.STREAM_GROUP_ID;
-        
-        if (!streamGroupId) {
-            console.error('STREAM_GROUP_ID environment variable not set');
+        // In Lambda mode, route to the deployed stream group serving the application and location
+        if (!streamGroupRouter.enabled) {
+            console.error('Neither STREAM_GROUP_ROUTES nor STREAM_GROUP_ID environment variable set');
             return res.status(500).json({
                 error: 'Server Configuration Error',
                 message: 'STREAM_GROUP_ID not configured'
             });
         }
+        const route = streamGroupRouter.resolve(req.body.ApplicationIdentifier, req.body.Locations);
+        if (!route) {
+            return res.status(400).json({
+                error: 'No Stream Group',
+                message: `No stream group serves application ${req.body.ApplicationIdentifier || '(none)'}` +
+                    (req.body.Locations && req.body.Locations.length ? ` in ${req.body.Locations[0]}` : ''),
+                allowedLocations: streamGroupRouter.locationsFor(req.body.ApplicationIdentifier)
+            });
+        }
+        streamGroupId = route.streamGroupId;
+        req.body.Locations = route.locations;
     }
 
     const requestData = {
         Identifier: streamGroupId,
         AdditionalLaunchArgs: req.body.AdditionalLaunchArgs,
         AdditionalEnvironmentVariables: req.body.AdditionalEnvironmentVariables,
-        UserId: req.body.UserId,
+        UserId: req.principal ? req.principal.userId : req.body.UserId,
         Protocol: 'WebRTC',
         SignalRequest: req.body.SignalRequest,
         ConnectionTimeoutSeconds: config.STREAM_CONNECTION_TIMEOUT_SECONDS,
-        SessionLengthSeconds: 3600, // limit session length to 1 hour, can be configured up to 24 hours
+        // limit session length to 1 hour unless the catalog entry sets it, can be configured up to 24 hours
+        SessionLengthSeconds: (req.catalogEntry && req.catalogEntry.sessionLengthSeconds) || 3600,
         ApplicationIdentifier: req.body.ApplicationIdentifier,
         Locations: req.body.Locations,
     };
 
-    gameliftstreams.startStreamSession(requestData, (err, data) => {
-        if (err) {
-            console.error('CreateStreamSession error:', err);
+    const tokenRecord = {
+        StreamGroupId: streamGroupId, // Store the resolved streamGroupId
+        Principal: req.principal ? req.principal.id : undefined,
+        CatalogId: req.catalogEntry ? req.catalogEntry.id : undefined
+    };
+    const sessionInfo = {
+        UserId: requestData.UserId,
+        ApplicationDescription: req.catalogEntry ? req.catalogEntry.description : undefined
+    };
+    const queueKey = `${streamGroupId}|${(requestData.Locations && requestData.Locations[0]) || 'default'}`;
+
+    // Players already waiting for this stream group and location keep their place in line
+    if (sessionQueueEnabled && sessionQueue.length(queueKey) > 0) {
+        return queueStreamSession(req, res, queueKey, requestData, tokenRecord, sessionInfo);
+    }
+
+    startStreamSessionWithToken(requestData, tokenRecord).then((connectionId) => {
+        res.json({ Token: connectionId, ...sessionInfo });
+    }, (err) => {
+        if (sessionQueueEnabled && sessionQueue.isCapacityError(err)) {
+            return queueStreamSession(req, res, queueKey, requestData, tokenRecord, sessionInfo);
+        }
+        if (err.tokenStoreFailure) {
+            logger.error('Failed to store connection token', {
+                correlationId: req.correlationId,
+                error: err.message
+            });
             res.status(config.GENERAL_ERROR_STATUS_CODE);
-            res.json({ error: err.message });
-        } else {
+            res.json({ error: 'Failed to store connection token' });
+            return;
+        }
+        console.error('CreateStreamSession error:', err);
+        logger.metrics({ Errors: 1 }, {
+            Application: tokenRecord.CatalogId || requestData.ApplicationIdentifier,
+            StreamGroup: streamGroupId,
+            Location: requestData.Locations && requestData.Locations[0]
+        }, { Operation: 'CreateStreamSession', ErrorName: err.name });
+        res.status(config.GENERAL_ERROR_STATUS_CODE);
+        res.json({ error: err.message });
+    });
+});
+
+/**
+ * Starts a stream session and stores a new connection token for it
+ * @function startStreamSessionWithToken
+ * @param {Object} requestData - StartStreamSession parameters
+ * @param {Object} tokenRecord - Fields stored with the token besides ApplicationId, Location, StreamSessionArn and Timestamp
+ * @returns {Promise<string>} Connection token
+ * @throws {Error} StartStreamSession error, or a session store error with tokenStoreFailure set
+ */
+function startStreamSessionWithToken(requestData, tokenRecord) {
+    return new Promise((resolve, reject) => {
+        gameliftstreams.startStreamSession(requestData, async (err, data) => {
+            if (err) {
+                reject(err);
+                return;
+            }
             console.log(`CreateStreamSession success: Arn=${JSON.stringify(data.Arn)}`);
             const connectionId = crypto.randomUUID();
-            connectionDatabase[connectionId] = {
-                StreamGroupId: streamGroupId, // Store the resolved streamGroupId
-                StreamSessionArn: data.Arn,
-                Timestamp: Date.now()
-            };
-            res.json({ Token: connectionId });
-            setTimeout(() => { delete connectionDatabase[connectionId]; }, 24*60*60*1000);
-        }
+            try {
+                const stored = await sessionStore.set(connectionId, {
+                    ...tokenRecord,
+                    ApplicationId: requestData.ApplicationIdentifier,
+                    Location: data.Location || (requestData.Locations && requestData.Locations[0]),
+                    StreamSessionArn: data.Arn,
+                    Timestamp: Date.now()
+                });
+                logger.metrics({ SessionCreated: 1 }, metricDimensions(stored));
+                resolve(connectionId);
+            } catch (error) {
+                error.tokenStoreFailure = true;
+                reject(error);
+            }
+        });
     });
+}
+
+/**
+ * Parks a CreateStreamSession request in the capacity queue and responds with its ticket
+ * @function queueStreamSession
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} queueKey - Stream group and location of the queue
+ * @param {Object} requestData - StartStreamSession parameters
+ * @param {Object} tokenRecord - Fields stored with the connection token
+ * @param {Object} sessionInfo - Fields returned with the connection token once placed
+ * @returns {void}
+ */
+function queueStreamSession(req, res, queueKey, requestData, tokenRecord, sessionInfo) {
+    const status = sessionQueue.enqueue(queueKey, {
+        // Each attempt uses the fresh offer the client sent with its QueueStatus poll
+        place: async (signalRequest) => ({
+            Token: await startStreamSessionWithToken({ ...requestData, SignalRequest: signalRequest }, tokenRecord),
+            ...sessionInfo
+        }),
+        release: (result) => releaseConnectionToken(result.Token),
+        principal: tokenRecord.Principal
+    });
+    if (!status) {
+        logger.error('Stream session queue is full', { correlationId: req.correlationId, queue: queueKey });
+        res.status(503);
+        res.json({ error: 'No stream capacity is available and the queue is full, try again later' });
+        return;
+    }
+    res.status(202);
+    res.json({ Queued: true, ...toQueueResponse(status) });
+}
+
+/**
+ * Converts a session queue ticket status into an API response
+ * @function toQueueResponse
+ * @param {Object} status - Status returned by sessionQueue
+ * @returns {Object} Response without internal fields
+ */
+function toQueueResponse(status) {
+    const { Principal, Result, ...response } = status;
+    return {
+        ...response,
+        ...(Result || {}),
+        PollIntervalMs: config.SESSION_QUEUE.CLIENT_POLL_INTERVAL_MS
+    };
+}
+
+/**
+ * Terminates the stream session of a connection token and deletes the token
+ * Used when a queued player left while their stream session was being placed
+ * @async
+ * @function releaseConnectionToken
+ * @param {string} connectionId - Connection token
+ * @returns {Promise<void>}
+ */
+async function releaseConnectionToken(connectionId) {
+    const connectionData = await sessionStore.get(connectionId);
+    if (!connectionData) {
+        return;
+    }
+    await gameliftstreams.terminateStreamSession({
+        Identifier: connectionData.StreamGroupId,
+        StreamSessionIdentifier: connectionData.StreamSessionArn,
+    });
+    await sessionStore.delete(connectionId);
+}
+
+/**
+ * Reports the position of a queued CreateStreamSession request, or its connection token once placed.
+ * 
+ * @route POST /api/QueueStatus
+ * @param {Object} req - Express request object
+ * @param {string} req.body.Ticket - Ticket returned by CreateStreamSession with status 202
+ * @param {Object} [req.body.SignalRequest] - New WebRTC signaling data, sent when the previous
+ * response had SignalRequestNeeded set; placement is retried with it before responding
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.Status - QUEUED, PLACED or FAILED
+ * @returns {number} [Response.Position] - 1-based position in the queue while QUEUED
+ * @returns {number} [Response.QueueLength] - Number of waiting requests while QUEUED
+ * @returns {number} [Response.EtaSeconds] - Estimated wait while QUEUED
+ * @returns {boolean} [Response.SignalRequestNeeded] - While QUEUED, true when the request is at the
+ * head of the queue and due for another placement attempt, which needs a new SignalRequest
+ * @returns {string} [Response.Token] - Connection token once PLACED, as returned by CreateStreamSession
+ * @returns {string} [Response.Error] - Failure reason once FAILED
+ * @returns {number} Response.PollIntervalMs - Suggested delay before the next poll
+ * 
+ * @description
+ * Polling keeps the ticket alive: tickets not polled for SESSION_QUEUE.ABANDON_AFTER_MS are dropped.
+ * The offer sent with CreateStreamSession goes stale while the player waits, so placement is only
+ * retried with a SignalRequest generated for the attempt.
+ * 
+ * @throws {Error} 403 - When the ticket belongs to another principal
+ * @throws {Error} 404 - When the ticket is unknown, expired or was dropped
+ */
+app.post('/api/QueueStatus', async (req, res) => {
+    const correlationId = req.correlationId;
+    try {
+        let status = sessionQueue.status(req.body.Ticket);
+        if (!status) {
+            res.status(404);
+            res.json({ error: 'Queue ticket not found' });
+            return;
+        }
+        if (!isPrincipalAllowed(req.principal, status)) {
+            res.status(403);
+            res.json({});
+            return;
+        }
+        if (req.body.SignalRequest) {
+            status = await sessionQueue.place(req.body.Ticket, req.body.SignalRequest);
+            // LeaveQueue or the result TTL can drop the ticket while the placement is in flight
+            if (!status) {
+                res.status(404);
+                res.json({ error: 'Queue ticket not found' });
+                return;
+            }
+        }
+        res.json(toQueueResponse(status));
+    } catch (error) {
+        logger.error('Unhandled error in QueueStatus', {
+            correlationId,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'An error occurred while processing your request',
+            correlationId
+        });
+    }
+});
+
+/**
+ * Removes a queued CreateStreamSession request from the queue.
+ * 
+ * @route POST /api/LeaveQueue
+ * @param {Object} req - Express request object
+ * @param {string} req.body.Ticket - Queue ticket
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Empty object
+ * 
+ * @throws {Error} 403 - When the ticket belongs to another principal
+ * @throws {Error} 404 - When the ticket is unknown
+ */
+app.post('/api/LeaveQueue', (req, res) => {
+    const status = sessionQueue.status(req.body.Ticket);
+    if (!status) {
+        res.status(404);
+        res.json({});
+        return;
+    }
+    if (!isPrincipalAllowed(req.principal, status)) {
+        res.status(403);
+        res.json({});
+        return;
+    }
+    sessionQueue.leave(req.body.Ticket);
+    res.json({});
+});
+
+/**
+ * Lists the application catalog for the launcher grid.
+ * 
+ * @route GET /api/applications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response object
+ * @returns {Array<Object>} Response.Applications - Entries with Id, Name, Description, Thumbnail,
+ * Locations and SessionLengthSeconds; empty when no catalog is configured
+ */
+app.get('/api/applications', (req, res) => {
+  res.json({ Applications: applicationCatalog.list() });
+});
+
+/**
+ * Returns the launch policy of an application so the setup panel can show allowed values.
+ * 
+ * @route GET /api/LaunchPolicy
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.ApplicationIdentifier] - Application id or ARN
+ * @param {string} [req.query.CatalogId] - Application catalog id, takes precedence over ApplicationIdentifier
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response.enforced - False when no policy file is configured
+ * @returns {Object} Response.args - Allowed argument patterns, defaults, forced arguments and maxCount
+ * @returns {Object} Response.env - Allowed variables with pattern/default, and forced variables
+ */
+app.get('/api/LaunchPolicy', (req, res) => {
+  const entry = applicationCatalog.get(req.query.CatalogId);
+  res.json(launchPolicy.describe(entry ? entry.applicationIdentifier : req.query.ApplicationIdentifier));
+});
+
+/**
+ * Returns the thresholds of the in-stream health indicator.
+ * 
+ * @route GET /api/StreamHealthThresholds
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response.rttMs, Response.packetLossPercent, Response.jitterMs, Response.fps -
+ * Each with warning and critical values; fps is worse below them, the others above
+ * @returns {number} Response.sustainedSeconds - How long a breach lasts before the player is alerted
+ */
+app.get('/api/StreamHealthThresholds', (req, res) => {
+  const threshold = ({ WARNING, CRITICAL }) => ({ warning: WARNING, critical: CRITICAL });
+  res.json({
+    rttMs: threshold(config.STREAM_HEALTH.RTT_MS),
+    packetLossPercent: threshold(config.STREAM_HEALTH.PACKET_LOSS_PERCENT),
+    jitterMs: threshold(config.STREAM_HEALTH.JITTER_MS),
+    fps: threshold(config.STREAM_HEALTH.FPS),
+    sustainedSeconds: config.STREAM_HEALTH.SUSTAINED_SECONDS
+  });
 });
 
 /**
@@ -561,6 +1193,7 @@ app.post('/api/CreateStreamSession', function (req, res) {
  * 
  * Handles protocol override when --override_protocol flag is present
  * 
+ * @throws {Error} 403 - When the token belongs to another principal
  * @throws {Error} 404 - When token is invalid, expired, or stream status is unexpected
  * @throws {Error} General error status - For other failures like network issues
  */
@@ -576,16 +1209,21 @@ app.post('/api/GetSignalResponse', async (req, res) => {
 
       // Validate connection token - moved outside nested try-catch for cleaner error handling
       
-      const connectionData = req.body.Token && connectionDatabase[req.body.Token];
+      const connectionData = await sessionStore.get(req.body.Token);
       if (!connectionData || !connectionData.StreamGroupId) {
           return res.status(404).json({
               error: 'Connection data not found',
               message: 'Invalid token or missing stream group ID'
           });
       }
+      if (!isPrincipalAllowed(req.principal, connectionData)) {
+          logger.error('Connection token belongs to another principal', { correlationId });
+          return res.status(403).json({ error: 'Forbidden', correlationId });
+      }
 
-      // Validate token expiration
-      if (Date.now() - connectionData.Timestamp > config.STREAM_CONNECTION_TIMEOUT_SECONDS * 1000) {
+      // Validate token expiration; ExpiresAt is STREAM_CONNECTION_TIMEOUT_SECONDS after issue
+      // unless the admin API extended it
+      if (Date.now() >= connectionData.ExpiresAt) {
           logger.error('Connection token expired', { correlationId });
           return res.status(404).json({ 
               error: 'Connection token expired',
@@ -610,6 +1248,7 @@ app.post('/api/GetSignalResponse', async (req, res) => {
               streamGroupId: connectionData.StreamGroupId,
               sessionArn: connectionData.StreamSessionArn
           });
+          logger.metrics({ Errors: 1 }, metricDimensions(connectionData), { Operation: 'GetSignalResponse', ErrorName: error.name });
           throw new Error(`Failed to get stream session: ${error.message}`);
       }
 
@@ -618,6 +1257,7 @@ app.post('/api/GetSignalResponse', async (req, res) => {
           correlationId,
           status: streamSessionData.Status
       });
+      logger.metrics({ SignalResponsePolls: 1 }, metricDimensions(connectionData));
 
       // Handle different stream states
       switch (streamSessionData.Status) {
@@ -625,30 +1265,20 @@ app.post('/api/GetSignalResponse', async (req, res) => {
               return res.json({ SignalResponse: '' });
 
           case 'ACTIVE':
-              let signalResponse = streamSessionData.SignalResponse;
-              
-              // Handle protocol override if needed
-              if (process.argv.includes('--override_protocol')) {
-                  try {
-                      const parsedResponse = JSON.parse(signalResponse);
-                      parsedResponse.webSdkProtocolUrl = `/override_protocol.js?${Date.now()}`;
-                      signalResponse = JSON.stringify(parsedResponse);
-                  } catch (error) {
-                      logger.error('Protocol override failed', {
-                          correlationId,
-                          error: error.message
-                      });
-                      // Continue with original response if parsing fails
-                  }
-              }
-              
-              return res.json({ SignalResponse: signalResponse });
+              recordSessionActivation(req.body.Token, connectionData, correlationId);
+              return res.json({
+                  SignalResponse: applyProtocolOverride(streamSessionData.SignalResponse, correlationId)
+              });
 
           default:
               logger.error('Unexpected stream status', {
                   correlationId,
                   status: streamSessionData.Status
               });
+              logger.metrics({ Errors: 1 }, metricDimensions(connectionData), {
+                  Operation: 'GetSignalResponse',
+                  ErrorName: `Status${streamSessionData.Status}`
+              });
               return res.status(404).json({ 
                   error: 'Unexpected stream status',
                   status: streamSessionData.Status,
@@ -673,6 +1303,140 @@ app.post('/api/GetSignalResponse', async (req, res) => {
   }
 });
 
+/**
+ * Streams session status transitions and the final WebRTC signal response as Server-Sent Events.
+ * 
+ * @route GET /api/StreamSessionEvents
+ * @param {Object} req - Express request object
+ * @param {string} req.query.Token - Connection token previously obtained from CreateStreamSession
+ * @param {Object} res - Express response object
+ * 
+ * @description
+ * Replaces client-side polling of GetSignalResponse. The server polls GetStreamSession with
+ * exponential backoff (config.SIGNAL_EVENTS) and pushes these events:
+ * - status: { Status } whenever the stream session status changes
+ * - signal: { SignalResponse } once the stream session is ACTIVE, then the stream ends
+ * - failure: { error, status } when the session fails, the API call fails or the token expires
+ *   (ExpiresAt, STREAM_CONNECTION_TIMEOUT_SECONDS after issue unless extended), then the stream ends
+ * 
+ * Not available in Lambda mode, because API Gateway REST APIs buffer the whole response.
+ * Clients should fall back to POST /api/GetSignalResponse when this endpoint fails.
+ * 
+ * @throws {Error} 403 - When the token belongs to another principal
+ * @throws {Error} 404 - When the token is invalid or expired
+ * @throws {Error} 501 - When running in Lambda mode
+ */
+app.get('/api/StreamSessionEvents', async (req, res) => {
+  const correlationId = req.correlationId;
+
+  if (!IS_LOCAL) {
+      return res.status(501).json({
+          error: 'Server-Sent Events are not supported in Lambda mode',
+          correlationId
+      });
+  }
+
+  let connectionData;
+  try {
+      connectionData = await sessionStore.get(req.query.Token);
+  } catch (error) {
+      logger.error('Session store lookup failed', { correlationId, error: error.message });
+      return res.status(generalErrorStatusCode).json({
+          error: 'An error occurred while processing your request',
+          correlationId
+      });
+  }
+  if (!connectionData || !connectionData.StreamGroupId) {
+      return res.status(404).json({
+          error: 'Connection data not found',
+          message: 'Invalid token or missing stream group ID'
+      });
+  }
+  if (!isPrincipalAllowed(req.principal, connectionData)) {
+      logger.error('Connection token belongs to another principal', { correlationId });
+      return res.status(403).json({ error: 'Forbidden', correlationId });
+  }
+
+  res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let clientClosed = false;
+  res.on('close', () => { clientClosed = true; });
+
+  const deadline = connectionData.ExpiresAt;
+  let pollDelay = config.SIGNAL_EVENTS.INITIAL_POLL_DELAY_MS;
+  let lastStatus;
+  let polls = 0;
+  const recordError = (errorName) => {
+      logger.metrics({ Errors: 1 }, metricDimensions(connectionData), { Operation: 'StreamSessionEvents', ErrorName: errorName });
+  };
+
+  while (!clientClosed) {
+      if (Date.now() >= deadline) {
+          logger.error('Stream connection timed out', { correlationId });
+          recordError('Timeout');
+          sendEvent('failure', { error: 'Stream connection timed out', status: lastStatus });
+          break;
+      }
+
+      let streamSessionData;
+      try {
+          streamSessionData = await gameliftstreams.getStreamSession({
+              Identifier: connectionData.StreamGroupId,
+              StreamSessionIdentifier: connectionData.StreamSessionArn,
+          });
+      } catch (error) {
+          logger.error('GetStreamSession API call failed', {
+              correlationId,
+              error: error.message,
+              streamGroupId: connectionData.StreamGroupId,
+              sessionArn: connectionData.StreamSessionArn
+          });
+          recordError(error.name);
+          sendEvent('failure', { error: `Failed to get stream session: ${error.message}` });
+          break;
+      }
+      polls++;
+
+      if (streamSessionData.Status !== lastStatus) {
+          lastStatus = streamSessionData.Status;
+          logger.info('Stream session status changed', { correlationId, status: lastStatus });
+          sendEvent('status', { Status: lastStatus });
+      }
+
+      if (lastStatus === 'ACTIVE') {
+          recordSessionActivation(req.query.Token, connectionData, correlationId);
+          sendEvent('signal', {
+              SignalResponse: applyProtocolOverride(streamSessionData.SignalResponse, correlationId)
+          });
+          break;
+      }
+      if (lastStatus !== 'ACTIVATING') {
+          logger.error('Unexpected stream status', { correlationId, status: lastStatus });
+          recordError(`Status${lastStatus}`);
+          sendEvent('failure', { error: 'Unexpected stream status', status: lastStatus });
+          break;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, Math.min(pollDelay, Math.max(0, deadline - Date.now()))));
+      pollDelay = Math.min(pollDelay * config.SIGNAL_EVENTS.POLL_BACKOFF_FACTOR, config.SIGNAL_EVENTS.MAX_POLL_DELAY_MS);
+  }
+
+  if (polls) {
+      logger.metrics({ SignalResponsePolls: polls }, metricDimensions(connectionData));
+  }
+  res.end();
+});
+
 /**
  * Reconnects to an existing stream session using a previously issued connection token.
  * 
@@ -689,32 +1453,60 @@ app.post('/api/GetSignalResponse', async (req, res) => {
  * 
  * @description
  * Provides fast reconnection to an existing stream session without creating a new stream.
- * Uses the original connection token for authentication (basic security model).
+ * Requires the original connection token and, when an authentication strategy is
+ * configured, the same principal that created the stream session.
  * Transforms existing session data into a new connection request.
  * 
- * WARNING: This implementation uses a simple token-based authentication, and is 
- * not suitable for production systems.
+ * WARNING: With the default 'none' authentication strategy, the connection token alone
+ * is authorization, which is not suitable for production systems.
+ * 
+ * Share tokens (see CreateShareToken) may reconnect too, but only while no client is
+ * connected to the stream session, so a guest or spectator never takes over from the player.
+ * The connection is the same for every scope: the returned Scope only tells the page not to
+ * attach input for spectators.
  * 
+ * @throws {Error} 403 - When the token belongs to another principal
  * @throws {Error} 404 - When connection token is not recognized
+ * @throws {Error} 409 - When a share token is used while a client is connected
  * @throws {Error} General error status - For stream session connection failures
  */
-app.post('/api/ReconnectStreamSession', function (req, res) {
+app.post('/api/ReconnectStreamSession', async function (req, res) {
     console.log(`ReconnectStreamSession request received: ${JSON.stringify(req.body)}`);
 
-    // For simplicity, we treat knowledge of a valid connection token as authorization.
-    // This is a very simple authentication model, and relies on keeping tokens secret,
-    // which users might not do! They could share browser URLs, or use a shared system
-    // which leaves the client connection token around somewhere on disk.
-    // You will want to add additional authentication and authorization checks here.
-
-    // Lookup private unique connection token in "database"
-    const connectionData = req.body.Token && connectionDatabase[req.body.Token];
+    // A valid connection token is required, and when an authentication strategy is
+    // configured the caller must also be the principal who created the stream session.
+    // With the default 'none' strategy, knowledge of the token alone is authorization,
+    // which relies on users keeping tokens (and shared browser URLs) secret.
+
+    // Lookup private unique connection token in the session store
+    let connectionData;
+    try {
+        connectionData = await sessionStore.get(req.body.Token);
+    } catch (error) {
+        console.log(`ReconnectStreamSession session store ERROR: ${error}`);
+        res.status(generalErrorStatusCode);
+        res.json({});
+        return;
+    }
     if (!connectionData) {
         console.log('ReconnectStreamSession connection token is not recognized');
         res.status(404);
         res.json({});
         return;
     }
+    if (!isPrincipalAllowed(req.principal, connectionData) || !isScopeAllowed(connectionData, 'reconnect')) {
+        console.log('ReconnectStreamSession connection token belongs to another principal');
+        res.status(403);
+        res.json({});
+        return;
+    }
+    // Share links must not kick the player who is currently connected
+    if (connectionData.Scope && connectionData.Scope !== 'owner' && await isStreamSessionConnected(connectionData)) {
+        console.log(`ReconnectStreamSession ${connectionData.Scope} token refused, stream session is in use`);
+        res.status(409);
+        res.json({ error: 'Stream session is in use' });
+        return;
+    }
     console.debug('connection data from token: ' + JSON.stringify(connectionData));
 
     // Transform session connection data into a new connection request
@@ -727,13 +1519,16 @@ app.post('/api/ReconnectStreamSession', function (req, res) {
     gameliftstreams.createStreamSessionConnection(requestData, (err, data) => {
         if (err) {
             console.log(`ReconnectStreamSession -> CreateStreamSessionConnection ERROR: ${err}`);
+            logger.metrics({ Errors: 1 }, metricDimensions(connectionData), { Operation: 'ReconnectStreamSession', ErrorName: err.name });
             res.status(generalErrorStatusCode);
             res.json({});
         } else {
             console.log(`ReconnectStreamSession -> CreateStreamSessionConnection SUCCESS: Arn=${JSON.stringify(req.body.StreamSessionId)}`);
+            logger.metrics({ Reconnects: 1 }, metricDimensions(connectionData), { Scope: connectionData.Scope || 'owner' });
             console.debug(data);
-            // Return the new signal response for the client to complete reconnection
-            res.json({ SignalResponse: data.SignalResponse });
+            // Return the new signal response for the client to complete reconnection;
+            // the scope tells the client whether to attach input
+            res.json({ SignalResponse: data.SignalResponse, Scope: connectionData.Scope || 'owner' });
         }
     });
 });
@@ -745,26 +1540,30 @@ app.post('/api/ReconnectStreamSession', function (req, res) {
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.Token - Connection token originally issued by CreateStreamSession
+ * @param {Object} [req.body.Report] - Client WebRTC stats from prepareStatsForServer(), analyzed and stored
  * @param {Object} res - Express response object
  * 
  * @returns {Object} Response object
- * @returns {Object} Empty object on success
+ * @returns {Object} Empty object on success, or { analysis } when a Report was sent
  * @returns {Object} Empty object with 404 status if token is invalid
  * @returns {Object} Empty object with error status on other failures
  * 
  * @description
  * Terminates an existing GameLift stream session using the provided connection token.
  * The endpoint performs the following operations:
- * 1. Validates the connection token
+ * 1. Validates the connection token, that it is an owner token, and that the caller is the principal who created it
  * 2. Retrieves associated stream session data
  * 3. Calls GameLift's terminateStreamSession API
- * 4. Removes the connection token from the database on success
+ * 4. Removes the connection token and the share tokens derived from it on success
+ * 5. Analyzes and stores the Report, if one was sent, and returns the analysis
  * 
  * State Management:
  * - On successful termination, the connection token is immediately invalidated
  * - Subsequent requests with the same token will receive 404 errors
  * - Stream enters TERMINATING status and cannot be reconnected
  * 
+ * @throws {Error} 400 - When the Report is malformed or too large
+ * @throws {Error} 403 - When the token belongs to another principal or is a share token
  * @throws {Error} 404 - When connection token is not found in database
  * @throws {Error} General error status - When stream termination fails
  * 
@@ -777,45 +1576,380 @@ app.post('/api/ReconnectStreamSession', function (req, res) {
  * @see CreateStreamSession - For token creation
  * @see GetSignalResponse - For stream status checking
  */
-app.post('/api/DestroyStreamSession', function (req, res) {
-    console.log(`DestroyStreamSession request received: ${JSON.stringify(req.body)}`);
+app.post('/api/DestroyStreamSession', async function (req, res) {
+    console.log(`DestroyStreamSession request received: ${JSON.stringify({ ...req.body, Report: undefined })}`);
 
-    // For simplicity, we treat knowledge of a valid connection token as authorization.
-    // This is a very simple authentication model, and relies on keeping tokens secret,
-    // which users might not do! They could share browser URLs, or use a shared system
-    // which leaves the client connection token around somewhere on disk.
-    // You will want to add additional authentication and authorization checks here.
+    const reportError = req.body.Report === undefined ? null : validateSessionReport(req.body.Report, sessionReportLimits);
+    if (reportError) {
+        res.status(400);
+        res.json({ error: reportError });
+        return;
+    }
 
-    // Lookup private unique connection token in "database"
-    const connectionData = req.body.Token && connectionDatabase[req.body.Token];
+    // A valid connection token is required, and when an authentication strategy is
+    // configured the caller must also be the principal who created the stream session.
+    // With the default 'none' strategy, knowledge of the token alone is authorization,
+    // which relies on users keeping tokens (and shared browser URLs) secret.
+
+    // Lookup private unique connection token in the session store
+    let connectionData;
+    try {
+        connectionData = await sessionStore.get(req.body.Token);
+    } catch (error) {
+        console.log(`DestroyStreamSession session store ERROR: ${error}`);
+        res.status(generalErrorStatusCode);
+        res.json({});
+        return;
+    }
     if (!connectionData) {
         console.log('DestroyStreamSession connection token is not recognized');
         res.status(404);
         res.json({});
         return;
     }
+    if (!isPrincipalAllowed(req.principal, connectionData) || !isScopeAllowed(connectionData, 'destroy')) {
+        console.log('DestroyStreamSession connection token belongs to another principal or is a share token');
+        res.status(403);
+        res.json({});
+        return;
+    }
     console.debug('connection data from token: ' + JSON.stringify(connectionData));
 
     const requestData = {
         Identifier: connectionData.StreamGroupId,
         StreamSessionIdentifier: connectionData.StreamSessionArn,
     };
-    gameliftstreams.terminateStreamSession(requestData, (err, data) => {
+    gameliftstreams.terminateStreamSession(requestData, async (err, data) => {
         if (err) {
             console.log(`DestroyStreamSession -> TerminateStreamSession ERROR: ${err}`);
+            logger.metrics({ Errors: 1 }, metricDimensions(connectionData), { Operation: 'DestroyStreamSession', ErrorName: err.name });
             res.status(generalErrorStatusCode);
             res.json({});
         } else {
             console.log(`DestroyStreamSession -> TerminateStreamSession SUCCESS: Arn=${JSON.stringify(connectionData.StreamSessionArn)}`);
-            res.json({});
+            logger.metrics({ Terminations: 1 }, metricDimensions(connectionData));
+            let analysis;
+            if (req.body.Report !== undefined) {
+                // The stream session is gone either way, so a failed report only costs the analysis
+                try {
+                    analysis = await sessionReports.save(req.body.Token, connectionData, req.body.Report);
+                } catch (error) {
+                    logger.error('Failed to store session report', { correlationId: req.correlationId, error: error.message });
+                }
+            }
+            res.json(analysis ? { analysis } : {});
 
             // Purge the connection token immediately; clients can't make other
             // requests now that the stream has moved to TERMINATING status.
-            delete connectionDatabase[req.body.Token];
+            sessionStore.delete(req.body.Token).then(() => deleteShareTokens(connectionData)).catch((error) => {
+                logger.error('Failed to delete connection token', { error: error.message });
+            });
         }
     });
 });
 
+/**
+ * Issues a share token for a running stream session.
+ * 
+ * @route POST /api/CreateShareToken
+ * @param {Object} req - Express request object
+ * @param {string} req.body.Token - Owner connection token issued by CreateStreamSession
+ * @param {string} req.body.Scope - 'spectate' (view only) or 'guest' (view and play)
+ * @param {number} [req.body.ExpiresInSeconds] - Lifetime of the share token, defaults to
+ * SHARE_TOKENS.DEFAULT_TTL_SECONDS and is capped at SHARE_TOKENS.MAX_TTL_SECONDS; the share
+ * token never outlives the owner token
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response object
+ * @returns {string} Response.Token - Share token, used in place of the owner token in share links
+ * @returns {string} Response.Scope - Scope of the share token
+ * @returns {number} Response.ExpiresAt - Expiry of the share token in epoch milliseconds
+ * 
+ * @description
+ * Share tokens can reconnect to the stream session while no client is connected to it, but
+ * cannot end it or issue further share tokens. They are not bound to a principal, so anyone
+ * with the link (and, when an authentication strategy is configured, valid credentials) can use
+ * them. They expire with the owner token at the latest, are deleted with it, and can be deleted
+ * individually with RevokeShareToken.
+ * 
+ * Spectate is enforced by the page only: a spectate token gets the same WebRTC connection as a
+ * guest token, and a modified client can send input over it. It is not a security boundary.
+ * 
+ * @throws {Error} 400 - When Scope or ExpiresInSeconds is invalid
+ * @throws {Error} 403 - When the token belongs to another principal or is itself a share token
+ * @throws {Error} 404 - When the connection token is not recognized
+ */
+app.post('/api/CreateShareToken', async (req, res) => {
+    const scope = req.body.Scope;
+    if (scope !== 'spectate' && scope !== 'guest') {
+        return res.status(400).json({ error: 'Scope must be spectate or guest' });
+    }
+    const ttlSeconds = req.body.ExpiresInSeconds === undefined
+        ? config.SHARE_TOKENS.DEFAULT_TTL_SECONDS
+        : Number(req.body.ExpiresInSeconds);
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > config.SHARE_TOKENS.MAX_TTL_SECONDS) {
+        return res.status(400).json({
+            error: `ExpiresInSeconds must be an integer between 1 and ${config.SHARE_TOKENS.MAX_TTL_SECONDS}`
+        });
+    }
+    try {
+        const connectionData = await sessionStore.get(req.body.Token);
+        if (!connectionData) {
+            return res.status(404).json({});
+        }
+        if (!isPrincipalAllowed(req.principal, connectionData) || !isScopeAllowed(connectionData, 'share')) {
+            return res.status(403).json({});
+        }
+        const shareToken = crypto.randomUUID();
+        const now = Date.now();
+        const stored = await sessionStore.set(shareToken, {
+            StreamGroupId: connectionData.StreamGroupId,
+            StreamSessionArn: connectionData.StreamSessionArn,
+            CatalogId: connectionData.CatalogId,
+            ApplicationId: connectionData.ApplicationId,
+            Location: connectionData.Location,
+            Scope: scope,
+            ParentToken: req.body.Token,
+            Timestamp: now,
+            ExpiresAt: Math.min(now + ttlSeconds * 1000, connectionData.ExpiresAt)
+        });
+        // Listed on the owner record so they can be deleted with it
+        await sessionStore.set(req.body.Token, {
+            ...connectionData,
+            ShareTokens: [...(connectionData.ShareTokens || []), shareToken]
+        });
+        logger.info('Share token created', { correlationId: req.correlationId, scope, expiresAt: stored.ExpiresAt });
+        res.json({ Token: shareToken, Scope: scope, ExpiresAt: stored.ExpiresAt });
+    } catch (error) {
+        logger.error('Failed to create share token', { correlationId: req.correlationId, error: error.message });
+        res.status(generalErrorStatusCode).json({ error: 'Failed to create share token' });
+    }
+});
+
+/**
+ * Revokes a share token before it expires.
+ * 
+ * @route POST /api/RevokeShareToken
+ * @param {Object} req - Express request object
+ * @param {string} req.body.Token - Owner connection token the share token was derived from
+ * @param {string} req.body.ShareToken - Share token to revoke
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Empty object
+ * 
+ * @throws {Error} 403 - When the owner token belongs to another principal or is a share token
+ * @throws {Error} 404 - When either token is not recognized or the share token has another owner token
+ */
+app.post('/api/RevokeShareToken', async (req, res) => {
+    try {
+        const connectionData = await sessionStore.get(req.body.Token);
+        if (!connectionData) {
+            return res.status(404).json({});
+        }
+        if (!isPrincipalAllowed(req.principal, connectionData) || !isScopeAllowed(connectionData, 'share')) {
+            return res.status(403).json({});
+        }
+        const shareData = await sessionStore.get(req.body.ShareToken);
+        if (!shareData || shareData.ParentToken !== req.body.Token) {
+            return res.status(404).json({});
+        }
+        await sessionStore.delete(req.body.ShareToken);
+        await sessionStore.set(req.body.Token, {
+            ...connectionData,
+            ShareTokens: (connectionData.ShareTokens || []).filter((token) => token !== req.body.ShareToken)
+        });
+        logger.info('Share token revoked', { correlationId: req.correlationId, scope: shareData.Scope });
+        res.json({});
+    } catch (error) {
+        logger.error('Failed to revoke share token', { correlationId: req.correlationId, error: error.message });
+        res.status(generalErrorStatusCode).json({});
+    }
+});
+
+/**
+ * Analyzes and stores the client WebRTC stats of a running stream session.
+ * 
+ * @route POST /api/SessionReport
+ * @param {Object} req - Express request object
+ * @param {string} req.body.Token - Connection token of the stream session, owner or share token
+ * @param {Object} req.body.Report - Client WebRTC stats from prepareStatsForServer() in metrics.js
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response object
+ * @returns {Object} Response.analysis - Grade, score, latency, frame rate, packet loss and freeze
+ * figures and plain-language findings, see session-report.js
+ * 
+ * @description
+ * DestroyStreamSession accepts the same Report when the session ends; this route analyzes a
+ * session without ending it. A later report for the same token replaces the earlier one.
+ * 
+ * @throws {Error} 400 - When the Report is malformed or too large
+ * @throws {Error} 403 - When the token belongs to another principal
+ * @throws {Error} 404 - When the connection token is not recognized
+ */
+app.post('/api/SessionReport', async (req, res) => {
+    const reportError = validateSessionReport(req.body.Report, sessionReportLimits);
+    if (reportError) {
+        return res.status(400).json({ error: reportError });
+    }
+    try {
+        const connectionData = await sessionStore.get(req.body.Token);
+        if (!connectionData || !connectionData.StreamGroupId) {
+            return res.status(404).json({});
+        }
+        if (!isPrincipalAllowed(req.principal, connectionData)) {
+            return res.status(403).json({});
+        }
+        const analysis = await sessionReports.save(req.body.Token, connectionData, req.body.Report);
+        res.json({ analysis });
+    } catch (error) {
+        logger.error('Failed to store session report', { correlationId: req.correlationId, error: error.message });
+        res.status(generalErrorStatusCode).json({ error: 'Failed to store session report' });
+    }
+});
+
+/**
+ * Returns a stored session report and its analysis.
+ * 
+ * @route POST /api/GetSessionReport
+ * @param {Object} req - Express request object
+ * @param {string} req.body.Token - Connection token the report was submitted with; it may have
+ * been destroyed or expired since, reports are kept for SESSION_REPORTS.TTL_SECONDS
+ * @param {Object} res - Express response object
+ * 
+ * @returns {Object} Response object
+ * @returns {Object} Response.analysis - Analysis computed when the report was submitted
+ * @returns {Object} Response.Report - The submitted report; Report.stats and Report.metadata are
+ * omitted (and StatsDropped or MetadataDropped set) when they exceeded SESSION_REPORTS.MAX_STORED_STATS_BYTES
+ * or SESSION_REPORTS.MAX_STORED_METADATA_BYTES
+ * @returns {number} Response.CreatedAt - Submission time in epoch milliseconds
+ * 
+ * @throws {Error} 403 - When the report belongs to another principal
+ * @throws {Error} 404 - When no report is stored for the token
+ */
+app.post('/api/GetSessionReport', async (req, res) => {
+    try {
+        const record = await sessionReports.get(req.body.Token);
+        if (!record) {
+            return res.status(404).json({});
+        }
+        if (!isPrincipalAllowed(req.principal, record)) {
+            return res.status(403).json({});
+        }
+        res.json({
+            analysis: record.Analysis,
+            Report: {
+                metadata: record.Metadata,
+                stats: record.Stats,
+                sessionDuration: record.SessionDuration
+            },
+            StatsDropped: record.StatsDropped,
+            MetadataDropped: record.MetadataDropped,
+            CreatedAt: record.Timestamp
+        });
+    } catch (error) {
+        logger.error('Failed to load session report', { correlationId: req.correlationId, error: error.message });
+        res.status(generalErrorStatusCode).json({});
+    }
+});
+
+/**
+ * Checks whether a client is currently connected to the stream session of a token
+ * @async
+ * @function isStreamSessionConnected
+ * @param {Object} connectionData - Stored token record
+ * @returns {Promise<boolean>} True while the stream session reports CONNECTED; false when unknown
+ */
+async function isStreamSessionConnected(connectionData) {
+    try {
+        const streamSession = await gameliftstreams.getStreamSession({
+            Identifier: connectionData.StreamGroupId,
+            StreamSessionIdentifier: connectionData.StreamSessionArn,
+        });
+        return streamSession.Status === 'CONNECTED';
+    } catch (error) {
+        // Let CreateStreamSessionConnection report the actual failure
+        return false;
+    }
+}
+
+/**
+ * EMF dimensions of a connection token
+ * @function metricDimensions
+ * @param {Object} connectionData - Stored token record
+ * @returns {Object} Application (catalog id, else application id), StreamGroup and Location
+ */
+function metricDimensions(connectionData) {
+    return {
+        Application: connectionData.CatalogId || connectionData.ApplicationId,
+        StreamGroup: connectionData.StreamGroupId,
+        Location: connectionData.Location
+    };
+}
+
+/**
+ * Records the activation time of an owner token's stream session the first time it is seen
+ * ACTIVE, and marks the token with ActivatedAt so later polls and reconnects are not counted
+ * @async
+ * @function recordSessionActivation
+ * @param {string} token - Connection token
+ * @param {Object} connectionData - Stored token record
+ * @param {string} correlationId - Request correlation ID for logging
+ * @returns {Promise<void>}
+ */
+async function recordSessionActivation(token, connectionData, correlationId) {
+    if (connectionData.ActivatedAt || (connectionData.Scope && connectionData.Scope !== 'owner')) {
+        return;
+    }
+    const activatedAt = Date.now();
+    metrics.sessionActivation.observe({}, (activatedAt - connectionData.Timestamp) / 1000);
+    logger.metrics({ SessionActivationLatency: activatedAt - connectionData.Timestamp }, metricDimensions(connectionData));
+    try {
+        await sessionStore.set(token, { ...connectionData, ActivatedAt: activatedAt });
+    } catch (error) {
+        logger.error('Failed to mark connection token as activated', { correlationId, error: error.message });
+    }
+}
+
+/**
+ * Deletes the share tokens derived from an owner connection token.
+ * The owner record lists them in ShareTokens, so no store scan is needed.
+ * @async
+ * @function deleteShareTokens
+ * @param {Object} connectionData - Stored record of the owner connection token
+ * @returns {Promise<void>}
+ */
+async function deleteShareTokens(connectionData) {
+    for (const token of connectionData.ShareTokens || []) {
+        await sessionStore.delete(token);
+    }
+}
+
+/**
+ * Rewrites the Web SDK protocol URL of a signal response when --override_protocol is present
+ * @function applyProtocolOverride
+ * @param {string} signalResponse - Signal response returned by GetStreamSession
+ * @param {string} correlationId - Request correlation ID for logging
+ * @returns {string} Signal response, unchanged if no override applies or parsing fails
+ */
+function applyProtocolOverride(signalResponse, correlationId) {
+  if (!process.argv.includes('--override_protocol')) {
+    return signalResponse;
+  }
+  try {
+    const parsedResponse = JSON.parse(signalResponse);
+    parsedResponse.webSdkProtocolUrl = `/override_protocol.js?${Date.now()}`;
+    return JSON.stringify(parsedResponse);
+  } catch (error) {
+    logger.error('Protocol override failed', {
+      correlationId,
+      error: error.message
+    });
+    // Continue with original response if parsing fails
+    return signalResponse;
+  }
+}
+
 /**
  * Gets value from command line arguments
  * @function getCommandLineValue
@@ -844,19 +1978,10 @@ function applyCommandLineEnvOverride(param, key) {
 
 /**
  * Token cleanup job
- * Removes expired tokens from the connection database
- * Runs every minute to prevent memory leaks
- * @constant {number} config.STREAM_CONNECTION_TIMEOUT_SECONDS - Timeout in seconds
- */
-setInterval(() => {
-  const now = Date.now();
-  Object.entries(connectionDatabase).forEach(([token, data]) => {
-    if (now - data.Timestamp > config.STREAM_CONNECTION_TIMEOUT_SECONDS * 1000) {
-      logger.info('Cleaning up expired token', { token });
-      delete connectionDatabase[token];
-    }
-  });
-}, config.TOKEN_CLEANUP_INTERVAL_MS); // Run every minute
+ * Removes expired tokens from the session store
+ * Runs every config.TOKEN_CLEANUP_INTERVAL_MS to prevent stale tokens from piling up
+ */
+sessionStore.startCleanup();
 
 /**
  * Health check endpoint
@@ -867,16 +1992,25 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
-// Catch-all route for serving static files
+// Files outside public/ that the page loads, by URL path
+const STATIC_PACKAGE_FILES = ['node_modules/chart.js/dist/chart.umd.js'];
+
+// Catch-all route for serving static files from public/ and STATIC_PACKAGE_FILES.
+// Nothing else under the server directory is served: it holds the sources, package and
+// configuration files.
 app.use((req, res, next) => {
   const filePath = req.path.startsWith('/') ? req.path.slice(1) : req.path;
-  const fullPath = path.join(__dirname, filePath);
+  const baseDir = STATIC_PACKAGE_FILES.includes(filePath) ? __dirname : path.join(__dirname, 'public');
+  const fullPath = path.join(baseDir, filePath);
 
-  if (fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) {
+  if (fullPath.startsWith(baseDir + path.sep) && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) {
     const content = fs.readFileSync(fullPath);
     const contentType = getContentType(filePath);
     res.contentType(contentType);
     res.send(content);
+  } else if (path.extname(filePath)) {
+    // A missing file, not a page route: don't answer with index.html
+    res.status(404).send('File not found');
   } else {
     next();
   }
@@ -927,11 +2061,14 @@ app.get('*', (req, res) => {
   }
 });
 
+// The express app, for tests that serve it on their own port (see config.LISTEN)
+exports.app = app;
+
 /**
  * Server initialization for local development
  * Sets up both HTTP and HTTPS servers with appropriate configurations
  */
-if (IS_LOCAL) {
+if (IS_LOCAL && config.LISTEN) {
   // Create HTTPS server and listen for requests, if private key and certificate can be loaded
   let key, cert;
   try { key = fs.readFileSync(config.TLS_KEYFILE, 'utf8'); } catch { }
@@ -978,7 +2115,7 @@ if (IS_LOCAL) {
     })
 
   });
-} else {
+} else if (!IS_LOCAL) {
   // Lambda setup
   console.log('Running in Lambda mode');
   const handler = serverless(app);
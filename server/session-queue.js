@@ -0,0 +1,264 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Waitlist for stream session requests when stream capacity is exhausted
+ * @description Keeps one FIFO queue per stream group and location. A request that cannot be
+ * placed because the stream group has no capacity is parked with a ticket. Requests arriving
+ * while a queue is non-empty join the back of it instead of overtaking waiting players.
+ *
+ * A WebRTC offer goes stale while its player waits, so placement is retried with a fresh one:
+ * once the head of a queue is due for a retry, its status asks for a signal request
+ * (SignalRequestNeeded), and the client's next poll passes a new offer to place(). The head
+ * is retried this way until placement succeeds, fails for another reason, or the client
+ * stops polling its ticket.
+ *
+ * The queue lives in process memory, so it only works with a single long-running server
+ * process; server.js turns it off in Lambda mode.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates a session queue
+ * @function createSessionQueue
+ * @param {Object} options - Queue options
+ * @param {number} options.retryIntervalMs - Delay between placement attempts for a queue head
+ * @param {number} options.maxLength - Maximum number of tickets per queue
+ * @param {number} options.abandonAfterMs - Tickets not polled for this long are dropped
+ * @param {number} options.resultTtlMs - How long placed/failed results stay retrievable
+ * @param {number} options.defaultWaitSeconds - Assumed wait per position before any placement was observed
+ * @param {string[]} options.capacityErrorNames - Service exception names meaning "no capacity"
+ * @param {RegExp} [options.capacityErrorPattern] - Error messages meaning "no capacity", whatever the exception name
+ * @param {Object} [options.logger] - Logger with info/error methods
+ * @returns {Object} Queue with isCapacityError/length/enqueue/status/place/leave methods
+ */
+function createSessionQueue(options) {
+  const logger = options.logger || { info: () => {}, error: () => {} };
+  const queues = new Map();   // queue key -> { entries: [], attempting, lastPlacementAt, avgPlacementIntervalMs }
+  const tickets = new Map();  // ticket -> entry
+
+  const getQueue = (key) => {
+    if (!queues.has(key)) {
+      queues.set(key, { entries: [], attempting: false, lastPlacementAt: 0, avgPlacementIntervalMs: 0 });
+    }
+    return queues.get(key);
+  };
+
+  // The head of a queue may retry once retryIntervalMs has passed since its last attempt
+  const isDue = (queue, entry, now = Date.now()) =>
+    queue.entries[0] === entry && !queue.attempting && now - entry.lastAttemptAt >= options.retryIntervalMs;
+
+  const removeEntry = (queue, entry) => {
+    const index = queue.entries.indexOf(entry);
+    if (index !== -1) {
+      queue.entries.splice(index, 1);
+    }
+  };
+
+  const finish = (entry, status, fields) => {
+    Object.assign(entry, { status, finishedAt: Date.now() }, fields);
+    // Keep the outcome around long enough for the client's next poll
+    setTimeout(() => tickets.delete(entry.ticket), options.resultTtlMs).unref();
+  };
+
+  const recordPlacement = (queue) => {
+    const now = Date.now();
+    if (queue.lastPlacementAt) {
+      const interval = now - queue.lastPlacementAt;
+      // Exponential moving average of the time between placements drives the ETA
+      queue.avgPlacementIntervalMs = queue.avgPlacementIntervalMs
+        ? 0.7 * queue.avgPlacementIntervalMs + 0.3 * interval
+        : interval;
+    }
+    queue.lastPlacementAt = now;
+  };
+
+  const dropAbandoned = (key, queue) => {
+    const now = Date.now();
+    queue.entries.filter((entry) => now - entry.lastPolledAt > options.abandonAfterMs).forEach((entry) => {
+      logger.info('Dropping abandoned queue ticket', { queue: key, ticket: entry.ticket });
+      entry.status = 'LEFT';
+      removeEntry(queue, entry);
+      tickets.delete(entry.ticket);
+    });
+  };
+
+  /**
+   * Tries to place the head of a queue with a fresh signal request
+   * @param {string} key - Queue key
+   * @param {Object} entry - Head entry
+   * @param {string} signalRequest - WebRTC offer generated for this attempt
+   * @returns {Promise<void>}
+   */
+  const attemptPlacement = async (key, entry, signalRequest) => {
+    const queue = getQueue(key);
+    queue.attempting = true;
+    entry.attempts++;
+    entry.lastAttemptAt = Date.now();
+    try {
+      const result = await entry.place(signalRequest);
+      if (entry.status === 'LEFT') {
+        // The player left while this attempt was in flight
+        logger.info('Releasing stream session placed for a ticket that left the queue', { queue: key, ticket: entry.ticket });
+        Promise.resolve(entry.release(result)).catch((error) => {
+          logger.error('Failed to release stream session', { queue: key, ticket: entry.ticket, error: error.message });
+        });
+        return;
+      }
+      removeEntry(queue, entry);
+      recordPlacement(queue);
+      logger.info('Queued stream session placed', { queue: key, ticket: entry.ticket, attempts: entry.attempts });
+      finish(entry, 'PLACED', { result });
+    } catch (error) {
+      if (service.isCapacityError(error)) {
+        return; // Still no capacity, the head asks for another offer when due again
+      }
+      removeEntry(queue, entry);
+      logger.error('Queued stream session failed', { queue: key, ticket: entry.ticket, error: error.message });
+      finish(entry, 'FAILED', { error: error.message });
+    } finally {
+      queue.attempting = false;
+    }
+  };
+
+  const service = {
+    /**
+     * Checks whether a StartStreamSession error means the stream group is out of capacity
+     * @param {Error} error - Error from startStreamSession
+     * @returns {boolean} True for capacity errors
+     */
+    isCapacityError(error) {
+      if (!error) {
+        return false;
+      }
+      return options.capacityErrorNames.includes(error.name) ||
+        (!!options.capacityErrorPattern && options.capacityErrorPattern.test(error.message || ''));
+    },
+
+    /**
+     * Number of tickets waiting in a queue
+     * @param {string} key - Queue key
+     * @returns {number} Queue length
+     */
+    length(key) {
+      return queues.has(key) ? queues.get(key).entries.length : 0;
+    },
+
+    /**
+     * Adds a request to the back of a queue
+     * @param {string} key - Queue key, e.g. stream group and location
+     * @param {Object} request - Queued request
+     * @param {Function} request.place - async (signalRequest) => result; throws a capacity error while no capacity is available
+     * @param {Function} [request.release] - (result) => void; undoes a placement that finished after the player left
+     * @param {string} [request.principal] - Principal allowed to poll or leave the ticket
+     * @returns {Object|null} Ticket status, or null when the queue is full
+     */
+    enqueue(key, request) {
+      const queue = getQueue(key);
+      dropAbandoned(key, queue);
+      if (queue.entries.length >= options.maxLength) {
+        return null;
+      }
+      const now = Date.now();
+      const entry = {
+        ticket: crypto.randomUUID(),
+        key,
+        place: request.place,
+        release: request.release || (() => {}),
+        Principal: request.principal,
+        status: 'QUEUED',
+        attempts: 0,
+        enqueuedAt: now,
+        lastPolledAt: now,
+        lastAttemptAt: now
+      };
+      queue.entries.push(entry);
+      tickets.set(entry.ticket, entry);
+      logger.info('Stream session request queued', { queue: key, ticket: entry.ticket, position: queue.entries.length });
+      return service.status(entry.ticket);
+    },
+
+    /**
+     * Reports the state of a ticket; also counts as a keep-alive
+     * @param {string} ticket - Queue ticket
+     * @returns {Object|undefined} { Ticket, Status, Position, QueueLength, EtaSeconds, SignalRequestNeeded }
+     * while queued, { Ticket, Status: 'PLACED', Result } or { Ticket, Status: 'FAILED', Error } afterwards
+     */
+    status(ticket) {
+      const entry = typeof ticket === 'string' ? tickets.get(ticket) : undefined;
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.status === 'PLACED') {
+        return { Ticket: entry.ticket, Status: 'PLACED', Result: entry.result, Principal: entry.Principal };
+      }
+      if (entry.status === 'FAILED') {
+        return { Ticket: entry.ticket, Status: 'FAILED', Error: entry.error, Principal: entry.Principal };
+      }
+
+      const now = Date.now();
+      entry.lastPolledAt = now;
+      const queue = getQueue(entry.key);
+      const position = queue.entries.indexOf(entry) + 1;
+      const waitPerPositionMs = queue.avgPlacementIntervalMs || options.defaultWaitSeconds * 1000;
+      return {
+        Ticket: entry.ticket,
+        Status: 'QUEUED',
+        Position: position,
+        QueueLength: queue.entries.length,
+        EtaSeconds: Math.round((position * waitPerPositionMs) / 1000),
+        SignalRequestNeeded: isDue(queue, entry, now),
+        Principal: entry.Principal
+      };
+    },
+
+    /**
+     * Retries placement of a ticket at the head of its queue with a fresh signal request.
+     * Does nothing unless the ticket's status asks for a signal request.
+     * @param {string} ticket - Queue ticket
+     * @param {string} signalRequest - WebRTC offer generated for this attempt
+     * @returns {Promise<Object|undefined>} Ticket status after the attempt, see status()
+     */
+    async place(ticket, signalRequest) {
+      const entry = typeof ticket === 'string' ? tickets.get(ticket) : undefined;
+      if (entry && entry.status === 'QUEUED' && signalRequest) {
+        entry.lastPolledAt = Date.now();
+        const queue = getQueue(entry.key);
+        dropAbandoned(entry.key, queue);
+        if (isDue(queue, entry)) {
+          await attemptPlacement(entry.key, entry, signalRequest);
+        }
+      }
+      return service.status(ticket);
+    },
+
+    /**
+     * Removes a ticket from its queue
+     * @param {string} ticket - Queue ticket
+     * @returns {boolean} True when the ticket was waiting
+     */
+    leave(ticket) {
+      const entry = typeof ticket === 'string' ? tickets.get(ticket) : undefined;
+      if (!entry) {
+        return false;
+      }
+      tickets.delete(ticket);
+      if (entry.status !== 'QUEUED') {
+        return false;
+      }
+      entry.status = 'LEFT';
+      removeEntry(getQueue(entry.key), entry);
+      logger.info('Stream session request left queue', { queue: entry.key, ticket });
+      return true;
+    }
+  };
+
+  return service;
+}
+
+module.exports = {
+  createSessionQueue
+};
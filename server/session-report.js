@@ -0,0 +1,433 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Quality analysis of the client WebRTC stats collected during a stream session
+ * @description Accepts the report built by prepareStatsForServer() in public/metrics.js:
+ * {
+ *   "metadata": { "sessionId": "...", "clientId": "...", "streamStartTime": 1700000000000, ... },
+ *   "stats": {
+ *     "webrtc_candidate-pair_currentRoundTripTime": [[1700000005000, 0.031], ...],
+ *     "webrtc_inbound-rtp_packetsLost": [[1700000005000, 12], ...]
+ *   },
+ *   "sessionDuration": 600000
+ * }
+ * Each series holds [timestamp, value] pairs. Audio reports are collected under their own
+ * 'inbound-rtp-audio' names, so the inbound-rtp series describe the video stream only. A
+ * series may still hold several samples per timestamp (e.g. two candidate pairs, or reports
+ * merged from several tabs); counters are summed and gauges averaged per timestamp before analysis.
+ *
+ * The analysis grades the session from A to F and explains every deduction in plain
+ * language. Reports and their analysis are stored in the connection token store under a
+ * "report:" key with Scope 'report', which no token route accepts. Stored records are kept
+ * small: raw samples and metadata past their size limits are dropped, and the analysis lists
+ * at most MAX_LISTED_PERIODS loss bursts and freezes.
+ */
+
+/**
+ * Metric series read by the analysis
+ * @constant {Object<string, string>}
+ */
+const METRICS = {
+  rtt: 'webrtc_candidate-pair_currentRoundTripTime',
+  fps: 'webrtc_inbound-rtp_framesPerSecond',
+  framesDecoded: 'webrtc_inbound-rtp_framesDecoded',
+  jitter: 'webrtc_inbound-rtp_jitter',
+  packetsLost: 'webrtc_inbound-rtp_packetsLost',
+  packetsReceived: 'webrtc_inbound-rtp_packetsReceived'
+};
+
+/**
+ * Thresholds behind the findings and the score deductions
+ * @constant {Object}
+ */
+const THRESHOLDS = {
+  rttP95Ms: [{ above: 150, penalty: 25 }, { above: 100, penalty: 15 }, { above: 60, penalty: 5 }],
+  jitterP95Ms: [{ above: 50, penalty: 15 }, { above: 30, penalty: 5 }],
+  lossPercent: [{ above: 5, penalty: 30 }, { above: 2, penalty: 20 }, { above: 0.5, penalty: 10 }],
+  fpsStabilityPercent: [{ below: 70, penalty: 20 }, { below: 85, penalty: 10 }],
+  minAverageFps: 24,
+  lowFpsPenalty: 10,
+  burstLossPercent: 2,
+  penaltyPerBurst: 3,
+  maxBurstPenalty: 15,
+  penaltyPerFreeze: 5,
+  maxFreezePenalty: 30
+};
+
+/**
+ * Score needed for each grade, best first
+ * @constant {Array<[string, number]>}
+ */
+const GRADES = [['A', 90], ['B', 80], ['C', 70], ['D', 60], ['F', 0]];
+
+/**
+ * Number of loss bursts and freeze periods listed in an analysis; the counts cover all of them
+ * @constant {number}
+ */
+const MAX_LISTED_PERIODS = 50;
+
+/**
+ * Key prefix of stored reports in the connection token store
+ * @constant {string}
+ */
+const REPORT_KEY_PREFIX = 'report:';
+
+/**
+ * Checks the shape and size of a submitted report
+ * @function validateSessionReport
+ * @param {*} report - Request body value
+ * @param {Object} limits - Size limits
+ * @param {number} limits.maxMetrics - Maximum number of metric series
+ * @param {number} limits.maxSamplesPerMetric - Maximum number of samples per series
+ * @returns {string|null} Problem description, null when the report is valid
+ */
+function validateSessionReport(report, limits) {
+  if (!report || typeof report !== 'object' || Array.isArray(report)) {
+    return 'Report must be an object';
+  }
+  if (!report.stats || typeof report.stats !== 'object' || Array.isArray(report.stats)) {
+    return 'Report.stats must be an object of metric series';
+  }
+  const series = Object.entries(report.stats);
+  if (series.length > limits.maxMetrics) {
+    return `Report.stats may hold at most ${limits.maxMetrics} metrics`;
+  }
+  for (const [name, samples] of series) {
+    if (!Array.isArray(samples) || samples.length > limits.maxSamplesPerMetric) {
+      return `Report.stats.${name} must be a list of at most ${limits.maxSamplesPerMetric} samples`;
+    }
+    const valid = samples.every((sample) => Array.isArray(sample) && sample.length === 2 &&
+      Number.isFinite(sample[0]) && Number.isFinite(sample[1]));
+    if (!valid) {
+      return `Report.stats.${name} samples must be [timestamp, value] number pairs`;
+    }
+  }
+  if (report.sessionDuration !== undefined && !Number.isFinite(report.sessionDuration)) {
+    return 'Report.sessionDuration must be a number';
+  }
+  return null;
+}
+
+/**
+ * Collapses a series to one value per timestamp, in time order
+ * @param {Array<[number, number]>} [samples] - Raw series
+ * @param {boolean} sum - Sum values sharing a timestamp (counters) instead of averaging them (gauges)
+ * @returns {Array<[number, number]>} Series with unique, ascending timestamps
+ */
+function collapse(samples, sum) {
+  const groups = new Map();
+  (samples || []).forEach(([timestamp, value]) => {
+    const group = groups.get(timestamp) || { total: 0, count: 0 };
+    group.total += value;
+    group.count++;
+    groups.set(timestamp, group);
+  });
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([timestamp, { total, count }]) => [timestamp, sum ? total : total / count]);
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} values - Values
+ * @param {number} percentile - 0 to 100
+ * @returns {number} Percentile value
+ */
+function percentile(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1)];
+}
+
+const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+// Math.min(...values) overflows the call stack on large reports
+const minOf = (values) => values.reduce((min, value) => (value < min ? value : min), Infinity);
+const maxOf = (values) => values.reduce((max, value) => (value > max ? value : max), -Infinity);
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Per-interval increments of a cumulative counter; a counter going backwards (a new
+ * inbound-rtp stream after a reconnect) restarts from zero
+ * @param {Array<[number, number]>} series - Collapsed counter series
+ * @returns {Array<{start: number, end: number, delta: number}>} Increments between samples
+ */
+function counterDeltas(series) {
+  const deltas = [];
+  for (let i = 1; i < series.length; i++) {
+    const [start, previous] = series[i - 1];
+    const [end, current] = series[i];
+    deltas.push({ start, end, delta: current >= previous ? current - previous : Math.max(0, current) });
+  }
+  return deltas;
+}
+
+/**
+ * Merges consecutive intervals matching a predicate
+ * @param {Array<Object>} intervals - Intervals with start and end, in time order
+ * @param {Function} matches - (interval) => boolean
+ * @returns {Array<Array<Object>>} Runs of consecutive matching intervals
+ */
+function findRuns(intervals, matches) {
+  const runs = [];
+  let current = null;
+  intervals.forEach((interval) => {
+    if (!matches(interval)) {
+      current = null;
+    } else if (current && current[current.length - 1].end === interval.start) {
+      current.push(interval);
+    } else {
+      current = [interval];
+      runs.push(current);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Picks the penalty of the first threshold a value crosses
+ * @param {number} value - Measured value
+ * @param {Array<Object>} levels - Thresholds with above or below, worst first
+ * @returns {number} Penalty, 0 when no threshold is crossed
+ */
+function penaltyFor(value, levels) {
+  const level = levels.find((l) => (l.above !== undefined ? value > l.above : value < l.below));
+  return level ? level.penalty : 0;
+}
+
+/**
+ * Computes the quality analysis of a validated report
+ * @function analyzeSessionReport
+ * @param {Object} report - Report accepted by validateSessionReport
+ * @returns {Object} Analysis with grade, score, per-area figures and findings. Areas without
+ * samples are null, as are grade and score when no area has samples. Times are epoch milliseconds, round-trip times and jitter milliseconds.
+ *
+ * @example
+ * const analysis = analyzeSessionReport(report);
+ * // { grade: 'B', score: 85, rtt: { averageMs: 42, p95Ms: 71, maxMs: 95, samples: 120 },
+ * //   findings: [{ severity: 'warning', area: 'latency', message: '...' }], ... }
+ */
+function analyzeSessionReport(report) {
+  const stats = report.stats;
+  const findings = [];
+  let score = 100;
+  const deduct = (penalty, severity, area, message) => {
+    if (penalty > 0) {
+      score -= penalty;
+      findings.push({ severity, area, message });
+    }
+  };
+  const severityOf = (penalty) => (penalty >= 15 ? 'critical' : 'warning');
+
+  let startTime;
+  let endTime;
+  Object.values(stats).forEach((samples) => samples.forEach(([timestamp]) => {
+    startTime = startTime === undefined || timestamp < startTime ? timestamp : startTime;
+    endTime = endTime === undefined || timestamp > endTime ? timestamp : endTime;
+  }));
+  const durationMs = Number.isFinite(report.sessionDuration)
+    ? report.sessionDuration
+    : (startTime === undefined ? 0 : endTime - startTime);
+
+  // Round-trip time
+  let rtt = null;
+  const rttMs = collapse(stats[METRICS.rtt], false).map(([, seconds]) => seconds * 1000);
+  if (rttMs.length) {
+    rtt = {
+      averageMs: round(average(rttMs)),
+      p95Ms: round(percentile(rttMs, 95)),
+      maxMs: round(maxOf(rttMs)),
+      samples: rttMs.length
+    };
+    const penalty = penaltyFor(rtt.p95Ms, THRESHOLDS.rttP95Ms);
+    deduct(penalty, severityOf(penalty), 'latency',
+      `Round-trip time reached ${rtt.p95Ms} ms in the slowest 5% of samples (average ${rtt.averageMs} ms), ` +
+      'so input may have felt delayed. A wired connection or a stream location closer to the player helps.');
+  }
+
+  // Jitter
+  let jitter = null;
+  const jitterMs = collapse(stats[METRICS.jitter], false).map(([, seconds]) => seconds * 1000);
+  if (jitterMs.length) {
+    jitter = { averageMs: round(average(jitterMs)), p95Ms: round(percentile(jitterMs, 95)) };
+    const penalty = penaltyFor(jitter.p95Ms, THRESHOLDS.jitterP95Ms);
+    deduct(penalty, severityOf(penalty), 'jitter',
+      `Packet arrival times varied by up to ${jitter.p95Ms} ms, which can cause stutter. ` +
+      'Other traffic on the network or Wi-Fi interference are common causes.');
+  }
+
+  // Frame rate stability
+  let fps = null;
+  const fpsValues = collapse(stats[METRICS.fps], true).map(([, value]) => value);
+  if (fpsValues.length) {
+    const mean = average(fpsValues);
+    const stdDev = Math.sqrt(average(fpsValues.map((value) => (value - mean) ** 2)));
+    fps = {
+      average: round(mean),
+      min: round(minOf(fpsValues)),
+      stdDev: round(stdDev),
+      stabilityPercent: mean > 0 ? round(Math.max(0, 100 * (1 - stdDev / mean))) : 0,
+      samples: fpsValues.length
+    };
+    const stabilityPenalty = penaltyFor(fps.stabilityPercent, THRESHOLDS.fpsStabilityPercent);
+    deduct(stabilityPenalty, severityOf(stabilityPenalty), 'frameRate',
+      `The frame rate was unsteady (${fps.stabilityPercent}% stable, between ${fps.min} and ` +
+      `${round(maxOf(fpsValues))} fps), which shows as uneven motion.`);
+    deduct(mean < THRESHOLDS.minAverageFps ? THRESHOLDS.lowFpsPenalty : 0, 'warning', 'frameRate',
+      `The average frame rate was only ${fps.average} fps. The device may be struggling to decode ` +
+      'the stream, or the bandwidth may be too low for the stream resolution.');
+  }
+
+  // Packet loss and loss bursts
+  let packetLoss = null;
+  const lostDeltas = counterDeltas(collapse(stats[METRICS.packetsLost], true));
+  const receivedDeltas = counterDeltas(collapse(stats[METRICS.packetsReceived], true));
+  if (lostDeltas.length && receivedDeltas.length) {
+    const received = new Map(receivedDeltas.map((interval) => [interval.end, interval.delta]));
+    const intervals = lostDeltas.map((interval) => {
+      const total = interval.delta + (received.get(interval.end) || 0);
+      return { ...interval, lossPercent: total ? (100 * interval.delta) / total : 0 };
+    });
+    const lost = intervals.reduce((total, interval) => total + interval.delta, 0);
+    const totalReceived = receivedDeltas.reduce((total, interval) => total + interval.delta, 0);
+    const bursts = findRuns(intervals, (interval) => interval.lossPercent >= THRESHOLDS.burstLossPercent)
+      .map((run) => ({
+        start: run[0].start,
+        end: run[run.length - 1].end,
+        packetsLost: run.reduce((total, interval) => total + interval.delta, 0),
+        peakLossPercent: round(maxOf(run.map((interval) => interval.lossPercent)))
+      }));
+    packetLoss = {
+      packetsLost: lost,
+      packetsReceived: totalReceived,
+      lossPercent: lost + totalReceived ? round((100 * lost) / (lost + totalReceived), 2) : 0,
+      burstCount: bursts.length,
+      bursts: bursts.slice(0, MAX_LISTED_PERIODS)
+    };
+    const penalty = penaltyFor(packetLoss.lossPercent, THRESHOLDS.lossPercent);
+    deduct(penalty, severityOf(penalty), 'packetLoss',
+      `${packetLoss.lossPercent}% of packets were lost, which causes blocky or smeared video ` +
+      'until the stream recovers.');
+    deduct(Math.min(THRESHOLDS.maxBurstPenalty, bursts.length * THRESHOLDS.penaltyPerBurst), 'warning',
+      'packetLoss', `Packet loss came in ${bursts.length} burst${bursts.length === 1 ? '' : 's'}, ` +
+      `the worst losing ${maxOf([0, ...bursts.map((burst) => burst.peakLossPercent)])}% of packets. ` +
+      'Short bursts often point to Wi-Fi dropouts or a congested link.');
+  }
+
+  // Freezes: intervals in which no new frame was decoded
+  let freezes = null;
+  const decodedDeltas = counterDeltas(collapse(stats[METRICS.framesDecoded], true));
+  if (decodedDeltas.length) {
+    const periods = findRuns(decodedDeltas, (interval) => interval.delta === 0).map((run) => ({
+      start: run[0].start,
+      end: run[run.length - 1].end,
+      durationMs: run[run.length - 1].end - run[0].start
+    }));
+    freezes = {
+      count: periods.length,
+      totalMs: periods.reduce((total, period) => total + period.durationMs, 0),
+      periods: periods.slice(0, MAX_LISTED_PERIODS)
+    };
+    deduct(Math.min(THRESHOLDS.maxFreezePenalty, freezes.count * THRESHOLDS.penaltyPerFreeze),
+      freezes.count > 2 ? 'critical' : 'warning', 'freezes',
+      `The picture froze ${freezes.count} time${freezes.count === 1 ? '' : 's'} for ` +
+      `${round(freezes.totalMs / 1000)} seconds in total.`);
+  }
+
+  const graded = !!(rtt || fps || packetLoss || freezes);
+  score = Math.max(0, score);
+  if (!findings.length) {
+    findings.push({
+      severity: 'info',
+      area: 'overall',
+      message: graded
+        ? 'No quality problems were detected during this session.'
+        : 'The report holds no samples of the metrics used for grading.'
+    });
+  }
+
+  return {
+    grade: graded ? GRADES.find(([, minimum]) => score >= minimum)[0] : null,
+    score: graded ? score : null,
+    startTime,
+    endTime,
+    durationSeconds: Math.round(durationMs / 1000),
+    rtt,
+    jitter,
+    fps,
+    packetLoss,
+    freezes,
+    findings
+  };
+}
+
+/**
+ * Creates the store for analyzed reports on top of the connection token store
+ * @function createSessionReportStore
+ * @param {Object} options - Store options
+ * @param {Object} options.sessionStore - Connection token store
+ * @param {number} options.ttlMs - Lifetime of a stored report
+ * @param {number} options.maxStoredStatsBytes - Raw samples above this JSON size are not stored
+ * @param {number} options.maxStoredMetadataBytes - Metadata above this JSON size is not stored
+ * @param {Object} [options.logger] - Logger with info/error methods
+ * @returns {Object} Store with save/get methods
+ */
+function createSessionReportStore(options) {
+  const logger = options.logger || { info: () => {}, error: () => {} };
+
+  return {
+    /**
+     * Analyzes a report and stores it for the token it was submitted with, replacing any
+     * earlier report of that token
+     * @param {string} token - Connection token the report belongs to
+     * @param {Object} connectionData - Stored record of the token
+     * @param {Object} report - Validated report
+     * @returns {Promise<Object>} Analysis
+     */
+    async save(token, connectionData, report) {
+      const analysis = analyzeSessionReport(report);
+      const statsBytes = Buffer.byteLength(JSON.stringify(report.stats));
+      const keepStats = statsBytes <= options.maxStoredStatsBytes;
+      const keepMetadata = Buffer.byteLength(JSON.stringify(report.metadata) || '') <= options.maxStoredMetadataBytes;
+      const now = Date.now();
+      await options.sessionStore.set(`${REPORT_KEY_PREFIX}${token}`, {
+        Scope: 'report',
+        Principal: connectionData.Principal,
+        StreamSessionArn: connectionData.StreamSessionArn,
+        CatalogId: connectionData.CatalogId,
+        Metadata: keepMetadata ? report.metadata : undefined,
+        MetadataDropped: !keepMetadata,
+        SessionDuration: report.sessionDuration,
+        Stats: keepStats ? report.stats : undefined,
+        StatsDropped: !keepStats,
+        Analysis: analysis,
+        Timestamp: now,
+        ExpiresAt: now + options.ttlMs
+      });
+      logger.info('Session report stored', {
+        streamSessionArn: connectionData.StreamSessionArn,
+        grade: analysis.grade,
+        statsBytes,
+        statsDropped: !keepStats,
+        metadataDropped: !keepMetadata
+      });
+      return analysis;
+    },
+
+    /**
+     * Looks up the stored report of a token
+     * @param {string} token - Connection token the report was submitted with
+     * @returns {Promise<Object|undefined>} Stored report record
+     */
+    async get(token) {
+      return typeof token === 'string' && token ? options.sessionStore.get(`${REPORT_KEY_PREFIX}${token}`) : undefined;
+    }
+  };
+}
+
+module.exports = {
+  validateSessionReport,
+  analyzeSessionReport,
+  createSessionReportStore
+};
@@ -0,0 +1,381 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Persistent storage for connection tokens issued by CreateStreamSession
+ * @description Provides a small asynchronous key/value interface with in-memory, JSON file,
+ * SQLite and DynamoDB backends. Every backend shares the same expiry rules: each record
+ * carries an ExpiresAt timestamp, expired records are never returned by get() or entries(),
+ * and a periodic cleanup job purges them from the underlying storage. DynamoDB removes them
+ * itself through the table's native TTL, so it has no cleanup job.
+ *
+ * Relative file paths of the file and sqlite backends resolve against the data directory.
+ * The server serves static files from this directory's tree, so store files are never
+ * allowed inside it: they hold every owner and share connection token.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Data directory used when options.dataDir is not set
+const DEFAULT_DATA_DIR = path.join(os.tmpdir(), 'gamelift-streams-web');
+
+/**
+ * Resolves the file of the file and sqlite backends against the data directory
+ * @function resolveStoreFilePath
+ * @param {Object} options - Backend options
+ * @param {string} defaultName - File name used when options.filePath is empty
+ * @returns {string} Absolute file path
+ * @throws {Error} If the path is inside the server directory
+ */
+function resolveStoreFilePath(options, defaultName) {
+  const filePath = path.resolve(options.dataDir || DEFAULT_DATA_DIR, options.filePath || defaultName);
+  const relativeToServer = path.relative(__dirname, filePath);
+  if (relativeToServer !== '..' && !relativeToServer.startsWith(`..${path.sep}`) && !path.isAbsolute(relativeToServer)) {
+    throw new Error(`Session store file ${filePath} must not be inside the server directory ${__dirname}`);
+  }
+  return filePath;
+}
+
+/**
+ * Creates an in-memory backend. Tokens are lost when the process exits.
+ * @function createMemoryBackend
+ * @returns {Object} Backend with get/put/delete/list operations
+ */
+function createMemoryBackend() {
+  const records = new Map();
+  return {
+    get: async (token) => records.get(token),
+    put: async (token, record) => { records.set(token, record); },
+    delete: async (token) => { records.delete(token); },
+    list: async () => Array.from(records.entries()),
+    close: async () => {}
+  };
+}
+
+/**
+ * Creates a JSON file backend. The whole token table is kept in memory and
+ * rewritten to disk (write to temporary file, then rename) after every change.
+ * @function createJsonFileBackend
+ * @param {Object} options - Backend options
+ * @param {string} [options.filePath='sessions.json'] - Path of the JSON file
+ * @param {string} [options.dataDir] - Directory relative paths resolve against
+ * @returns {Object} Backend with get/put/delete/list operations
+ */
+function createJsonFileBackend(options) {
+  const filePath = resolveStoreFilePath(options, 'sessions.json');
+  const records = new Map();
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    Object.entries(content).forEach(([token, record]) => records.set(token, record));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Unable to load session store file ${filePath}: ${error.message}`);
+    }
+  }
+
+  const flush = () => {
+    const tempPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(records), null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    get: async (token) => records.get(token),
+    put: async (token, record) => { records.set(token, record); flush(); },
+    delete: async (token) => {
+      if (records.delete(token)) {
+        flush();
+      }
+    },
+    list: async () => Array.from(records.entries()),
+    close: async () => {}
+  };
+}
+
+/**
+ * Creates a SQLite backend using better-sqlite3 (optional dependency).
+ * @function createSqliteBackend
+ * @param {Object} options - Backend options
+ * @param {string} [options.filePath='sessions.db'] - Path of the SQLite database file
+ * @param {string} [options.dataDir] - Directory relative paths resolve against
+ * @returns {Object} Backend with get/put/delete/list operations
+ */
+function createSqliteBackend(options) {
+  const Database = require('better-sqlite3');
+  const filePath = resolveStoreFilePath(options, 'sessions.db');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS connection_tokens (
+    token TEXT PRIMARY KEY,
+    record TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )`);
+
+  const selectOne = db.prepare('SELECT record FROM connection_tokens WHERE token = ?');
+  const upsert = db.prepare(`INSERT INTO connection_tokens (token, record, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT(token) DO UPDATE SET record = excluded.record, expires_at = excluded.expires_at`);
+  const remove = db.prepare('DELETE FROM connection_tokens WHERE token = ?');
+  const selectAll = db.prepare('SELECT token, record FROM connection_tokens');
+
+  return {
+    get: async (token) => {
+      const row = selectOne.get(token);
+      return row ? JSON.parse(row.record) : undefined;
+    },
+    put: async (token, record) => { upsert.run(token, JSON.stringify(record), record.ExpiresAt); },
+    delete: async (token) => { remove.run(token); },
+    list: async () => selectAll.all().map((row) => [row.token, JSON.parse(row.record)]),
+    close: async () => { db.close(); }
+  };
+}
+
+/**
+ * Creates a DynamoDB backend. Items are keyed by Token and carry an ExpiresAtEpoch
+ * attribute (seconds), which must be enabled as the table's native TTL attribute: the
+ * store never scans the table to purge expired items.
+ * Set endpoint to a DynamoDB Local URL (e.g. http://localhost:8000) for offline testing.
+ * @function createDynamoDbBackend
+ * @param {Object} options - Backend options
+ * @param {string} options.tableName - DynamoDB table name
+ * @param {string} [options.endpoint] - Optional endpoint override
+ * @param {string} [options.region] - Optional region override
+ * @param {Object} [options.client] - DynamoDB document client to use instead of creating one
+ * @returns {Object} Backend with get/put/delete/list operations
+ */
+function createDynamoDbBackend({ tableName, endpoint, region, client: documentClient }) {
+  if (!tableName) {
+    throw new Error('DynamoDB session store requires a table name');
+  }
+  const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+  const {
+    DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, ScanCommand
+  } = require('@aws-sdk/lib-dynamodb');
+
+  const client = documentClient || DynamoDBDocumentClient.from(new DynamoDBClient({
+    endpoint: endpoint || undefined,
+    region: region || undefined
+  }), {
+    marshallOptions: { removeUndefinedValues: true }
+  });
+
+  return {
+    nativeTtl: true,
+    get: async (token) => {
+      const result = await client.send(new GetCommand({ TableName: tableName, Key: { Token: token } }));
+      return result.Item ? result.Item.Record : undefined;
+    },
+    put: async (token, record) => {
+      await client.send(new PutCommand({
+        TableName: tableName,
+        Item: {
+          Token: token,
+          Record: record,
+          ExpiresAtEpoch: Math.ceil(record.ExpiresAt / 1000)
+        }
+      }));
+    },
+    delete: async (token) => {
+      await client.send(new DeleteCommand({ TableName: tableName, Key: { Token: token } }));
+    },
+    list: async () => {
+      const items = [];
+      let ExclusiveStartKey;
+      do {
+        const page = await client.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey }));
+        items.push(...(page.Items || []));
+        ExclusiveStartKey = page.LastEvaluatedKey;
+      } while (ExclusiveStartKey);
+      return items.map((item) => [item.Token, item.Record]);
+    },
+    close: async () => { client.destroy(); }
+  };
+}
+
+/**
+ * Backend factories by store type
+ * @constant {Object<string, Function>}
+ */
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createJsonFileBackend,
+  sqlite: createSqliteBackend,
+  dynamodb: createDynamoDbBackend
+};
+
+/**
+ * Creates a connection token store
+ * @function createSessionStore
+ * @param {Object} options - Store options
+ * @param {string} [options.type='memory'] - Backend type: memory, file, sqlite or dynamodb
+ * @param {number} options.ttlMs - Default lifetime of a record, counted from its Timestamp
+ * @param {number} [options.cleanupIntervalMs] - Interval for the expired token cleanup job
+ * @param {Object} [options.logger] - Logger with info/error methods
+ * @param {string} [options.filePath] - File path for the file and sqlite backends
+ * @param {string} [options.dataDir] - Directory of the file and sqlite backends, os.tmpdir() based when empty
+ * @param {string} [options.tableName] - Table name for the dynamodb backend
+ * @param {string} [options.endpoint] - Endpoint override for the dynamodb backend
+ * @param {string} [options.region] - Region override for the dynamodb backend
+ * @param {Object} [options.client] - Document client for the dynamodb backend
+ * @returns {Object} Store with async get/set/delete/entries/purgeExpired methods and countByScope()
+ *
+ * @example
+ * const store = createSessionStore({ type: 'file', filePath: 'sessions.json', ttlMs: 600000 });
+ * await store.set(token, { StreamGroupId, StreamSessionArn, Timestamp: Date.now() });
+ * const record = await store.get(token);
+ */
+function createSessionStore(options) {
+  const type = options.type || 'memory';
+  const createBackend = BACKENDS[type];
+  if (!createBackend) {
+    throw new Error(`Unknown session store type: ${type}`);
+  }
+  const backend = createBackend(options);
+  const logger = options.logger || { info: () => {}, error: () => {} };
+  let cleanupTimer = null;
+  // Scope and ExpiresAt of the records written through this store, so counting live records
+  // never lists the backend (a full table scan on DynamoDB)
+  const written = new Map();
+
+  const isExpired = (record, now = Date.now()) => record.ExpiresAt <= now;
+
+  const store = {
+    type,
+
+    /**
+     * Looks up a token; expired records are deleted and reported as missing
+     * @param {string} token - Connection token
+     * @returns {Promise<Object|undefined>} Stored record
+     */
+    async get(token) {
+      if (!token || typeof token !== 'string') {
+        return undefined;
+      }
+      const record = await backend.get(token);
+      if (!record) {
+        return undefined;
+      }
+      if (isExpired(record)) {
+        await backend.delete(token);
+        return undefined;
+      }
+      return record;
+    },
+
+    /**
+     * Stores a record; ExpiresAt defaults to Timestamp + ttlMs
+     * @param {string} token - Connection token
+     * @param {Object} record - Record to store
+     * @returns {Promise<Object>} The stored record
+     */
+    async set(token, record) {
+      const timestamp = record.Timestamp || Date.now();
+      const stored = {
+        ...record,
+        Timestamp: timestamp,
+        ExpiresAt: record.ExpiresAt || timestamp + options.ttlMs
+      };
+      await backend.put(token, stored);
+      written.set(token, { Scope: stored.Scope, ExpiresAt: stored.ExpiresAt });
+      return stored;
+    },
+
+    /**
+     * Removes a token
+     * @param {string} token - Connection token
+     * @returns {Promise<void>}
+     */
+    async delete(token) {
+      await backend.delete(token);
+      written.delete(token);
+    },
+
+    /**
+     * Counts the live records written through this store by their Scope, without reading the
+     * backend. Records written by other processes sharing the backend are not counted.
+     * @returns {Object} Count per Scope; records without one are counted as 'owner'
+     */
+    countByScope() {
+      const now = Date.now();
+      const counts = {};
+      written.forEach((record, token) => {
+        if (isExpired(record, now)) {
+          written.delete(token);
+          return;
+        }
+        const scope = record.Scope || 'owner';
+        counts[scope] = (counts[scope] || 0) + 1;
+      });
+      return counts;
+    },
+
+    /**
+     * Lists all tokens which have not expired yet
+     * @returns {Promise<Array<[string, Object]>>} Token and record pairs
+     */
+    async entries() {
+      const now = Date.now();
+      return (await backend.list()).filter(([, record]) => !isExpired(record, now));
+    },
+
+    /**
+     * Deletes every expired token from the backend; backends with native TTL are left alone
+     * @returns {Promise<number>} Number of purged tokens
+     */
+    async purgeExpired() {
+      if (backend.nativeTtl) {
+        return 0;
+      }
+      const now = Date.now();
+      let purged = 0;
+      for (const [token, record] of await backend.list()) {
+        if (isExpired(record, now)) {
+          logger.info('Cleaning up expired token', { token });
+          await backend.delete(token);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    /**
+     * Starts the periodic cleanup job
+     * @returns {void}
+     */
+    startCleanup() {
+      if (cleanupTimer || !options.cleanupIntervalMs || backend.nativeTtl) {
+        return;
+      }
+      cleanupTimer = setInterval(() => {
+        store.purgeExpired().catch((error) => {
+          logger.error('Token cleanup failed', { error: error.message });
+        });
+      }, options.cleanupIntervalMs);
+      // Never keep the process alive just for the cleanup job
+      cleanupTimer.unref();
+    },
+
+    /**
+     * Stops the cleanup job and releases backend resources
+     * @returns {Promise<void>}
+     */
+    async close() {
+      if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+        cleanupTimer = null;
+      }
+      await backend.close();
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  createSessionStore
+};
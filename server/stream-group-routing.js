@@ -0,0 +1,123 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+/**
+ * @fileoverview Stream group routing for deployments with several stream groups
+ * @description In Lambda mode clients never name a stream group. The CDK stack passes the
+ * deployed stream groups as STREAM_GROUP_ROUTES, each with the applications it streams and
+ * the locations it has capacity in, and CreateStreamSession starts the session on the first
+ * group serving the requested application in the requested primary location.
+ *
+ * Route format (config.STREAM_GROUP_ROUTES):
+ * [
+ *   { "streamGroupId": "sg-000000000", "applicationIds": ["a-000000000"], "locations": ["us-east-2", "us-west-2"] },
+ *   { "streamGroupId": "sg-111111111", "applicationIds": ["a-000000000"], "locations": ["eu-central-1"] }
+ * ]
+ *
+ * An empty applicationIds or locations list matches any application or location. Without
+ * routes, the single STREAM_GROUP_ID serves every request.
+ */
+
+/**
+ * Resource id of an identifier that may be an ARN, e.g. a-123 for arn:aws:gameliftstreams:...:application/a-123
+ * @param {string} identifier - Id or ARN
+ * @returns {string} Id
+ */
+function resourceId(identifier) {
+  return String(identifier).split('/').pop();
+}
+
+/**
+ * Validates one route and fills in defaults
+ * @param {Object} route - Raw route
+ * @param {number} index - Position in the list, for error messages
+ * @returns {Object} Normalized route
+ * @throws {Error} When the stream group id is missing or a list is malformed
+ */
+function normalizeRoute(route, index) {
+  const where = `Stream group route ${index}`;
+  if (!route || typeof route.streamGroupId !== 'string' || !route.streamGroupId) {
+    throw new Error(`${where}: streamGroupId is required`);
+  }
+  ['applicationIds', 'locations'].forEach((field) => {
+    if (route[field] !== undefined && !Array.isArray(route[field])) {
+      throw new Error(`${where} (${route.streamGroupId}): ${field} must be a list`);
+    }
+  });
+  return {
+    streamGroupId: route.streamGroupId,
+    applicationIds: (route.applicationIds || []).map((id) => resourceId(id)),
+    locations: (route.locations || []).map(String)
+  };
+}
+
+/**
+ * Creates the stream group router
+ * @function createStreamGroupRouter
+ * @param {Array<Object>} routes - Routes from config.STREAM_GROUP_ROUTES
+ * @param {string} [defaultStreamGroupId] - Stream group serving every request when there are no routes
+ * @returns {Object} Router with enabled flag and resolve/locationsFor methods
+ * @throws {Error} When a route is malformed
+ *
+ * @example
+ * const router = createStreamGroupRouter([{ streamGroupId: 'sg-1', applicationIds: ['a-1'], locations: ['us-east-2'] }]);
+ * router.resolve('a-1', ['us-east-2']); // { streamGroupId: 'sg-1', locations: ['us-east-2'] }
+ * router.resolve('a-1', ['eu-central-1']); // null
+ */
+function createStreamGroupRouter(routes, defaultStreamGroupId) {
+  const normalized = (routes || []).map(normalizeRoute);
+  if (!normalized.length && defaultStreamGroupId) {
+    normalized.push(normalizeRoute({ streamGroupId: defaultStreamGroupId }, 0));
+  }
+
+  const servesApplication = (route, applicationId) =>
+    !route.applicationIds.length || (!!applicationId && route.applicationIds.includes(resourceId(applicationId)));
+  const servesLocation = (route, location) => !route.locations.length || route.locations.includes(location);
+
+  return {
+    enabled: normalized.length > 0,
+
+    /**
+     * Finds the stream group for a session
+     * @param {string} [applicationId] - Application id or ARN
+     * @param {Array<string>} [locations] - Requested locations, the first is the primary location
+     * @returns {Object|null} streamGroupId and the locations to request from it (the requested
+     * ones it serves, or all of its locations when none were requested), or null when no group
+     * serves the application in the primary location
+     */
+    resolve(applicationId, locations) {
+      const requested = Array.isArray(locations) ? locations : [];
+      const route = normalized.find((candidate) =>
+        servesApplication(candidate, applicationId) && (!requested.length || servesLocation(candidate, requested[0])));
+      if (!route) {
+        return null;
+      }
+      const routeLocations = requested.length
+        ? requested.filter((location) => servesLocation(route, location))
+        : route.locations;
+      return {
+        streamGroupId: route.streamGroupId,
+        locations: routeLocations.length ? routeLocations : undefined
+      };
+    },
+
+    /**
+     * Lists the locations an application can be streamed from, for error messages
+     * @param {string} [applicationId] - Application id or ARN
+     * @returns {Array<string>} Locations, empty when any location is served or none is
+     */
+    locationsFor(applicationId) {
+      const matching = normalized.filter((route) => servesApplication(route, applicationId));
+      if (matching.some((route) => !route.locations.length)) {
+        return [];
+      }
+      return Array.from(new Set(matching.flatMap((route) => route.locations)));
+    }
+  };
+}
+
+module.exports = {
+  createStreamGroupRouter
+};
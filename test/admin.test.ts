@@ -0,0 +1,87 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { createSessionBody, startTestServer, TestServer, waitForSignalResponse } from './helpers/server';
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('admin API against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer({ ADMIN_API_KEY: ADMIN_KEY });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  const admin = (action: string, body: unknown) => server.post(`/api/admin/${action}`, body, { 'X-Admin-Key': ADMIN_KEY });
+
+  /** Creates a running stream session with a spectate link */
+  const createSharedSession = async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody());
+    await waitForSignalResponse(server, created.body.Token);
+    const share = await server.post('/api/CreateShareToken', { Token: created.body.Token, Scope: 'spectate' });
+    return { token: created.body.Token as string, shareToken: share.body.Token as string };
+  };
+
+  test('rejects callers without the admin key', async () => {
+    expect((await server.get('/api/admin/Sessions')).status).toBe(403);
+    expect((await server.get('/api/admin/Sessions', { 'X-Admin-Key': 'wrong' })).status).toBe(403);
+  });
+
+  test('lists owner and share tokens', async () => {
+    const { token, shareToken } = await createSharedSession();
+    const listed = await server.get('/api/admin/Sessions', { 'X-Admin-Key': ADMIN_KEY });
+
+    expect(listed.status).toBe(200);
+    expect(listed.body.Sessions).toEqual(expect.arrayContaining([
+      expect.objectContaining({ Token: token, Scope: 'owner', Status: 'ACTIVE' }),
+      expect.objectContaining({ Token: shareToken, Scope: 'spectate', ParentToken: token }),
+    ]));
+  });
+
+  test('terminates the stream session and deletes the share tokens', async () => {
+    const { token, shareToken } = await createSharedSession();
+
+    expect((await admin('TerminateStreamSession', { Token: token })).status).toBe(200);
+    expect((await server.post('/api/GetSignalResponse', { Token: token })).status).toBe(404);
+    expect((await server.post('/api/ReconnectStreamSession', { Token: shareToken, SignalRequest: 'offer' })).status).toBe(404);
+  });
+
+  test('revokes a token together with its share tokens', async () => {
+    const { token, shareToken } = await createSharedSession();
+
+    expect((await admin('RevokeToken', { Token: token })).status).toBe(200);
+    expect((await server.post('/api/ReconnectStreamSession', { Token: token, SignalRequest: 'offer' })).status).toBe(404);
+    expect((await server.post('/api/ReconnectStreamSession', { Token: shareToken, SignalRequest: 'offer' })).status).toBe(404);
+  });
+
+  test('keeps an extended token usable past the connection timeout', async () => {
+    const extended = await server.post('/api/CreateStreamSession', createSessionBody());
+    const other = await server.post('/api/CreateStreamSession', createSessionBody({ UserId: 'player-2' }));
+    await waitForSignalResponse(server, extended.body.Token);
+    await waitForSignalResponse(server, other.body.Token);
+
+    const response = await admin('ExtendSession', { Token: extended.body.Token, Seconds: 3600 });
+    expect(response.status).toBe(200);
+
+    // Past STREAM_CONNECTION_TIMEOUT_SECONDS (600) but within the extension
+    const later = Date.now() + 900 * 1000;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      expect((await server.post('/api/GetSignalResponse', { Token: extended.body.Token })).status).toBe(200);
+      expect((await server.post('/api/GetSignalResponse', { Token: other.body.Token })).status).toBe(404);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('validates ExtendSession input', async () => {
+    expect((await admin('ExtendSession', { Token: 'unknown', Seconds: 60 })).status).toBe(404);
+    expect((await admin('ExtendSession', { Token: 'unknown', Seconds: -1 })).status).toBe(400);
+  });
+});
@@ -0,0 +1,149 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as cdk from 'aws-cdk-lib';
+import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import { DEFAULT_ALARM_THRESHOLDS, GLSAlarmsProps, GLSAlarms } from '../lib/gls-alarms';
+
+/** Synthesizes GLSAlarms for a stub server function and API */
+function synthAlarms(props: Partial<GLSAlarmsProps> = {}): Template {
+  const stack = new cdk.Stack(new cdk.App(), 'AlarmsTestStack');
+  const serverFunction = new lambda.Function(stack, 'Server', {
+    runtime: lambda.Runtime.NODEJS_20_X,
+    handler: 'index.handler',
+    code: lambda.Code.fromInline('exports.handler = async () => ({});'),
+  });
+  const api = new apigateway.RestApi(stack, 'Api');
+  api.root.addMethod('GET', new apigateway.LambdaIntegration(serverFunction));
+  new GLSAlarms(stack, 'Alarms', {
+    serverFunction,
+    api,
+    streamGroups: [{ streamGroupId: 'sg-test00001', locations: ['us-east-2', 'eu-central-1'] }],
+    ...props,
+  });
+  return Template.fromStack(stack);
+}
+
+describe('GLSAlarms', () => {
+  test('creates web tier alarms with the default thresholds', () => {
+    const template = synthAlarms();
+    const shared = {
+      EvaluationPeriods: DEFAULT_ALARM_THRESHOLDS.evaluationPeriods,
+      DatapointsToAlarm: DEFAULT_ALARM_THRESHOLDS.datapointsToAlarm,
+      TreatMissingData: 'notBreaching',
+    };
+
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      ...shared,
+      AlarmName: 'AlarmsTestStack-LambdaErrors',
+      MetricName: 'Errors',
+      Namespace: 'AWS/Lambda',
+      Statistic: 'Sum',
+      Period: DEFAULT_ALARM_THRESHOLDS.periodMinutes * 60,
+      Threshold: DEFAULT_ALARM_THRESHOLDS.lambdaErrors,
+      ComparisonOperator: 'GreaterThanOrEqualToThreshold',
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      ...shared,
+      AlarmName: 'AlarmsTestStack-LambdaThrottles',
+      MetricName: 'Throttles',
+      Threshold: DEFAULT_ALARM_THRESHOLDS.lambdaThrottles,
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      ...shared,
+      AlarmName: 'AlarmsTestStack-Api5xxRate',
+      Threshold: DEFAULT_ALARM_THRESHOLDS.api5xxRatePercent,
+      Metrics: Match.arrayWith([
+        Match.objectLike({ Expression: 'IF(requests > 0, 100 * errors / requests, 0)' }),
+        Match.objectLike({ Id: 'errors', MetricStat: Match.objectLike({ Metric: Match.objectLike({ MetricName: '5XXError' }) }) }),
+        Match.objectLike({ Id: 'requests', MetricStat: Match.objectLike({ Metric: Match.objectLike({ MetricName: 'Count' }) }) }),
+      ]),
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      ...shared,
+      AlarmName: 'AlarmsTestStack-ApiLatencyP95',
+      MetricName: 'Latency',
+      ExtendedStatistic: 'p95',
+      Threshold: DEFAULT_ALARM_THRESHOLDS.apiLatencyP95Ms,
+      ComparisonOperator: 'GreaterThanThreshold',
+    });
+  });
+
+  test('creates capacity and session alarms per stream group location', () => {
+    const template = synthAlarms();
+    template.resourceCountIs('AWS::CloudWatch::Alarm', 4 + 2 * 2);
+
+    ['us-east-2', 'eu-central-1'].forEach((location) => {
+      const dimensions = Match.arrayWith([
+        { Name: 'Location', Value: location },
+        { Name: 'StreamGroupId', Value: 'sg-test00001' },
+      ]);
+      template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+        AlarmName: `AlarmsTestStack-IdleCapacity-sg-test00001-${location}`,
+        Namespace: 'AWS/GameLiftStreams',
+        MetricName: 'IdleCapacity',
+        Statistic: 'Minimum',
+        Dimensions: dimensions,
+        Threshold: DEFAULT_ALARM_THRESHOLDS.idleCapacity,
+        ComparisonOperator: 'LessThanOrEqualToThreshold',
+      });
+      template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+        AlarmName: `AlarmsTestStack-ErroredStreamSessions-sg-test00001-${location}`,
+        MetricName: 'ErroredStreamSessions',
+        Statistic: 'Sum',
+        Dimensions: dimensions,
+        Threshold: DEFAULT_ALARM_THRESHOLDS.erroredStreamSessions,
+      });
+    });
+  });
+
+  test('applies threshold overrides and keeps the other defaults', () => {
+    const template = synthAlarms({
+      thresholds: { lambdaErrors: 20, apiLatencyP95Ms: 1500, periodMinutes: 1, evaluationPeriods: 5, datapointsToAlarm: 3 },
+    });
+
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      AlarmName: 'AlarmsTestStack-LambdaErrors',
+      Threshold: 20,
+      Period: 60,
+      EvaluationPeriods: 5,
+      DatapointsToAlarm: 3,
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      AlarmName: 'AlarmsTestStack-ApiLatencyP95',
+      Threshold: 1500,
+    });
+    template.hasResourceProperties('AWS::CloudWatch::Alarm', {
+      AlarmName: 'AlarmsTestStack-LambdaThrottles',
+      Threshold: DEFAULT_ALARM_THRESHOLDS.lambdaThrottles,
+    });
+  });
+
+  test('notifies the topic on ALARM and OK', () => {
+    const template = synthAlarms();
+    template.resourceCountIs('AWS::SNS::Topic', 1);
+    const topicRef = { Ref: Object.keys(template.findResources('AWS::SNS::Topic'))[0] };
+    const alarms = template.findResources('AWS::CloudWatch::Alarm');
+
+    expect(Object.keys(alarms)).toHaveLength(8);
+    Object.values(alarms).forEach((alarm: any) => {
+      expect(alarm.Properties.AlarmActions).toEqual([topicRef]);
+      expect(alarm.Properties.OKActions).toEqual([topicRef]);
+    });
+  });
+
+  test('subscribes the alarm emails to the topic', () => {
+    const template = synthAlarms({ alarmEmails: ['ops@example.com', 'oncall@example.com'] });
+
+    template.resourceCountIs('AWS::SNS::Subscription', 2);
+    template.hasResourceProperties('AWS::SNS::Subscription', {
+      Protocol: 'email',
+      Endpoint: 'ops@example.com',
+      TopicArn: { Ref: Match.stringLikeRegexp('^AlarmsAlarmTopic') },
+    });
+  });
+});
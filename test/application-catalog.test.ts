@@ -0,0 +1,117 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createSessionBody, startTestServer, TestServer } from './helpers/server';
+
+const { loadApplicationCatalog } = require('../server/application-catalog');
+
+const CATALOG = {
+  applications: [
+    {
+      id: 'space-racer',
+      name: 'Space Racer',
+      streamGroupId: 'sg-catalog01',
+      applicationIdentifier: 'a-catalog01',
+      locations: ['us-east-2', 'us-west-2'],
+      defaultArgs: ['-windowed'],
+      defaultEnv: { LOG_LEVEL: 'info' },
+    },
+    { id: 'puzzle', applicationIdentifier: 'a-catalog02' },
+  ],
+};
+
+let dir: string;
+let catalogFile: string;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'application-catalog-'));
+  catalogFile = path.join(dir, 'applications.json');
+  fs.writeFileSync(catalogFile, JSON.stringify(CATALOG));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadApplicationCatalog', () => {
+  test('is disabled without a catalog file', () => {
+    const catalog = loadApplicationCatalog(path.join(dir, 'missing.json'));
+    expect(catalog.enabled).toBe(false);
+    expect(catalog.list()).toEqual([]);
+  });
+
+  test('lists entries without their stream group and application ids', () => {
+    const catalog = loadApplicationCatalog(catalogFile);
+    expect(catalog.enabled).toBe(true);
+    expect(catalog.list()).toEqual([
+      { Id: 'space-racer', Name: 'Space Racer', Description: '', Thumbnail: '', Locations: ['us-east-2', 'us-west-2'], SessionLengthSeconds: undefined },
+      { Id: 'puzzle', Name: 'puzzle', Description: '', Thumbnail: '', Locations: [], SessionLengthSeconds: undefined },
+    ]);
+    expect(catalog.get('puzzle')).toEqual(expect.objectContaining({ streamGroupId: '', applicationIdentifier: 'a-catalog02', defaultArgs: [] }));
+    expect(catalog.get('unknown')).toBeUndefined();
+    expect(catalog.get({ id: 'puzzle' })).toBeUndefined();
+  });
+
+  test.each([
+    ['{ not json', 'Unable to load application catalog file'],
+    [JSON.stringify({ applications: [{ id: 'bad id', applicationIdentifier: 'a-1' }] }), 'Application catalog entry 0: id must be 1-64 letters'],
+    [JSON.stringify({ applications: [{ id: 'game' }] }), 'Application catalog entry 0 (game): applicationIdentifier is required'],
+    [JSON.stringify({ applications: [{ id: 'game', applicationIdentifier: 'a-1', locations: [] }] }), 'locations must be a non-empty list'],
+    [JSON.stringify({ applications: [{ id: 'game', applicationIdentifier: 'a-1' }, { id: 'game', applicationIdentifier: 'a-2' }] }), 'duplicate id game'],
+  ])('rejects an invalid catalog file %#', (content, message) => {
+    const invalid = path.join(dir, 'invalid.json');
+    fs.writeFileSync(invalid, content);
+    expect(() => loadApplicationCatalog(invalid)).toThrow(message);
+  });
+});
+
+describe('catalog sessions against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer({ APPLICATION_CATALOG_FILE: catalogFile });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    delete process.env.APPLICATION_CATALOG_FILE;
+  });
+
+  test('serves the catalog', async () => {
+    const response = await server.get('/api/applications');
+    expect(response.body.Applications.map((entry: any) => entry.Id)).toEqual(['space-racer', 'puzzle']);
+  });
+
+  test('starts the catalog entry instead of the ids the client sent', async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody({
+      CatalogId: 'space-racer',
+      StreamGroupId: 'sg-client001',
+      ApplicationIdentifier: 'a-client001',
+      Locations: ['us-west-2'],
+    }));
+    expect(created.status).toBe(200);
+    expect(await server.sessionStore.get(created.body.Token)).toEqual(expect.objectContaining({
+      StreamGroupId: 'sg-catalog01',
+      ApplicationId: 'a-catalog01',
+      CatalogId: 'space-racer',
+    }));
+  });
+
+  test('rejects unknown or missing catalog ids', async () => {
+    const unknown = await server.post('/api/CreateStreamSession', createSessionBody({ CatalogId: 'unknown' }));
+    expect(unknown.status).toBe(400);
+    expect(unknown.body).toEqual(expect.objectContaining({ error: 'UnknownApplication', correlationId: expect.any(String) }));
+    expect((await server.post('/api/CreateStreamSession', createSessionBody())).status).toBe(400);
+  });
+
+  test('rejects locations the catalog entry does not list', async () => {
+    const response = await server.post('/api/CreateStreamSession', createSessionBody({ CatalogId: 'space-racer', Locations: ['eu-central-1'] }));
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual(expect.objectContaining({ error: 'LocationNotAllowed', allowedLocations: ['us-east-2', 'us-west-2'] }));
+  });
+});
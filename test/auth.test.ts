@@ -0,0 +1,223 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as crypto from 'crypto';
+import * as http from 'http';
+import * as path from 'path';
+import { AddressInfo } from 'net';
+import { createSessionBody, startTestServer, TestServer } from './helpers/server';
+
+const { createAuthMiddleware } = require('../server/auth');
+const { createDevOidcIssuer } = require('../server/oidc-dev-issuer');
+
+// Modules the server depends on resolve from server/node_modules
+const express = require(require.resolve('express', { paths: [path.join(__dirname, '../server')] }));
+
+const JWT_SECRET = 'test-jwt-secret';
+const ISSUER = 'https://issuer.example.com';
+const AUDIENCE = 'gamelift-streams-web';
+
+interface AuthResult {
+  status: number;
+  body?: any;
+  principal?: any;
+}
+
+/** Runs an auth middleware against a minimal request and reports the outcome */
+function authenticate(middleware: Function, headers: Record<string, string> = {}, query: Record<string, unknown> = {}): Promise<AuthResult> {
+  return new Promise((resolve) => {
+    const req: any = {
+      method: 'POST',
+      path: '/GetSignalResponse',
+      query,
+      correlationId: 'test',
+      get: (name: string) => headers[name.toLowerCase()],
+    };
+    const res: any = {
+      statusCode: 200,
+      status(code: number) { this.statusCode = code; return this; },
+      set() { return this; },
+      json(body: unknown) { resolve({ status: this.statusCode, body }); },
+    };
+    middleware(req, res, () => resolve({ status: 200, principal: req.principal }));
+  });
+}
+
+/** Signs claims as an HS256 JWT */
+function signJwt(claims: Record<string, unknown>, secret = JWT_SECRET, alg = 'HS256'): string {
+  const encode = (value: unknown) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  return `${signingInput}.${crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('apikey strategy', () => {
+  const middleware = createAuthMiddleware({ strategy: 'apikey', apiKeys: { 'key-alice': 'alice' } });
+
+  test('accepts a known key from the X-API-Key or Authorization header', async () => {
+    const result = await authenticate(middleware, { 'x-api-key': 'key-alice' });
+    expect(result.principal).toEqual({ id: 'alice', userId: 'alice', strategy: 'apikey', claims: {} });
+    expect((await authenticate(middleware, { authorization: 'ApiKey key-alice' })).principal.id).toBe('alice');
+  });
+
+  test('rejects unknown and missing keys', async () => {
+    expect(await authenticate(middleware, { 'x-api-key': 'key-mallory' }))
+      .toEqual({ status: 401, body: expect.objectContaining({ error: 'Unauthorized', message: 'Invalid API key' }) });
+    expect((await authenticate(middleware)).body.message).toBe('Missing credentials');
+  });
+
+  test('falls back to the access_token query parameter', async () => {
+    expect((await authenticate(middleware, {}, { access_token: 'key-alice' })).principal.id).toBe('alice');
+    expect((await authenticate(middleware, {}, { access_token: ['key-alice'] })).status).toBe(401);
+  });
+
+  test('needs at least one key', () => {
+    expect(() => createAuthMiddleware({ strategy: 'apikey', apiKeys: {} })).toThrow(/at least one key/);
+  });
+});
+
+describe('jwt strategy', () => {
+  const middleware = createAuthMiddleware({
+    strategy: 'jwt',
+    secret: JWT_SECRET,
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    userIdClaim: 'preferred_username',
+    clockToleranceSeconds: 30,
+  });
+  const claims = (overrides: Record<string, unknown> = {}) => ({
+    iss: ISSUER, aud: AUDIENCE, sub: 'user-1', preferred_username: 'alice', exp: now() + 300, ...overrides,
+  });
+  const bearer = (token: string) => ({ authorization: `Bearer ${token}` });
+
+  test('accepts a valid token and takes the UserId from the configured claim', async () => {
+    const { principal } = await authenticate(middleware, bearer(signJwt(claims())));
+    expect(principal).toEqual(expect.objectContaining({ id: `${ISSUER}|user-1`, userId: 'alice', strategy: 'jwt' }));
+  });
+
+  test('rejects expired, not yet valid and wrongly signed tokens', async () => {
+    const message = async (token: string) => (await authenticate(middleware, bearer(token))).body.message;
+    expect(await message(signJwt(claims({ exp: now() - 60 })))).toBe('Token expired');
+    expect(await message(signJwt(claims({ nbf: now() + 60 })))).toBe('Token not yet valid');
+    expect(await message(signJwt(claims(), 'another-secret'))).toBe('Invalid token signature');
+    expect(await message(signJwt(claims(), JWT_SECRET, 'none'))).toBe('Invalid token signature');
+    expect(await message('not-a-jwt')).toBe('Malformed token');
+  });
+
+  test('tolerates clock skew within clockToleranceSeconds', async () => {
+    expect((await authenticate(middleware, bearer(signJwt(claims({ exp: now() - 10 }))))).status).toBe(200);
+  });
+
+  test('rejects tokens from another issuer or for another audience', async () => {
+    const message = async (token: string) => (await authenticate(middleware, bearer(token))).body.message;
+    expect(await message(signJwt(claims({ iss: 'https://other.example.com' })))).toBe('Unexpected token issuer');
+    expect(await message(signJwt(claims({ aud: 'other-app' })))).toBe('Unexpected token audience');
+    const multiAudience = signJwt(claims({ aud: ['other-app', AUDIENCE] }));
+    expect((await authenticate(middleware, bearer(multiAudience))).status).toBe(200);
+    expect(await message(signJwt(claims({ sub: undefined })))).toBe('Token has no subject');
+  });
+});
+
+describe('oidc strategy', () => {
+  let server: http.Server;
+  let issuer: string;
+  let jwksRequests = 0;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    server = http.createServer(app);
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    issuer = `http://127.0.0.1:${(server.address() as AddressInfo).port}/oidc`;
+    app.use('/oidc/jwks.json', (req: unknown, res: unknown, next: Function) => { jwksRequests++; next(); });
+    app.use('/oidc', createDevOidcIssuer({ issuer, audience: AUDIENCE }));
+    // Same issuer URL, different signing key
+    app.use('/forger', createDevOidcIssuer({ issuer, audience: AUDIENCE }));
+  });
+
+  afterAll(async () => {
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+  });
+
+  const issueToken = async (mount: string, sub: string) => {
+    const response = await fetch(`${issuer.replace(/\/oidc$/, mount)}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sub }),
+    });
+    return (await response.json()).id_token as string;
+  };
+
+  test('verifies tokens against the signing keys discovered from the issuer and caches them', async () => {
+    const middleware = createAuthMiddleware({ strategy: 'oidc', issuer, audience: AUDIENCE });
+    const token = await issueToken('/oidc', 'alice');
+
+    const { principal } = await authenticate(middleware, { authorization: `Bearer ${token}` });
+    expect(principal).toEqual(expect.objectContaining({ id: `${issuer}|alice`, userId: 'alice', strategy: 'oidc' }));
+    const requests = jwksRequests;
+    expect((await authenticate(middleware, { authorization: `Bearer ${token}` })).status).toBe(200);
+    expect(jwksRequests).toBe(requests);
+  });
+
+  test('rejects tokens signed with a key the issuer does not publish', async () => {
+    const middleware = createAuthMiddleware({ strategy: 'oidc', issuer, audience: AUDIENCE });
+    const forged = await issueToken('/forger', 'alice');
+    expect(await authenticate(middleware, { authorization: `Bearer ${forged}` }))
+      .toEqual({ status: 401, body: expect.objectContaining({ message: 'Invalid token signature' }) });
+  });
+
+  test('rejects tokens for another audience', async () => {
+    const middleware = createAuthMiddleware({ strategy: 'oidc', issuer, audience: 'other-app' });
+    const token = await issueToken('/oidc', 'alice');
+    expect((await authenticate(middleware, { authorization: `Bearer ${token}` })).body.message).toBe('Unexpected token audience');
+  });
+
+  test('answers 503 when the issuer is unreachable', async () => {
+    const middleware = createAuthMiddleware({ strategy: 'oidc', issuer: 'http://127.0.0.1:1/oidc' });
+    const token = await issueToken('/oidc', 'alice');
+    expect((await authenticate(middleware, { authorization: `Bearer ${token}` })).status).toBe(503);
+  });
+});
+
+describe('stream sessions bound to the principal against the mock backend', () => {
+  let server: TestServer;
+  const alice = { 'X-API-Key': 'key-alice' };
+  const bob = { 'X-API-Key': 'key-bob' };
+
+  beforeAll(async () => {
+    server = await startTestServer({ AUTH_STRATEGY: 'apikey', AUTH_API_KEYS: JSON.stringify({ 'key-alice': 'alice', 'key-bob': 'bob' }) });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    delete process.env.AUTH_STRATEGY;
+    delete process.env.AUTH_API_KEYS;
+  });
+
+  test('requires credentials except for the health check', async () => {
+    expect((await server.post('/api/CreateStreamSession', createSessionBody())).status).toBe(401);
+    expect((await server.get('/api/health')).status).toBe(200);
+  });
+
+  test('starts the stream session for the principal, not the UserId sent by the client', async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody({ UserId: 'bob' }), alice);
+    expect(created.status).toBe(200);
+    expect(created.body.UserId).toBe('alice');
+  });
+
+  test('answers 403 when another principal uses the connection token', async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody(), alice);
+    const token = created.body.Token;
+
+    expect((await server.post('/api/GetSignalResponse', { Token: token }, bob)).status).toBe(403);
+    expect((await server.post('/api/ReconnectStreamSession', { Token: token, SignalRequest: 'offer' }, bob)).status).toBe(403);
+    expect((await server.post('/api/CreateShareToken', { Token: token, Scope: 'guest' }, bob)).status).toBe(403);
+    expect((await server.post('/api/DestroyStreamSession', { Token: token }, bob)).status).toBe(403);
+
+    expect((await server.post('/api/GetSignalResponse', { Token: token }, alice)).status).toBe(200);
+    expect((await server.post(`/api/GetSignalResponse?access_token=key-alice`, { Token: token })).status).toBe(200);
+  });
+});
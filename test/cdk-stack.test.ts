@@ -0,0 +1,167 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as cdk from 'aws-cdk-lib';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Template } from 'aws-cdk-lib/assertions';
+import { GLSInfrastructureStack } from '../lib/gls-infrastructure-stack';
+
+const SERVER_DIR = path.join(__dirname, '../server');
+
+// /api routes which deliberately have no API Gateway resource
+const LAMBDA_UNSUPPORTED_ROUTES = [
+  'GET /api/StreamSessionEvents',  // Server-Sent Events, API Gateway buffers the response
+];
+
+// Routers mounted under /api in server.js, by mount path
+const API_ROUTERS: Record<string, string> = {
+  '/api/admin': 'admin.js',
+  '/api/diagnostics': 'network-diagnostics.js',
+};
+
+const readServerFile = (file: string) => fs.readFileSync(path.join(SERVER_DIR, file), 'utf8');
+const matchAll = (source: string, pattern: RegExp) => Array.from(source.matchAll(pattern));
+
+/** Every "METHOD /api/..." route served by server.js and the routers it mounts under /api */
+function serverApiRoutes(): string[] {
+  const server = readServerFile('server.js');
+  const routes = matchAll(server, /^app\.(get|post|put|delete)\('(\/api\/[^']+)'/gm)
+    .map(([, method, route]) => `${method.toUpperCase()} ${route}`);
+
+  const mounts = matchAll(server, /^app\.use\('(\/api\/[^']+)', create\w+Router\(/gm).map(([, mount]) => mount);
+  expect(mounts.sort()).toEqual(Object.keys(API_ROUTERS).sort());
+  mounts.forEach((mount) => {
+    matchAll(readServerFile(API_ROUTERS[mount]), /^\s*router\.(get|post|put|delete)\('([^']+)'/gm)
+      .forEach(([, method, route]) => routes.push(`${method.toUpperCase()} ${mount}${route}`));
+  });
+  return routes;
+}
+
+/** GameLift Streams API actions called by the server, e.g. gameliftstreams:GetStreamSession */
+function serverGameLiftStreamsActions(): string[] {
+  const calls = fs.readdirSync(SERVER_DIR)
+    .filter((file) => file.endsWith('.js') && !file.startsWith('mock-'))
+    .flatMap((file) => matchAll(readServerFile(file), /gameliftstreams\.([a-z]\w*)\(/g).map(([, method]) => method));
+  return Array.from(new Set(calls)).map((method) => `gameliftstreams:${method[0].toUpperCase()}${method.slice(1)}`);
+}
+
+/** "METHOD /path" of every API Gateway method, with resource paths resolved through their parents */
+function apiGatewayRoutes(template: Template): string[] {
+  const resources = template.findResources('AWS::ApiGateway::Resource');
+  const pathOf = (resourceId: any): string => {
+    if (!resourceId || !resourceId.Ref) {
+      return '';  // The API's root resource
+    }
+    const { ParentId, PathPart } = resources[resourceId.Ref].Properties;
+    return `${pathOf(ParentId)}/${PathPart}`;
+  };
+  return Object.values(template.findResources('AWS::ApiGateway::Method'))
+    .map(({ Properties }: any) => `${Properties.HttpMethod} ${pathOf(Properties.ResourceId) || '/'}`);
+}
+
+/** Evaluates the Ref, Fn::Join, Fn::Split and Fn::Select expressions of a template value */
+function resolveIntrinsics(value: any, refs: Record<string, string>): any {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveIntrinsics(item, refs));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value.Ref) {
+    return refs[value.Ref];
+  }
+  if (value['Fn::Join']) {
+    const [separator, parts] = value['Fn::Join'];
+    return resolveIntrinsics(parts, refs).join(separator);
+  }
+  if (value['Fn::Split']) {
+    const [separator, source] = value['Fn::Split'];
+    return resolveIntrinsics(source, refs).split(separator);
+  }
+  if (value['Fn::Select']) {
+    const [index, list] = value['Fn::Select'];
+    return resolveIntrinsics(list, refs)[index];
+  }
+  throw new Error(`Unsupported template value ${JSON.stringify(value)}`);
+}
+
+describe('GLSInfrastructureStack', () => {
+  let outdir: string;
+  let template: Template;
+
+  beforeAll(() => {
+    outdir = fs.mkdtempSync(path.join(os.tmpdir(), 'cdk-stack-test-'));
+    const app = new cdk.App({ outdir });
+    const stack = new GLSInfrastructureStack(app, 'TestStack', {
+      streamGroups: [{ streamGroupId: 'sg-test00001', applicationIds: ['a-test00001'], locations: ['us-east-2'] }],
+      env: { account: '123456789012', region: 'us-east-2' },
+    });
+    template = Template.fromStack(stack);
+  });
+
+  afterAll(() => {
+    fs.rmSync(outdir, { recursive: true, force: true });
+  });
+
+  test('has an API Gateway method for every /api route of the server', () => {
+    const routes = apiGatewayRoutes(template);
+    const missing = serverApiRoutes()
+      .filter((route) => !LAMBDA_UNSUPPORTED_ROUTES.includes(route))
+      .filter((route) => !routes.includes(route) && !routes.includes(`ANY ${route.split(' ')[1]}`));
+    expect(missing).toEqual([]);
+  });
+
+  test('has no API Gateway methods for routes the server does not serve', () => {
+    const served = serverApiRoutes();
+    const unknown = apiGatewayRoutes(template)
+      .filter((route) => route.split(' ')[1].startsWith('/api/'))
+      .filter((route) => !served.includes(route));
+    expect(unknown).toEqual([]);
+  });
+
+  test('sends every other path to the Lambda function through the root proxy', () => {
+    const routes = apiGatewayRoutes(template);
+    expect(routes).toEqual(expect.arrayContaining(['ANY /', 'ANY /{proxy+}']));
+  });
+
+  test('routes /api/* from CloudFront to the deployed stage of the API', () => {
+    const [distribution] = Object.values(template.findResources('AWS::CloudFront::Distribution')) as any[];
+    const { CacheBehaviors, Origins } = distribution.Properties.DistributionConfig;
+    const apiBehavior = CacheBehaviors.find((behavior: any) => behavior.PathPattern === '/api/*');
+    expect(apiBehavior).toBeDefined();
+    expect(apiBehavior.AllowedMethods).toEqual(expect.arrayContaining(['GET', 'POST', 'OPTIONS']));
+
+    // CloudFront keeps the /api prefix and adds the origin path, so /api/admin/Sessions reaches
+    // the /api/admin/Sessions resource of the stage named by the origin path
+    const apiOrigin = Origins.find((origin: any) => origin.Id === apiBehavior.TargetOriginId);
+    const stages = template.findResources('AWS::ApiGateway::Stage');
+    const [stageId] = Object.keys(stages);
+    const [apiId] = Object.keys(template.findResources('AWS::ApiGateway::RestApi'));
+    const refs = { [stageId]: stages[stageId].Properties.StageName, [apiId]: 'api-id', 'AWS::URLSuffix': 'amazonaws.com' };
+    expect(stages[stageId].Properties.StageName).toBe('prod');
+    expect(resolveIntrinsics(apiOrigin.DomainName, refs)).toBe('api-id.execute-api.us-east-2.amazonaws.com');
+    expect(resolveIntrinsics(apiOrigin.OriginPath, refs)).toBe('/prod');
+
+    const routes = apiGatewayRoutes(template);
+    ['GET /api/health', 'GET /api/admin/Sessions', 'POST /api/admin/ExtendSession'].forEach((route) => expect(routes).toContain(route));
+  });
+
+  test('has no CORS preflight methods, the API shares the page origin', () => {
+    expect(apiGatewayRoutes(template).filter((route) => route.startsWith('OPTIONS '))).toEqual([]);
+  });
+
+  test('allows every GameLift Streams action the server calls', () => {
+    const actions = serverGameLiftStreamsActions();
+    expect(actions.length).toBeGreaterThan(0);
+
+    const policies = Object.values(template.findResources('AWS::IAM::Policy'));
+    const allowed = policies.flatMap(({ Properties }: any) => Properties.PolicyDocument.Statement)
+      .filter((statement: any) => statement.Effect === 'Allow')
+      .flatMap((statement: any) => [].concat(statement.Action));
+    expect(allowed).toEqual(expect.arrayContaining(actions));
+  });
+});
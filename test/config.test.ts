@@ -0,0 +1,45 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+describe('config JSON environment variables', () => {
+  const loadConfig = () => {
+    let config: any;
+    jest.isolateModules(() => {
+      config = require('../server/config');
+    });
+    return config;
+  };
+
+  afterEach(() => {
+    ['MOCK_FAILURE_RATES', 'AUTH_API_KEYS', 'STREAM_GROUP_ROUTES', 'LOCATION_PROBE_LOCAL_LATENCY_MS'].forEach((name) => delete process.env[name]);
+  });
+
+  test('parses valid values', () => {
+    process.env.MOCK_FAILURE_RATES = '{"startStreamSession": 0.5}';
+    process.env.STREAM_GROUP_ROUTES = '[{"streamGroupId": "sg-123456789"}]';
+    const config = loadConfig();
+    expect(config.MOCK_GAMELIFT_STREAMS.FAILURE_RATES).toEqual({ startStreamSession: 0.5 });
+    expect(config.STREAM_GROUP_ROUTES).toEqual([{ streamGroupId: 'sg-123456789' }]);
+    expect(config.AUTH.API_KEYS).toEqual({});
+  });
+
+  test.each([
+    ['MOCK_FAILURE_RATES', '{startStreamSession: 1}'],
+    ['AUTH_API_KEYS', 'key=alice'],
+    ['STREAM_GROUP_ROUTES', '[{"streamGroupId": '],
+    ['LOCATION_PROBE_LOCAL_LATENCY_MS', 'us-east-2:20'],
+  ])('names %s when it is not valid JSON', (name, value) => {
+    process.env[name] = value;
+    expect(loadConfig).toThrow(`Invalid JSON in environment variable ${name}`);
+  });
+
+  test('rejects JSON of the wrong type', () => {
+    process.env.STREAM_GROUP_ROUTES = '{"streamGroupId": "sg-123456789"}';
+    expect(loadConfig).toThrow('Invalid environment variable STREAM_GROUP_ROUTES: expected a JSON array');
+    delete process.env.STREAM_GROUP_ROUTES;
+    process.env.AUTH_API_KEYS = '["key"]';
+    expect(loadConfig).toThrow('Invalid environment variable AUTH_API_KEYS: expected a JSON object');
+  });
+});
@@ -0,0 +1,178 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as cdk from 'aws-cdk-lib';
+import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { Template } from 'aws-cdk-lib/assertions';
+import { DashboardBody } from '../lib/dashboard-bodies';
+import { GLSDashboards } from '../lib/gls-dashboards';
+
+/** Synthesizes GLSDashboards for a stub server function and API */
+function synthDashboards(ids: { streamGroupIds: string[]; applicationIds: string[] }): Template {
+  const stack = new cdk.Stack(new cdk.App(), 'DashboardsTestStack', { env: { account: '123456789012', region: 'us-east-2' } });
+  const serverFunction = new lambda.Function(stack, 'Server', {
+    runtime: lambda.Runtime.NODEJS_20_X,
+    handler: 'index.handler',
+    code: lambda.Code.fromInline('exports.handler = async () => ({});'),
+  });
+  const api = new apigateway.RestApi(stack, 'Api', { restApiName: 'Test Api' });
+  api.root.addMethod('GET', new apigateway.LambdaIntegration(serverFunction));
+  new GLSDashboards(stack, 'Dashboards', { ...ids, serverFunction, api, emfNamespace: 'TestNamespace' });
+  return Template.fromStack(stack);
+}
+
+/** Parses the body of the named dashboard, with each Ref replaced by "<logical id>" */
+function dashboardBody(template: Template, dashboardName: string): DashboardBody {
+  const [dashboard] = Object.values(template.findResources('AWS::CloudWatch::Dashboard', {
+    Properties: { DashboardName: dashboardName },
+  })) as any[];
+  expect(dashboard).toBeDefined();
+  const body = dashboard.Properties.DashboardBody;
+  const json = typeof body === 'string'
+    ? body
+    : body['Fn::Join'][1].map((part: any) => (typeof part === 'string' ? part : `<${part.Ref}>`)).join('');
+  return JSON.parse(json);
+}
+
+const widgetMetrics = (body: DashboardBody) => body.widgets.flatMap((widget: any) => widget.properties.metrics);
+// Metric rows start with the namespace, expression rows hold a single { expression } object
+const metricRows = (body: DashboardBody) => widgetMetrics(body).filter((row: any) => typeof row[0] === 'string');
+const searchExpressions = (body: DashboardBody) => widgetMetrics(body).flat()
+  .filter((row: any) => row && row.expression)
+  .map((row: any) => row.expression as string);
+
+describe('GLSDashboards', () => {
+  const template = synthDashboards({ streamGroupIds: ['sg-test00001', 'sg-test00002'], applicationIds: ['a-test00001'] });
+
+  test('creates the three dashboards named after the stack', () => {
+    template.resourceCountIs('AWS::CloudWatch::Dashboard', 3);
+    ['StreamGroups', 'Applications', 'WebTier'].forEach((name) => dashboardBody(template, `DashboardsTestStack-${name}`));
+  });
+
+  test('searches the GameLift Streams stream group metrics of the configured stream groups', () => {
+    const body = dashboardBody(template, 'DashboardsTestStack-StreamGroups');
+    expect(body.variables).toBeUndefined();
+    expect(body.widgets.every((widget: any) => widget.properties.region === 'us-east-2')).toBe(true);
+
+    const expressions = searchExpressions(body);
+    expect(expressions).toHaveLength(body.widgets.length);
+    expressions.forEach((expression) => {
+      expect(expression).toMatch(/^SEARCH\('\{AWS\/GameLiftStreams,Location,StreamGroupId\} MetricName="\w+" /);
+      expect(expression).toContain('(StreamGroupId="sg-test00001" OR StreamGroupId="sg-test00002")');
+    });
+    expect(expressions.map((expression) => expression.match(/MetricName="(\w+)"/)![1])).toEqual([
+      'IdleCapacity', 'ActiveCapacity', 'TerminatedStreamSessions', 'ErroredStreamSessions',
+      'FrameCaptureRate', 'CPUUtilization', 'MemoryUtilization', 'AudioCaptureRate', 'SessionLength',
+    ]);
+  });
+
+  test('searches the GameLift Streams application metrics of the configured applications', () => {
+    const expressions = searchExpressions(dashboardBody(template, 'DashboardsTestStack-Applications'));
+    expect(expressions.length).toBeGreaterThan(0);
+    expressions.forEach((expression) => {
+      expect(expression).toMatch(/^SEARCH\('\{AWS\/GameLiftStreams,ApplicationId,StreamClass\} MetricName="\w+" \(ApplicationId="a-test00001"\)', 'Average', 300\)$/);
+    });
+    expect(new Set(expressions.map((expression) => expression.match(/MetricName="(\w+)"/)![1]))).toEqual(new Set([
+      'FrameCaptureRate', 'CPUUtilization', 'MemoryUtilization', 'AudioCaptureRate', 'RoundTripTime', 'SessionLength',
+    ]));
+  });
+
+  test('shows every stream group and application when no ids are configured', () => {
+    const unfiltered = synthDashboards({ streamGroupIds: [], applicationIds: [] });
+    [
+      ...searchExpressions(dashboardBody(unfiltered, 'DashboardsTestStack-StreamGroups')),
+      ...searchExpressions(dashboardBody(unfiltered, 'DashboardsTestStack-Applications')),
+    ].forEach((expression) => expect(expression).toMatch(/^SEARCH\('\{[^}]+\} MetricName="\w+"', '\w+', 300\)$/));
+  });
+
+  test('charts the EMF, Lambda and API Gateway metrics of the web tier', () => {
+    const body = dashboardBody(template, 'DashboardsTestStack-WebTier');
+    const [functionId] = Object.keys(template.findResources('AWS::Lambda::Function'));
+    const rows = metricRows(body);
+
+    const byNamespace = (namespace: string) => rows.filter((row: any) => row[0] === namespace);
+    expect(new Set(rows.map((row: any) => row[0]))).toEqual(new Set(['TestNamespace', 'AWS/Lambda', 'AWS/ApiGateway']));
+    expect(new Set(byNamespace('TestNamespace').map((row: any) => row[1]))).toEqual(new Set([
+      'SessionCreated', 'Terminations', 'Reconnects', 'Errors', 'SessionActivationLatency', 'SignalResponsePolls',
+    ]));
+    byNamespace('AWS/Lambda').forEach((row: any) => expect(row.slice(2, 4)).toEqual(['FunctionName', `<${functionId}>`]));
+    expect(byNamespace('AWS/Lambda').map((row: any) => row[1])).toEqual(expect.arrayContaining(['Invocations', 'Errors', 'Throttles', 'Duration']));
+    byNamespace('AWS/ApiGateway').forEach((row: any) => expect(row.slice(2, 4)).toEqual(['ApiName', 'Test Api']));
+    expect(byNamespace('AWS/ApiGateway').map((row: any) => row[1])).toEqual(expect.arrayContaining(['Count', '5XXError', 'Latency']));
+
+    const expressions = searchExpressions(body);
+    expect(expressions).toHaveLength(2);
+    expressions.forEach((expression) => {
+      expect(expression).toMatch(/^SEARCH\('\{TestNamespace,Application,Location,StreamGroup\} MetricName="(SessionCreated|Errors)" /);
+      expect(expression).toContain('(StreamGroup="sg-test00001" OR StreamGroup="sg-test00002")');
+    });
+  });
+});
+
+describe('render-dashboards CLI', () => {
+  let outDir: string;
+
+  beforeEach(() => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-dashboards-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  /** Runs bin/render-dashboards.ts with the given arguments and returns the files it wrote */
+  function render(...args: string[]): Record<string, DashboardBody> {
+    const argv = process.argv;
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.argv = [argv[0], 'render-dashboards.ts', ...args, '--out', outDir];
+    try {
+      jest.isolateModules(() => require('../bin/render-dashboards'));
+    } finally {
+      process.argv = argv;
+      log.mockRestore();
+    }
+    return Object.fromEntries(fs.readdirSync(outDir).map((file) => [file, JSON.parse(fs.readFileSync(path.join(outDir, file), 'utf8'))]));
+  }
+
+  test('renders the checked in dashboards without arguments', () => {
+    const files = render();
+    expect(Object.keys(files).sort()).toEqual(['ApplicationsDashboard.json', 'StreamGroupDashboard.json']);
+    Object.entries(files).forEach(([file, body]) => {
+      expect(body).toEqual(JSON.parse(fs.readFileSync(path.join(__dirname, '../dashboards', file), 'utf8')));
+    });
+  });
+
+  test('filters by the given ids and offers region and location selectors', () => {
+    const files = render('--region', 'eu-central-1', '--stream-group-id', 'sg-test00001,sg-test00002', '--application-id=a-test00001');
+    const streamGroups = files['StreamGroupDashboard.json'];
+
+    expect(streamGroups.variables!.map((variable: any) => [variable.property, variable.defaultValue])).toEqual([
+      ['region', 'eu-central-1'],
+      ['Location', 'eu-central-1'],
+    ]);
+    searchExpressions(streamGroups).forEach((expression) => {
+      expect(expression).toContain('{AWS/GameLiftStreams,Location,StreamGroupId}');
+      expect(expression).toContain('(StreamGroupId="sg-test00001" OR StreamGroupId="sg-test00002")');
+    });
+    searchExpressions(files['ApplicationsDashboard.json']).forEach((expression) => {
+      expect(expression).toContain('{AWS/GameLiftStreams,ApplicationId,StreamClass}');
+      expect(expression).toContain('(ApplicationId="a-test00001")');
+    });
+  });
+
+  test('writes the web tier dashboard for a function name', () => {
+    const files = render('--function-name', 'my-server', '--emf-namespace', 'MyNamespace');
+    const rows = metricRows(files['WebTierDashboard.json']);
+
+    expect(new Set(rows.map((row: any) => row[0]))).toEqual(new Set(['MyNamespace', 'AWS/Lambda', 'AWS/ApiGateway']));
+    rows.filter((row: any) => row[0] === 'AWS/Lambda').forEach((row: any) => expect(row.slice(2, 4)).toEqual(['FunctionName', 'my-server']));
+    rows.filter((row: any) => row[0] === 'AWS/ApiGateway')
+      .forEach((row: any) => expect(row.slice(2, 4)).toEqual(['ApiName', 'GameLiftStreams Share Api']));
+  });
+});
@@ -0,0 +1,83 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+const { EMF_DIMENSIONS, createEmfRecord, createEmfWriter } = require('../server/emf');
+
+const NAMESPACE = 'GameLiftStreamsWeb';
+
+/** Creates an enabled writer and returns it with the parsed lines it wrote */
+function createTestWriter(units: Record<string, string> = {}) {
+  const lines: string[] = [];
+  const writer = createEmfWriter({ enabled: true, namespace: NAMESPACE, units, write: (line: string) => lines.push(line) });
+  return { writer, records: () => lines.map((line) => JSON.parse(line)) };
+}
+
+describe('createEmfWriter', () => {
+  test('writes one EMF record per call as a JSON line', () => {
+    const { writer, records } = createTestWriter({ SessionActivationLatency: 'Milliseconds' });
+    const before = Date.now();
+    writer.putMetrics(
+      { SessionCreated: 1, SessionActivationLatency: 2500 },
+      { Application: 'a-123', StreamGroup: 'sg-123', Location: 'us-east-2' },
+    );
+
+    expect(records()).toHaveLength(1);
+    const [record] = records();
+    expect(record._aws.Timestamp).toBeGreaterThanOrEqual(before);
+    expect(record._aws.Timestamp).toBeLessThanOrEqual(Date.now());
+    expect(record._aws.CloudWatchMetrics).toEqual([{
+      Namespace: NAMESPACE,
+      Dimensions: [['Application', 'StreamGroup', 'Location'], []],
+      Metrics: [
+        { Name: 'SessionCreated', Unit: 'Count' },
+        { Name: 'SessionActivationLatency', Unit: 'Milliseconds' },
+      ],
+    }]);
+    expect(record).toEqual(expect.objectContaining({
+      Application: 'a-123',
+      StreamGroup: 'sg-123',
+      Location: 'us-east-2',
+      SessionCreated: 1,
+      SessionActivationLatency: 2500,
+    }));
+  });
+
+  test('gives every dimension a value', () => {
+    const { writer, records } = createTestWriter();
+    writer.putMetrics({ Errors: 1 }, { StreamGroup: 'sg-123', Location: '' });
+
+    const [record] = records();
+    EMF_DIMENSIONS.forEach((name: string) => expect(typeof record[name]).toBe('string'));
+    expect(record).toEqual(expect.objectContaining({ Application: 'unknown', StreamGroup: 'sg-123', Location: 'unknown' }));
+  });
+
+  test('keeps properties out of the metadata, dimensions and values', () => {
+    const { writer, records } = createTestWriter();
+    writer.putMetrics({ Errors: 1 }, { StreamGroup: 'sg-123' }, {
+      Operation: 'GetSignalResponse',
+      _aws: 'overwritten',
+      StreamGroup: 'overwritten',
+      Errors: 99,
+    });
+
+    const [record] = records();
+    expect(record.Operation).toBe('GetSignalResponse');
+    expect(record._aws.CloudWatchMetrics[0].Metrics).toEqual([{ Name: 'Errors', Unit: 'Count' }]);
+    expect(record.StreamGroup).toBe('sg-123');
+    expect(record.Errors).toBe(1);
+  });
+
+  test('writes nothing when disabled', () => {
+    const write = jest.fn();
+    createEmfWriter({ enabled: false, namespace: NAMESPACE, write }).putMetrics({ Errors: 1 });
+    expect(write).not.toHaveBeenCalled();
+  });
+});
+
+describe('createEmfRecord', () => {
+  test('uses the given timestamp', () => {
+    expect(createEmfRecord(NAMESPACE, { Reconnects: 1 }, {}, {}, {}, 1700000000000)._aws.Timestamp).toBe(1700000000000);
+  });
+});
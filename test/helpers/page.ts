@@ -0,0 +1,27 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as vm from 'vm';
+
+/**
+ * Runs scripts of server/public in one context, the way the page's script tags share globals
+ * @param files - Script file names, in page order
+ * @param globals - Browser globals the scripts need at load time
+ * @returns The context, holding the scripts' top-level functions
+ */
+export function loadPageScripts(files: string[], globals: Record<string, unknown> = {}): any {
+  const context = vm.createContext({
+    console: { log: () => {}, error: () => {}, warn: () => {} },
+    window: { location: { search: '' } },
+    URLSearchParams,
+    ...globals,
+  });
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../../server/public', file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
@@ -0,0 +1,103 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as http from 'http';
+import { AddressInfo } from 'net';
+
+/** Settings every test server starts with: offline mock backend, in-memory tokens, no listeners */
+const TEST_ENV: Record<string, string> = {
+  SERVER_LISTEN: 'false',
+  GAMELIFT_STREAMS_MOCK: 'true',
+  MOCK_API_LATENCY_MS: '0',
+  MOCK_ACTIVATION_DELAY_MS: '50',
+  MOCK_TERMINATION_DELAY_MS: '50',
+  SESSION_STORE_TYPE: 'memory',
+  EMF_ENABLED: 'false',
+};
+
+export interface TestResponse {
+  status: number;
+  headers: Headers;
+  body: any;
+}
+
+export interface TestServer {
+  url: string;
+  app: any;
+  sessionStore: any;
+  post(path: string, body: unknown, headers?: Record<string, string>): Promise<TestResponse>;
+  get(path: string, headers?: Record<string, string>): Promise<TestResponse>;
+  close(): Promise<void>;
+}
+
+/**
+ * Loads server/server.js against the mock GameLift Streams backend and serves it on a free port.
+ * Each Jest test file has its own module registry, so env applies to that file's server only.
+ * @param env - Environment variables on top of TEST_ENV
+ */
+export async function startTestServer(env: Record<string, string> = {}): Promise<TestServer> {
+  Object.assign(process.env, TEST_ENV, env);
+  // The server logs every request, keep the test output readable
+  ['log', 'info', 'debug', 'error', 'warn'].forEach((method) => jest.spyOn(console, method as 'log').mockImplementation(() => {}));
+
+  // Keep a handle on the connection token store the server creates
+  const sessionStoreModule = require('../../server/session-store');
+  const { createSessionStore } = sessionStoreModule;
+  let sessionStore: any;
+  jest.spyOn(sessionStoreModule, 'createSessionStore').mockImplementation((options: unknown) => {
+    sessionStore = createSessionStore(options);
+    return sessionStore;
+  });
+
+  const { app } = require('../../server/server');
+  const server = http.createServer(app);
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+
+  const request = async (method: string, path: string, body?: unknown, headers: Record<string, string> = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { ...(body === undefined ? {} : { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed: any = text;
+    try { parsed = JSON.parse(text); } catch { /* not JSON */ }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  return {
+    url,
+    app,
+    sessionStore,
+    post: (path, body, headers) => request('POST', path, body, headers),
+    get: (path, headers) => request('GET', path, undefined, headers),
+    close: () => new Promise<void>((resolve) => server.close(() => resolve())),
+  };
+}
+
+/** Request body of a CreateStreamSession call against the mock */
+export function createSessionBody(overrides: Record<string, unknown> = {}) {
+  return {
+    StreamGroupId: 'sg-test00001',
+    ApplicationIdentifier: 'a-test0001',
+    UserId: 'player-1',
+    SignalRequest: 'offer',
+    Locations: ['us-east-2'],
+    ...overrides,
+  };
+}
+
+/** Polls GetSignalResponse until the mock session is ACTIVE */
+export async function waitForSignalResponse(server: TestServer, token: string, timeoutMs = 5000): Promise<TestResponse> {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const response = await server.post('/api/GetSignalResponse', { Token: token });
+    if (response.status !== 200 || response.body.SignalResponse || Date.now() > deadline) {
+      return response;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+}
@@ -0,0 +1,160 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { loadPageScripts } from './helpers/page';
+import { createSessionBody, startTestServer, TestServer } from './helpers/server';
+
+const { loadLaunchPolicy } = require('../server/launch-policy');
+
+const POLICY = {
+  default: {
+    args: {
+      allowed: [{ pattern: '-windowed' }, { pattern: '-res=[0-9]{3,4}x[0-9]{3,4}' }],
+      maxCount: 2,
+    },
+    env: {
+      allowed: { LOG_LEVEL: { pattern: 'error|warn|info', default: 'info' } },
+    },
+  },
+  applications: {
+    'a-game00001': {
+      args: {
+        allowed: [{ pattern: '-map=[A-Za-z0-9_]{1,8}' }],
+        defaults: ['-map=Lobby'],
+        forced: ['-nosplash'],
+      },
+      env: {
+        allowed: { QUALITY: { pattern: 'low|high' } },
+        forced: { TELEMETRY: '0' },
+      },
+    },
+  },
+};
+
+let dir: string;
+let policyFile: string;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'launch-policy-'));
+  policyFile = path.join(dir, 'launch-policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify(POLICY));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadLaunchPolicy', () => {
+  test('passes client values through when there is no policy file', () => {
+    const policy = loadLaunchPolicy(path.join(dir, 'missing.json'));
+    expect(policy.enforced).toBe(false);
+    expect(policy.apply('a-game00001', ['-anything'], { ANY: 'value' })).toEqual({ args: ['-anything'], env: { ANY: 'value' }, violations: [] });
+  });
+
+  test('allows matching arguments and environment variables and adds defaults', () => {
+    const policy = loadLaunchPolicy(policyFile);
+    expect(policy.apply('a-other0001', ['-windowed', '-res=1920x1080'], { LOG_LEVEL: 'warn' }))
+      .toEqual({ args: ['-windowed', '-res=1920x1080'], env: { LOG_LEVEL: 'warn' }, violations: [] });
+    expect(policy.apply('a-other0001', undefined, undefined)).toEqual({ args: undefined, env: { LOG_LEVEL: 'info' }, violations: [] });
+  });
+
+  test('applies the application policy by id or ARN with defaults and forced values', () => {
+    const policy = loadLaunchPolicy(policyFile);
+    const arn = 'arn:aws:gameliftstreams:us-east-2:123456789012:application/a-game00001';
+    expect(policy.apply(arn, [], { QUALITY: 'high', TELEMETRY: '1' }))
+      .toEqual({ args: ['-map=Lobby', '-nosplash'], env: { QUALITY: 'high', TELEMETRY: '0' }, violations: [] });
+    expect(policy.apply('a-game00001', ['-map=Arena'], {}).args).toEqual(['-map=Arena', '-nosplash']);
+  });
+
+  test('rejects arguments and variables the policy does not allow', () => {
+    const { args, env, violations } = loadLaunchPolicy(policyFile).apply('a-other0001', ['-windowed', '-console'], { PATH: '/tmp', LOG_LEVEL: 'trace' });
+    expect(args).toBeUndefined();
+    expect(env).toBeUndefined();
+    expect(violations).toEqual([
+      { field: 'AdditionalLaunchArgs[1]', code: 'ARG_NOT_ALLOWED', message: 'Argument is not allowed for this application', value: '-console' },
+      { field: 'AdditionalEnvironmentVariables.PATH', code: 'ENV_NOT_ALLOWED', message: 'Environment variable is not allowed for this application', value: 'PATH' },
+      { field: 'AdditionalEnvironmentVariables.LOG_LEVEL', code: 'ENV_VALUE_NOT_ALLOWED', message: 'Value must match error|warn|info', value: 'trace' },
+    ]);
+  });
+
+  test('matches patterns against the whole value, which bounds its length', () => {
+    const policy = loadLaunchPolicy(policyFile);
+    const codes = (args: unknown[]) => policy.apply('a-game00001', args, {}).violations.map((v: any) => v.code);
+    expect(codes(['-map=Arena'])).toEqual([]);
+    expect(codes(['-map=Arena9999'])).toEqual(['ARG_NOT_ALLOWED']);
+    expect(codes(['x-map=Arena'])).toEqual(['ARG_NOT_ALLOWED']);
+    expect(codes(['-map=Arena -console'])).toEqual(['ARG_NOT_ALLOWED']);
+  });
+
+  test('limits the number of arguments and checks value types', () => {
+    const policy = loadLaunchPolicy(policyFile);
+    expect(policy.apply('a-other0001', ['-windowed', '-windowed', '-windowed'], {}).violations).toEqual([
+      { field: 'AdditionalLaunchArgs', code: 'TOO_MANY_ARGS', message: 'At most 2 arguments are allowed', value: 3 },
+    ]);
+    expect(policy.apply('a-other0001', '-windowed', []).violations.map((v: any) => [v.field, v.code])).toEqual([
+      ['AdditionalLaunchArgs', 'INVALID_TYPE'],
+      ['AdditionalEnvironmentVariables', 'INVALID_TYPE'],
+    ]);
+    expect(policy.apply('a-other0001', [7], { LOG_LEVEL: 1 }).violations.map((v: any) => [v.field, v.code])).toEqual([
+      ['AdditionalLaunchArgs[0]', 'INVALID_TYPE'],
+      ['AdditionalEnvironmentVariables.LOG_LEVEL', 'INVALID_TYPE'],
+    ]);
+  });
+
+  test('describes a policy without its compiled patterns', () => {
+    expect(loadLaunchPolicy(policyFile).describe('a-game00001')).toEqual({
+      enforced: true,
+      args: { allowed: [{ pattern: '-map=[A-Za-z0-9_]{1,8}', description: '' }], defaults: ['-map=Lobby'], forced: ['-nosplash'], maxCount: 32 },
+      env: { allowed: { QUALITY: { pattern: 'low|high', description: '', default: undefined } }, forced: { TELEMETRY: '0' } },
+    });
+  });
+
+  test('names the invalid pattern of a malformed policy file', () => {
+    const invalid = path.join(dir, 'invalid.json');
+    fs.writeFileSync(invalid, JSON.stringify({ default: { args: { allowed: [{ pattern: '(' }] } } }));
+    expect(() => loadLaunchPolicy(invalid)).toThrow('Launch policy default.args.allowed[0]: invalid pattern');
+    fs.writeFileSync(invalid, '{ not json');
+    expect(() => loadLaunchPolicy(invalid)).toThrow(`Unable to load launch policy file ${invalid}`);
+  });
+});
+
+describe('launch policy against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer({ LAUNCH_POLICY_FILE: policyFile });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    delete process.env.LAUNCH_POLICY_FILE;
+  });
+
+  test('starts stream sessions the policy allows', async () => {
+    const response = await server.post('/api/CreateStreamSession', createSessionBody({ AdditionalLaunchArgs: ['-windowed'] }));
+    expect(response.status).toBe(200);
+  });
+
+  test('rejects the others with violations the page can render', async () => {
+    const response = await server.post('/api/CreateStreamSession', createSessionBody({
+      AdditionalLaunchArgs: ['-console'],
+      AdditionalEnvironmentVariables: { LOG_LEVEL: '<b>' },
+    }));
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual(expect.objectContaining({ error: 'LaunchPolicyViolation', correlationId: expect.any(String) }));
+    response.body.violations.forEach((violation: object) => {
+      expect(Object.keys(violation).sort()).toEqual(['code', 'field', 'message', 'value']);
+    });
+
+    const { formatLaunchPolicyViolations } = loadPageScripts(['utils.js']);
+    expect(formatLaunchPolicyViolations(response.body.violations)).toBe([
+      'AdditionalLaunchArgs[0]: Argument is not allowed for this application (&quot;-console&quot;)',
+      'AdditionalEnvironmentVariables.LOG_LEVEL: Value must match error|warn|info (&quot;&lt;b&gt;&quot;)',
+    ].join('<br>'));
+  });
+});
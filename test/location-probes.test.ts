@@ -0,0 +1,122 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { loadPageScripts } from './helpers/page';
+
+const localUrl = (location: string) => `/api/diagnostics/LocationPing?Location=${location}`;
+
+/**
+ * Loads network-diagnostics.js with a fake clock: each probe of a location takes the next of
+ * its round trips, the first one being the uncounted warm-up. Locations without round trips
+ * fail every probe.
+ * @param roundTrips - Round trips in milliseconds by location
+ * @param storage - Initial sessionStorage content
+ */
+function loadProbes(roundTrips: Record<string, number[]>, storage: Record<string, string> = {}) {
+  let now = 0;
+  const remaining = Object.fromEntries(Object.entries(roundTrips).map(([location, times]) => [location, [...times]]));
+  const fetch = async (url: string) => {
+    const location = new URL(url, 'http://localhost').searchParams.get('Location') as string;
+    const times = remaining[location];
+    if (!times || !times.length) {
+      throw new TypeError('Failed to fetch');
+    }
+    now += times.shift() as number;
+    return { status: 200, arrayBuffer: async () => new ArrayBuffer(0) };
+  };
+  const settings = {
+    probeCount: 3,
+    timeoutMs: 2000,
+    Locations: Object.keys(roundTrips).map((location) => ({ Location: location, Url: localUrl(location) })),
+  };
+
+  return loadPageScripts(['network-diagnostics.js'], {
+    document: { addEventListener: () => {} },
+    sessionStorage: {
+      getItem: (key: string) => (key in storage ? storage[key] : null),
+      setItem: (key: string, value: string) => { storage[key] = value; },
+    },
+    performance: { now: () => now },
+    fetch,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    apiUrl: (path: string) => path,
+    getAuthHeaders: () => ({}),
+    doGet: async () => settings,
+  });
+}
+
+describe('probeLocations', () => {
+  test('ranks locations by their median round trip, ignoring the warm-up probe', async () => {
+    const { probeLocations } = loadProbes({
+      'us-east-2': [500, 80, 90, 85],       // median 85
+      'us-west-2': [900, 200, 30, 40],      // median 40 despite one slow probe
+      'eu-central-1': [10, 120, 110, 130],  // fast warm-up does not count
+    });
+
+    const result = await probeLocations();
+    expect(result.locations).toEqual([
+      { location: 'us-west-2', latencyMs: 40 },
+      { location: 'us-east-2', latencyMs: 85 },
+      { location: 'eu-central-1', latencyMs: 120 },
+    ]);
+    expect(result.order).toEqual(['us-west-2', 'us-east-2', 'eu-central-1']);
+    expect(result.probedAt).toEqual(expect.any(Number));
+  });
+
+  test('ranks a location on the probes that succeeded', async () => {
+    const { probeLocations } = loadProbes({
+      'us-east-2': [50, 60, 70, 80],
+      'us-west-2': [50, 20, 30],  // last probe fails, the upper middle of the two others counts
+    });
+
+    const result = await probeLocations();
+    expect(result.locations).toEqual([
+      { location: 'us-west-2', latencyMs: 30 },
+      { location: 'us-east-2', latencyMs: 70 },
+    ]);
+  });
+
+  test('puts unreachable locations last, in their listed order, and leaves them out of the order', async () => {
+    const { probeLocations } = loadProbes({
+      'ap-northeast-1': [],
+      'us-east-2': [50, 60, 60, 60],
+      'eu-west-1': [],
+    });
+
+    const result = await probeLocations();
+    expect(result.locations).toEqual([
+      { location: 'us-east-2', latencyMs: 60 },
+      { location: 'ap-northeast-1', latencyMs: null },
+      { location: 'eu-west-1', latencyMs: null },
+    ]);
+    expect(result.order).toEqual(['us-east-2']);
+  });
+});
+
+describe('rankedProbeLocations', () => {
+  test('orders locations by the last ranking and keeps unranked ones after it in their order', () => {
+    const { rankedProbeLocations } = loadProbes({}, {
+      locationProbes: JSON.stringify({ order: ['eu-central-1', 'us-east-2'] }),
+    });
+
+    expect(rankedProbeLocations(['us-west-2', 'us-east-2', 'ap-northeast-1', 'eu-central-1']))
+      .toEqual(['eu-central-1', 'us-east-2', 'us-west-2', 'ap-northeast-1']);
+  });
+
+  test('keeps the given order before any probe has run', () => {
+    const { rankedProbeLocations } = loadProbes({});
+    expect(rankedProbeLocations(['us-west-2', 'us-east-2'])).toEqual(['us-west-2', 'us-east-2']);
+  });
+
+  test('uses the ranking stored by a probe run', async () => {
+    const storage: Record<string, string> = {};
+    const page = loadProbes({ 'us-east-2': [50, 90, 90, 90], 'us-west-2': [50, 20, 20, 20] }, storage);
+    storage.locationProbes = JSON.stringify(await page.probeLocations());
+
+    expect(page.rankedProbeLocations(['us-east-2', 'eu-west-1', 'us-west-2'])).toEqual(['us-west-2', 'us-east-2', 'eu-west-1']);
+  });
+});
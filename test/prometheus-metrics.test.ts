@@ -0,0 +1,132 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { createSessionBody, startTestServer, TestServer, waitForSignalResponse } from './helpers/server';
+
+const { createMetricsRegistry, instrumentGameLiftStreams } = require('../server/prometheus-metrics');
+
+const METRICS_TOKEN = 'test-metrics-token';
+
+describe('createMetricsRegistry', () => {
+  test('renders counters per label set', async () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter('http_requests_total', 'HTTP requests', ['method', 'status']);
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ method: 'GET', status: 200 }, 2);
+    requests.inc({ method: 'POST', status: 'a"b\\c\nd' });
+
+    expect(await registry.render()).toBe([
+      '# HELP http_requests_total HTTP requests',
+      '# TYPE http_requests_total counter',
+      'http_requests_total{method="GET",status="200"} 3',
+      'http_requests_total{method="POST",status="a\\"b\\\\c\\nd"} 1',
+      '',
+    ].join('\n'));
+  });
+
+  test('renders cumulative histogram buckets, sum and count', async () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram('latency_seconds', 'Latency', ['operation'], [1, 0.1]);
+    latency.observe({ operation: 'Get' }, 0.05);
+    latency.observe({ operation: 'Get' }, 0.5);
+    latency.observe({ operation: 'Get' }, 5);
+
+    expect(await registry.render()).toBe([
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{operation="Get",le="0.1"} 1',
+      'latency_seconds_bucket{operation="Get",le="1"} 2',
+      'latency_seconds_bucket{operation="Get",le="+Inf"} 3',
+      'latency_seconds_sum{operation="Get"} 5.55',
+      'latency_seconds_count{operation="Get"} 3',
+      '',
+    ].join('\n'));
+  });
+
+  test('collects gauges on every render and skips failing collectors', async () => {
+    const registry = createMetricsRegistry();
+    let value = 1;
+    registry.gauge('tokens', 'Tokens', ['scope'], async (set: Function) => set({ scope: 'owner' }, value++));
+    registry.gauge('broken', 'Broken', [], async () => { throw new Error('unavailable'); });
+    const logger = { error: jest.fn() };
+
+    expect(await registry.render(logger)).toContain('tokens{scope="owner"} 1');
+    const rendered = await registry.render(logger);
+    expect(rendered).toContain('tokens{scope="owner"} 2');
+    expect(rendered).not.toContain('broken');
+    expect(logger.error).toHaveBeenCalledWith('Metrics collection failed', { metric: 'broken', error: 'unavailable' });
+  });
+
+  test('refuses to register a metric twice', () => {
+    const registry = createMetricsRegistry();
+    registry.counter('requests_total', 'Requests');
+    expect(() => registry.counter('requests_total', 'Requests')).toThrow(/already registered/);
+  });
+});
+
+describe('instrumentGameLiftStreams', () => {
+  test('times calls and counts errors by operation', async () => {
+    const registry = createMetricsRegistry();
+    const duration = registry.histogram('duration_seconds', 'Duration', ['operation'], [10]);
+    const errors = registry.counter('errors_total', 'Errors', ['operation', 'error']);
+    const client = instrumentGameLiftStreams({
+      getStreamSession: async () => ({ Status: 'ACTIVE' }),
+      terminateStreamSession: async () => { throw Object.assign(new Error('gone'), { name: 'ResourceNotFoundException' }); },
+      region: 'us-east-2',
+    }, { duration, errors });
+
+    expect(await client.getStreamSession({})).toEqual({ Status: 'ACTIVE' });
+    await expect(client.terminateStreamSession({})).rejects.toThrow('gone');
+    expect(client.region).toBe('us-east-2');
+
+    const rendered = await registry.render();
+    expect(rendered).toContain('duration_seconds_count{operation="GetStreamSession"} 1');
+    expect(rendered).toContain('duration_seconds_count{operation="TerminateStreamSession"} 1');
+    expect(rendered).toContain('errors_total{operation="TerminateStreamSession",error="ResourceNotFoundException"} 1');
+  });
+});
+
+describe('metrics endpoint against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer({ METRICS_BEARER_TOKEN: METRICS_TOKEN });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    delete process.env.METRICS_BEARER_TOKEN;
+  });
+
+  test('rejects scrapes without the bearer token', async () => {
+    const missing = await server.get('/metrics');
+    expect(missing.status).toBe(401);
+    expect(missing.body).toEqual({ error: 'Unauthorized', correlationId: expect.any(String) });
+    expect((await server.get('/metrics', { Authorization: 'Bearer wrong' })).status).toBe(401);
+    expect((await server.get('/metrics', { Authorization: METRICS_TOKEN })).status).toBe(401);
+  });
+
+  test('counts live connection tokens without listing the session store', async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody());
+    await waitForSignalResponse(server, created.body.Token);
+    await server.post('/api/CreateShareToken', { Token: created.body.Token, Scope: 'spectate' });
+    const entries = jest.spyOn(server.sessionStore, 'entries');
+
+    const scrape = await server.get('/metrics', { Authorization: `Bearer ${METRICS_TOKEN}` });
+    expect(scrape.status).toBe(200);
+    // Express orders the parameters of CONTENT_TYPE its own way
+    expect(scrape.headers.get('content-type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(scrape.body).toContain('connection_tokens_active{scope="owner"} 1');
+    expect(scrape.body).toContain('connection_tokens_active{scope="spectate"} 1');
+    expect(scrape.body).toContain('stream_session_activation_seconds_count 1');
+    expect(entries).not.toHaveBeenCalled();
+
+    await server.post('/api/DestroyStreamSession', { Token: created.body.Token });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const after = await server.get('/metrics', { Authorization: `Bearer ${METRICS_TOKEN}` });
+    expect(after.body).toContain('connection_tokens_active{scope="owner"} 0');
+    expect(after.body).not.toContain('scope="spectate"');
+  });
+});
@@ -0,0 +1,136 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { createSessionBody, startTestServer, TestServer, waitForSignalResponse } from './helpers/server';
+
+describe('session routes against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('creates a stream session, returns its signal response and destroys it', async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody());
+    expect(created.status).toBe(200);
+    expect(created.body.Token).toEqual(expect.any(String));
+    expect(created.body.UserId).toBe('player-1');
+
+    const signal = await waitForSignalResponse(server, created.body.Token);
+    expect(signal.status).toBe(200);
+    expect(signal.body.SignalResponse).not.toBe('');
+
+    const destroyed = await server.post('/api/DestroyStreamSession', { Token: created.body.Token });
+    expect(destroyed.status).toBe(200);
+  });
+
+  test('rejects unknown connection tokens', async () => {
+    expect((await server.post('/api/GetSignalResponse', { Token: 'unknown' })).status).toBe(404);
+    expect((await server.post('/api/DestroyStreamSession', { Token: 'unknown' })).status).toBe(404);
+  });
+
+  test('validates CreateStreamSession input', async () => {
+    const response = await server.post('/api/CreateStreamSession', createSessionBody({ StreamGroupId: '' }));
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].path).toBe('StreamGroupId');
+  });
+
+  test('reconnects the owner to a running stream session', async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody());
+    await waitForSignalResponse(server, created.body.Token);
+
+    const reconnected = await server.post('/api/ReconnectStreamSession', { Token: created.body.Token, SignalRequest: 'offer' });
+    expect(reconnected.status).toBe(200);
+    expect(reconnected.body.SignalResponse).toEqual(expect.any(String));
+  });
+
+  test('answers the health check', async () => {
+    expect((await server.get('/api/health')).status).toBe(200);
+  });
+
+  test('keeps query string credentials out of the request log', async () => {
+    const log = console.log as jest.Mock;
+    log.mockClear();
+    await server.get('/api/health?Token=connection-token&access_token=secret-credential');
+    const logged = log.mock.calls.map((args) => args.join(' ')).join('\n');
+    expect(logged).toContain('GET /api/health');
+    expect(logged).not.toContain('secret-credential');
+    expect(logged).not.toContain('connection-token');
+  });
+});
+
+describe('network diagnostics routes against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('returns the test settings and recommended thresholds', async () => {
+    const response = await server.get('/api/diagnostics/Settings');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('no-store, no-transform');
+    expect(response.body).toEqual({
+      pingCount: expect.any(Number),
+      pingTimeoutMs: expect.any(Number),
+      downloadBytes: expect.any(Number),
+      recommended: {
+        maxLatencyMs: expect.any(Number),
+        maxJitterMs: expect.any(Number),
+        minDownloadMbps: expect.any(Number),
+        maxPacketLossPercent: expect.any(Number),
+      },
+    });
+  });
+
+  test('answers pings with the server time', async () => {
+    const before = Date.now();
+    const response = await server.get('/api/diagnostics/Ping');
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body)).toEqual(['ServerTime']);
+    expect(response.body.ServerTime).toBeGreaterThanOrEqual(before);
+  });
+
+  test('lists the locations to probe with the local stand-in as target', async () => {
+    const response = await server.get('/api/diagnostics/Locations');
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      probeCount: expect.any(Number),
+      timeoutMs: expect.any(Number),
+      Locations: [{ Location: 'us-east-2', Url: '/api/diagnostics/LocationPing?Location=us-east-2' }],
+    });
+
+    const ping = await server.get(response.body.Locations[0].Url);
+    expect(ping.status).toBe(200);
+    expect(ping.body).toEqual({ Location: 'us-east-2', ServerTime: expect.any(Number) });
+  });
+
+  test('rejects probes of unknown locations', async () => {
+    const response = await server.get('/api/diagnostics/LocationPing?Location=mars-north-1');
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Unknown Location', correlationId: expect.any(String) });
+  });
+
+  test('streams the requested number of bytes and rejects sizes out of range', async () => {
+    const download = await fetch(`${server.url}/api/diagnostics/Download?Bytes=100000`);
+    expect(download.status).toBe(200);
+    expect(download.headers.get('content-type')).toBe('application/octet-stream');
+    expect((await download.arrayBuffer()).byteLength).toBe(100000);
+
+    for (const bytes of ['0', '1.5', 'lots', String(100 * 1024 * 1024)]) {
+      const response = await server.get(`/api/diagnostics/Download?Bytes=${bytes}`);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^Bytes must be an integer between 1 and \d+$/);
+    }
+  });
+});
@@ -0,0 +1,138 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { createSessionBody, startTestServer, TestServer, waitForSignalResponse } from './helpers/server';
+
+const { createSessionQueue } = require('../server/session-queue');
+
+const RETRY_INTERVAL_MS = 50;
+
+function createQueue() {
+  return createSessionQueue({
+    retryIntervalMs: RETRY_INTERVAL_MS,
+    maxLength: 2,
+    abandonAfterMs: 60000,
+    resultTtlMs: 60000,
+    defaultWaitSeconds: 60,
+    capacityErrorNames: ['ServiceQuotaExceededException'],
+    capacityErrorPattern: /\bcapacity\b/i,
+  });
+}
+
+const capacityError = () => Object.assign(new Error('No capacity'), { name: 'ServiceQuotaExceededException' });
+const waitForRetry = () => new Promise((resolve) => setTimeout(resolve, RETRY_INTERVAL_MS + 10));
+
+describe('createSessionQueue', () => {
+  test('recognizes capacity errors by name or message', () => {
+    const queue = createQueue();
+    expect(queue.isCapacityError(capacityError())).toBe(true);
+    expect(queue.isCapacityError(Object.assign(new Error('Insufficient capacity in us-east-2'), { name: 'ConflictException' }))).toBe(true);
+    expect(queue.isCapacityError(Object.assign(new Error('Access denied'), { name: 'AccessDeniedException' }))).toBe(false);
+    expect(queue.isCapacityError(undefined)).toBe(false);
+  });
+
+  test('retries the head only with a fresh signal request', async () => {
+    const queue = createQueue();
+    const place = jest.fn().mockRejectedValueOnce(capacityError()).mockResolvedValueOnce({ Token: 'token-1' });
+    const { Ticket } = queue.enqueue('sg|us-east-2', { place });
+
+    expect(queue.status(Ticket).SignalRequestNeeded).toBe(false);
+    await waitForRetry();
+    expect(queue.status(Ticket).SignalRequestNeeded).toBe(true);
+    expect(place).not.toHaveBeenCalled();
+
+    // Still no capacity: stays queued until due again
+    expect(await queue.place(Ticket, 'offer-1')).toEqual(expect.objectContaining({ Status: 'QUEUED', SignalRequestNeeded: false }));
+    expect(await queue.place(Ticket, 'offer-ignored')).toEqual(expect.objectContaining({ Status: 'QUEUED' }));
+    expect(place).toHaveBeenCalledTimes(1);
+
+    await waitForRetry();
+    expect(await queue.place(Ticket, 'offer-2')).toEqual(expect.objectContaining({ Status: 'PLACED', Result: { Token: 'token-1' } }));
+    expect(place.mock.calls).toEqual([['offer-1'], ['offer-2']]);
+  });
+
+  test('never retries players behind the head', async () => {
+    const queue = createQueue();
+    const head = queue.enqueue('sg|us-east-2', { place: jest.fn().mockRejectedValue(capacityError()) });
+    const placeSecond = jest.fn();
+    const second = queue.enqueue('sg|us-east-2', { place: placeSecond });
+    await waitForRetry();
+
+    expect(queue.status(second.Ticket)).toEqual(expect.objectContaining({ Position: 2, SignalRequestNeeded: false }));
+    await queue.place(second.Ticket, 'offer');
+    expect(placeSecond).not.toHaveBeenCalled();
+
+    expect(queue.enqueue('sg|us-east-2', { place: jest.fn() })).toBeNull();
+    expect(queue.leave(head.Ticket)).toBe(true);
+    expect(queue.status(second.Ticket)).toEqual(expect.objectContaining({ Position: 1, SignalRequestNeeded: true }));
+  });
+
+  test('reports no status when the player leaves during a slow placement', async () => {
+    const queue = createQueue();
+    let resolvePlacement: (result: unknown) => void = () => {};
+    const place = jest.fn().mockReturnValue(new Promise((resolve) => { resolvePlacement = resolve; }));
+    const release = jest.fn();
+    const { Ticket } = queue.enqueue('sg|us-east-2', { place, release });
+    await waitForRetry();
+
+    const placing = queue.place(Ticket, 'offer');
+    expect(place).toHaveBeenCalledWith('offer');
+    expect(queue.leave(Ticket)).toBe(true);
+    resolvePlacement({ Token: 'token-1' });
+
+    expect(await placing).toBeUndefined();
+    expect(release).toHaveBeenCalledWith({ Token: 'token-1' });
+  });
+
+  test('reports other placement errors as failed', async () => {
+    const queue = createQueue();
+    const { Ticket } = queue.enqueue('sg|us-east-2', { place: jest.fn().mockRejectedValue(new Error('Application not found')) });
+    await waitForRetry();
+
+    expect(await queue.place(Ticket, 'offer')).toEqual(expect.objectContaining({ Status: 'FAILED', Error: 'Application not found' }));
+  });
+});
+
+describe('capacity queue against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer({ MOCK_MAX_CONCURRENT_SESSIONS: '1' });
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('queues a player until capacity frees up and places them with a new offer', async () => {
+    const first = await server.post('/api/CreateStreamSession', createSessionBody());
+    expect(first.status).toBe(200);
+    await waitForSignalResponse(server, first.body.Token);
+
+    const queued = await server.post('/api/CreateStreamSession', createSessionBody({ UserId: 'player-2' }));
+    expect(queued.status).toBe(202);
+    expect(queued.body).toEqual(expect.objectContaining({ Queued: true, Status: 'QUEUED', Position: 1 }));
+
+    expect((await server.post('/api/DestroyStreamSession', { Token: first.body.Token })).status).toBe(200);
+    // Terminated mock sessions free their capacity after MOCK_TERMINATION_DELAY_MS
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    // Placement waits for the retry interval and a fresh offer
+    let status = await server.post('/api/QueueStatus', { Ticket: queued.body.Ticket });
+    expect(status.body).toEqual(expect.objectContaining({ Status: 'QUEUED', SignalRequestNeeded: false }));
+
+    const realNow = Date.now;
+    const now = jest.spyOn(Date, 'now').mockImplementation(() => realNow() + 60000);
+    try {
+      status = await server.post('/api/QueueStatus', { Ticket: queued.body.Ticket });
+      expect(status.body.SignalRequestNeeded).toBe(true);
+      status = await server.post('/api/QueueStatus', { Ticket: queued.body.Ticket, SignalRequest: 'fresh-offer' });
+    } finally {
+      now.mockRestore();
+    }
+    expect(status.body).toEqual(expect.objectContaining({ Status: 'PLACED', Token: expect.any(String), UserId: 'player-2' }));
+    expect((await waitForSignalResponse(server, status.body.Token)).body.SignalResponse).not.toBe('');
+  });
+});
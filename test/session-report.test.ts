@@ -0,0 +1,108 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+const { validateSessionReport, analyzeSessionReport, createSessionReportStore } = require('../server/session-report');
+const { createSessionStore } = require('../server/session-store');
+
+const LIMITS = { maxMetrics: 64, maxSamplesPerMetric: 10000 };
+const START = 1700000000000;
+const INTERVAL_MS = 5000;
+
+/** Cumulative counter series from per-interval increments */
+function counter(increments: number[]): Array<[number, number]> {
+  let total = 0;
+  return increments.map((increment, i) => [START + i * INTERVAL_MS, (total += increment)]);
+}
+
+describe('analyzeSessionReport', () => {
+  test('handles reports of the largest accepted size', () => {
+    const samples = Array.from({ length: LIMITS.maxSamplesPerMetric }, (_, i): [number, number] => [START + i * 1000, 0.03]);
+    const stats: Record<string, Array<[number, number]>> = {};
+    for (let i = 0; i < LIMITS.maxMetrics; i++) {
+      stats[i ? `webrtc_custom_metric${i}` : 'webrtc_candidate-pair_currentRoundTripTime'] = samples;
+    }
+    const report = { stats };
+    expect(validateSessionReport(report, LIMITS)).toBeNull();
+
+    const analysis = analyzeSessionReport(report);
+    expect(analysis.startTime).toBe(START);
+    expect(analysis.endTime).toBe(START + (LIMITS.maxSamplesPerMetric - 1) * 1000);
+    expect(analysis.rtt).toEqual(expect.objectContaining({ maxMs: 30, samples: LIMITS.maxSamplesPerMetric }));
+  });
+
+  test('counts every loss burst and freeze but lists only the first 50', () => {
+    // Alternating intervals with and without loss or decoded frames: 100 separate bursts and freezes
+    const alternating = Array.from({ length: 200 }, (_, i) => (i % 2 ? 0 : 50));
+    const analysis = analyzeSessionReport({
+      stats: {
+        'webrtc_inbound-rtp_packetsLost': counter([0, ...alternating]),
+        'webrtc_inbound-rtp_packetsReceived': counter(Array(201).fill(1000)),
+        'webrtc_inbound-rtp_framesDecoded': counter([0, ...alternating.map((value) => (value ? 0 : 300))]),
+      },
+    });
+
+    expect(analysis.packetLoss.burstCount).toBe(100);
+    expect(analysis.packetLoss.bursts).toHaveLength(50);
+    expect(analysis.freezes.count).toBe(100);
+    expect(analysis.freezes.periods).toHaveLength(50);
+    expect(analysis.findings).toEqual(expect.arrayContaining([
+      expect.objectContaining({ area: 'packetLoss', message: expect.stringContaining('100 bursts') }),
+    ]));
+  });
+
+  test('grades a clean session A', () => {
+    const analysis = analyzeSessionReport({
+      stats: {
+        'webrtc_candidate-pair_currentRoundTripTime': [[START, 0.02], [START + INTERVAL_MS, 0.03]],
+        'webrtc_inbound-rtp_framesPerSecond': [[START, 60], [START + INTERVAL_MS, 60]],
+      },
+    });
+    expect(analysis).toEqual(expect.objectContaining({ grade: 'A', score: 100 }));
+  });
+});
+
+describe('createSessionReportStore', () => {
+  const connectionData = { Principal: 'player-1', StreamSessionArn: 'arn:session' };
+  let sessionStore: any;
+
+  beforeEach(() => {
+    sessionStore = createSessionStore({ type: 'memory', ttlMs: 60000 });
+  });
+
+  const createStore = () => createSessionReportStore({
+    sessionStore,
+    ttlMs: 60000,
+    maxStoredStatsBytes: 1024,
+    maxStoredMetadataBytes: 256,
+  });
+
+  test('stores small reports completely', async () => {
+    const report = { metadata: { clientId: 'client-1' }, stats: { 'webrtc_inbound-rtp_jitter': [[START, 0.01]] } };
+    await createStore().save('token-1', connectionData, report);
+
+    expect(await createStore().get('token-1')).toEqual(expect.objectContaining({
+      Scope: 'report',
+      Principal: 'player-1',
+      Metadata: report.metadata,
+      Stats: report.stats,
+      StatsDropped: false,
+      MetadataDropped: false,
+    }));
+  });
+
+  test('drops samples and metadata past their size limits but keeps the analysis', async () => {
+    const report = {
+      metadata: { notes: 'x'.repeat(1000) },
+      stats: { 'webrtc_inbound-rtp_jitter': Array.from({ length: 200 }, (_, i) => [START + i, 0.01]) },
+    };
+    const analysis = await createStore().save('token-1', connectionData, report);
+    const record = await createStore().get('token-1');
+
+    expect(record).toEqual(expect.objectContaining({ StatsDropped: true, MetadataDropped: true, Analysis: analysis }));
+    expect(record.Stats).toBeUndefined();
+    expect(record.Metadata).toBeUndefined();
+    expect(Buffer.byteLength(JSON.stringify(record))).toBeLessThan(4096);
+  });
+});
@@ -0,0 +1,228 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+const { createSessionStore } = require('../server/session-store');
+
+const SERVER_DIR = path.join(__dirname, '../server');
+const TTL_MS = 60000;
+
+// Modules the server depends on resolve from server/node_modules
+const serverRequire = (name: string) => require(require.resolve(name, { paths: [SERVER_DIR] }));
+const hasModule = (name: string) => {
+  try {
+    serverRequire(name);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** Behavior every backend shares */
+function describeBackend(name: string, createStore: () => Promise<any>, cleanup: () => Promise<void> = async () => {}) {
+  describe(`${name} backend`, () => {
+    let store: any;
+
+    beforeEach(async () => {
+      store = await createStore();
+    });
+
+    afterEach(async () => {
+      await store.close();
+      await cleanup();
+    });
+
+    test('stores, returns and deletes records', async () => {
+      const stored = await store.set('token-1', { StreamGroupId: 'sg-1', Timestamp: 1000 });
+      expect(stored.ExpiresAt).toBe(1000 + TTL_MS);
+
+      await store.set('token-2', { StreamGroupId: 'sg-2' });
+      expect(await store.get('token-2')).toEqual(expect.objectContaining({ StreamGroupId: 'sg-2' }));
+
+      await store.delete('token-2');
+      expect(await store.get('token-2')).toBeUndefined();
+    });
+
+    test('never returns expired records', async () => {
+      await store.set('expired', { StreamGroupId: 'sg-1', ExpiresAt: Date.now() - 1 });
+      await store.set('live', { StreamGroupId: 'sg-1' });
+
+      expect((await store.entries()).map(([token]: [string]) => token)).toEqual(['live']);
+      expect(await store.get('expired')).toBeUndefined();
+    });
+
+    test('counts live records by scope without listing the backend', async () => {
+      await store.set('owner', {});
+      await store.set('share', { Scope: 'spectate' });
+      await store.set('expired', { Scope: 'spectate', ExpiresAt: Date.now() - 1 });
+      await store.set('deleted', {});
+      await store.delete('deleted');
+      const entries = jest.spyOn(store, 'entries');
+
+      expect(store.countByScope()).toEqual({ owner: 1, spectate: 1 });
+      expect(entries).not.toHaveBeenCalled();
+    });
+
+    test('ignores missing and malformed tokens', async () => {
+      expect(await store.get(undefined)).toBeUndefined();
+      expect(await store.get({ not: 'a token' })).toBeUndefined();
+      expect(await store.get('unknown')).toBeUndefined();
+    });
+  });
+}
+
+describeBackend('memory', async () => createSessionStore({ type: 'memory', ttlMs: TTL_MS }));
+
+let tempDir = '';
+describeBackend('file', async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+  return createSessionStore({ type: 'file', filePath: path.join(tempDir, 'sessions.json'), ttlMs: TTL_MS });
+}, async () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe('file backend persistence', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reloads tokens written by an earlier store', async () => {
+    const filePath = path.join(dir, 'sessions.json');
+    await createSessionStore({ type: 'file', filePath, ttlMs: TTL_MS }).set('token-1', { StreamGroupId: 'sg-1' });
+
+    const reloaded = createSessionStore({ type: 'file', filePath, ttlMs: TTL_MS });
+    expect(await reloaded.get('token-1')).toEqual(expect.objectContaining({ StreamGroupId: 'sg-1' }));
+  });
+
+  test('purges expired tokens from the file', async () => {
+    const filePath = path.join(dir, 'sessions.json');
+    const store = createSessionStore({ type: 'file', filePath, ttlMs: TTL_MS });
+    await store.set('expired', { ExpiresAt: Date.now() - 1 });
+    await store.set('live', {});
+
+    expect(await store.purgeExpired()).toBe(1);
+    expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')))).toEqual(['live']);
+  });
+
+  test('resolves relative paths against the data directory, not the working directory', async () => {
+    await createSessionStore({ type: 'file', filePath: 'relative.json', dataDir: dir, ttlMs: TTL_MS }).set('token-1', {});
+    expect(fs.existsSync(path.join(dir, 'relative.json'))).toBe(true);
+  });
+
+  test('refuses store files inside the served server directory', () => {
+    expect(() => createSessionStore({ type: 'file', filePath: 'sessions.json', dataDir: SERVER_DIR, ttlMs: TTL_MS }))
+      .toThrow(/must not be inside the server directory/);
+    expect(() => createSessionStore({ type: 'file', filePath: path.join(SERVER_DIR, 'public/sessions.json'), ttlMs: TTL_MS }))
+      .toThrow(/must not be inside the server directory/);
+    expect(fs.existsSync(path.join(SERVER_DIR, 'sessions.json'))).toBe(false);
+  });
+});
+
+// better-sqlite3 is an optional dependency
+if (hasModule('better-sqlite3')) {
+  describeBackend('sqlite', async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    return createSessionStore({ type: 'sqlite', filePath: path.join(tempDir, 'sessions.db'), ttlMs: TTL_MS });
+  }, async () => fs.rmSync(tempDir, { recursive: true, force: true }));
+} else {
+  test.skip('sqlite backend requires the optional better-sqlite3 package', () => {});
+}
+
+describe('dynamodb backend with a stub client', () => {
+  const createStubClient = () => {
+    const items = new Map<string, any>();
+    const commands: string[] = [];
+    return {
+      items,
+      commands,
+      send: async (command: any) => {
+        const name = command.constructor.name;
+        commands.push(name);
+        if (name === 'PutCommand') {
+          items.set(command.input.Item.Token, command.input.Item);
+          return {};
+        }
+        if (name === 'GetCommand') {
+          return { Item: items.get(command.input.Key.Token) };
+        }
+        if (name === 'DeleteCommand') {
+          items.delete(command.input.Key.Token);
+          return {};
+        }
+        return { Items: Array.from(items.values()) };
+      },
+      destroy: () => {},
+    };
+  };
+
+  test('writes ExpiresAtEpoch for the native TTL', async () => {
+    const client = createStubClient();
+    const store = createSessionStore({ type: 'dynamodb', tableName: 'tokens', client, ttlMs: TTL_MS });
+    await store.set('token-1', { StreamGroupId: 'sg-1', Timestamp: 1000 });
+    expect(client.items.get('token-1')).toEqual({
+      Token: 'token-1',
+      Record: expect.objectContaining({ StreamGroupId: 'sg-1', ExpiresAt: 1000 + TTL_MS }),
+      ExpiresAtEpoch: Math.ceil((1000 + TTL_MS) / 1000),
+    });
+  });
+
+  test('leaves expired items to the native TTL instead of scanning', async () => {
+    const client = createStubClient();
+    const store = createSessionStore({ type: 'dynamodb', tableName: 'tokens', client, ttlMs: TTL_MS, cleanupIntervalMs: 1 });
+    await store.set('expired', { ExpiresAt: Date.now() - 1 });
+    store.startCleanup();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(await store.purgeExpired()).toBe(0);
+    expect(client.commands).not.toContain('ScanCommand');
+    expect(client.items.has('expired')).toBe(true);
+    await store.close();
+  });
+});
+
+// Runs against DynamoDB Local (or any endpoint) when SESSION_STORE_ENDPOINT is set,
+// e.g. SESSION_STORE_ENDPOINT=http://localhost:8000 npm test
+const dynamoDbEndpoint = process.env.SESSION_STORE_ENDPOINT;
+const dynamoDbTable = `session-store-test-${process.pid}`;
+(dynamoDbEndpoint ? describe : describe.skip)('dynamodb backend against SESSION_STORE_ENDPOINT', () => {
+  const clientOptions = {
+    endpoint: dynamoDbEndpoint,
+    region: process.env.AWS_REGION || 'us-east-2',
+    credentials: { accessKeyId: 'local', secretAccessKey: 'local' },
+  };
+  let admin: any;
+  let dynamodb: any;
+
+  beforeAll(async () => {
+    dynamodb = serverRequire('@aws-sdk/client-dynamodb');
+    admin = new dynamodb.DynamoDBClient(clientOptions);
+    await admin.send(new dynamodb.CreateTableCommand({
+      TableName: dynamoDbTable,
+      AttributeDefinitions: [{ AttributeName: 'Token', AttributeType: 'S' }],
+      KeySchema: [{ AttributeName: 'Token', KeyType: 'HASH' }],
+      BillingMode: 'PAY_PER_REQUEST',
+    }));
+  });
+
+  afterAll(async () => {
+    await admin.send(new dynamodb.DeleteTableCommand({ TableName: dynamoDbTable }));
+    admin.destroy();
+  });
+
+  describeBackend('DynamoDB Local', async () => {
+    const { DynamoDBDocumentClient } = serverRequire('@aws-sdk/lib-dynamodb');
+    const client = DynamoDBDocumentClient.from(new dynamodb.DynamoDBClient(clientOptions), {
+      marshallOptions: { removeUndefinedValues: true },
+    });
+    return createSessionStore({ type: 'dynamodb', tableName: dynamoDbTable, client, ttlMs: TTL_MS });
+  });
+});
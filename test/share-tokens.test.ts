@@ -0,0 +1,77 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import { createSessionBody, startTestServer, TestServer, waitForSignalResponse } from './helpers/server';
+
+describe('share tokens against the mock backend', () => {
+  let server: TestServer;
+
+  beforeAll(async () => {
+    server = await startTestServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  const createOwnerToken = async () => {
+    const created = await server.post('/api/CreateStreamSession', createSessionBody());
+    await waitForSignalResponse(server, created.body.Token);
+    return created.body.Token as string;
+  };
+
+  test('never outlive the owner token', async () => {
+    const issuedBefore = Date.now();
+    const token = await createOwnerToken();
+    // The owner token expires STREAM_CONNECTION_TIMEOUT_SECONDS (600) after it was issued
+    const ownerExpiresAt = Date.now() + 600 * 1000;
+
+    const share = await server.post('/api/CreateShareToken', { Token: token, Scope: 'guest', ExpiresInSeconds: 24 * 60 * 60 });
+    expect(share.status).toBe(200);
+    expect(share.body.ExpiresAt).toBeGreaterThanOrEqual(issuedBefore + 600 * 1000);
+    expect(share.body.ExpiresAt).toBeLessThanOrEqual(ownerExpiresAt);
+  });
+
+  test('keep a shorter requested lifetime', async () => {
+    const token = await createOwnerToken();
+    const requestedAt = Date.now();
+    const share = await server.post('/api/CreateShareToken', { Token: token, Scope: 'spectate', ExpiresInSeconds: 60 });
+    expect(share.body.ExpiresAt).toBeGreaterThanOrEqual(requestedAt + 60 * 1000);
+    expect(share.body.ExpiresAt).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+  });
+
+  test('cannot end the stream session or issue further share tokens', async () => {
+    const token = await createOwnerToken();
+    const share = await server.post('/api/CreateShareToken', { Token: token, Scope: 'guest' });
+
+    expect((await server.post('/api/DestroyStreamSession', { Token: share.body.Token })).status).toBe(403);
+    expect((await server.post('/api/CreateShareToken', { Token: share.body.Token, Scope: 'guest' })).status).toBe(403);
+  });
+
+  test('are deleted with the owner token', async () => {
+    const token = await createOwnerToken();
+    const share = await server.post('/api/CreateShareToken', { Token: token, Scope: 'spectate' });
+
+    expect((await server.post('/api/DestroyStreamSession', { Token: token })).status).toBe(200);
+    expect((await server.post('/api/ReconnectStreamSession', { Token: share.body.Token, SignalRequest: 'offer' })).status).toBe(404);
+  });
+
+  test('are listed on the owner record and deleted without scanning the store', async () => {
+    const token = await createOwnerToken();
+    const kept = await server.post('/api/CreateShareToken', { Token: token, Scope: 'spectate' });
+    const revoked = await server.post('/api/CreateShareToken', { Token: token, Scope: 'guest' });
+    expect((await server.sessionStore.get(token)).ShareTokens).toEqual([kept.body.Token, revoked.body.Token]);
+
+    expect((await server.post('/api/RevokeShareToken', { Token: token, ShareToken: revoked.body.Token })).status).toBe(200);
+    expect((await server.sessionStore.get(token)).ShareTokens).toEqual([kept.body.Token]);
+
+    const entries = jest.spyOn(server.sessionStore, 'entries');
+    expect((await server.post('/api/DestroyStreamSession', { Token: token })).status).toBe(200);
+    // The tokens are deleted after the response
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(await server.sessionStore.get(kept.body.Token)).toBeUndefined();
+    expect(entries).not.toHaveBeenCalled();
+  });
+});
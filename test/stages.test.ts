@@ -0,0 +1,59 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { loadStageConfig, validateStreamGroups } from '../lib/gls-stages';
+
+const STAGES = {
+  dev: {
+    region: 'us-east-2',
+    streamGroups: [{ streamGroupId: 'sg-abcde1234', applicationIds: ['a-abcde1234'], locations: ['us-east-2'] }],
+    alarmEmails: ['ops@example.com'],
+  },
+};
+
+describe('loadStageConfig', () => {
+  test('loads a stage and fills in missing lists', () => {
+    expect(loadStageConfig(STAGES, 'dev')).toEqual(STAGES.dev);
+    const stages = { dev: { streamGroups: [{ streamGroupId: 'sg-abcde1234' }] } };
+    expect(loadStageConfig(stages, 'dev').streamGroups).toEqual([{ streamGroupId: 'sg-abcde1234', applicationIds: [], locations: [] }]);
+  });
+
+  test('rejects unknown and invalid stage names', () => {
+    expect(() => loadStageConfig(STAGES, 'prod')).toThrow('Stage prod is not defined in the "stages" context of cdk.json (defined: dev)');
+    expect(() => loadStageConfig(undefined, 'dev')).toThrow('Stage dev is not defined');
+    expect(() => loadStageConfig(STAGES, '1-dev')).toThrow('Invalid stage name 1-dev');
+  });
+
+  test('rejects every stage shipped in cdk.json until its placeholder ids are replaced', () => {
+    const { context } = JSON.parse(fs.readFileSync(path.join(__dirname, '../cdk.json'), 'utf8'));
+    const names = Object.keys(context.stages);
+    expect(names).toEqual(['dev', 'staging', 'prod']);
+    names.forEach((name) => expect(() => loadStageConfig(context.stages, name)).toThrow(/replace the placeholder/));
+  });
+});
+
+describe('validateStreamGroups', () => {
+  const group = (overrides: Record<string, unknown>) => [{ streamGroupId: 'sg-abcde1234', applicationIds: ['a-abcde1234'], locations: [], ...overrides }];
+
+  test.each([
+    [group({ streamGroupId: 'sg-000000000' }), 'replace the placeholder sg-000000000 with your stream group id'],
+    [group({ streamGroupId: 'sg-111111111' }), 'replace the placeholder sg-111111111 with your stream group id'],
+    [group({ applicationIds: ['a-000000000'] }), 'replace the placeholder a-000000000 with your application id'],
+  ])('rejects placeholder ids %#', (streamGroups, message) => {
+    expect(() => validateStreamGroups(streamGroups, 'Stage test')).toThrow(message);
+  });
+
+  test.each([
+    [[], 'streamGroups must be a non-empty list'],
+    [group({ streamGroupId: 'stream-group' }), 'streamGroupId must match sg-XXXXX...'],
+    [[...group({}), ...group({})], 'duplicate stream group sg-abcde1234'],
+    [group({ applicationIds: ['app'] }), 'applicationIds must be a list of application ids'],
+    [group({ locations: [''] }), 'locations must be a list of AWS Region names'],
+  ])('rejects malformed stream groups %#', (streamGroups, message) => {
+    expect(() => validateStreamGroups(streamGroups, 'Stage test')).toThrow(message);
+  });
+});
@@ -0,0 +1,47 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createSessionBody, startTestServer, TestServer } from './helpers/server';
+
+describe('static files with the file session store', () => {
+  let server: TestServer;
+  let dataDir: string;
+
+  beforeAll(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-files-'));
+    server = await startTestServer({ SESSION_STORE_TYPE: 'file', DATA_DIR: dataDir });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    delete process.env.DATA_DIR;
+  });
+
+  test('keeps the token file out of the served tree', async () => {
+    expect((await server.post('/api/CreateStreamSession', createSessionBody())).status).toBe(200);
+    expect(fs.existsSync(path.join(dataDir, 'sessions.json'))).toBe(true);
+
+    expect((await server.get('/sessions.json')).status).toBe(404);
+    expect((await server.get('/sessions.db')).status).toBe(404);
+  });
+
+  test('serves no server sources, package or configuration files', async () => {
+    for (const file of ['/package.json', '/applications.example.json', '/session-store.js', '/server.js', '/node_modules/express/package.json']) {
+      expect((await server.get(file)).status).toBe(404);
+    }
+  });
+
+  test('serves the page files and the chart.js bundle', async () => {
+    const page = await server.get('/stream.js');
+    expect(page.status).toBe(200);
+    expect(page.headers.get('content-type')).toMatch(/javascript/);
+    expect((await server.get('/node_modules/chart.js/dist/chart.umd.js')).status).toBe(200);
+    expect((await server.get('/')).status).toBe(200);
+  });
+});
@@ -0,0 +1,70 @@
+/*
+ * Copyright Amazon.com, Inc. or its affiliates. All Rights Reserved.
+ * SPDX-License-Identifier: MIT-0
+ */
+
+const { createStreamGroupRouter } = require('../server/stream-group-routing');
+
+const ROUTES = [
+  { streamGroupId: 'sg-us0000001', applicationIds: ['a-game00001'], locations: ['us-east-2', 'us-west-2'] },
+  { streamGroupId: 'sg-eu0000001', applicationIds: ['a-game00001', 'a-game00002'], locations: ['eu-central-1'] },
+  { streamGroupId: 'sg-any000001', applicationIds: ['a-game00003'], locations: [] },
+];
+
+describe('createStreamGroupRouter', () => {
+  const router = createStreamGroupRouter(ROUTES);
+
+  test('routes by application and primary location', () => {
+    expect(router.enabled).toBe(true);
+    expect(router.resolve('a-game00001', ['us-west-2'])).toEqual({ streamGroupId: 'sg-us0000001', locations: ['us-west-2'] });
+    expect(router.resolve('a-game00001', ['eu-central-1'])).toEqual({ streamGroupId: 'sg-eu0000001', locations: ['eu-central-1'] });
+    expect(router.resolve('a-game00002', ['eu-central-1'])).toEqual({ streamGroupId: 'sg-eu0000001', locations: ['eu-central-1'] });
+  });
+
+  test('accepts application ARNs', () => {
+    const arn = 'arn:aws:gameliftstreams:us-east-2:123456789012:application/a-game00002';
+    expect(router.resolve(arn, ['eu-central-1'])).toEqual(expect.objectContaining({ streamGroupId: 'sg-eu0000001' }));
+  });
+
+  test('keeps only the fallback locations the chosen group serves', () => {
+    expect(router.resolve('a-game00001', ['us-east-2', 'eu-central-1', 'us-west-2']))
+      .toEqual({ streamGroupId: 'sg-us0000001', locations: ['us-east-2', 'us-west-2'] });
+  });
+
+  test('uses all locations of the first serving group when none are requested', () => {
+    expect(router.resolve('a-game00001', [])).toEqual({ streamGroupId: 'sg-us0000001', locations: ['us-east-2', 'us-west-2'] });
+    expect(router.resolve('a-game00003', undefined)).toEqual({ streamGroupId: 'sg-any000001', locations: undefined });
+  });
+
+  test('lets a group with no locations serve any location', () => {
+    expect(router.resolve('a-game00003', ['ap-northeast-1', 'us-east-2']))
+      .toEqual({ streamGroupId: 'sg-any000001', locations: ['ap-northeast-1', 'us-east-2'] });
+  });
+
+  test('finds no group for an unserved application or primary location', () => {
+    expect(router.resolve('a-game00002', ['us-east-2'])).toBeNull();
+    expect(router.resolve('a-unknown01', ['us-east-2'])).toBeNull();
+    expect(router.resolve(undefined, ['us-east-2'])).toBeNull();
+  });
+
+  test('lists the locations an application can be streamed from', () => {
+    expect(router.locationsFor('a-game00001')).toEqual(['us-east-2', 'us-west-2', 'eu-central-1']);
+    expect(router.locationsFor('a-game00003')).toEqual([]);
+  });
+
+  test('falls back to the default stream group without routes', () => {
+    const fallback = createStreamGroupRouter([], 'sg-default01');
+    expect(fallback.enabled).toBe(true);
+    expect(fallback.resolve('a-game00001', ['us-east-2'])).toEqual({ streamGroupId: 'sg-default01', locations: ['us-east-2'] });
+    expect(createStreamGroupRouter([], '').enabled).toBe(false);
+  });
+
+  test.each([
+    [[{ applicationIds: ['a-game00001'] }], 'Stream group route 0: streamGroupId is required'],
+    [[ROUTES[0], null], 'Stream group route 1: streamGroupId is required'],
+    [[{ streamGroupId: 'sg-us0000001', applicationIds: 'a-game00001' }], 'Stream group route 0 (sg-us0000001): applicationIds must be a list'],
+    [[{ streamGroupId: 'sg-us0000001', locations: 'us-east-2' }], 'Stream group route 0 (sg-us0000001): locations must be a list'],
+  ])('rejects malformed STREAM_GROUP_ROUTES %#', (routes, message) => {
+    expect(() => createStreamGroupRouter(routes)).toThrow(message);
+  });
+});